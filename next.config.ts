@@ -1,33 +1,23 @@
 import type { NextConfig } from 'next';
+import { version } from './package.json';
+import { buildSecurityHeaders } from './src/lib/security-headers';
 
 const nextConfig: NextConfig = {
   /* config options here */
   reactStrictMode: true,
   poweredByHeader: false,
 
-  // Security headers
+  // Read by the health endpoints, so package.json isn't bundled into the server build
+  env: {
+    APP_VERSION: version,
+  },
+
+  // Security headers (the nonce-based CSP is set per request in src/middleware.ts)
   async headers() {
     return [
       {
         source: '/(.*)',
-        headers: [
-          {
-            key: 'X-Content-Type-Options',
-            value: 'nosniff',
-          },
-          {
-            key: 'X-Frame-Options',
-            value: 'DENY',
-          },
-          {
-            key: 'X-XSS-Protection',
-            value: '1; mode=block',
-          },
-          {
-            key: 'Referrer-Policy',
-            value: 'strict-origin-when-cross-origin',
-          },
-        ],
+        headers: buildSecurityHeaders({ isDev: process.env.NODE_ENV === 'development' }),
       },
     ];
   },
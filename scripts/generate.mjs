@@ -0,0 +1,466 @@
+#!/usr/bin/env node
+
+/**
+ * Code Generator
+ *
+ * Scaffolds code that follows the conventions in `.github/copilot/prompts/`:
+ *
+ * - `route`: an API route under `src/app/api/` built on `defineRoute`
+ * - `component`: a component and its test in `src/components/`, exported from
+ *   the barrel
+ * - `action`: a server action with a zod schema and its test in
+ *   `src/app/actions/`
+ * - `page`: a page with `loading` and `error` siblings under `src/app/`
+ *
+ * The built-in templates live in `scripts/generators/<kind>/`. A file with the
+ * same path under `.template/generators/` replaces one. Templates fill in
+ * `{{variable}}` names; run with `--help` for the list.
+ *
+ * Existing files are never overwritten, and nothing is written unless every
+ * file can be.
+ *
+ * Exit codes:
+ * - 0: Generated (or dry run finished)
+ * - 1: Unexpected error
+ * - 2: Invalid input (unknown kind, invalid name, unknown template variable)
+ * - 4: I/O error
+ * - 5: A file to generate already exists
+ */
+
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import { CliError, EXIT_CODES, exitCodeFor, InputError, IoError } from './lib/cli.mjs';
+import { unifiedDiff } from './lib/diff.mjs';
+import { FileTransaction, readFileIfExists } from './lib/transaction.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const ROOT_DIR = join(__dirname, '..');
+
+// ANSI color codes
+const colors = {
+  reset: '\x1b[0m',
+  bright: '\x1b[1m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  red: '\x1b[31m',
+  cyan: '\x1b[36m',
+};
+
+// With --dry-run, stdout carries only the diff and messages go to stderr
+let stdoutReserved = false;
+const print = (msg) => (stdoutReserved ? console.error(msg) : console.log(msg));
+
+const log = {
+  info: (msg) => print(`${colors.cyan}ℹ${colors.reset} ${msg}`),
+  success: (msg) => print(`${colors.green}✓${colors.reset} ${msg}`),
+  warn: (msg) => print(`${colors.yellow}⚠${colors.reset} ${msg}`),
+  error: (msg) => console.error(`${colors.red}✗${colors.reset} ${msg}`),
+  header: (msg) => print(`\n${colors.bright}${msg}${colors.reset}\n`),
+};
+
+const BUILTIN_TEMPLATES = 'scripts/generators';
+const OVERRIDE_TEMPLATES = '.template/generators';
+const COMPONENTS_BARREL = 'src/components/index.ts';
+
+const KEBAB_CASE = /^[a-z][a-z0-9]*(?:-[a-z0-9]+)*$/;
+// `[id]`, `[...slug]` and `[[...slug]]`
+const DYNAMIC_SEGMENT = /^\[(\[\.\.\.|\.\.\.)?([a-z][A-Za-z0-9]*)\](\])?$/;
+// `(marketing)`: groups pages without adding to the URL
+const ROUTE_GROUP = /^\([a-z][a-z0-9]*(?:-[a-z0-9]+)*\)$/;
+
+const HELP = `Usage: npm run gen -- <kind> <name> [options]
+
+Kinds:
+  route <path>       API route in src/app/api/<path>/route.ts, e.g. projects/[id]
+  component <name>   Component and test in src/components/, exported from index.ts
+  action <name>      Server action and test in src/app/actions/, e.g. create-project
+  page <path>        Page with loading and error states in src/app/<path>/
+
+Options:
+  --dry-run    Print the files that would be generated as a diff
+  -h, --help   Show this help
+
+Templates are read from ${OVERRIDE_TEMPLATES}/<kind>/ when present, otherwise
+from ${BUILTIN_TEMPLATES}/<kind>/. They can use {{name}} (PascalCase),
+{{camelName}}, {{kebabName}}, {{title}} and {{routePath}}; route-params.ts.tpl
+also gets {{params}}, the fields of its params schema.
+
+Exit codes: 0 done, 1 unexpected error, 2 invalid input, 4 I/O error,
+5 a file already exists`;
+
+function parseOptions(argv) {
+  try {
+    const { values, positionals } = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        'dry-run': { type: 'boolean' },
+        help: { type: 'boolean', short: 'h' },
+      },
+    });
+    return { ...values, positionals };
+  } catch (error) {
+    throw new InputError(`${error.message}\nRun with --help for usage.`);
+  }
+}
+
+/**
+ * Splits `user-avatar`, `userAvatar`, `UserAvatar` or `user_avatar` into
+ * lowercase words
+ */
+function toWords(name) {
+  return name
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .split(/[\s_-]+/)
+    .filter(Boolean)
+    .map((word) => word.toLowerCase());
+}
+
+const capitalize = (word) => word.charAt(0).toUpperCase() + word.slice(1);
+
+/**
+ * Every spelling of a name the templates can use
+ */
+function nameVariables(words) {
+  const kebabName = words.join('-');
+  if (!KEBAB_CASE.test(kebabName)) {
+    throw new InputError(
+      `Invalid name "${kebabName}": use letters and digits, starting with a letter, e.g. user-avatar`
+    );
+  }
+
+  const name = words.map(capitalize).join('');
+  return {
+    name,
+    camelName: name.charAt(0).toLowerCase() + name.slice(1),
+    kebabName,
+    title: words.map(capitalize).join(' '),
+  };
+}
+
+/**
+ * Parameter of a dynamic segment, or `null` for other segments
+ */
+function parseDynamicSegment(segment) {
+  const match = DYNAMIC_SEGMENT.exec(segment);
+  const optional = match?.[1] === '[...';
+  if (!match || optional !== Boolean(match[3])) {
+    return null;
+  }
+  return { name: match[2], catchAll: Boolean(match[1]), optional };
+}
+
+/**
+ * Validates a route path such as `projects/[id]/members`
+ *
+ * @returns {{ segments: string[], params: { name: string, catchAll: boolean, optional: boolean }[] }}
+ */
+function parseRoutePath(path, { allowGroups }) {
+  const segments = path.split('/').filter(Boolean);
+  if (segments.length === 0) {
+    throw new InputError('A path is required, e.g. projects/[id]');
+  }
+
+  const params = [];
+  const issues = [];
+  for (const segment of segments) {
+    const param = parseDynamicSegment(segment);
+    if (param) {
+      params.push(param);
+    } else if (!KEBAB_CASE.test(segment) && !(allowGroups && ROUTE_GROUP.test(segment))) {
+      issues.push({
+        field: segment,
+        message: `must be kebab-case or a dynamic segment such as [id]${allowGroups ? ' or (group)' : ''}`,
+      });
+    }
+  }
+  if (issues.length > 0) {
+    throw new InputError(`Invalid path "${path}"`, issues);
+  }
+
+  return { segments, params };
+}
+
+/**
+ * URL of a route for doc comments: `/api/projects/:id`
+ */
+function routeUrl(prefix, segments) {
+  const parts = segments
+    .filter((segment) => !ROUTE_GROUP.test(segment))
+    .map((segment) => {
+      const param = parseDynamicSegment(segment);
+      return param ? `:${param.name}${param.catchAll ? '*' : ''}` : segment;
+    });
+  return [prefix, ...parts].join('/') || '/';
+}
+
+/**
+ * Name for the identifiers of a route or page: its last static segment, or
+ * the last parameter when there is none
+ */
+function routeNameWords(segments) {
+  const named = segments.filter((segment) => !ROUTE_GROUP.test(segment));
+  const last =
+    named.findLast((segment) => KEBAB_CASE.test(segment)) ??
+    parseDynamicSegment(named[named.length - 1])?.name ??
+    'index';
+  return toWords(last);
+}
+
+/**
+ * What each kind generates: the files, rendered from which template, and
+ * other files to update
+ */
+const GENERATORS = {
+  route(input) {
+    const { segments, params } = parseRoutePath(input.replace(/^\/?(api\/)?/, ''), {
+      allowGroups: false,
+    });
+    const dir = `src/app/api/${segments.join('/')}`;
+    const variables = {
+      ...nameVariables(routeNameWords(segments)),
+      routePath: routeUrl('/api', segments),
+      params: params
+        .map(({ name, catchAll, optional }) => {
+          const schema = catchAll ? 'z.array(z.string())' : 'z.string()';
+          return `${name}: ${schema}${optional ? '.optional()' : ''}`;
+        })
+        .join(', '),
+    };
+
+    return {
+      variables,
+      files: [
+        {
+          path: `${dir}/route.ts`,
+          template: params.length > 0 ? 'route-params.ts.tpl' : 'route.ts.tpl',
+        },
+      ],
+    };
+  },
+
+  component(input) {
+    const variables = nameVariables(toWords(input));
+    const { name, kebabName } = variables;
+
+    return {
+      variables,
+      files: [
+        { path: `src/components/${kebabName}.tsx`, template: 'component.tsx.tpl' },
+        { path: `src/components/${kebabName}.test.tsx`, template: 'component.test.tsx.tpl' },
+      ],
+      updates: [
+        {
+          path: COMPONENTS_BARREL,
+          update: (content) => addBarrelExport(content, name, `./${kebabName}`),
+        },
+      ],
+    };
+  },
+
+  action(input) {
+    const variables = nameVariables(toWords(input));
+    const { kebabName } = variables;
+
+    return {
+      variables,
+      files: [
+        { path: `src/app/actions/${kebabName}.ts`, template: 'action.ts.tpl' },
+        { path: `src/app/actions/${kebabName}.test.ts`, template: 'action.test.ts.tpl' },
+      ],
+    };
+  },
+
+  page(input) {
+    const { segments } = parseRoutePath(input.replace(/^\//, ''), { allowGroups: true });
+    const dir = `src/app/${segments.join('/')}`;
+    const variables = {
+      ...nameVariables(routeNameWords(segments)),
+      routePath: routeUrl('', segments),
+    };
+
+    return {
+      variables,
+      files: ['page.tsx', 'loading.tsx', 'error.tsx'].map((file) => ({
+        path: `${dir}/${file}`,
+        template: `${file}.tpl`,
+      })),
+    };
+  },
+};
+
+/**
+ * Adds `export { name } from 'module';` to a barrel, keeping it sorted by
+ * module
+ */
+function addBarrelExport(content, name, module) {
+  const exportPattern = new RegExp(`export \\{[^}]*\\b${name}\\b[^}]*\\}`);
+  if (exportPattern.test(content)) {
+    throw new CliError(`${COMPONENTS_BARREL} already exports ${name}`, EXIT_CODES.conflict);
+  }
+
+  const line = `export { ${name} } from '${module}';`;
+  const lines = content.split('\n');
+  const index = lines.findIndex((existing) => {
+    const match = /from '([^']+)';$/.exec(existing);
+    return match && match[1].localeCompare(module) > 0;
+  });
+  if (index === -1) {
+    const end = content.endsWith('\n') ? lines.length - 1 : lines.length;
+    lines.splice(end, 0, line);
+  } else {
+    lines.splice(index, 0, line);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Reads a template, preferring the project's override
+ */
+function loadTemplate(kind, template) {
+  for (const base of [OVERRIDE_TEMPLATES, BUILTIN_TEMPLATES]) {
+    const path = `${base}/${kind}/${template}`;
+    let content;
+    try {
+      content = readFileIfExists(join(ROOT_DIR, ...path.split('/')));
+    } catch (error) {
+      throw new IoError(`Could not read ${path}: ${error.message}`, error);
+    }
+    if (content !== null) {
+      return { path, content };
+    }
+  }
+  throw new IoError(`Template ${BUILTIN_TEMPLATES}/${kind}/${template} is missing`);
+}
+
+/**
+ * Fills in `{{variable}}` names
+ */
+function render({ path, content }, variables) {
+  const unknown = new Set();
+  const result = content.replace(/\{\{(\w+)\}\}/g, (match, name) => {
+    if (!Object.hasOwn(variables, name)) {
+      unknown.add(name);
+      return match;
+    }
+    return variables[name];
+  });
+
+  if (unknown.size > 0) {
+    throw new InputError(
+      `${path} uses unknown variables: ${[...unknown].join(', ')}. Known: ${Object.keys(variables).join(', ')}`
+    );
+  }
+  return result;
+}
+
+/**
+ * Stages every generated file and update
+ *
+ * @throws CliError with exit code 5 when a file to create already exists
+ */
+function stageFiles(kind, { variables, files, updates = [] }, transaction) {
+  const existing = files.filter(
+    ({ path }) => readFileIfExists(join(ROOT_DIR, ...path.split('/'))) !== null
+  );
+  if (existing.length > 0) {
+    throw new CliError(
+      'Refusing to overwrite existing files',
+      EXIT_CODES.conflict,
+      existing.map(({ path }) => ({ field: path, message: 'already exists' }))
+    );
+  }
+
+  for (const { path, template } of files) {
+    const source = loadTemplate(kind, template);
+    if (source.path.startsWith(OVERRIDE_TEMPLATES)) {
+      log.info(`Using ${source.path}`);
+    }
+    transaction.stage(path, render(source, variables), null);
+  }
+
+  for (const { path, update } of updates) {
+    const content = readFileIfExists(join(ROOT_DIR, ...path.split('/')));
+    if (content === null) {
+      throw new IoError(`${path} not found`);
+    }
+    transaction.stage(path, update(content), content);
+  }
+}
+
+/**
+ * Main execution
+ */
+async function main(argv = process.argv.slice(2)) {
+  try {
+    const options = parseOptions(argv);
+    if (options.help) {
+      console.log(HELP);
+      return;
+    }
+    stdoutReserved = Boolean(options['dry-run']);
+
+    const [kind, name, ...extra] = options.positionals;
+    if (!kind || !Object.hasOwn(GENERATORS, kind)) {
+      throw new InputError(
+        `${kind ? `Unknown kind "${kind}"` : 'A kind is required'}: use one of ${Object.keys(GENERATORS).join(', ')}\nRun with --help for usage.`
+      );
+    }
+    if (!name || extra.length > 0) {
+      throw new InputError(`Usage: npm run gen -- ${kind} <name>`);
+    }
+
+    log.header(`🧩 Generating ${kind} ${name}`);
+
+    const transaction = new FileTransaction(ROOT_DIR);
+    stageFiles(kind, GENERATORS[kind](name), transaction);
+    const { changes } = transaction;
+
+    if (options['dry-run']) {
+      for (const { path, before, after } of changes) {
+        log.info(`Would ${before === null ? 'create' : 'update'}: ${path}`);
+        process.stdout.write(
+          unifiedDiff(before ?? '', after, {
+            fromFile: before === null ? '/dev/null' : `a/${path}`,
+            toFile: `b/${path}`,
+          })
+        );
+      }
+      return;
+    }
+
+    try {
+      transaction.commit();
+    } catch (error) {
+      if (error instanceof CliError) {
+        throw error;
+      }
+      throw new IoError(`Could not write files, nothing was generated: ${error.message}`, error);
+    }
+
+    for (const { path, before } of changes) {
+      log.success(`${before === null ? 'Created' : 'Updated'}: ${path}`);
+    }
+    log.info(`Replace the TODOs, then run ${colors.cyan}npm test${colors.reset}.\n`);
+  } catch (error) {
+    process.exitCode = exitCodeFor(error);
+    log.error(
+      process.exitCode === EXIT_CODES.failure
+        ? `Generation failed: ${error.message}`
+        : error.message
+    );
+    for (const issue of error.issues ?? []) {
+      log.error(`  ${issue.field}: ${issue.message}`);
+    }
+    if (process.exitCode === EXIT_CODES.failure) {
+      console.error(error);
+    }
+  }
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
@@ -0,0 +1,29 @@
+// @vitest-environment node
+import { describe, expect, it, vi } from 'vitest';
+import { initialFormState } from '@/lib/form';
+import { {{camelName}} } from './{{kebabName}}';
+
+vi.mock('next/navigation', async (importOriginal) => importOriginal());
+
+function submit(entries: Record<string, string>): FormData {
+  const data = new FormData();
+  for (const [name, value] of Object.entries(entries)) {
+    data.append(name, value);
+  }
+  return data;
+}
+
+describe('{{camelName}}', () => {
+  it('should succeed with valid input', async () => {
+    const state = await {{camelName}}(initialFormState, submit({ name: 'Example' }));
+
+    expect(state.status).toBe('success');
+  });
+
+  it('should return field errors for invalid input', async () => {
+    const state = await {{camelName}}(initialFormState, submit({ name: '' }));
+
+    expect(state.status).toBe('error');
+    expect(state.fieldErrors).toHaveProperty('name');
+  });
+});
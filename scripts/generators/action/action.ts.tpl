@@ -0,0 +1,22 @@
+'use server';
+
+import { z } from 'zod';
+import { createFormAction } from '@/lib/form-server';
+
+const {{camelName}}Schema = z.object({
+  name: z.string().trim().min(1, 'Name is required').max(100),
+});
+
+/**
+ * TODO: describe what {{camelName}} does
+ *
+ * Use with `useActionState({{camelName}}, initialFormState)` and `<Form>`.
+ */
+export const {{camelName}} = createFormAction(
+  {{camelName}}Schema,
+  async (input) => {
+    // TODO: perform the mutation, then revalidatePath() or redirect()
+    return input;
+  },
+  { successMessage: 'Saved' }
+);
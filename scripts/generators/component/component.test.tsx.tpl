@@ -0,0 +1,15 @@
+import { describe, it, expect } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import { {{name}} } from './{{kebabName}}';
+
+describe('{{name}}', () => {
+  it('should render its children', () => {
+    render(<{{name}}>Content</{{name}}>);
+    expect(screen.getByText('Content')).toBeInTheDocument();
+  });
+
+  it('should apply custom className', () => {
+    render(<{{name}} className="custom-class">Content</{{name}}>);
+    expect(screen.getByText('Content')).toHaveClass('custom-class');
+  });
+});
@@ -0,0 +1,14 @@
+import { ReactNode } from 'react';
+import { cn } from '@/lib/utils';
+
+interface {{name}}Props {
+  children?: ReactNode;
+  className?: string;
+}
+
+/**
+ * TODO: describe what {{name}} renders
+ */
+export function {{name}}({ children, className }: {{name}}Props) {
+  return <div className={cn(className)}>{children}</div>;
+}
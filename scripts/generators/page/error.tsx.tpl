@@ -0,0 +1,22 @@
+'use client';
+
+import { Button } from '@/components/button';
+import { useTranslations } from '@/components/locale-provider';
+
+export default function {{name}}Error({
+  error,
+  reset,
+}: {
+  error: Error & { digest?: string };
+  reset: () => void;
+}) {
+  const t = useTranslations();
+
+  return (
+    <div className="flex flex-col items-center justify-center p-24">
+      <h2 className="mb-4 text-2xl font-bold">{t('error.title')}</h2>
+      <p className="mb-4 text-muted-foreground">{error.message}</p>
+      <Button onClick={reset}>{t('error.retry')}</Button>
+    </div>
+  );
+}
@@ -0,0 +1,12 @@
+import { getTranslations } from '@/lib/i18n-server';
+
+export default async function {{name}}Loading() {
+  const t = await getTranslations();
+
+  return (
+    <div role="status" className="flex flex-col items-center justify-center p-24">
+      <div className="h-12 w-12 animate-spin rounded-full border-b-2 border-foreground"></div>
+      <p className="mt-4 text-muted-foreground">{t('common.loading')}</p>
+    </div>
+  );
+}
@@ -0,0 +1,13 @@
+import type { Metadata } from 'next';
+
+export const metadata: Metadata = {
+  title: '{{title}}',
+};
+
+export default function {{name}}Page() {
+  return (
+    <main className="mx-auto w-full max-w-5xl p-6">
+      <h1 className="mb-4 text-2xl font-bold">{{title}}</h1>
+    </main>
+  );
+}
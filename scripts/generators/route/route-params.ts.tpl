@@ -0,0 +1,14 @@
+import { z } from 'zod';
+import { defineRoute } from '@/lib/api-handler';
+
+export const dynamic = 'force-dynamic';
+
+const paramsSchema = z.object({ {{params}} });
+
+/**
+ * GET {{routePath}}
+ */
+export const GET = defineRoute({ params: paramsSchema }, async ({ params }) => {
+  // TODO: load the resource, throwing NotFoundError when it doesn't exist
+  return params;
+});
@@ -0,0 +1,29 @@
+import { z } from 'zod';
+import { defineRoute } from '@/lib/api-handler';
+import { HTTP_STATUS } from '@/lib/constants';
+
+export const dynamic = 'force-dynamic';
+
+const {{camelName}}Schema = z.object({
+  name: z.string().trim().min(1).max(100),
+});
+
+/**
+ * GET {{routePath}}
+ */
+export const GET = defineRoute({}, async () => {
+  // TODO: load and return the data
+  return [];
+});
+
+/**
+ * POST {{routePath}}
+ */
+export const POST = defineRoute(
+  { body: {{camelName}}Schema },
+  async ({ body }) => {
+    // TODO: create the resource and return it
+    return body;
+  },
+  { status: HTTP_STATUS.CREATED }
+);
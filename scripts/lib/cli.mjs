@@ -0,0 +1,82 @@
+/**
+ * Exit codes and errors shared by the template scripts
+ */
+
+export const EXIT_CODES = {
+  success: 0,
+  failure: 1,
+  invalidInput: 2,
+  cancelled: 3,
+  ioError: 4,
+  conflict: 5,
+};
+
+/**
+ * Error that ends the run with a specific exit code
+ */
+export class CliError extends Error {
+  constructor(message, exitCode, issues = []) {
+    super(message);
+    this.name = 'CliError';
+    this.exitCode = exitCode;
+    this.issues = issues;
+  }
+}
+
+export class InputError extends CliError {
+  constructor(message, issues = []) {
+    super(message, EXIT_CODES.invalidInput, issues);
+    this.name = 'InputError';
+  }
+}
+
+export class CancelledError extends CliError {
+  constructor(message = 'Cancelled.') {
+    super(message, EXIT_CODES.cancelled);
+    this.name = 'CancelledError';
+  }
+}
+
+export class IoError extends CliError {
+  constructor(message, cause) {
+    super(message, EXIT_CODES.ioError);
+    this.name = 'IoError';
+    this.cause = cause;
+  }
+}
+
+/**
+ * Files were edited by someone else and won't be overwritten
+ */
+export class ConflictError extends CliError {
+  constructor(message, paths) {
+    super(
+      message,
+      EXIT_CODES.conflict,
+      paths.map((path) => ({ field: path, message: 'changed since it was recorded' }))
+    );
+    this.name = 'ConflictError';
+    this.paths = paths;
+  }
+}
+
+/**
+ * Ends the run successfully when the reader of `stream` goes away, e.g.
+ * output piped into `head`, instead of crashing on `EPIPE`
+ */
+export function exitOnBrokenPipe(stream = process.stdout) {
+  stream.on('error', (error) => {
+    if (error.code !== 'EPIPE') {
+      throw error;
+    }
+    process.exit(EXIT_CODES.success);
+  });
+}
+
+export function exitCodeFor(error) {
+  if (error instanceof CliError) {
+    return error.exitCode;
+  }
+  // Node's system errors (EACCES, ENOSPC, ...) carry the failed syscall
+  return error?.syscall ? EXIT_CODES.ioError : EXIT_CODES.failure;
+}
@@ -0,0 +1,362 @@
+/**
+ * Line diffs for the template scripts
+ *
+ * `diffLines` computes a shortest edit script with Myers' O(ND) algorithm in
+ * its linear-space form, so large files with a handful of changed lines (such
+ * as package-lock.json after placeholder replacement) stay cheap in both time
+ * and memory. `unifiedDiff` formats it the way `git diff` does, and
+ * `mergeText` builds a three-way merge on top of it.
+ */
+
+/**
+ * Splits text into lines, remembering whether it ended with a newline
+ */
+export function splitLines(text) {
+  if (text === '') {
+    return { lines: [], trailingNewline: true };
+  }
+  const trailingNewline = text.endsWith('\n');
+  const lines = (trailingNewline ? text.slice(0, -1) : text).split('\n');
+  return { lines, trailingNewline };
+}
+
+/**
+ * Middle snake of the shortest path from (aStart, bStart) to (aEnd, bEnd):
+ * searches forward from the start and backward from the end at once, and
+ * returns the diagonal run where the two searches meet
+ *
+ * Only two vectors of furthest-reaching x per diagonal are kept, so memory
+ * stays linear in the length of the inputs.
+ */
+function middleSnake(a, aStart, aEnd, b, bStart, bEnd) {
+  const n = aEnd - aStart;
+  const m = bEnd - bStart;
+  const delta = n - m;
+  const odd = (delta & 1) === 1;
+  const maxD = Math.ceil((n + m) / 2);
+  const offset = maxD + 1;
+  // forward[k]: furthest x on diagonal k = x - y from the start;
+  // backward[c]: furthest distance back from the end on diagonal c = delta - k
+  const forward = new Int32Array(2 * maxD + 3);
+  const backward = new Int32Array(2 * maxD + 3);
+
+  for (let d = 0; d <= maxD; d++) {
+    for (let k = -d; k <= d; k += 2) {
+      let x =
+        k === -d || (k !== d && forward[offset + k - 1] < forward[offset + k + 1])
+          ? forward[offset + k + 1]
+          : forward[offset + k - 1] + 1;
+      let y = x - k;
+      const startX = x;
+      const startY = y;
+      while (x < n && y < m && a[aStart + x] === b[bStart + y]) {
+        x++;
+        y++;
+      }
+      forward[offset + k] = x;
+      const c = delta - k;
+      if (odd && c >= -(d - 1) && c <= d - 1 && x + backward[offset + c] >= n) {
+        return { x: aStart + startX, y: bStart + startY, u: aStart + x, v: bStart + y };
+      }
+    }
+
+    for (let c = -d; c <= d; c += 2) {
+      let x =
+        c === -d || (c !== d && backward[offset + c - 1] < backward[offset + c + 1])
+          ? backward[offset + c + 1]
+          : backward[offset + c - 1] + 1;
+      let y = x - c;
+      const startX = x;
+      const startY = y;
+      while (x < n && y < m && a[aEnd - 1 - x] === b[bEnd - 1 - y]) {
+        x++;
+        y++;
+      }
+      backward[offset + c] = x;
+      const k = delta - c;
+      if (!odd && k >= -d && k <= d && x + forward[offset + k] >= n) {
+        return { x: aEnd - x, y: bEnd - y, u: aEnd - startX, v: bEnd - startY };
+      }
+    }
+  }
+
+  throw new Error('Unreachable: the searches always meet');
+}
+
+/**
+ * Appends the edit script for a[aStart..aEnd) → b[bStart..bEnd) to `ops`,
+ * splitting at the middle snake until one side is empty
+ */
+function diffRange(a, aStart, aEnd, b, bStart, bEnd, ops) {
+  while (aStart < aEnd && bStart < bEnd && a[aStart] === b[bStart]) {
+    ops.push({ type: 'equal', line: a[aStart++] });
+    bStart++;
+  }
+  let suffix = 0;
+  while (aEnd > aStart && bEnd > bStart && a[aEnd - 1] === b[bEnd - 1]) {
+    aEnd--;
+    bEnd--;
+    suffix++;
+  }
+
+  if (aStart === aEnd) {
+    for (let y = bStart; y < bEnd; y++) {
+      ops.push({ type: 'insert', line: b[y] });
+    }
+  } else if (bStart === bEnd) {
+    for (let x = aStart; x < aEnd; x++) {
+      ops.push({ type: 'delete', line: a[x] });
+    }
+  } else {
+    const snake = middleSnake(a, aStart, aEnd, b, bStart, bEnd);
+    diffRange(a, aStart, snake.x, b, bStart, snake.y, ops);
+    for (let x = snake.x; x < snake.u; x++) {
+      ops.push({ type: 'equal', line: a[x] });
+    }
+    diffRange(a, snake.u, aEnd, b, snake.v, bEnd, ops);
+  }
+
+  for (let x = aEnd; x < aEnd + suffix; x++) {
+    ops.push({ type: 'equal', line: a[x] });
+  }
+}
+
+/**
+ * Shortest edit script turning `a` into `b`
+ *
+ * Within each run of changes, deletions come before insertions, the way
+ * `git diff` shows them.
+ *
+ * @param {string[]} a
+ * @param {string[]} b
+ * @returns {{ type: 'equal' | 'delete' | 'insert', line: string }[]}
+ */
+export function diffLines(a, b) {
+  const ops = [];
+  diffRange(a, 0, a.length, b, 0, b.length, ops);
+
+  // Stable sort of each change run; runs can be too long to spread
+  const sorted = [];
+  let runStart = 0;
+  for (let index = 0; index <= ops.length; index++) {
+    if (index === ops.length || ops[index].type === 'equal') {
+      const run = ops.slice(runStart, index);
+      for (const type of ['delete', 'insert']) {
+        for (const op of run) {
+          if (op.type === type) {
+            sorted.push(op);
+          }
+        }
+      }
+      if (index < ops.length) {
+        sorted.push(ops[index]);
+      }
+      runStart = index + 1;
+    }
+  }
+  return sorted;
+}
+
+function range(start, length) {
+  // An empty range names the line before it
+  const first = length === 0 ? start : start + 1;
+  return length === 1 ? `${first}` : `${first},${length}`;
+}
+
+/**
+ * `@@ -1,3 +1,4 @@` header of a hunk, from 0-based starts
+ */
+export function hunkHeader(oldStart, oldLength, newStart, newLength) {
+  return `@@ -${range(oldStart, oldLength)} +${range(newStart, newLength)} @@`;
+}
+
+/**
+ * Unified diff between two texts, or `''` when they're equal
+ *
+ * @param {string} before
+ * @param {string} after
+ * @param {{ fromFile?: string, toFile?: string, context?: number }} [options]
+ */
+export function unifiedDiff(before, after, { fromFile = 'a', toFile = 'b', context = 3 } = {}) {
+  if (before === after) {
+    return '';
+  }
+
+  const old = splitLines(before);
+  const next = splitLines(after);
+  const ops = diffLines(old.lines, next.lines);
+
+  // Index every op by its position in both files
+  let oldIndex = 0;
+  let newIndex = 0;
+  const rows = ops.map((op) => {
+    const row = { ...op, oldIndex, newIndex };
+    if (op.type !== 'insert') {
+      oldIndex++;
+    }
+    if (op.type !== 'delete') {
+      newIndex++;
+    }
+    return row;
+  });
+
+  // Last lines differ only by their newline: show them as changed
+  if (old.trailingNewline !== next.trailingNewline) {
+    const last = rows[rows.length - 1];
+    if (last?.type === 'equal') {
+      rows.splice(
+        rows.length - 1,
+        1,
+        { type: 'delete', line: last.line, oldIndex: last.oldIndex, newIndex: last.newIndex },
+        { type: 'insert', line: last.line, oldIndex: last.oldIndex + 1, newIndex: last.newIndex }
+      );
+    }
+  }
+
+  const changed = rows.flatMap((row, index) => (row.type === 'equal' ? [] : [index]));
+  const hunks = [];
+  for (const index of changed) {
+    const start = Math.max(0, index - context);
+    const end = Math.min(rows.length, index + context + 1);
+    const current = hunks[hunks.length - 1];
+    if (current && start <= current.end) {
+      current.end = end;
+    } else {
+      hunks.push({ start, end });
+    }
+  }
+
+  const output = [`--- ${fromFile}`, `+++ ${toFile}`];
+  for (const { start, end } of hunks) {
+    const slice = rows.slice(start, end);
+    const oldLength = slice.filter((row) => row.type !== 'insert').length;
+    const newLength = slice.filter((row) => row.type !== 'delete').length;
+    const first = slice[0];
+    output.push(hunkHeader(first.oldIndex, oldLength, first.newIndex, newLength));
+
+    for (const row of slice) {
+      const prefix = row.type === 'equal' ? ' ' : row.type === 'delete' ? '-' : '+';
+      output.push(prefix + row.line);
+      const lastOld = row.type !== 'insert' && row.oldIndex === old.lines.length - 1;
+      const lastNew = row.type !== 'delete' && row.newIndex === next.lines.length - 1;
+      if ((lastOld && !old.trailingNewline) || (lastNew && !next.trailingNewline)) {
+        output.push('\\ No newline at end of file');
+      }
+    }
+  }
+
+  return output.join('\n') + '\n';
+}
+
+/**
+ * For each line of `a`, the index of the same line in `b`, or -1 when it
+ * was deleted
+ */
+function matchLines(a, b) {
+  const matches = new Array(a.length).fill(-1);
+  let x = 0;
+  let y = 0;
+  for (const op of diffLines(a, b)) {
+    if (op.type === 'equal') {
+      matches[x++] = y++;
+    } else if (op.type === 'delete') {
+      x++;
+    } else {
+      y++;
+    }
+  }
+  return matches;
+}
+
+const sameLines = (a, b) => a.length === b.length && a.every((line, index) => line === b[index]);
+
+/**
+ * Three-way merge of `ours` and `theirs`, two edits of `base`
+ *
+ * Changes made on one side only are applied; where both sides changed the
+ * same lines differently, the result holds git-style conflict markers.
+ * Each conflict also reports the lines of `base` and `theirs` it covers
+ * (0-based starts), so callers can write reject files instead.
+ *
+ * @param {string} base
+ * @param {string} ours
+ * @param {string} theirs
+ * @param {{ oursLabel?: string, theirsLabel?: string }} [options]
+ * @returns {{ content: string, oursContent: string, conflicts: { baseStart: number, base: string[], theirsStart: number, theirs: string[] }[] }}
+ *   `oursContent` resolves every conflict in favour of `ours`
+ */
+export function mergeText(base, ours, theirs, { oursLabel = 'ours', theirsLabel = 'theirs' } = {}) {
+  const b = splitLines(base);
+  const o = splitLines(ours);
+  const t = splitLines(theirs);
+  const toOurs = matchLines(b.lines, o.lines);
+  const toTheirs = matchLines(b.lines, t.lines);
+
+  const merged = [];
+  const kept = [];
+  const conflicts = [];
+  let baseIndex = 0;
+  let oursIndex = 0;
+  let theirsIndex = 0;
+  // A closing conflict marker always ends its line
+  let endsInConflict = false;
+
+  for (;;) {
+    // Next base line both sides kept: everything before it is one chunk
+    let anchor = baseIndex;
+    while (anchor < b.lines.length && (toOurs[anchor] === -1 || toTheirs[anchor] === -1)) {
+      anchor++;
+    }
+    const done = anchor === b.lines.length;
+    const oursEnd = done ? o.lines.length : toOurs[anchor];
+    const theirsEnd = done ? t.lines.length : toTheirs[anchor];
+
+    const baseChunk = b.lines.slice(baseIndex, anchor);
+    const oursChunk = o.lines.slice(oursIndex, oursEnd);
+    const theirsChunk = t.lines.slice(theirsIndex, theirsEnd);
+
+    if (sameLines(oursChunk, baseChunk) || sameLines(oursChunk, theirsChunk)) {
+      merged.push(...theirsChunk);
+      kept.push(...(sameLines(oursChunk, baseChunk) ? theirsChunk : oursChunk));
+    } else if (sameLines(theirsChunk, baseChunk)) {
+      merged.push(...oursChunk);
+      kept.push(...oursChunk);
+    } else {
+      conflicts.push({
+        baseStart: baseIndex,
+        base: baseChunk,
+        theirsStart: theirsIndex,
+        theirs: theirsChunk,
+      });
+      merged.push(
+        `<<<<<<< ${oursLabel}`,
+        ...oursChunk,
+        '=======',
+        ...theirsChunk,
+        `>>>>>>> ${theirsLabel}`
+      );
+      kept.push(...oursChunk);
+      endsInConflict = done;
+    }
+
+    if (done) {
+      break;
+    }
+    merged.push(b.lines[anchor]);
+    kept.push(b.lines[anchor]);
+    baseIndex = anchor + 1;
+    oursIndex = oursEnd + 1;
+    theirsIndex = theirsEnd + 1;
+  }
+
+  // A side that changed only the final newline wins
+  const trailingNewline =
+    o.trailingNewline === b.trailingNewline ? t.trailingNewline : o.trailingNewline;
+  const join = (lines, newline = trailingNewline) =>
+    lines.length === 0 ? '' : lines.join('\n') + (newline ? '\n' : '');
+  return {
+    content: join(merged, trailingNewline || endsInConflict),
+    oursContent: join(kept),
+    conflicts,
+  };
+}
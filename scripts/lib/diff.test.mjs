@@ -0,0 +1,113 @@
+// @vitest-environment node
+import { describe, expect, it } from 'vitest';
+import { diffLines, mergeText, unifiedDiff } from './diff.mjs';
+
+const lines = (count, edit = (line) => line) =>
+  Array.from({ length: count }, (_, index) => edit(`${index + 1}`)).join('\n') + '\n';
+
+describe('diffLines', () => {
+  it('should find a shortest edit script, deletions before insertions', () => {
+    expect(diffLines(['a', 'b', 'c'], ['a', 'x', 'y', 'c'])).toEqual([
+      { type: 'equal', line: 'a' },
+      { type: 'delete', line: 'b' },
+      { type: 'insert', line: 'x' },
+      { type: 'insert', line: 'y' },
+      { type: 'equal', line: 'c' },
+    ]);
+  });
+
+  it('should handle empty sides', () => {
+    expect(diffLines([], ['a'])).toEqual([{ type: 'insert', line: 'a' }]);
+    expect(diffLines(['a'], [])).toEqual([{ type: 'delete', line: 'a' }]);
+    expect(diffLines([], [])).toEqual([]);
+  });
+});
+
+describe('unifiedDiff', () => {
+  it('should return an empty string for equal texts', () => {
+    expect(unifiedDiff('a\n', 'a\n')).toBe('');
+  });
+
+  it('should split distant changes into hunks with context, like git diff', () => {
+    const after = lines(20, (line) => ({ 2: 'two', 18: 'eighteen' })[line] ?? line);
+
+    expect(unifiedDiff(lines(20), after, { fromFile: 'a/n.txt', toFile: 'b/n.txt' })).toBe(
+      [
+        '--- a/n.txt',
+        '+++ b/n.txt',
+        '@@ -1,5 +1,5 @@',
+        ' 1',
+        '-2',
+        '+two',
+        ' 3',
+        ' 4',
+        ' 5',
+        '@@ -15,6 +15,6 @@',
+        ' 15',
+        ' 16',
+        ' 17',
+        '-18',
+        '+eighteen',
+        ' 19',
+        ' 20',
+        '',
+      ].join('\n')
+    );
+  });
+
+  it('should show a missing final newline as a changed last line', () => {
+    expect(unifiedDiff('a\nb', 'a\nb\n')).toBe(
+      [
+        '--- a',
+        '+++ b',
+        '@@ -1,2 +1,2 @@',
+        ' a',
+        '-b',
+        '\\ No newline at end of file',
+        '+b',
+        '',
+      ].join('\n')
+    );
+  });
+
+  it('should name the line before an empty range', () => {
+    expect(unifiedDiff('', 'x\n')).toBe(['--- a', '+++ b', '@@ -0,0 +1 @@', '+x', ''].join('\n'));
+  });
+});
+
+describe('mergeText', () => {
+  it('should apply changes made on either side', () => {
+    expect(mergeText('a\nb\nc\n', 'A\nb\nc\n', 'a\nb\nC\n')).toEqual({
+      content: 'A\nb\nC\n',
+      oursContent: 'A\nb\nC\n',
+      conflicts: [],
+    });
+  });
+
+  it('should take a change made the same way on both sides once', () => {
+    expect(mergeText('a\nb\n', 'a\nb\nc\n', 'a\nb\nc\n').content).toBe('a\nb\nc\n');
+  });
+
+  it('should mark lines both sides changed differently', () => {
+    const merge = mergeText('a\nb\nc\n', 'a\nB\nc\n', 'a\nX\nc\n', {
+      oursLabel: 'project',
+      theirsLabel: 'template',
+    });
+
+    expect(merge.content).toBe('a\n<<<<<<< project\nB\n=======\nX\n>>>>>>> template\nc\n');
+    expect(merge.oursContent).toBe('a\nB\nc\n');
+    expect(merge.conflicts).toEqual([{ baseStart: 1, base: ['b'], theirsStart: 1, theirs: ['X'] }]);
+  });
+
+  it('should keep a missing final newline from the side that removed it', () => {
+    expect(mergeText('a\nb\n', 'a\nb', 'A\nb\n').content).toBe('A\nb');
+    expect(mergeText('a\nb', 'A\nb', 'a\nb\n').content).toBe('A\nb\n');
+  });
+
+  it('should end the closing conflict marker with a newline', () => {
+    const merge = mergeText('a\n', 'a\nours', 'a\ntheirs\n');
+
+    expect(merge.content).toBe('a\n<<<<<<< ours\nours\n=======\ntheirs\n>>>>>>> theirs\n');
+    expect(merge.oursContent).toBe('a\nours');
+  });
+});
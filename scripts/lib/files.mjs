@@ -0,0 +1,66 @@
+/**
+ * Finds the text files the template scripts work on
+ *
+ * Files ignored by `.gitignore` (at any level) are skipped, and so are
+ * binary files, detected from their content the way git does rather than
+ * from their extension.
+ */
+
+import { readdirSync, readFileSync } from 'fs';
+import { join } from 'path';
+import { isIgnored, parseIgnoreFile } from './glob.mjs';
+import { readFileIfExists } from './transaction.mjs';
+
+// Never scanned, whatever .gitignore says
+const ALWAYS_EXCLUDED = ['.git', 'node_modules'];
+
+// git treats a file as binary if its first 8000 bytes contain a NUL byte
+const SNIFF_LENGTH = 8000;
+
+export function isBinary(buffer) {
+  return buffer.subarray(0, SNIFF_LENGTH).includes(0);
+}
+
+/**
+ * Relative paths (with `/` separators) of every file under `rootDir` that
+ * isn't ignored
+ *
+ * @param {string} rootDir
+ * @param {{ excludeDirs?: string[] }} [options] extra directory names to skip
+ */
+export function listFiles(rootDir, { excludeDirs = [] } = {}) {
+  const excluded = new Set([...ALWAYS_EXCLUDED, ...excludeDirs]);
+  const files = [];
+
+  const walk = (dir, inheritedRules) => {
+    const gitignore = readFileIfExists(join(rootDir, ...dir.split('/'), '.gitignore'));
+    const rules = gitignore
+      ? [...inheritedRules, ...parseIgnoreFile(gitignore, dir)]
+      : inheritedRules;
+
+    const entries = readdirSync(join(rootDir, ...dir.split('/')), { withFileTypes: true });
+    for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+      const path = dir ? `${dir}/${entry.name}` : entry.name;
+      const isDirectory = entry.isDirectory();
+      if (excluded.has(entry.name) || isIgnored(rules, path, isDirectory)) {
+        continue;
+      }
+      if (isDirectory) {
+        walk(path, rules);
+      } else if (entry.isFile()) {
+        files.push(path);
+      }
+    }
+  };
+
+  walk('', []);
+  return files;
+}
+
+/**
+ * Content of a text file, or `null` for binary files
+ */
+export function readTextFile(path) {
+  const buffer = readFileSync(path);
+  return isBinary(buffer) ? null : buffer.toString('utf-8');
+}
@@ -0,0 +1,112 @@
+/**
+ * `.gitignore`-style path matching for the template scripts
+ *
+ * Supports `*`, `?`, `[...]` and `**`, negation with `!` and directory-only
+ * patterns ending in `/`. A pattern without a `/` before its end matches at
+ * any depth; one with a `/` is relative to the file that defines it.
+ */
+
+function escape(char) {
+  return /[.*+?^${}()|[\]\\]/.test(char) ? `\\${char}` : char;
+}
+
+/**
+ * Regular expression matching relative paths (with `/` separators) against a
+ * glob
+ */
+export function globToRegExp(glob) {
+  let pattern = glob.endsWith('/') ? glob.slice(0, -1) : glob;
+  const anchored = pattern.includes('/');
+  if (pattern.startsWith('/')) {
+    pattern = pattern.slice(1);
+  }
+
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '*' && pattern[i + 1] === '*') {
+      const atStart = i === 0 || pattern[i - 1] === '/';
+      const atEnd = i + 2 === pattern.length || pattern[i + 2] === '/';
+      if (atStart && atEnd) {
+        // `**/` matches zero or more directories, a trailing `**` everything
+        source += i + 2 === pattern.length ? '.*' : '(?:.*/)?';
+        i += 2;
+        continue;
+      }
+    }
+
+    if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[') {
+      const end = pattern.indexOf(']', i + 2);
+      if (end === -1) {
+        source += '\\[';
+      } else {
+        const body = pattern.slice(i + 1, end).replace(/\\/g, '\\\\');
+        source += `[${body.startsWith('!') ? `^${body.slice(1)}` : body}]`;
+        i = end;
+      }
+    } else if (char === '\\' && i + 1 < pattern.length) {
+      source += escape(pattern[++i]);
+    } else {
+      source += escape(char);
+    }
+  }
+
+  return new RegExp(`${anchored ? '^' : '(?:^|/)'}${source}$`);
+}
+
+/**
+ * Parses the rules of a `.gitignore` file found in directory `base` (relative
+ * to the root, `''` for the root itself)
+ */
+export function parseIgnoreFile(content, base = '') {
+  const rules = [];
+
+  for (const rawLine of content.split(/\r?\n/)) {
+    let line = rawLine.replace(/(?<!\\)\s+$/, '');
+    if (!line || line.startsWith('#')) {
+      continue;
+    }
+
+    const negated = line.startsWith('!');
+    if (negated) {
+      line = line.slice(1);
+    } else if (line.startsWith('\\#') || line.startsWith('\\!')) {
+      line = line.slice(1);
+    }
+
+    rules.push({
+      base,
+      negated,
+      directoryOnly: line.endsWith('/'),
+      regex: globToRegExp(line),
+    });
+  }
+
+  return rules;
+}
+
+/**
+ * Whether the last of `rules` matching `path` ignores it
+ */
+export function isIgnored(rules, path, isDirectory) {
+  let ignored = false;
+
+  for (const { base, negated, directoryOnly, regex } of rules) {
+    if (directoryOnly && !isDirectory) {
+      continue;
+    }
+    if (base && !path.startsWith(`${base}/`)) {
+      continue;
+    }
+    if (regex.test(base ? path.slice(base.length + 1) : path)) {
+      ignored = !negated;
+    }
+  }
+
+  return ignored;
+}
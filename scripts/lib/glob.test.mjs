@@ -0,0 +1,82 @@
+// @vitest-environment node
+import { describe, expect, it } from 'vitest';
+import { globToRegExp, isIgnored, parseIgnoreFile } from './glob.mjs';
+
+const matches = (glob, path) => globToRegExp(glob).test(path);
+
+describe('globToRegExp', () => {
+  it('should match a pattern without a slash at any depth', () => {
+    expect(matches('*.log', 'debug.log')).toBe(true);
+    expect(matches('*.log', 'logs/debug.log')).toBe(true);
+    expect(matches('*.log', 'debug.log.txt')).toBe(false);
+  });
+
+  it('should anchor a pattern with a slash to the root', () => {
+    expect(matches('docs/*.md', 'docs/a.md')).toBe(true);
+    expect(matches('docs/*.md', 'src/docs/a.md')).toBe(false);
+    expect(matches('/build', 'build')).toBe(true);
+    expect(matches('/build', 'src/build')).toBe(false);
+  });
+
+  it('should not let `*` and `?` cross directories', () => {
+    expect(matches('src/*.ts', 'src/lib/a.ts')).toBe(false);
+    expect(matches('file?.txt', 'file1.txt')).toBe(true);
+    expect(matches('file?.txt', 'file/.txt')).toBe(false);
+  });
+
+  it('should match zero or more directories with `**`', () => {
+    expect(matches('**/fixtures', 'fixtures')).toBe(true);
+    expect(matches('**/fixtures', 'a/b/fixtures')).toBe(true);
+    expect(matches('src/**/*.test.ts', 'src/a.test.ts')).toBe(true);
+    expect(matches('src/**/*.test.ts', 'src/lib/deep/a.test.ts')).toBe(true);
+    expect(matches('coverage/**', 'coverage/lcov/index.html')).toBe(true);
+    expect(matches('coverage/**', 'src/coverage/index.html')).toBe(false);
+  });
+
+  it('should support character classes and escapes', () => {
+    expect(matches('[abc].txt', 'b.txt')).toBe(true);
+    expect(matches('[!abc].txt', 'b.txt')).toBe(false);
+    expect(matches('[!abc].txt', 'd.txt')).toBe(true);
+    expect(matches('\\*.txt', '*.txt')).toBe(true);
+    expect(matches('\\*.txt', 'a.txt')).toBe(false);
+    expect(matches('a+b.txt', 'a+b.txt')).toBe(true);
+  });
+});
+
+describe('isIgnored', () => {
+  it('should let the last matching rule win, including negations', () => {
+    const rules = parseIgnoreFile('*.log\n!keep.log\n# comment\n\n');
+
+    expect(isIgnored(rules, 'debug.log', false)).toBe(true);
+    expect(isIgnored(rules, 'logs/keep.log', false)).toBe(false);
+    expect(isIgnored(rules, 'readme.md', false)).toBe(false);
+  });
+
+  it('should only apply directory patterns to directories', () => {
+    const rules = parseIgnoreFile('build/\n');
+
+    expect(isIgnored(rules, 'build', true)).toBe(true);
+    expect(isIgnored(rules, 'packages/app/build', true)).toBe(true);
+    expect(isIgnored(rules, 'build', false)).toBe(false);
+  });
+
+  it('should scope rules to the directory of their ignore file', () => {
+    const rules = [
+      ...parseIgnoreFile('/out\n'),
+      ...parseIgnoreFile('*.tmp\n/dist\n', 'packages/web'),
+    ];
+
+    expect(isIgnored(rules, 'out', true)).toBe(true);
+    expect(isIgnored(rules, 'packages/web/dist', true)).toBe(true);
+    expect(isIgnored(rules, 'dist', true)).toBe(false);
+    expect(isIgnored(rules, 'packages/web/src/a.tmp', false)).toBe(true);
+    expect(isIgnored(rules, 'packages/api/a.tmp', false)).toBe(false);
+  });
+
+  it('should read escaped leading `#` and `!` literally', () => {
+    const rules = parseIgnoreFile('\\#notes\n\\!important\n');
+
+    expect(isIgnored(rules, '#notes', false)).toBe(true);
+    expect(isIgnored(rules, '!important', false)).toBe(true);
+  });
+});
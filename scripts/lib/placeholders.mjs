@@ -0,0 +1,93 @@
+/**
+ * Placeholder tokens in the template and the values that replace them
+ *
+ * `template:init` and `template:check` skip this file: its patterns would
+ * otherwise be replaced or reported.
+ */
+
+/**
+ * Files that mention placeholders on purpose and are never rewritten
+ */
+export const PLACEHOLDER_EXEMPT_FILES = [
+  'scripts/template-init.mjs',
+  'scripts/template-check.mjs',
+  'scripts/lib/placeholders.mjs',
+  '.template/allowlist',
+];
+
+/**
+ * Patterns `template:check` reports
+ */
+export const PLACEHOLDER_PATTERNS = [
+  // Standard format
+  /__[A-Z_]+__/g,
+
+  // Legacy placeholders (as whole words) - only actual placeholders, not example values
+  /\bPROJECT_NAME\b/g,
+  /\bDESCRIPTION\b/g,
+  /\bAUTHOR\b/g,
+  /\bUSERNAME\/REPO_NAME\b/g,
+  /\bYOUR_USERNAME\/REPO_NAME\b/g,
+  /\bYOUR_DOMAIN\b/g,
+  /\bSUPPORT_EMAIL@example\.com\b/g,
+  /\bSECURITY_EMAIL@example\.com\b/g,
+];
+
+/**
+ * Patterns `template:init` replaces, with the value for each
+ */
+const REPLACEMENTS = [
+  // Standard format: __PLACEHOLDER__
+  { pattern: /__PROJECT_NAME__/g, value: (values) => values.projectName },
+  { pattern: /__DESCRIPTION__/g, value: (values) => values.description },
+  { pattern: /__AUTHOR__/g, value: (values) => values.author },
+  { pattern: /__AUTHOR_EMAIL__/g, value: (values) => values.authorEmail },
+  { pattern: /__REPO_OWNER__/g, value: (values) => values.repoOwner },
+  { pattern: /__REPO_NAME__/g, value: (values) => values.repoName },
+  { pattern: /__REPO_URL__/g, value: (values) => values.repoUrl },
+  { pattern: /__COMPANY_DOMAIN__/g, value: (values) => values.companyDomain },
+  { pattern: /__SUPPORT_EMAIL__/g, value: (values) => values.supportEmail },
+  { pattern: /__SECURITY_EMAIL__/g, value: (values) => values.securityEmail },
+
+  // Legacy format - with word boundaries to avoid partial matches
+  // PROJECT_NAME: as whole word only
+  { pattern: /\bPROJECT_NAME\b/g, value: (values) => values.projectName },
+
+  // DESCRIPTION: as whole word only
+  { pattern: /\bDESCRIPTION\b/g, value: (values) => values.description },
+
+  // AUTHOR: only as standalone word, NOT part of UNAUTHORIZED
+  { pattern: /\bAUTHOR\b(?!IZED)/g, value: (values) => values.author },
+
+  // Repository patterns
+  { pattern: /USERNAME\/REPO_NAME/g, value: repository },
+  { pattern: /YOUR_USERNAME\/REPO_NAME/g, value: repository },
+
+  // Domain and email patterns
+  { pattern: /\bYOUR_DOMAIN\b/g, value: (values) => values.companyDomain },
+  { pattern: /\bSUPPORT_EMAIL@example\.com\b/g, value: (values) => values.supportEmail },
+  { pattern: /\bSECURITY_EMAIL@example\.com\b/g, value: (values) => values.securityEmail },
+];
+
+function repository(values) {
+  return values.repoOwner && values.repoName ? `${values.repoOwner}/${values.repoName}` : undefined;
+}
+
+/**
+ * Replaces every placeholder there's a value for
+ *
+ * @param {string} content
+ * @param {Record<string, string | undefined>} values the values collected by `template:init`
+ */
+export function replacePlaceholders(content, values) {
+  let result = content;
+
+  for (const { pattern, value } of REPLACEMENTS) {
+    const replacement = value(values);
+    if (replacement !== undefined) {
+      result = result.replace(pattern, () => replacement);
+    }
+  }
+
+  return result;
+}
@@ -0,0 +1,221 @@
+/**
+ * Policy rules for `template:check`
+ *
+ * A rule is an object with an `id` such as `lockfile/in-sync`, a default
+ * `severity` (`'error'` or `'warning'`), a one-line `description`, a `help`
+ * text saying how to comply, and a `check(context, options)` function that
+ * returns the violations it finds:
+ *
+ * ```js
+ * export default [
+ *   {
+ *     id: 'docs/readme',
+ *     severity: 'warning',
+ *     description: 'The project has a README',
+ *     help: 'Add a README.md.',
+ *     check: (context) =>
+ *       context.readFile('README.md') === null ? [{ message: 'README.md is missing' }] : [],
+ *   },
+ * ];
+ * ```
+ *
+ * Violations are `{ message, file?, line?, column? }`. Rules only read files,
+ * so the check works offline. Besides the built-in rules in
+ * `scripts/policies/`, every `.mjs` file in `.template/policies/` is loaded
+ * as a list of rules.
+ *
+ * `.template/policy.json` configures them the way ESLint does:
+ * `{ "rules": { "<id>": "off" | "warning" | "error" | [severity, options] } }`.
+ */
+
+import { execFileSync } from 'child_process';
+import { readdirSync } from 'fs';
+import { join } from 'path';
+import { pathToFileURL } from 'url';
+import { InputError } from './cli.mjs';
+import { listFiles } from './files.mjs';
+import { readFileIfExists } from './transaction.mjs';
+import secretsRules from '../policies/secrets.mjs';
+import supplyChainRules from '../policies/supply-chain.mjs';
+import workflowRules from '../policies/workflows.mjs';
+
+export const POLICY_CONFIG_FILE = '.template/policy.json';
+export const CUSTOM_POLICIES_DIR = '.template/policies';
+
+const SEVERITIES = ['off', 'warning', 'error'];
+
+/**
+ * Built-in rules plus the project's own from `.template/policies/`
+ */
+export async function loadRules(rootDir) {
+  const rules = [...supplyChainRules, ...secretsRules, ...workflowRules];
+
+  let files = [];
+  try {
+    files = readdirSync(join(rootDir, ...CUSTOM_POLICIES_DIR.split('/')));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+  }
+  for (const file of files.filter((name) => name.endsWith('.mjs')).sort()) {
+    const path = join(rootDir, ...CUSTOM_POLICIES_DIR.split('/'), file);
+    const { default: custom } = await import(pathToFileURL(path).href);
+    if (!Array.isArray(custom)) {
+      throw new InputError(
+        `${CUSTOM_POLICIES_DIR}/${file} must export an array of rules by default`
+      );
+    }
+    rules.push(...custom);
+  }
+
+  const ids = new Set();
+  for (const rule of rules) {
+    if (!rule?.id || typeof rule.check !== 'function' || !SEVERITIES.includes(rule.severity)) {
+      throw new InputError(`Invalid policy rule ${rule?.id ?? JSON.stringify(rule)}`);
+    }
+    if (ids.has(rule.id)) {
+      throw new InputError(`Policy rule ${rule.id} is defined twice`);
+    }
+    ids.add(rule.id);
+  }
+  return rules;
+}
+
+/**
+ * Severity and options of each rule, from the rule's defaults,
+ * `.template/policy.json` and the rules disabled on the command line
+ *
+ * @returns {Map<string, { severity: string, options: object }>}
+ */
+export function resolvePolicyConfig(rootDir, rules, { disabled = [] } = {}) {
+  const content = readFileIfExists(join(rootDir, ...POLICY_CONFIG_FILE.split('/')));
+  let config = {};
+  if (content !== null) {
+    try {
+      config = JSON.parse(content);
+    } catch (error) {
+      throw new InputError(`${POLICY_CONFIG_FILE} is not valid JSON: ${error.message}`);
+    }
+  }
+
+  const known = new Set(rules.map((rule) => rule.id));
+  const issues = [...Object.keys(config.rules ?? {}), ...disabled]
+    .filter((id) => !known.has(id))
+    .map((id) => ({ field: id, message: 'is not a known policy rule' }));
+
+  const resolved = new Map();
+  for (const rule of rules) {
+    const entry = config.rules?.[rule.id] ?? rule.severity;
+    const [severity, options = {}] = Array.isArray(entry) ? entry : [entry];
+    if (!SEVERITIES.includes(severity)) {
+      issues.push({ field: rule.id, message: `severity must be one of ${SEVERITIES.join(', ')}` });
+    }
+    resolved.set(rule.id, { severity: disabled.includes(rule.id) ? 'off' : severity, options });
+  }
+
+  if (issues.length > 0) {
+    throw new InputError(
+      `Invalid policy configuration in ${POLICY_CONFIG_FILE} or --disable`,
+      issues
+    );
+  }
+  return resolved;
+}
+
+/**
+ * 1-based line and column of the first `needle` in `content` at or after
+ * `from`, or `{}` when it isn't there
+ */
+function locate(content, needle, from = 0) {
+  const index = content.indexOf(needle, from);
+  if (index === -1) {
+    return {};
+  }
+  const before = content.slice(0, index);
+  const line = before.split('\n').length;
+  return { line, column: index - before.lastIndexOf('\n') };
+}
+
+/**
+ * What rules get to inspect the project with; file contents are cached
+ */
+export function createPolicyContext(rootDir) {
+  const files = new Map();
+  let tracked;
+
+  const readFile = (path) => {
+    if (!files.has(path)) {
+      files.set(path, readFileIfExists(join(rootDir, ...path.split('/'))));
+    }
+    return files.get(path);
+  };
+
+  return {
+    rootDir,
+    /** File content by relative path, or `null` */
+    readFile,
+    /** Parsed JSON file, or `null` when it doesn't exist */
+    readJson: (path) => {
+      const content = readFile(path);
+      return content === null ? null : JSON.parse(content);
+    },
+    /** Files committed to git, or every file git wouldn't ignore outside a repository */
+    trackedFiles: () => {
+      if (!tracked) {
+        try {
+          tracked = execFileSync('git', ['ls-files', '-z'], {
+            cwd: rootDir,
+            encoding: 'utf-8',
+            stdio: ['ignore', 'pipe', 'ignore'],
+            maxBuffer: 64 * 1024 * 1024,
+          })
+            .split('\0')
+            .filter(Boolean);
+        } catch {
+          tracked = listFiles(rootDir);
+        }
+      }
+      return tracked;
+    },
+    locate,
+  };
+}
+
+/**
+ * Runs every enabled rule
+ *
+ * A rule that throws is reported as a violation of itself, so one broken
+ * file can't hide the other results.
+ *
+ * @returns {Promise<{ rule: object, level: 'warning' | 'error', message: string, file?: string, region?: object }[]>}
+ */
+export async function runPolicies(rules, config, context) {
+  const results = [];
+
+  for (const rule of rules) {
+    const { severity, options } = config.get(rule.id);
+    if (severity === 'off') {
+      continue;
+    }
+
+    let violations;
+    try {
+      violations = await rule.check(context, options);
+    } catch (error) {
+      violations = [{ message: `Could not run: ${error.message}` }];
+    }
+
+    for (const { message, file, line, column } of violations) {
+      results.push({
+        rule,
+        level: severity,
+        message,
+        file,
+        region: line ? { line, column } : undefined,
+      });
+    }
+  }
+
+  return results;
+}
@@ -0,0 +1,200 @@
+/**
+ * All-or-nothing file changes for the template scripts
+ *
+ * Changes are staged in memory, checked against the files on disk, then
+ * written one by one through a temporary file and a rename. If any write
+ * fails, the files already written are put back. `template:init` also records
+ * a manifest of content hashes plus copies of the originals under
+ * `.template/`, which `template:rollback` uses to restore the template.
+ */
+
+import { createHash, randomBytes } from 'crypto';
+import { mkdirSync, readFileSync, renameSync, rmSync, statSync, writeFileSync } from 'fs';
+import { basename, dirname, join } from 'path';
+import { ConflictError, IoError } from './cli.mjs';
+
+export const MANIFEST_FILE = '.template/manifest.json';
+export const BACKUP_DIR = '.template/backup';
+
+export function hashContent(content) {
+  return createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * File content, or `null` when the file doesn't exist
+ */
+export function readFileIfExists(path) {
+  try {
+    return readFileSync(path, 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Writes through a temporary file in the same directory and renames it over
+ * the target, so the file never holds partial content. `null` deletes it.
+ */
+export function writeFileAtomic(path, content) {
+  if (content === null) {
+    rmSync(path, { force: true });
+    return;
+  }
+
+  mkdirSync(dirname(path), { recursive: true });
+  const temp = join(
+    dirname(path),
+    `.${basename(path)}.${process.pid}.${randomBytes(4).toString('hex')}.tmp`
+  );
+  let mode;
+  try {
+    mode = statSync(path).mode;
+  } catch {
+    // New file
+  }
+
+  try {
+    writeFileSync(temp, content, { encoding: 'utf-8', mode });
+    renameSync(temp, path);
+  } catch (error) {
+    rmSync(temp, { force: true });
+    throw error;
+  }
+}
+
+/**
+ * Reads the manifest written by `template:init`, or `null` without one
+ */
+export function readManifest(rootDir) {
+  const content = readFileIfExists(join(rootDir, MANIFEST_FILE));
+  return content === null ? null : JSON.parse(content);
+}
+
+/**
+ * Original content of a manifest entry, checked against its hash
+ */
+export function readBackup(rootDir, hash) {
+  const content = readFileIfExists(join(rootDir, BACKUP_DIR, hash));
+  if (content === null || hashContent(content) !== hash) {
+    throw new IoError(`Backup ${BACKUP_DIR}/${hash} is missing or corrupt`);
+  }
+  return content;
+}
+
+export class FileTransaction {
+  #rootDir;
+  #changes = new Map();
+
+  constructor(rootDir) {
+    this.#rootDir = rootDir;
+  }
+
+  #resolve(path) {
+    return join(this.#rootDir, ...path.split('/'));
+  }
+
+  /**
+   * Stages new content for `path` (relative, with `/` separators); `null`
+   * deletes the file. `before` defaults to the file's current content.
+   */
+  stage(path, after, before = readFileIfExists(this.#resolve(path))) {
+    const existing = this.#changes.get(path);
+    this.#changes.set(path, { path, before: existing ? existing.before : before, after });
+  }
+
+  /** Staged changes that actually change something */
+  get changes() {
+    return [...this.#changes.values()].filter((change) => change.before !== change.after);
+  }
+
+  /**
+   * Applies every staged change, or none of them
+   *
+   * @param {{ manifest?: boolean }} [options] `manifest` records the original
+   *   content under `.template/` so the changes can be rolled back later
+   * @throws ConflictError when a file changed after it was staged
+   */
+  commit({ manifest = false } = {}) {
+    const changes = this.changes;
+
+    const conflicts = changes
+      .filter((change) => readFileIfExists(this.#resolve(change.path)) !== change.before)
+      .map((change) => change.path);
+    if (conflicts.length > 0) {
+      throw new ConflictError('Files changed while they were being processed', conflicts);
+    }
+
+    const previousManifest = manifest ? readFileIfExists(join(this.#rootDir, MANIFEST_FILE)) : null;
+    const backups = [];
+    const applied = [];
+    try {
+      if (manifest) {
+        this.#writeManifest(changes, previousManifest, backups);
+      }
+      for (const change of changes) {
+        writeFileAtomic(this.#resolve(change.path), change.after);
+        applied.push(change);
+      }
+    } catch (error) {
+      const unrestored = [];
+      for (const change of applied.reverse()) {
+        try {
+          writeFileAtomic(this.#resolve(change.path), change.before);
+        } catch {
+          unrestored.push(change.path);
+        }
+      }
+
+      if (unrestored.length > 0) {
+        // Keep the manifest: it's the only record of the originals now
+        throw new IoError(
+          `${error.message}; could not restore ${unrestored.join(', ')}. ` +
+            'Run `npm run template:rollback` to finish restoring.',
+          error
+        );
+      }
+      if (manifest) {
+        writeFileAtomic(join(this.#rootDir, MANIFEST_FILE), previousManifest);
+        backups.forEach((backup) => rmSync(backup, { force: true }));
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Records hashes of the original and new content, keeping the earliest
+   * original of files a previous run already changed. New backup files are
+   * added to `backups`.
+   */
+  #writeManifest(changes, previousContent, backups) {
+    const previous = previousContent ? JSON.parse(previousContent) : { files: [] };
+    const files = new Map(previous.files.map((file) => [file.path, file]));
+
+    for (const { path, before, after } of changes) {
+      const beforeHash = before === null ? null : hashContent(before);
+      if (before !== null) {
+        const backup = join(this.#rootDir, BACKUP_DIR, beforeHash);
+        if (readFileIfExists(backup) === null) {
+          writeFileAtomic(backup, before);
+          backups.push(backup);
+        }
+      }
+      files.set(path, {
+        path,
+        before: files.has(path) ? files.get(path).before : beforeHash,
+        after: after === null ? null : hashContent(after),
+      });
+    }
+
+    const manifest = {
+      version: 1,
+      createdAt: previous.createdAt ?? new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+      files: [...files.values()],
+    };
+    writeFileAtomic(join(this.#rootDir, MANIFEST_FILE), JSON.stringify(manifest, null, 2) + '\n');
+  }
+}
@@ -0,0 +1,86 @@
+// @vitest-environment node
+import { existsSync, mkdtempSync, readdirSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { ConflictError } from './cli.mjs';
+import { BACKUP_DIR, FileTransaction, MANIFEST_FILE } from './transaction.mjs';
+
+// Lets a test make one rename fail, as a full disk would
+const failRename = vi.hoisted(() => ({ target: null }));
+
+vi.mock('fs', async (importOriginal) => {
+  const actual = await importOriginal();
+  return {
+    ...actual,
+    renameSync: (from, to) => {
+      if (failRename.target && to.endsWith(failRename.target)) {
+        throw Object.assign(new Error('ENOSPC: no space left on device'), { code: 'ENOSPC' });
+      }
+      return actual.renameSync(from, to);
+    },
+  };
+});
+
+describe('FileTransaction', () => {
+  let rootDir;
+  const read = (path) => readFileSync(join(rootDir, path), 'utf-8');
+
+  beforeEach(() => {
+    rootDir = mkdtempSync(join(tmpdir(), 'transaction-'));
+    writeFileSync(join(rootDir, 'a.txt'), 'old a');
+    writeFileSync(join(rootDir, 'c.txt'), 'old c');
+  });
+
+  afterEach(() => {
+    failRename.target = null;
+    rmSync(rootDir, { recursive: true, force: true });
+  });
+
+  it('should apply every staged change and record a manifest', () => {
+    const transaction = new FileTransaction(rootDir);
+    transaction.stage('a.txt', 'new a');
+    transaction.stage('nested/b.txt', 'new b');
+    transaction.stage('c.txt', null);
+    transaction.commit({ manifest: true });
+
+    expect(read('a.txt')).toBe('new a');
+    expect(read('nested/b.txt')).toBe('new b');
+    expect(existsSync(join(rootDir, 'c.txt'))).toBe(false);
+    expect(JSON.parse(read(MANIFEST_FILE)).files.map((file) => file.path)).toEqual([
+      'a.txt',
+      'nested/b.txt',
+      'c.txt',
+    ]);
+  });
+
+  it('should put back the files already written when a write fails', () => {
+    const transaction = new FileTransaction(rootDir);
+    transaction.stage('a.txt', 'new a');
+    transaction.stage('c.txt', null);
+    transaction.stage('nested/b.txt', 'new b');
+    failRename.target = 'b.txt';
+
+    expect(() => transaction.commit({ manifest: true })).toThrow('ENOSPC');
+
+    expect(read('a.txt')).toBe('old a');
+    expect(read('c.txt')).toBe('old c');
+    expect(existsSync(join(rootDir, 'nested', 'b.txt'))).toBe(false);
+    expect(existsSync(join(rootDir, MANIFEST_FILE))).toBe(false);
+    expect(readdirSync(join(rootDir, BACKUP_DIR))).toEqual([]);
+    // No temporary files left behind
+    expect(readdirSync(rootDir).sort()).toEqual(['.template', 'a.txt', 'c.txt', 'nested']);
+    expect(readdirSync(join(rootDir, 'nested'))).toEqual([]);
+  });
+
+  it('should refuse to write when a file changed after it was staged', () => {
+    const transaction = new FileTransaction(rootDir);
+    transaction.stage('a.txt', 'new a');
+    transaction.stage('c.txt', 'new c');
+    writeFileSync(join(rootDir, 'c.txt'), 'edited meanwhile');
+
+    expect(() => transaction.commit()).toThrow(ConflictError);
+    expect(read('a.txt')).toBe('old a');
+    expect(read('c.txt')).toBe('edited meanwhile');
+  });
+});
@@ -0,0 +1,51 @@
+/**
+ * Policy rules keeping `.env` secrets out of git
+ */
+
+import { isIgnored, parseIgnoreFile } from '../lib/glob.mjs';
+
+// Files Next.js loads secrets from, which must never be committed
+const SECRET_ENV_FILES = [
+  '.env',
+  '.env.local',
+  '.env.development.local',
+  '.env.test.local',
+  '.env.production.local',
+];
+
+// Documented examples without real values
+const EXAMPLE_SUFFIXES = ['.example', '.sample', '.template'];
+
+function isEnvFile(path) {
+  const name = path.slice(path.lastIndexOf('/') + 1);
+  return /^\.env(?:\..+)?$/.test(name) && !EXAMPLE_SUFFIXES.some((s) => name.endsWith(s));
+}
+
+export default [
+  {
+    id: 'secrets/env-gitignored',
+    severity: 'error',
+    description: '.gitignore ignores the .env files secrets are kept in',
+    help: 'Add `.env` and `.env*.local` to .gitignore.',
+    check(context, { files = SECRET_ENV_FILES }) {
+      const rules = parseIgnoreFile(context.readFile('.gitignore') ?? '');
+      return files
+        .filter((file) => !isIgnored(rules, file, false))
+        .map((file) => ({ message: `${file} is not ignored by .gitignore`, file: '.gitignore' }));
+    },
+  },
+  {
+    id: 'secrets/env-committed',
+    severity: 'error',
+    description: 'No .env file other than an example is committed',
+    help:
+      'Remove the file from git with `git rm --cached <file>`, rotate every secret it ' +
+      'contained, and commit the variable names to .env.example instead.',
+    check(context) {
+      return context
+        .trackedFiles()
+        .filter(isEnvFile)
+        .map((file) => ({ message: `${file} is committed`, file }));
+    },
+  },
+];
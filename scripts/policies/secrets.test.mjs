@@ -0,0 +1,53 @@
+// @vitest-environment node
+import { afterEach, describe, expect, it } from 'vitest';
+import { createPolicyContext } from '../lib/policy.mjs';
+import { createProject, removeProjects } from '../test/project.mjs';
+import rules from './secrets.mjs';
+
+function check(id, files, options = {}) {
+  const context = createPolicyContext(createProject(files));
+  return rules.find((rule) => rule.id === id).check(context, options);
+}
+
+afterEach(removeProjects);
+
+describe('secrets/env-gitignored', () => {
+  it('should accept a .gitignore covering every secret env file', () => {
+    expect(check('secrets/env-gitignored', { '.gitignore': '.env\n.env*.local\n' })).toEqual([]);
+  });
+
+  it('should report each env file .gitignore lets through', () => {
+    expect(
+      check('secrets/env-gitignored', { '.gitignore': 'node_modules/\n.env\n.env.local\n' })
+    ).toEqual(
+      ['.env.development.local', '.env.test.local', '.env.production.local'].map((file) => ({
+        message: `${file} is not ignored by .gitignore`,
+        file: '.gitignore',
+      }))
+    );
+  });
+
+  it('should honour negations and the files option', () => {
+    const files = { '.gitignore': '.env*\n!.env.local\n' };
+
+    expect(check('secrets/env-gitignored', files, { files: ['.env', '.env.local'] })).toEqual([
+      { message: '.env.local is not ignored by .gitignore', file: '.gitignore' },
+    ]);
+  });
+});
+
+describe('secrets/env-committed', () => {
+  it('should report env files other than examples', () => {
+    const violations = check('secrets/env-committed', {
+      '.env.example': 'API_KEY=\n',
+      '.env.local': 'API_KEY=secret\n',
+      'apps/web/.env': 'API_KEY=secret\n',
+      'docs/env.md': '# .env\n',
+    });
+
+    expect(violations).toEqual([
+      { message: '.env.local is committed', file: '.env.local' },
+      { message: 'apps/web/.env is committed', file: 'apps/web/.env' },
+    ]);
+  });
+});
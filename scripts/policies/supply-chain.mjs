@@ -0,0 +1,232 @@
+/**
+ * Policy rules for dependencies and `package-lock.json`
+ *
+ * See docs/npm-scripts-policy.md for the reasoning behind them.
+ */
+
+const LOCKFILE = 'package-lock.json';
+
+const DEPENDENCY_FIELDS = [
+  'dependencies',
+  'devDependencies',
+  'optionalDependencies',
+  'peerDependencies',
+];
+
+const LIFECYCLE_SCRIPTS = ['preinstall', 'install', 'postinstall'];
+
+const DEFAULT_REGISTRY = 'https://registry.npmjs.org/';
+
+/**
+ * Package name of a lockfile `packages` key such as
+ * `node_modules/a/node_modules/@scope/b`
+ */
+function packageName(key) {
+  return key.slice(key.lastIndexOf('node_modules/') + 'node_modules/'.length);
+}
+
+/**
+ * The lockfile's `packages` map, or `null` when there's nothing to check
+ */
+function lockedPackages(context) {
+  const lockfile = context.readJson(LOCKFILE);
+  return lockfile?.packages ?? null;
+}
+
+/**
+ * Registries from `.npmrc` (`registry=` and `@scope:registry=`) plus npm's
+ * default, each ending with `/`
+ */
+function configuredRegistries(context) {
+  const registries = [DEFAULT_REGISTRY];
+  const npmrc = context.readFile('.npmrc') ?? '';
+
+  for (const line of npmrc.split(/\r?\n/)) {
+    const match = line.match(/^\s*(?:@[^:\s]+:)?registry\s*=\s*(\S+)/);
+    if (match) {
+      registries.push(match[1].endsWith('/') ? match[1] : `${match[1]}/`);
+    }
+  }
+
+  return registries;
+}
+
+export default [
+  {
+    id: 'lockfile/present',
+    severity: 'error',
+    description: 'package-lock.json is committed and can be installed with npm ci',
+    help: 'Run `npm install` with npm 7 or later and commit package-lock.json.',
+    check(context) {
+      const lockfile = context.readJson(LOCKFILE);
+      if (lockfile === null) {
+        return [{ message: `${LOCKFILE} is missing` }];
+      }
+      if (!lockfile.packages) {
+        return [
+          {
+            message: `lockfileVersion ${lockfile.lockfileVersion} has no "packages" section`,
+            file: LOCKFILE,
+          },
+        ];
+      }
+      return [];
+    },
+  },
+  {
+    id: 'lockfile/in-sync',
+    severity: 'error',
+    description: 'package-lock.json records the dependencies package.json declares',
+    help: 'Run `npm install` and commit both files together.',
+    check(context) {
+      const packages = lockedPackages(context);
+      const manifest = context.readJson('package.json');
+      if (!packages || !manifest) {
+        return [];
+      }
+
+      const source = context.readFile('package.json');
+      const root = packages[''] ?? {};
+      const violations = [];
+
+      for (const field of DEPENDENCY_FIELDS) {
+        const declared = manifest[field] ?? {};
+        const locked = root[field] ?? {};
+        const fieldStart = source.indexOf(`"${field}"`);
+
+        for (const [name, range] of Object.entries(declared)) {
+          const location = context.locate(source, `"${name}"`, Math.max(fieldStart, 0));
+          if (!(name in locked)) {
+            violations.push({
+              message: `${field}.${name} is not in ${LOCKFILE}`,
+              file: 'package.json',
+              ...location,
+            });
+          } else if (locked[name] !== range) {
+            violations.push({
+              message: `${field}.${name} is ${range} but ${LOCKFILE} has ${locked[name]}`,
+              file: 'package.json',
+              ...location,
+            });
+          } else if (field !== 'peerDependencies' && !packages[`node_modules/${name}`]) {
+            violations.push({
+              message: `${LOCKFILE} has no installed version of ${name}`,
+              file: 'package.json',
+              ...location,
+            });
+          }
+        }
+
+        for (const name of Object.keys(locked)) {
+          if (!(name in declared)) {
+            violations.push({
+              message: `${LOCKFILE} still lists ${field}.${name}, which package.json no longer declares`,
+              file: LOCKFILE,
+            });
+          }
+        }
+      }
+
+      return violations;
+    },
+  },
+  {
+    id: 'lockfile/install-scripts',
+    severity: 'error',
+    description: 'No dependency runs install scripts unless it has been reviewed',
+    help:
+      'Replace the dependency, or review its preinstall/install/postinstall scripts and add ' +
+      'it to the rule\'s "allow" option in .template/policy.json.',
+    check(context, { allow = [] }) {
+      const packages = lockedPackages(context);
+      if (!packages) {
+        return [];
+      }
+
+      const source = context.readFile(LOCKFILE);
+      const reported = new Set();
+      const violations = [];
+
+      for (const [key, entry] of Object.entries(packages)) {
+        const name = packageName(key);
+        const id = `${name}@${entry.version}`;
+        if (!key || !entry.hasInstallScript || allow.includes(name) || reported.has(id)) {
+          continue;
+        }
+        reported.add(id);
+        violations.push({
+          message: `${id} runs install scripts`,
+          file: LOCKFILE,
+          ...context.locate(source, `"${key}": {`),
+        });
+      }
+
+      return violations;
+    },
+  },
+  {
+    id: 'lockfile/resolved-sources',
+    severity: 'error',
+    description: 'Every dependency is downloaded over HTTPS from a configured registry',
+    help:
+      'Publish the package to the registry, or add your private registry to .npmrc. ' +
+      'Git, file and plain HTTP sources skip the registry integrity guarantees.',
+    check(context) {
+      const packages = lockedPackages(context);
+      if (!packages) {
+        return [];
+      }
+
+      const source = context.readFile(LOCKFILE);
+      const registries = configuredRegistries(context);
+      const violations = [];
+
+      for (const [key, entry] of Object.entries(packages)) {
+        const { resolved } = entry;
+        if (!key || entry.link || !resolved || registries.some((r) => resolved.startsWith(r))) {
+          continue;
+        }
+
+        let reason;
+        if (/^(?:git\+|git:|github:|gitlab:|bitbucket:)/.test(resolved)) {
+          reason = 'is installed from git';
+        } else if (resolved.startsWith('file:')) {
+          reason = 'is installed from a local file';
+        } else if (resolved.startsWith('http:')) {
+          reason = 'is downloaded over plain HTTP';
+        } else {
+          reason = 'is downloaded from outside the configured registries';
+        }
+
+        violations.push({
+          message: `${packageName(key)} ${reason} (${resolved})`,
+          file: LOCKFILE,
+          ...context.locate(source, `"${key}": {`),
+        });
+      }
+
+      return violations;
+    },
+  },
+  {
+    id: 'package/lifecycle-scripts',
+    severity: 'error',
+    description: 'package.json defines no preinstall, install or postinstall script',
+    help: 'Move the work to an explicit npm script; only `prepare` may set up Husky.',
+    check(context) {
+      const manifest = context.readJson('package.json');
+      if (!manifest) {
+        return [];
+      }
+
+      const source = context.readFile('package.json');
+      return LIFECYCLE_SCRIPTS.filter((name) => manifest.scripts?.[name] !== undefined).map(
+        (name) => ({
+          message: `package.json defines a "${name}" script`,
+          file: 'package.json',
+          ...context.locate(source, `"${name}"`, source.indexOf('"scripts"')),
+        })
+      );
+    },
+  },
+];
@@ -0,0 +1,185 @@
+// @vitest-environment node
+import { afterEach, describe, expect, it } from 'vitest';
+import { createPolicyContext } from '../lib/policy.mjs';
+import { createProject, removeProjects } from '../test/project.mjs';
+import rules from './supply-chain.mjs';
+
+function check(id, files, options = {}) {
+  const context = createPolicyContext(createProject(files));
+  return rules.find((rule) => rule.id === id).check(context, options);
+}
+
+const registry = (name, version) => `https://registry.npmjs.org/${name}/-/${name}-${version}.tgz`;
+
+const manifest = {
+  name: 'app',
+  scripts: { dev: 'next dev', prepare: 'husky' },
+  dependencies: { next: '16.0.0' },
+  devDependencies: { vitest: '^4.0.0' },
+};
+
+const lockfile = (packages = {}) => ({
+  name: 'app',
+  lockfileVersion: 3,
+  packages: {
+    '': {
+      name: 'app',
+      dependencies: { next: '16.0.0' },
+      devDependencies: { vitest: '^4.0.0' },
+    },
+    'node_modules/next': { version: '16.0.0', resolved: registry('next', '16.0.0') },
+    'node_modules/vitest': { version: '4.0.16', resolved: registry('vitest', '4.0.16'), dev: true },
+    ...packages,
+  },
+});
+
+afterEach(removeProjects);
+
+describe('lockfile/present', () => {
+  it('should require a lockfile with a packages section', () => {
+    expect(check('lockfile/present', { 'package.json': manifest })).toEqual([
+      { message: 'package-lock.json is missing' },
+    ]);
+    expect(
+      check('lockfile/present', { 'package-lock.json': { lockfileVersion: 1, dependencies: {} } })
+    ).toEqual([
+      {
+        message: 'lockfileVersion 1 has no "packages" section',
+        file: 'package-lock.json',
+      },
+    ]);
+    expect(check('lockfile/present', { 'package-lock.json': lockfile() })).toEqual([]);
+  });
+});
+
+describe('lockfile/in-sync', () => {
+  it('should accept a lockfile matching package.json', () => {
+    expect(
+      check('lockfile/in-sync', { 'package.json': manifest, 'package-lock.json': lockfile() })
+    ).toEqual([]);
+  });
+
+  it('should report declared dependencies the lockfile lacks or locks differently', () => {
+    const violations = check('lockfile/in-sync', {
+      'package.json': {
+        ...manifest,
+        dependencies: { next: '16.1.0', zod: '^4.0.0' },
+      },
+      'package-lock.json': lockfile(),
+    });
+
+    expect(violations.map(({ message }) => message)).toEqual([
+      'dependencies.next is 16.1.0 but package-lock.json has 16.0.0',
+      'dependencies.zod is not in package-lock.json',
+    ]);
+    expect(violations[0]).toMatchObject({ file: 'package.json', line: 8, column: 5 });
+  });
+
+  it('should report locked dependencies package.json no longer declares', () => {
+    const violations = check('lockfile/in-sync', {
+      'package.json': { ...manifest, devDependencies: {} },
+      'package-lock.json': lockfile(),
+    });
+
+    expect(violations).toEqual([
+      {
+        message:
+          'package-lock.json still lists devDependencies.vitest, which package.json no longer declares',
+        file: 'package-lock.json',
+      },
+    ]);
+  });
+
+  it('should report dependencies with no installed version', () => {
+    const stale = lockfile();
+    delete stale.packages['node_modules/next'];
+
+    expect(
+      check('lockfile/in-sync', { 'package.json': manifest, 'package-lock.json': stale })
+    ).toMatchObject([{ message: 'package-lock.json has no installed version of next' }]);
+  });
+});
+
+describe('lockfile/install-scripts', () => {
+  const withInstallScripts = lockfile({
+    'node_modules/esbuild': { version: '0.25.0', hasInstallScript: true },
+    'node_modules/vite/node_modules/esbuild': { version: '0.25.0', hasInstallScript: true },
+    'node_modules/sharp': { version: '0.34.0', hasInstallScript: true },
+  });
+
+  it('should report each package version with install scripts once', () => {
+    const violations = check('lockfile/install-scripts', {
+      'package-lock.json': withInstallScripts,
+    });
+
+    expect(violations.map(({ message }) => message)).toEqual([
+      'esbuild@0.25.0 runs install scripts',
+      'sharp@0.34.0 runs install scripts',
+    ]);
+    expect(violations[0]).toMatchObject({ file: 'package-lock.json', line: 23, column: 5 });
+  });
+
+  it('should skip packages in the allow option', () => {
+    expect(
+      check(
+        'lockfile/install-scripts',
+        { 'package-lock.json': withInstallScripts },
+        { allow: ['esbuild', 'sharp'] }
+      )
+    ).toEqual([]);
+  });
+});
+
+describe('lockfile/resolved-sources', () => {
+  const sources = lockfile({
+    'node_modules/from-git': { version: '1.0.0', resolved: 'git+ssh://git@github.com/a/b.git#abc' },
+    'node_modules/from-file': { version: '1.0.0', resolved: 'file:../from-file' },
+    'node_modules/over-http': { version: '1.0.0', resolved: 'http://registry.example.com/a.tgz' },
+    'node_modules/private': { version: '1.0.0', resolved: 'https://npm.example.com/p.tgz' },
+    'node_modules/linked': { resolved: 'packages/linked', link: true },
+  });
+
+  it('should report packages from outside the configured registries', () => {
+    expect(
+      check('lockfile/resolved-sources', { 'package-lock.json': sources }).map(
+        ({ message }) => message
+      )
+    ).toEqual([
+      'from-git is installed from git (git+ssh://git@github.com/a/b.git#abc)',
+      'from-file is installed from a local file (file:../from-file)',
+      'over-http is downloaded over plain HTTP (http://registry.example.com/a.tgz)',
+      'private is downloaded from outside the configured registries (https://npm.example.com/p.tgz)',
+    ]);
+  });
+
+  it('should accept registries configured in .npmrc', () => {
+    const violations = check('lockfile/resolved-sources', {
+      'package-lock.json': sources,
+      '.npmrc': '@acme:registry=https://npm.example.com\n',
+    });
+
+    expect(violations.map(({ message }) => message)).not.toContainEqual(
+      expect.stringMatching(/^private/)
+    );
+    expect(violations).toHaveLength(3);
+  });
+});
+
+describe('package/lifecycle-scripts', () => {
+  it('should report install lifecycle scripts but allow prepare', () => {
+    expect(check('package/lifecycle-scripts', { 'package.json': manifest })).toEqual([]);
+
+    expect(
+      check('package/lifecycle-scripts', {
+        'package.json': { ...manifest, scripts: { ...manifest.scripts, postinstall: 'patch' } },
+      })
+    ).toEqual([
+      {
+        message: 'package.json defines a "postinstall" script',
+        file: 'package.json',
+        line: 6,
+        column: 5,
+      },
+    ]);
+  });
+});
@@ -0,0 +1,146 @@
+/**
+ * Policy rules for the GitHub Actions workflows in `.github/workflows`
+ *
+ * Workflows are read line by line rather than parsed as YAML: `run:` and
+ * `uses:` are the only keys the rules look at.
+ */
+
+import { existsSync } from 'fs';
+import { join } from 'path';
+import { globToRegExp } from '../lib/glob.mjs';
+import { listFiles } from '../lib/files.mjs';
+
+const WORKFLOWS_DIR = '.github/workflows';
+
+const INSTALL_COMMAND = /\b(npm|pnpm|yarn)\s+(ci|install|i|add)\b[^&|;#]*/g;
+
+function workflowFiles(context) {
+  const dir = join(context.rootDir, ...WORKFLOWS_DIR.split('/'));
+  if (!existsSync(dir)) {
+    return [];
+  }
+  return listFiles(dir)
+    .filter((file) => /\.ya?ml$/.test(file))
+    .map((file) => `${WORKFLOWS_DIR}/${file}`);
+}
+
+/**
+ * Shell lines of every `run:` step, inline or as a `|`/`>` block
+ */
+function runLines(content) {
+  const lines = [];
+  let blockIndent = null;
+
+  content.split(/\r?\n/).forEach((text, index) => {
+    const indent = text.search(/\S/);
+    if (blockIndent !== null) {
+      if (indent === -1 || indent > blockIndent) {
+        lines.push({ line: index + 1, offset: 0, text });
+        return;
+      }
+      blockIndent = null;
+    }
+
+    const match = text.match(/^(\s*(?:-\s+)?)run:\s*(.*)$/);
+    if (!match) {
+      return;
+    }
+    if (/^[|>][-+]?\d*\s*(?:#.*)?$/.test(match[2])) {
+      blockIndent = indent;
+    } else {
+      lines.push({ line: index + 1, offset: text.length - match[2].length, text: match[2] });
+    }
+  });
+
+  // Drop shell comments, which may well mention install commands
+  return lines.map((entry) => ({ ...entry, text: entry.text.replace(/(?:^|\s)#.*$/, '') }));
+}
+
+/**
+ * What's wrong with one install command, if anything
+ */
+function installProblem(manager, subcommand, command) {
+  if (manager === 'npm' && subcommand !== 'ci') {
+    return `\`${command}\` is not deterministic; use \`npm ci --ignore-scripts\``;
+  }
+  if (subcommand === 'add') {
+    return `\`${command}\` changes dependencies in CI`;
+  }
+  if (manager === 'pnpm' && !/--frozen-lockfile\b/.test(command)) {
+    return `\`${command}\` can update the lockfile; add --frozen-lockfile`;
+  }
+  if (manager === 'yarn' && !/--(?:frozen-lockfile|immutable)\b/.test(command)) {
+    return `\`${command}\` can update the lockfile; add --immutable`;
+  }
+  if (!/--ignore-scripts\b(?!=false)/.test(command)) {
+    return `\`${command}\` runs dependency install scripts; add --ignore-scripts`;
+  }
+  return null;
+}
+
+export default [
+  {
+    id: 'workflows/ignore-scripts',
+    severity: 'error',
+    description: 'CI installs dependencies from the lockfile with --ignore-scripts',
+    help: 'Install with `npm ci --ignore-scripts` (see docs/npm-scripts-policy.md).',
+    check(context) {
+      const violations = [];
+
+      for (const file of workflowFiles(context)) {
+        for (const { line, offset, text } of runLines(context.readFile(file))) {
+          for (const match of text.matchAll(INSTALL_COMMAND)) {
+            const problem = installProblem(match[1], match[2], match[0].trim());
+            if (problem) {
+              violations.push({ message: problem, file, line, column: offset + match.index + 1 });
+            }
+          }
+        }
+      }
+
+      return violations;
+    },
+  },
+  {
+    id: 'workflows/pinned-actions',
+    severity: 'warning',
+    description: 'Workflows use actions pinned to a full commit SHA',
+    help:
+      'Replace the tag with the commit it points to, keeping the tag as a comment: ' +
+      '`uses: actions/checkout@<40-character SHA> # v6`. Dependabot keeps pinned SHAs up to date.',
+    check(context, { allow = [] }) {
+      const allowed = allow.map(globToRegExp);
+      const violations = [];
+
+      for (const file of workflowFiles(context)) {
+        context
+          .readFile(file)
+          .split(/\r?\n/)
+          .forEach((text, index) => {
+            const match = text.match(/^(\s*(?:-\s+)?uses:\s*['"]?)([^'"\s#]+)/);
+            if (!match) {
+              return;
+            }
+
+            const action = match[2];
+            const [name, ref = ''] = action.split('@');
+            const pinned = action.startsWith('docker://')
+              ? /^sha256:[0-9a-f]{64}$/.test(ref)
+              : /^[0-9a-f]{40}$/.test(ref);
+            if (action.startsWith('./') || pinned || allowed.some((re) => re.test(name))) {
+              return;
+            }
+
+            violations.push({
+              message: `${action} is not pinned to a commit SHA`,
+              file,
+              line: index + 1,
+              column: match[1].length + 1,
+            });
+          });
+      }
+
+      return violations;
+    },
+  },
+];
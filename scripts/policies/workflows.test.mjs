@@ -0,0 +1,107 @@
+// @vitest-environment node
+import { afterEach, describe, expect, it } from 'vitest';
+import { createPolicyContext } from '../lib/policy.mjs';
+import { createProject, removeProjects } from '../test/project.mjs';
+import rules from './workflows.mjs';
+
+const SHA = 'de0fac2e4500dabe0009e67214ff5f5447ce83dd';
+
+function check(id, workflow, options = {}) {
+  const context = createPolicyContext(createProject({ '.github/workflows/ci.yml': workflow }));
+  return rules.find((rule) => rule.id === id).check(context, options);
+}
+
+afterEach(removeProjects);
+
+describe('workflows/ignore-scripts', () => {
+  it('should accept locked installs without scripts', () => {
+    const workflow = [
+      'jobs:',
+      '  test:',
+      '    steps:',
+      '      - run: npm ci --ignore-scripts',
+      '      - run: pnpm install --frozen-lockfile --ignore-scripts',
+      '      - run: |',
+      '          # npm install would update the lockfile',
+      '          yarn install --immutable --ignore-scripts',
+      '',
+    ].join('\n');
+
+    expect(check('workflows/ignore-scripts', workflow)).toEqual([]);
+  });
+
+  it('should report each install that can change the lockfile or run scripts', () => {
+    const workflow = [
+      'jobs:',
+      '  test:',
+      '    steps:',
+      '      - run: npm install',
+      '      - run: |',
+      '          npm ci && pnpm install --ignore-scripts',
+      '      - run: yarn add left-pad --ignore-scripts',
+      '',
+    ].join('\n');
+
+    expect(check('workflows/ignore-scripts', workflow)).toEqual([
+      {
+        message: '`npm install` is not deterministic; use `npm ci --ignore-scripts`',
+        file: '.github/workflows/ci.yml',
+        line: 4,
+        column: 14,
+      },
+      {
+        message: '`npm ci` runs dependency install scripts; add --ignore-scripts',
+        file: '.github/workflows/ci.yml',
+        line: 6,
+        column: 11,
+      },
+      {
+        message: '`pnpm install --ignore-scripts` can update the lockfile; add --frozen-lockfile',
+        file: '.github/workflows/ci.yml',
+        line: 6,
+        column: 21,
+      },
+      {
+        message: '`yarn add left-pad --ignore-scripts` changes dependencies in CI',
+        file: '.github/workflows/ci.yml',
+        line: 7,
+        column: 14,
+      },
+    ]);
+  });
+});
+
+describe('workflows/pinned-actions', () => {
+  const workflow = [
+    'jobs:',
+    '  test:',
+    '    steps:',
+    `      - uses: actions/checkout@${SHA} # v6`,
+    '      - uses: actions/setup-node@v6',
+    "      - uses: 'github/codeql-action/init@main'",
+    '      - uses: ./.github/actions/setup',
+    `      - uses: docker://alpine@sha256:${'a'.repeat(64)}`,
+    '',
+  ].join('\n');
+
+  it('should report actions not pinned to a commit SHA', () => {
+    expect(check('workflows/pinned-actions', workflow)).toEqual([
+      {
+        message: 'actions/setup-node@v6 is not pinned to a commit SHA',
+        file: '.github/workflows/ci.yml',
+        line: 5,
+        column: 15,
+      },
+      {
+        message: 'github/codeql-action/init@main is not pinned to a commit SHA',
+        file: '.github/workflows/ci.yml',
+        line: 6,
+        column: 16,
+      },
+    ]);
+  });
+
+  it('should skip actions matching the allow option', () => {
+    expect(check('workflows/pinned-actions', workflow, { allow: ['github/**'] })).toHaveLength(1);
+  });
+});
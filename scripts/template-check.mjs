@@ -7,18 +7,46 @@
  * 1. Absence of UNINITIALIZED marker
  * 2. No remaining placeholder tokens in the codebase
  * 3. Required files exist
+ * 4. Supply-chain and repository policies (see scripts/lib/policy.mjs)
  *
  * Used in CI to prevent uninitialized templates from passing tests.
  *
+ * Every text file that isn't gitignored is scanned. Placeholders can be
+ * allowed per path in `.template/allowlist`, or on a single line with a
+ * `template-check-ignore` comment. `--fix` replaces the remaining ones with
+ * the values saved by `template:init`, and `--format` prints the results as
+ * JSON, SARIF or GitHub Actions annotations.
+ *
+ * Policy rules are configured in `.template/policy.json` and can be turned
+ * off for one run with `--disable <rule>`. Only rules with severity `error`
+ * fail the check; `warning` ones are reported. No network access is needed.
+ *
+ * Run with `--help` for usage.
+ *
  * Exit codes:
  * - 0: All checks passed
- * - 1: Template is not initialized or placeholders remain
+ * - 1: Template is not initialized, placeholders remain or a policy is violated
+ * - 2: Invalid flags or policy configuration, or nothing saved to fix with
+ * - 4: I/O error (reading or fixing files)
+ * - 5: Files changed while being fixed
  */
 
-import { readFileSync, existsSync, readdirSync, statSync } from 'fs';
-import { join, sep } from 'path';
+import { existsSync } from 'fs';
+import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
-import { dirname } from 'path';
+import { parseArgs } from 'util';
+import { CliError, EXIT_CODES, exitCodeFor, InputError, IoError } from './lib/cli.mjs';
+import { listFiles, readTextFile } from './lib/files.mjs';
+import { globToRegExp } from './lib/glob.mjs';
+import { PLACEHOLDER_PATTERNS, replacePlaceholders } from './lib/placeholders.mjs';
+import {
+  createPolicyContext,
+  loadRules,
+  POLICY_CONFIG_FILE,
+  resolvePolicyConfig,
+  runPolicies,
+} from './lib/policy.mjs';
+import { FileTransaction, readFileIfExists, readManifest } from './lib/transaction.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -34,69 +62,125 @@ const colors = {
   cyan: '\x1b[36m',
 };
 
+// With --format other than text, stdout carries only the report and messages
+// go to stderr
+let stdoutReserved = false;
+const print = (msg) => (stdoutReserved ? console.error(msg) : console.log(msg));
+
 const log = {
-  info: (msg) => console.log(`${colors.cyan}ℹ${colors.reset} ${msg}`),
-  success: (msg) => console.log(`${colors.green}✓${colors.reset} ${msg}`),
-  warn: (msg) => console.log(`${colors.yellow}⚠${colors.reset} ${msg}`),
+  info: (msg) => print(`${colors.cyan}ℹ${colors.reset} ${msg}`),
+  success: (msg) => print(`${colors.green}✓${colors.reset} ${msg}`),
+  warn: (msg) => print(`${colors.yellow}⚠${colors.reset} ${msg}`),
   error: (msg) => console.error(`${colors.red}✗${colors.reset} ${msg}`),
-  header: (msg) => console.log(`\n${colors.bright}${msg}${colors.reset}\n`),
+  header: (msg) => print(`\n${colors.bright}${msg}${colors.reset}\n`),
 };
 
 // Configuration
-const UNINITIALIZED_MARKER = join(ROOT_DIR, '.template', 'UNINITIALIZED');
-const TEXT_EXTENSIONS = [
-  '.md',
-  '.txt',
-  '.json',
-  '.yml',
-  '.yaml',
-  '.ts',
-  '.tsx',
-  '.js',
-  '.mjs',
-  '.css',
-];
-const EXCLUDE_DIRS = [
-  'node_modules',
-  '.git',
-  '.next',
-  'dist',
-  'build',
-  'out',
-  'coverage',
-  '.template',
-];
-const EXCLUDE_FILES = [
-  'template-init.mjs',
-  'template-check.mjs',
-  'PLACEHOLDERS.md',
-  'pnpm-lock.yaml',
-  'package-lock.json',
-];
-
-// Placeholder patterns to check
-const PLACEHOLDER_PATTERNS = [
-  // Standard format
-  /__[A-Z_]+__/g,
-
-  // Legacy placeholders (as whole words) - only actual placeholders, not example values
-  /\bPROJECT_NAME\b/g,
-  /\bDESCRIPTION\b/g,
-  /\bAUTHOR\b/g,
-  /\bUSERNAME\/REPO_NAME\b/g,
-  /\bYOUR_USERNAME\/REPO_NAME\b/g,
-  /\bYOUR_DOMAIN\b/g,
-  /\bSUPPORT_EMAIL@example\.com\b/g,
-  /\bSECURITY_EMAIL@example\.com\b/g,
-];
+const UNINITIALIZED_MARKER = '.template/UNINITIALIZED';
+const STATE_FILE = '.template/state.json';
+const ALLOWLIST_FILE = '.template/allowlist';
+const REQUIRED_FILES = ['package.json', 'README.md', '.env.example', '.gitignore', 'tsconfig.json'];
+
+// Template metadata, including the allowlist, is never scanned
+const EXCLUDE_DIRS = ['.template'];
+
+// `template-check-ignore` ignores its own line, `-next-line` the one after it
+const IGNORE_COMMENT = /template-check-ignore(-next-line)?/;
+
+const FORMATS = ['text', 'json', 'sarif', 'github'];
+
+const RULES = {
+  uninitialized: {
+    id: 'template/uninitialized',
+    description: 'The template has not been initialized',
+    help: 'Run `npm run template:init`.',
+  },
+  missingFile: {
+    id: 'template/missing-file',
+    description: 'A file every project needs is missing',
+    help: 'Restore the file from the template.',
+  },
+  placeholder: {
+    id: 'template/placeholder',
+    description: 'A template placeholder was not replaced',
+    help: 'Run `npm run template:check -- --fix`, replace it by hand, or allow it in `.template/allowlist`.',
+  },
+};
+
+const HELP = `Usage: npm run template:check -- [options]
+
+Verifies that the template has been initialized.
+
+Options:
+  --format <format>  Output format: text (default), json, sarif or github
+  --fix              Replace remaining placeholders with the values saved by template:init
+  --disable <rule>   Skip a policy rule (repeatable)
+  -h, --help         Show this help
+
+Allow placeholders in ${ALLOWLIST_FILE}: one path glob per line, optionally
+followed by the placeholders allowed there. Add a template-check-ignore comment
+to ignore a single line, or template-check-ignore-next-line for the next one.
+
+Configure policy rules in ${POLICY_CONFIG_FILE}:
+  { "rules": { "<rule>": "off" | "warning" | "error" | [severity, options] } }
+
+Exit codes: 0 passed, 1 checks failed, 2 invalid flags or policy configuration, 4 I/O error,
+5 files changed while being fixed`;
+
+function parseOptions(argv) {
+  let values;
+  try {
+    values = parseArgs({
+      args: argv,
+      options: {
+        format: { type: 'string', default: 'text' },
+        fix: { type: 'boolean' },
+        disable: { type: 'string', multiple: true, default: [] },
+        help: { type: 'boolean', short: 'h' },
+      },
+    }).values;
+  } catch (error) {
+    throw new InputError(`${error.message}\nRun with --help for usage.`);
+  }
+
+  if (!FORMATS.includes(values.format)) {
+    throw new InputError(`--format must be one of ${FORMATS.join(', ')}`);
+  }
+  return values;
+}
+
+/**
+ * Read `.template/allowlist`
+ *
+ * Each entry is a path glob and the placeholders it allows, or `null` for
+ * all of them.
+ */
+function readAllowlist() {
+  const content = readFileIfExists(join(ROOT_DIR, ...ALLOWLIST_FILE.split('/'))) ?? '';
+
+  return content.split(/\r?\n/).flatMap((line) => {
+    const [glob, ...placeholders] = line.trim().split(/\s+/);
+    if (!glob || glob.startsWith('#')) {
+      return [];
+    }
+    return [{ regex: globToRegExp(glob), placeholders: placeholders.length ? placeholders : null }];
+  });
+}
+
+function isAllowed(allowlist, path, placeholder) {
+  return allowlist.some(
+    (entry) =>
+      entry.regex.test(path) && (!entry.placeholders || entry.placeholders.includes(placeholder))
+  );
+}
 
 /**
  * Check if template is initialized
  */
 function checkInitializationMarker() {
-  if (existsSync(UNINITIALIZED_MARKER)) {
+  if (existsSync(join(ROOT_DIR, UNINITIALIZED_MARKER))) {
     log.error('Template is not initialized!');
-    log.error(`Found marker file: ${colors.cyan}.template/UNINITIALIZED${colors.reset}`);
+    log.error(`Found marker file: ${colors.cyan}${UNINITIALIZED_MARKER}${colors.reset}`);
     log.error('\nTo initialize the template, run:');
     log.error(`  ${colors.cyan}npm run template:init${colors.reset}\n`);
     return false;
@@ -107,208 +191,430 @@ function checkInitializationMarker() {
 }
 
 /**
- * Check if file should be scanned
+ * Find placeholders in content, with their 1-based line and column
  */
-function shouldScanFile(filePath) {
-  const filename = filePath.split(sep).pop();
+function findPlaceholders(content) {
+  const found = [];
+  const lines = content.split('\n');
+
+  lines.forEach((line, index) => {
+    const ignoreThis = IGNORE_COMMENT.exec(line);
+    const ignorePrevious = index > 0 && IGNORE_COMMENT.exec(lines[index - 1]);
+    if ((ignoreThis && !ignoreThis[1]) || (ignorePrevious && ignorePrevious[1])) {
+      return;
+    }
 
-  // Skip excluded files
-  if (EXCLUDE_FILES.includes(filename)) {
-    return false;
-  }
+    const columns = new Set();
+    for (const pattern of PLACEHOLDER_PATTERNS) {
+      for (const match of line.matchAll(pattern)) {
+        if (columns.has(match.index)) {
+          continue;
+        }
+        columns.add(match.index);
+        found.push({
+          line: index + 1,
+          column: match.index + 1,
+          endColumn: match.index + match[0].length + 1,
+          placeholder: match[0],
+          content: line.trim().substring(0, 80),
+        });
+      }
+    }
+  });
 
-  const ext = filePath.substring(filePath.lastIndexOf('.'));
-  return TEXT_EXTENSIONS.includes(ext);
+  return found.sort((a, b) => a.line - b.line || a.column - b.column);
 }
 
 /**
- * Recursively find all text files
+ * Scan files for remaining placeholders
  */
-function findTextFiles(dir, files = []) {
-  const items = readdirSync(dir);
+function scanForPlaceholders(allowlist) {
+  log.header('🔍 Scanning for placeholders...');
 
-  for (const item of items) {
-    const fullPath = join(dir, item);
-    const relativePath = fullPath.replace(ROOT_DIR + sep, '');
+  const findings = [];
+  let allowed = 0;
 
-    // Skip excluded directories
-    if (EXCLUDE_DIRS.some((excluded) => relativePath.startsWith(excluded))) {
+  for (const file of listFiles(ROOT_DIR, { excludeDirs: EXCLUDE_DIRS })) {
+    // Skip reading files where everything is allowed
+    if (allowlist.some((entry) => !entry.placeholders && entry.regex.test(file))) {
       continue;
     }
 
-    const stat = statSync(fullPath);
+    let content;
+    try {
+      content = readTextFile(join(ROOT_DIR, ...file.split('/')));
+    } catch (error) {
+      throw new IoError(`Could not read ${file}: ${error.message}`, error);
+    }
+    if (content === null) {
+      continue;
+    }
 
-    if (stat.isDirectory()) {
-      findTextFiles(fullPath, files);
-    } else if (stat.isFile() && shouldScanFile(fullPath)) {
-      files.push(fullPath);
+    for (const finding of findPlaceholders(content)) {
+      if (isAllowed(allowlist, file, finding.placeholder)) {
+        allowed++;
+      } else {
+        findings.push({ file, ...finding });
+      }
     }
   }
 
-  return files;
+  if (allowed > 0) {
+    log.info(`${allowed} allowlisted placeholder(s) skipped`);
+  }
+  return findings;
+}
+
+function groupByFile(findings) {
+  const byFile = new Map();
+  for (const finding of findings) {
+    byFile.set(finding.file, [...(byFile.get(finding.file) ?? []), finding]);
+  }
+  return byFile;
 }
 
 /**
- * Find placeholders in content
+ * Display placeholder issues
  */
-function findPlaceholders(content) {
-  const found = new Set();
+function displayIssues(findings) {
+  const byFile = groupByFile(findings);
+
+  log.error(`Found ${byFile.size} file(s) with placeholders:\n`);
+
+  for (const [file, details] of byFile) {
+    print(`${colors.red}✗${colors.reset} ${colors.cyan}${file}${colors.reset}`);
 
-  for (const pattern of PLACEHOLDER_PATTERNS) {
-    const matches = content.matchAll(pattern);
-    for (const match of matches) {
-      found.add(match[0]);
+    for (const detail of details) {
+      print(
+        `  Line ${detail.line}:${detail.column}: ${colors.yellow}${detail.placeholder}${colors.reset}`
+      );
+      print(`    ${colors.reset}${detail.content}${colors.reset}`);
     }
+    print('');
   }
-
-  return Array.from(found);
 }
 
 /**
- * Scan files for remaining placeholders
+ * Check for required files
  */
-function scanForPlaceholders() {
-  log.header('🔍 Scanning for placeholders...');
+function checkRequiredFiles() {
+  log.header('📋 Checking required files...');
 
-  const files = findTextFiles(ROOT_DIR);
-  const issues = [];
+  const missing = [];
 
-  for (const filePath of files) {
-    try {
-      const content = readFileSync(filePath, 'utf-8');
-      const placeholders = findPlaceholders(content);
-
-      if (placeholders.length > 0) {
-        const relativePath = filePath.replace(ROOT_DIR + sep, '');
-
-        // Find line numbers for each placeholder
-        const lines = content.split('\n');
-        const details = [];
-
-        for (const placeholder of placeholders) {
-          lines.forEach((line, index) => {
-            if (line.includes(placeholder)) {
-              details.push({
-                line: index + 1,
-                placeholder: placeholder,
-                content: line.trim().substring(0, 80),
-              });
-            }
-          });
-        }
+  for (const file of REQUIRED_FILES) {
+    if (existsSync(join(ROOT_DIR, file))) {
+      log.success(`Found: ${file}`);
+    } else {
+      log.error(`Missing: ${file}`);
+      missing.push(file);
+    }
+  }
 
-        issues.push({
-          file: relativePath,
-          placeholders: details,
-        });
-      }
-    } catch (error) {
-      // Ignore read errors (binary files, permission issues, etc.)
+  return missing;
+}
+
+/**
+ * Run the enabled policy rules and display what they find
+ */
+async function checkPolicies(disabled) {
+  log.header('🛡️  Checking policies...');
+
+  const rules = await loadRules(ROOT_DIR);
+  const config = resolvePolicyConfig(ROOT_DIR, rules, { disabled });
+  const results = await runPolicies(rules, config, createPolicyContext(ROOT_DIR));
+
+  for (const { rule, level, message, file, region } of results) {
+    const location = [file, region?.line, region?.column].filter(Boolean).join(':');
+    const text = `${colors.cyan}${rule.id}${colors.reset} ${message}`;
+    if (level === 'error') {
+      log.error(text);
+    } else {
+      log.warn(text);
+    }
+    if (location) {
+      print(`    at ${location}`);
     }
   }
 
-  return issues;
+  const enabled = rules.filter((rule) => config.get(rule.id).severity !== 'off');
+  if (results.length === 0) {
+    log.success(`${enabled.length} policy rule(s) passed`);
+  } else {
+    log.info('To fix:');
+    for (const rule of new Set(results.map((result) => result.rule))) {
+      log.info(`  ${colors.cyan}${rule.id}${colors.reset}: ${rule.help}`);
+    }
+  }
+
+  return {
+    rules: enabled.map((rule) => ({ ...rule, level: config.get(rule.id).severity })),
+    results,
+  };
 }
 
 /**
- * Display placeholder issues
+ * Replace the placeholders found with the values saved by `template:init`
+ *
+ * Placeholders without a saved value are left alone. Changes are recorded in
+ * the rollback manifest when there is one.
  */
-function displayIssues(issues) {
-  if (issues.length === 0) {
-    return;
+function fixPlaceholders(findings) {
+  const state = readFileIfExists(join(ROOT_DIR, ...STATE_FILE.split('/')));
+  if (state === null) {
+    throw new InputError(`Nothing to fix with: ${STATE_FILE} not found. Run npm run template:init`);
+  }
+  let values;
+  try {
+    values = JSON.parse(state).values ?? {};
+  } catch (error) {
+    throw new InputError(`${STATE_FILE} is not valid JSON: ${error.message}`);
   }
 
-  log.error(`Found ${issues.length} file(s) with placeholders:\n`);
+  const transaction = new FileTransaction(ROOT_DIR);
+  let fixed = 0;
 
-  for (const issue of issues) {
-    console.log(`${colors.red}✗${colors.reset} ${colors.cyan}${issue.file}${colors.reset}`);
+  for (const [file, details] of groupByFile(findings)) {
+    const content = readTextFile(join(ROOT_DIR, ...file.split('/')));
+    const lines = content.split('\n');
 
-    for (const detail of issue.placeholders) {
-      console.log(`  Line ${detail.line}: ${colors.yellow}${detail.placeholder}${colors.reset}`);
-      console.log(`    ${colors.reset}${detail.content}${colors.reset}`);
+    // Right to left, so earlier columns stay valid
+    for (const { line, column, endColumn, placeholder } of details.toReversed()) {
+      const replacement = replacePlaceholders(placeholder, values);
+      if (replacement !== placeholder) {
+        const text = lines[line - 1];
+        lines[line - 1] = text.slice(0, column - 1) + replacement + text.slice(endColumn - 1);
+        fixed++;
+      }
+    }
+    transaction.stage(file, lines.join('\n'), content);
+  }
+
+  const { changes } = transaction;
+  try {
+    transaction.commit({ manifest: readManifest(ROOT_DIR) !== null });
+  } catch (error) {
+    if (error instanceof CliError) {
+      throw error;
     }
-    console.log();
+    throw new IoError(`Could not write fixes, nothing was modified: ${error.message}`, error);
   }
+
+  for (const { path } of changes) {
+    log.success(`Fixed: ${path}`);
+  }
+  log.info(`Replaced ${fixed} of ${findings.length} placeholder(s).`);
 }
 
 /**
- * Check for required files
+ * Every failed check as a result with a level and an optional location
  */
-function checkRequiredFiles() {
-  log.header('📋 Checking required files...');
+function collectResults({ initialized, missingFiles, findings, policies }) {
+  const results = [
+    ...(initialized
+      ? []
+      : [
+          {
+            rule: RULES.uninitialized,
+            message: 'Template is not initialized',
+            file: UNINITIALIZED_MARKER,
+          },
+        ]),
+    ...missingFiles.map((file) => ({
+      rule: RULES.missingFile,
+      message: `Required file ${file} is missing`,
+      file,
+    })),
+    ...findings.map(({ file, line, column, endColumn, placeholder }) => ({
+      rule: RULES.placeholder,
+      message: `Placeholder ${placeholder} was not replaced`,
+      file,
+      region: { line, column, endColumn },
+    })),
+  ].map((result) => ({ ...result, level: 'error' }));
+
+  return [...results, ...policies.results];
+}
 
-  const requiredFiles = [
-    'package.json',
-    'README.md',
-    '.env.example',
-    '.gitignore',
-    'tsconfig.json',
+function toSarif(results, policyRules) {
+  const rules = [
+    ...Object.values(RULES).map((rule) => ({ ...rule, level: 'error' })),
+    ...policyRules,
   ];
+  return {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [
+      {
+        tool: {
+          driver: {
+            name: 'template-check',
+            rules: rules.map((rule) => ({
+              id: rule.id,
+              shortDescription: { text: rule.description },
+              help: { text: rule.help },
+              defaultConfiguration: { level: rule.level },
+            })),
+          },
+        },
+        results: results.map(({ rule, level, message, file, region }) => ({
+          ruleId: rule.id,
+          ruleIndex: rules.findIndex(({ id }) => id === rule.id),
+          level,
+          message: { text: message },
+          locations: file
+            ? [
+                {
+                  physicalLocation: {
+                    artifactLocation: { uri: file, uriBaseId: '%SRCROOT%' },
+                    ...(region && {
+                      region: {
+                        startLine: region.line,
+                        startColumn: region.column,
+                        endColumn: region.endColumn,
+                      },
+                    }),
+                  },
+                },
+              ]
+            : [],
+        })),
+      },
+    ],
+  };
+}
 
-  let allExist = true;
-
-  for (const file of requiredFiles) {
-    const filePath = join(ROOT_DIR, file);
-    if (existsSync(filePath)) {
-      log.success(`Found: ${file}`);
-    } else {
-      log.error(`Missing: ${file}`);
-      allExist = false;
+// Workflow command escaping, see https://github.com/actions/toolkit/blob/main/packages/core/src/command.ts
+const escapeData = (value) =>
+  value.replace(/%/g, '%25').replace(/\r/g, '%0D').replace(/\n/g, '%0A');
+const escapeProperty = (value) => escapeData(value).replace(/:/g, '%3A').replace(/,/g, '%2C');
+
+function toGithubAnnotations(results) {
+  return results.map(({ rule, level, message, file, region }) => {
+    const properties = file ? [`file=${escapeProperty(file)}`] : [];
+    if (region) {
+      properties.push(`line=${region.line}`);
+      if (region.column) {
+        properties.push(`col=${region.column}`);
+      }
+      if (region.endColumn) {
+        properties.push(`endColumn=${region.endColumn}`);
+      }
     }
-  }
+    properties.push(`title=${escapeProperty(rule.id)}`);
+    return `::${level} ${properties.join(',')}::${escapeData(`${message}. ${rule.help}`)}`;
+  });
+}
 
-  return allExist;
+/**
+ * Print the results in a machine-readable format
+ */
+function report(format, checks) {
+  const results = collectResults(checks);
+
+  if (format === 'json') {
+    const { initialized, missingFiles, findings, policies } = checks;
+    console.log(
+      JSON.stringify(
+        {
+          passed: results.every(({ level }) => level !== 'error'),
+          initialized,
+          missingFiles,
+          findings: findings.map(({ content, ...finding }) => finding),
+          policies: policies.results.map(({ rule, level, message, file, region }) => ({
+            rule: rule.id,
+            level,
+            message,
+            file,
+            ...region,
+          })),
+        },
+        null,
+        2
+      )
+    );
+  } else if (format === 'sarif') {
+    console.log(JSON.stringify(toSarif(results, checks.policies.rules), null, 2));
+  } else if (format === 'github') {
+    toGithubAnnotations(results).forEach((annotation) => console.log(annotation));
+  }
 }
 
 /**
  * Main execution
  */
-async function main() {
+async function main(argv = process.argv.slice(2)) {
   try {
-    log.header('🔐 Template Verification');
+    const options = parseOptions(argv);
+    if (options.help) {
+      console.log(HELP);
+      return;
+    }
+    stdoutReserved = options.format !== 'text';
 
-    let allChecksPassed = true;
+    log.header('🔐 Template Verification');
 
     // Check 1: Initialization marker
-    if (!checkInitializationMarker()) {
-      allChecksPassed = false;
-    }
+    const initialized = checkInitializationMarker();
 
     // Check 2: Required files
-    if (!checkRequiredFiles()) {
-      allChecksPassed = false;
-    }
+    const missingFiles = checkRequiredFiles();
 
     // Check 3: Placeholder scan
-    const issues = scanForPlaceholders();
+    const allowlist = readAllowlist();
+    let findings = scanForPlaceholders(allowlist);
+
+    if (findings.length > 0 && options.fix) {
+      log.header('🔧 Fixing placeholders...');
+      fixPlaceholders(findings);
+      findings = scanForPlaceholders(allowlist);
+    }
 
-    if (issues.length > 0) {
-      displayIssues(issues);
+    if (findings.length > 0) {
+      displayIssues(findings);
       log.error('Placeholders detected! Template initialization is incomplete.\n');
       log.info('To fix:');
-      log.info(`  1. Run: ${colors.cyan}npm run template:init${colors.reset}`);
+      log.info(`  1. Run: ${colors.cyan}npm run template:check -- --fix${colors.reset}`);
       log.info(`  2. Manually search and replace any remaining placeholders`);
-      log.info(`  3. Run this check again: ${colors.cyan}npm run template:check${colors.reset}\n`);
-      allChecksPassed = false;
+      log.info(`  3. Or allow intended ones in ${colors.cyan}${ALLOWLIST_FILE}${colors.reset}`);
     } else {
       log.success('No placeholders found');
     }
 
+    // Check 4: Policies
+    const policies = await checkPolicies(options.disable);
+    const policyErrors = policies.results.filter(({ level }) => level === 'error');
+
+    const allChecksPassed =
+      initialized &&
+      missingFiles.length === 0 &&
+      findings.length === 0 &&
+      policyErrors.length === 0;
+    report(options.format, { initialized, missingFiles, findings, policies });
+
     // Final result
-    console.log();
+    print('');
     if (allChecksPassed) {
       log.success(`${colors.bright}All checks passed! ✓${colors.reset}`);
       log.info('Template is properly initialized and ready for development.\n');
-      process.exit(0);
     } else {
       log.error(`${colors.bright}Checks failed! ✗${colors.reset}`);
       log.error('Please fix the issues above and run this check again.\n');
-      process.exit(1);
+      process.exitCode = EXIT_CODES.failure;
     }
   } catch (error) {
-    log.error(`Verification failed: ${error.message}`);
-    console.error(error);
-    process.exit(1);
+    process.exitCode = exitCodeFor(error);
+    log.error(
+      process.exitCode === EXIT_CODES.failure
+        ? `Verification failed: ${error.message}`
+        : error.message
+    );
+    for (const issue of error.issues ?? []) {
+      log.error(`  ${issue.field}: ${issue.message}`);
+    }
+    if (process.exitCode === EXIT_CODES.failure) {
+      console.error(error);
+    }
   }
 }
 
@@ -9,23 +9,45 @@
  * Features:
  * - Idempotent (safe to run multiple times)
  * - Cross-platform (Windows/macOS/Linux)
- * - Interactive with smart defaults
+ * - Interactive with smart defaults, or non-interactive from flags, a config
+ *   file and environment variables
+ * - `--dry-run` prints a unified diff of every file it would change
+ * - `--json` prints a machine-readable summary on stdout
  * - Preserves existing customizations
+ *
+ * Run with `--help` for usage.
+ *
+ * Exit codes:
+ * - 0: Initialized, already initialized, or dry run finished
+ * - 1: Unexpected error
+ * - 2: Invalid input (unknown flag, bad config file, invalid value)
+ * - 3: Cancelled by the user
+ * - 4: I/O error (reading the config file, writing project files)
+ * - 5: Files changed while being processed
+ *
+ * Changes are written all or nothing. The original content is recorded under
+ * `.template/` so `npm run template:rollback` can restore the template.
  */
 
-import {
-  readFileSync,
-  writeFileSync,
-  existsSync,
-  readdirSync,
-  statSync,
-  mkdirSync,
-  unlinkSync,
-} from 'fs';
-import { join, dirname, sep } from 'path';
+import { readFileSync, existsSync } from 'fs';
+import { join, dirname, resolve, sep } from 'path';
 import { fileURLToPath } from 'url';
 import { createInterface } from 'readline';
 import { execSync } from 'child_process';
+import { parseArgs } from 'util';
+import {
+  CancelledError,
+  CliError,
+  EXIT_CODES,
+  exitCodeFor,
+  exitOnBrokenPipe,
+  InputError,
+  IoError,
+} from './lib/cli.mjs';
+import { unifiedDiff } from './lib/diff.mjs';
+import { listFiles, readTextFile } from './lib/files.mjs';
+import { PLACEHOLDER_EXEMPT_FILES, replacePlaceholders } from './lib/placeholders.mjs';
+import { FileTransaction, MANIFEST_FILE, readManifest } from './lib/transaction.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -42,41 +64,191 @@ const colors = {
   red: '\x1b[31m',
 };
 
+// With --json or --dry-run, stdout carries only the JSON summary or the diff,
+// and messages go to stderr
+let jsonOutput = false;
+let stdoutReserved = false;
+const print = (msg) => (stdoutReserved ? console.error(msg) : console.log(msg));
+
 const log = {
-  info: (msg) => console.log(`${colors.blue}ℹ${colors.reset} ${msg}`),
-  success: (msg) => console.log(`${colors.green}✓${colors.reset} ${msg}`),
-  warn: (msg) => console.log(`${colors.yellow}⚠${colors.reset} ${msg}`),
+  info: (msg) => print(`${colors.blue}ℹ${colors.reset} ${msg}`),
+  success: (msg) => print(`${colors.green}✓${colors.reset} ${msg}`),
+  warn: (msg) => print(`${colors.yellow}⚠${colors.reset} ${msg}`),
   error: (msg) => console.error(`${colors.red}✗${colors.reset} ${msg}`),
-  header: (msg) => console.log(`\n${colors.bright}${colors.cyan}${msg}${colors.reset}\n`),
+  header: (msg) => print(`\n${colors.bright}${colors.cyan}${msg}${colors.reset}\n`),
 };
 
-// Marker file path
-const UNINITIALIZED_MARKER = join(ROOT_DIR, '.template', 'UNINITIALIZED');
-const STATE_FILE = join(ROOT_DIR, '.template', 'state.json');
-const PLACEHOLDERS_FILE = join(ROOT_DIR, '.template', 'PLACEHOLDERS.md');
-
-// File extensions to process
-const TEXT_EXTENSIONS = [
-  '.md',
-  '.txt',
-  '.json',
-  '.yml',
-  '.yaml',
-  '.ts',
-  '.tsx',
-  '.js',
-  '.mjs',
-  '.css',
-];
-
-// Directories to exclude from scanning
-const EXCLUDE_DIRS = ['node_modules', '.git', '.next', 'dist', 'build', 'out', 'coverage'];
+// Marker and state paths, relative to ROOT_DIR as recorded in the manifest
+const UNINITIALIZED_MARKER = '.template/UNINITIALIZED';
+const STATE_FILE = '.template/state.json';
+
+const KEBAB_CASE = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DOMAIN = /^(?=.{1,253}$)(?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/i;
+// GitHub's rules: alphanumerics and single hyphens, not at either end
+const GITHUB_OWNER = /^[a-z0-9](?:[a-z0-9]|-(?=[a-z0-9])){0,38}$/i;
+const GITHUB_REPO = /^(?!\.\.?$)[A-Za-z0-9._-]{1,100}$/;
+
+const requireText = (value) =>
+  /[\r\n]/.test(value) ? 'must be a single line' : value.trim() ? null : 'is required';
+
+const requireMatch = (pattern, message) => (value) =>
+  !value ? 'is required' : pattern.test(value) ? null : message;
+
+/**
+ * Every value the wizard collects, with its flag, environment variable and
+ * validation. `--config` files use the `key` names.
+ */
+const FIELDS = [
+  {
+    key: 'projectName',
+    question: 'Project name (kebab-case)',
+    validate: requireMatch(KEBAB_CASE, 'must be kebab-case, e.g. my-app'),
+  },
+  { key: 'description', question: 'Project description', validate: requireText },
+  { key: 'author', question: 'Author name', validate: requireText },
+  {
+    key: 'authorEmail',
+    question: 'Author email',
+    validate: requireMatch(EMAIL, 'must be an email address'),
+  },
+  {
+    key: 'repoOwner',
+    question: 'GitHub username/organization',
+    validate: requireMatch(GITHUB_OWNER, 'must be a valid GitHub user or organization name'),
+  },
+  {
+    key: 'repoName',
+    question: 'Repository name',
+    validate: requireMatch(GITHUB_REPO, 'must be a valid GitHub repository name'),
+  },
+  {
+    key: 'companyDomain',
+    question: 'Company domain',
+    validate: requireMatch(DOMAIN, 'must be a domain name, e.g. example.com'),
+  },
+  {
+    key: 'supportEmail',
+    question: 'Support email',
+    validate: requireMatch(EMAIL, 'must be an email address'),
+  },
+  {
+    key: 'securityEmail',
+    question: 'Security email',
+    validate: requireMatch(EMAIL, 'must be an email address'),
+  },
+].map((field) => {
+  const snake = field.key.replace(/[A-Z]/g, (letter) => `_${letter}`);
+  return {
+    ...field,
+    flag: snake.replace(/_/g, '-').toLowerCase(),
+    env: `TEMPLATE_${snake.toUpperCase()}`,
+  };
+});
+
+const HELP = `Usage: npm run template:init -- [options]
+
+Replaces the template's placeholders with your project's details.
+
+Options:
+  --config <file>         Read values from a JSON file (keys: ${FIELDS.map((field) => field.key).join(', ')})
+${FIELDS.map((field) => `  --${field.flag}=<value>`).join('\n')}
+  -y, --yes               Don't prompt: use defaults for missing values and skip the confirmation
+  --dry-run               Print a diff of the changes without writing anything
+  --json                  Print a JSON summary on stdout (messages go to stderr)
+  -h, --help              Show this help
+
+Values are taken from flags, then environment variables (${FIELDS[0].env}, ...),
+then the config file, then prompts or detected defaults.
+
+Exit codes: 0 done, 1 unexpected error, 2 invalid input, 3 cancelled, 4 I/O error,
+5 files changed while being processed`;
+
+/**
+ * Parse command-line flags
+ */
+function parseOptions(argv) {
+  try {
+    const { values } = parseArgs({
+      args: argv,
+      options: {
+        config: { type: 'string' },
+        yes: { type: 'boolean', short: 'y' },
+        'dry-run': { type: 'boolean' },
+        json: { type: 'boolean' },
+        help: { type: 'boolean', short: 'h' },
+        ...Object.fromEntries(FIELDS.map((field) => [field.flag, { type: 'string' }])),
+      },
+    });
+    return values;
+  } catch (error) {
+    throw new InputError(`${error.message}\nRun with --help for usage.`);
+  }
+}
+
+/**
+ * Read values from a `--config` JSON file
+ */
+function readConfig(path) {
+  if (!path) {
+    return {};
+  }
+
+  let content;
+  try {
+    content = readFileSync(resolve(path), 'utf-8');
+  } catch (error) {
+    throw new IoError(`Could not read config file ${path}: ${error.message}`, error);
+  }
+
+  let config;
+  try {
+    config = JSON.parse(content);
+  } catch (error) {
+    throw new InputError(`Config file ${path} is not valid JSON: ${error.message}`);
+  }
+  if (typeof config !== 'object' || config === null || Array.isArray(config)) {
+    throw new InputError(`Config file ${path} must contain a JSON object`);
+  }
+
+  const known = new Set(FIELDS.map((field) => field.key));
+  const issues = [];
+  for (const [key, value] of Object.entries(config)) {
+    if (!known.has(key)) {
+      issues.push({ field: key, message: 'is not a known setting' });
+    } else if (typeof value !== 'string') {
+      issues.push({ field: key, message: 'must be a string' });
+    }
+  }
+  if (issues.length > 0) {
+    throw new InputError(`Config file ${path} is invalid`, issues);
+  }
+  return config;
+}
+
+/**
+ * Values given up front: flags win over environment variables, which win
+ * over the config file
+ */
+function providedValues(options) {
+  const values = readConfig(options.config);
+  for (const field of FIELDS) {
+    const fromEnv = process.env[field.env];
+    if (fromEnv) {
+      values[field.key] = fromEnv;
+    }
+    if (options[field.flag] !== undefined) {
+      values[field.key] = options[field.flag];
+    }
+  }
+  return values;
+}
 
 /**
  * Check if template is already initialized
  */
 function isInitialized() {
-  return !existsSync(UNINITIALIZED_MARKER);
+  return !existsSync(join(ROOT_DIR, UNINITIALIZED_MARKER));
 }
 
 /**
@@ -108,6 +280,7 @@ function getDefaults() {
     const remoteUrl = execSync('git remote get-url origin', {
       cwd: ROOT_DIR,
       encoding: 'utf-8',
+      stdio: ['ignore', 'pipe', 'ignore'],
     }).trim();
     if (remoteUrl) {
       defaults.repoUrl = remoteUrl;
@@ -159,204 +332,187 @@ function getDefaults() {
   return defaults;
 }
 
+// One readline interface for the whole session, read as a line queue, so
+// answers typed ahead or piped in aren't lost between questions
+let readline;
+let lines;
+
 /**
  * Prompt user for input with default value
+ *
+ * Ctrl+C or the end of input cancels the run.
  */
 async function prompt(question, defaultValue = '') {
-  const rl = createInterface({
-    input: process.stdin,
-    output: process.stdout,
-  });
-
-  return new Promise((resolve) => {
-    const displayDefault = defaultValue ? ` (${colors.cyan}${defaultValue}${colors.reset})` : '';
-    rl.question(`${question}${displayDefault}: `, (answer) => {
-      rl.close();
-      resolve(answer.trim() || defaultValue);
+  if (!readline) {
+    readline = createInterface({
+      input: process.stdin,
+      output: stdoutReserved ? process.stderr : process.stdout,
     });
-  });
-}
-
-/**
- * Gather user input interactively
- */
-async function gatherInput() {
-  const defaults = getDefaults();
+    readline.on('SIGINT', () => readline.close());
+    lines = readline[Symbol.asyncIterator]();
+  }
 
-  log.header('📝 Template Initialization Wizard');
-  log.info('Press Enter to accept default values shown in parentheses.\n');
-
-  const answers = {
-    projectName: await prompt('Project name (kebab-case)', defaults.projectName),
-    description: await prompt('Project description', defaults.description),
-    author: await prompt('Author name', defaults.author),
-    authorEmail: await prompt('Author email', defaults.authorEmail),
-    repoOwner: await prompt('GitHub username/organization', defaults.repoOwner),
-    repoName: await prompt('Repository name', defaults.repoName || answers.projectName),
-    companyDomain: await prompt('Company domain', defaults.companyDomain),
-    supportEmail: await prompt('Support email', defaults.supportEmail),
-    securityEmail: await prompt('Security email', defaults.securityEmail),
-  };
+  const displayDefault = defaultValue ? ` (${colors.cyan}${defaultValue}${colors.reset})` : '';
+  readline.setPrompt(`${question}${displayDefault}: `);
+  readline.prompt();
 
-  // Derive repoUrl if not set
-  if (answers.repoOwner && answers.repoName) {
-    answers.repoUrl = `https://github.com/${answers.repoOwner}/${answers.repoName}`;
-  } else {
-    answers.repoUrl = defaults.repoUrl;
+  const { value, done } = await lines.next();
+  if (done) {
+    throw new CancelledError('Initialization cancelled.');
   }
-
-  return answers;
+  return value.trim() || defaultValue;
 }
 
-/**
- * Check if file should be processed
- */
-function shouldProcessFile(filePath) {
-  const ext = filePath.substring(filePath.lastIndexOf('.'));
-  return TEXT_EXTENSIONS.includes(ext);
+function closePrompt() {
+  readline?.close();
 }
 
 /**
- * Recursively find all text files
+ * Gather input from flags, environment variables and the config file, then
+ * prompt for anything missing
+ *
+ * Without prompts, missing values fall back to the detected defaults. Every
+ * value is validated; invalid answers are asked again, invalid provided
+ * values fail the run.
  */
-function findTextFiles(dir, files = []) {
-  const items = readdirSync(dir);
+async function gatherInput(options, { interactive }) {
+  const provided = providedValues(options);
+  const defaults = getDefaults();
+  const answers = {};
+  const issues = [];
 
-  for (const item of items) {
-    const fullPath = join(dir, item);
-    const relativePath = fullPath.replace(ROOT_DIR + sep, '');
+  if (interactive) {
+    log.header('📝 Template Initialization Wizard');
+    log.info('Press Enter to accept default values shown in parentheses.\n');
+  }
 
-    // Skip excluded directories
-    if (EXCLUDE_DIRS.some((excluded) => relativePath.startsWith(excluded))) {
-      continue;
+  for (const field of FIELDS) {
+    const fallback =
+      field.key === 'repoName' ? defaults.repoName || answers.projectName : defaults[field.key];
+    let value = provided[field.key];
+
+    if (value === undefined && interactive) {
+      for (;;) {
+        value = await prompt(field.question, fallback);
+        const problem = field.validate(value);
+        if (!problem) {
+          break;
+        }
+        log.warn(`${field.question} ${problem}`);
+      }
     }
 
-    const stat = statSync(fullPath);
-
-    if (stat.isDirectory()) {
-      findTextFiles(fullPath, files);
-    } else if (stat.isFile() && shouldProcessFile(fullPath)) {
-      files.push(fullPath);
+    value = (value ?? fallback ?? '').trim();
+    const problem = field.validate(value);
+    if (problem) {
+      issues.push({ field: field.key, message: problem });
     }
+    answers[field.key] = value;
   }
 
-  return files;
-}
-
-/**
- * Replace placeholders in content
- */
-function replacePlaceholders(content, values) {
-  let result = content;
-
-  // Define placeholder patterns that should be replaced
-  // Using word boundaries and negative lookahead to avoid false positives
-  const replacements = [
-    // Standard format: __PLACEHOLDER__
-    { pattern: /__PROJECT_NAME__/g, value: values.projectName },
-    { pattern: /__DESCRIPTION__/g, value: values.description },
-    { pattern: /__AUTHOR__/g, value: values.author },
-    { pattern: /__AUTHOR_EMAIL__/g, value: values.authorEmail },
-    { pattern: /__REPO_OWNER__/g, value: values.repoOwner },
-    { pattern: /__REPO_NAME__/g, value: values.repoName },
-    { pattern: /__REPO_URL__/g, value: values.repoUrl },
-    { pattern: /__COMPANY_DOMAIN__/g, value: values.companyDomain },
-    { pattern: /__SUPPORT_EMAIL__/g, value: values.supportEmail },
-    { pattern: /__SECURITY_EMAIL__/g, value: values.securityEmail },
-
-    // Legacy format - with word boundaries to avoid partial matches
-    // PROJECT_NAME: as whole word only
-    { pattern: /\bPROJECT_NAME\b/g, value: values.projectName },
-
-    // DESCRIPTION: as whole word only
-    { pattern: /\bDESCRIPTION\b/g, value: values.description },
-
-    // AUTHOR: only as standalone word, NOT part of UNAUTHORIZED
-    { pattern: /\bAUTHOR\b(?!IZED)/g, value: values.author },
-
-    // Repository patterns
-    { pattern: /USERNAME\/REPO_NAME/g, value: `${values.repoOwner}/${values.repoName}` },
-    { pattern: /YOUR_USERNAME\/REPO_NAME/g, value: `${values.repoOwner}/${values.repoName}` },
-
-    // Domain and email patterns
-    { pattern: /\bYOUR_DOMAIN\b/g, value: values.companyDomain },
-    { pattern: /\bSUPPORT_EMAIL@example\.com\b/g, value: values.supportEmail },
-    { pattern: /\bSECURITY_EMAIL@example\.com\b/g, value: values.securityEmail },
-  ];
-
-  for (const { pattern, value } of replacements) {
-    result = result.replace(pattern, value);
+  if (issues.length > 0) {
+    throw new InputError('Invalid initialization values', issues);
   }
 
-  return result;
+  answers.repoUrl = `https://github.com/${answers.repoOwner}/${answers.repoName}`;
+  return answers;
 }
 
 /**
- * Process all text files and replace placeholders
+ * Stage placeholder replacements in all text files
  */
-function processFiles(values) {
+function processFiles(values, transaction) {
   log.header('📄 Processing files...');
 
-  const files = findTextFiles(ROOT_DIR);
-  let processedCount = 0;
+  const files = listFiles(ROOT_DIR).filter((path) => !PLACEHOLDER_EXEMPT_FILES.includes(path));
   let changedCount = 0;
 
-  for (const filePath of files) {
+  for (const path of files) {
+    let content;
     try {
-      const content = readFileSync(filePath, 'utf-8');
-      const newContent = replacePlaceholders(content, values);
-
-      if (content !== newContent) {
-        writeFileSync(filePath, newContent, 'utf-8');
-        const relativePath = filePath.replace(ROOT_DIR + sep, '');
-        log.success(`Updated: ${relativePath}`);
-        changedCount++;
-      }
-
-      processedCount++;
+      content = readTextFile(join(ROOT_DIR, ...path.split('/')));
     } catch (error) {
-      const relativePath = filePath.replace(ROOT_DIR + sep, '');
-      log.warn(`Skipped (error): ${relativePath}`);
+      throw new IoError(`Could not read ${path}: ${error.message}`, error);
+    }
+    if (content === null) {
+      continue;
+    }
+
+    const newContent = replacePlaceholders(content, values);
+    if (content !== newContent) {
+      transaction.stage(path, newContent, content);
+      changedCount++;
     }
   }
 
-  log.info(`\nProcessed ${processedCount} files, updated ${changedCount} files.\n`);
+  log.info(`Processed ${files.length} files, ${changedCount} need updating.`);
 }
 
 /**
- * Create .env.local from .env.example if it doesn't exist
+ * Stage .env.local from .env.example if it doesn't exist
  */
-function createEnvFile() {
+function createEnvFile(transaction) {
   const envExample = join(ROOT_DIR, '.env.example');
   const envLocal = join(ROOT_DIR, '.env.local');
 
   if (!existsSync(envLocal) && existsSync(envExample)) {
     try {
-      const content = readFileSync(envExample, 'utf-8');
-      writeFileSync(envLocal, content, 'utf-8');
-      log.success('Created .env.local from .env.example');
+      transaction.stage('.env.local', readFileSync(envExample, 'utf-8'), null);
     } catch (error) {
-      log.warn('Could not create .env.local: ' + error.message);
+      log.warn('Could not read .env.example: ' + error.message);
     }
   }
 }
 
 /**
- * Save initialization state
+ * Commit of the template this project starts from, which `template:update`
+ * merges later template changes against; `null` outside a git repository
  */
-function saveState(values) {
+function getTemplateRevision() {
+  try {
+    return execSync('git rev-parse --verify HEAD', {
+      cwd: ROOT_DIR,
+      encoding: 'utf-8',
+      stdio: ['ignore', 'pipe', 'ignore'],
+    }).trim();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Stage the initialization state
+ */
+function saveState(values, transaction) {
   const state = {
     initialized: true,
     timestamp: new Date().toISOString(),
     values: values,
+    template: { revision: getTemplateRevision() },
   };
 
+  transaction.stage(STATE_FILE, JSON.stringify(state, null, 2));
+}
+
+/**
+ * Write every staged change, or none of them
+ */
+function commitChanges(transaction) {
+  const { changes } = transaction;
   try {
-    writeFileSync(STATE_FILE, JSON.stringify(state, null, 2), 'utf-8');
-    log.success('Saved initialization state');
+    transaction.commit({ manifest: true });
   } catch (error) {
-    log.warn('Could not save state: ' + error.message);
+    if (error instanceof CliError) {
+      throw error;
+    }
+    throw new IoError(`Could not write changes, nothing was modified: ${error.message}`, error);
+  }
+
+  for (const { path, before, after } of changes) {
+    log.success(`${before === null ? 'Created' : after === null ? 'Removed' : 'Updated'}: ${path}`);
   }
+  log.success(`Recorded original files in ${MANIFEST_FILE} (undo with npm run template:rollback)`);
+  return changes;
 }
 
 /**
@@ -416,18 +572,10 @@ function updateGitRemote(values) {
 }
 
 /**
- * Remove UNINITIALIZED marker
+ * Stage removal of the UNINITIALIZED marker
  */
-function removeMarker() {
-  try {
-    if (existsSync(UNINITIALIZED_MARKER)) {
-      unlinkSync(UNINITIALIZED_MARKER);
-      log.success('Removed UNINITIALIZED marker');
-    }
-  } catch (error) {
-    log.error('Could not remove marker: ' + error.message);
-    throw error;
-  }
+function removeMarker(transaction) {
+  transaction.stage(UNINITIALIZED_MARKER, null);
 }
 
 /**
@@ -460,56 +608,154 @@ function showNextSteps() {
   );
 }
 
+/**
+ * Ask for confirmation before changing anything
+ */
+async function confirmValues(values) {
+  print(`\n${colors.bright}Review your selections:${colors.reset}`);
+  print(JSON.stringify(values, null, 2));
+  print('');
+
+  const answer = await prompt('Proceed with initialization? (yes/no)', 'yes');
+  if (answer.toLowerCase() !== 'yes' && answer.toLowerCase() !== 'y') {
+    throw new CancelledError('Initialization cancelled.');
+  }
+}
+
+/**
+ * Unified diff of one staged change; created and deleted files diff against
+ * /dev/null
+ */
+function diffChange({ path, before, after }) {
+  return unifiedDiff(before ?? '', after ?? '', {
+    fromFile: before === null ? '/dev/null' : `a/${path}`,
+    toFile: after === null ? '/dev/null' : `b/${path}`,
+  });
+}
+
+/**
+ * Print the diff of every planned change
+ */
+function printDryRun(changes) {
+  for (const { path, before, after } of changes) {
+    log.info(`Would ${before === null ? 'create' : after === null ? 'remove' : 'update'}: ${path}`);
+  }
+
+  if (!jsonOutput) {
+    for (const change of changes) {
+      process.stdout.write(diffChange(change));
+    }
+  }
+}
+
 /**
  * Main execution
  */
-async function main() {
+async function main(argv = process.argv.slice(2)) {
+  let result;
   try {
+    const options = parseOptions(argv);
+    jsonOutput = Boolean(options.json);
+    stdoutReserved = jsonOutput || Boolean(options['dry-run']);
+    if (options['dry-run']) {
+      // Nothing is written, so `--dry-run | head` can simply stop early
+      exitOnBrokenPipe();
+    }
+
+    if (options.help) {
+      console.log(HELP);
+      return;
+    }
+
     // Check if already initialized
     if (isInitialized()) {
       log.info('Template is already initialized.');
       log.info(
-        `To re-initialize, delete ${colors.cyan}.template/UNINITIALIZED${colors.reset} and run again.`
+        `To re-initialize, run ${colors.cyan}npm run template:rollback${colors.reset} and run again.`
       );
       log.info(`Current state: ${colors.cyan}.template/state.json${colors.reset}\n`);
-      process.exit(0);
+      result = { status: 'already-initialized' };
+      return;
+    }
+
+    const dryRun = Boolean(options['dry-run']);
+    const interactive = !options.yes && Boolean(process.stdin.isTTY);
+    if (!interactive && !options.yes && !dryRun) {
+      throw new InputError('No terminal to confirm in; pass --yes to initialize without prompts');
+    }
+
+    // An interrupted run leaves the manifest behind with the marker
+    const manifest = readManifest(ROOT_DIR);
+    if (!dryRun && manifest?.files.some((file) => file.path === UNINITIALIZED_MARKER)) {
+      throw new InputError(
+        'A previous initialization did not finish; run `npm run template:rollback` first'
+      );
     }
 
     // Gather input
-    const values = await gatherInput();
+    const values = await gatherInput(options, { interactive });
 
     // Confirm
-    console.log(`\n${colors.bright}Review your selections:${colors.reset}`);
-    console.log(JSON.stringify(values, null, 2));
-    console.log();
-
-    const confirm = await prompt('Proceed with initialization? (yes/no)', 'yes');
-    if (confirm.toLowerCase() !== 'yes' && confirm.toLowerCase() !== 'y') {
-      log.warn('Initialization cancelled.');
-      process.exit(0);
+    if (!options.yes && !dryRun) {
+      await confirmValues(values);
     }
 
-    // Process files
-    processFiles(values);
+    // Stage every change before writing any of them
+    const transaction = new FileTransaction(ROOT_DIR);
+    processFiles(values, transaction);
+    createEnvFile(transaction);
+    saveState(values, transaction);
+    removeMarker(transaction);
+
+    if (dryRun) {
+      printDryRun(transaction.changes);
+      result = {
+        status: 'dry-run',
+        values,
+        files: transaction.changes.map((change) => ({
+          path: change.path,
+          diff: diffChange(change),
+        })),
+      };
+      return;
+    }
 
-    // Create environment file
-    createEnvFile();
+    // Write files and remove the marker, all or nothing
+    const changes = commitChanges(transaction);
 
     // Update git remote
     updateGitRemote(values);
 
-    // Save state
-    saveState(values);
-
-    // Remove marker
-    removeMarker();
-
     // Show next steps
-    showNextSteps();
+    if (!jsonOutput) {
+      showNextSteps();
+    }
+    result = { status: 'initialized', values, files: changes.map(({ path }) => path) };
   } catch (error) {
-    log.error(`Initialization failed: ${error.message}`);
-    console.error(error);
-    process.exit(1);
+    process.exitCode = exitCodeFor(error);
+
+    if (error instanceof CancelledError) {
+      log.warn(error.message);
+      result = { status: 'cancelled' };
+    } else {
+      log.error(
+        process.exitCode === EXIT_CODES.failure
+          ? `Initialization failed: ${error.message}`
+          : error.message
+      );
+      for (const issue of error.issues ?? []) {
+        log.error(`  ${issue.field}: ${issue.message}`);
+      }
+      if (process.exitCode === EXIT_CODES.failure) {
+        console.error(error);
+      }
+      result = { status: 'error', error: error.message, issues: error.issues ?? [] };
+    }
+  } finally {
+    closePrompt();
+    if (jsonOutput && result) {
+      console.log(JSON.stringify({ ...result, exitCode: process.exitCode ?? 0 }, null, 2));
+    }
   }
 }
 
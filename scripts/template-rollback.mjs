@@ -0,0 +1,190 @@
+#!/usr/bin/env node
+
+/**
+ * Template Rollback
+ *
+ * Restores the files `template:init` changed from the manifest and backups it
+ * recorded under `.template/`, including the UNINITIALIZED marker, so the
+ * template can be initialized again.
+ *
+ * Files edited since initialization are left alone and reported, unless
+ * `--force` is given. The restore is all or nothing.
+ *
+ * Exit codes:
+ * - 0: Restored (or dry run finished)
+ * - 1: Unexpected error
+ * - 2: Nothing to roll back, or invalid flags
+ * - 4: I/O error (missing backup, unwritable file)
+ * - 5: Files changed since initialization
+ */
+
+import { rmSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import { ConflictError, EXIT_CODES, exitCodeFor, InputError } from './lib/cli.mjs';
+import {
+  BACKUP_DIR,
+  FileTransaction,
+  hashContent,
+  MANIFEST_FILE,
+  readBackup,
+  readFileIfExists,
+  readManifest,
+} from './lib/transaction.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const ROOT_DIR = join(__dirname, '..');
+
+// ANSI color codes
+const colors = {
+  reset: '\x1b[0m',
+  bright: '\x1b[1m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  red: '\x1b[31m',
+  cyan: '\x1b[36m',
+};
+
+const log = {
+  info: (msg) => console.log(`${colors.cyan}ℹ${colors.reset} ${msg}`),
+  success: (msg) => console.log(`${colors.green}✓${colors.reset} ${msg}`),
+  warn: (msg) => console.log(`${colors.yellow}⚠${colors.reset} ${msg}`),
+  error: (msg) => console.error(`${colors.red}✗${colors.reset} ${msg}`),
+  header: (msg) => console.log(`\n${colors.bright}${msg}${colors.reset}\n`),
+};
+
+const HELP = `Usage: npm run template:rollback -- [options]
+
+Restores the files changed by template:init.
+
+Options:
+  --force       Also restore files edited since initialization, discarding the edits
+  --dry-run     List what would be restored without changing anything
+  -h, --help    Show this help
+
+Exit codes: 0 done, 1 unexpected error, 2 nothing to roll back, 4 I/O error,
+5 files changed since initialization`;
+
+function parseOptions(argv) {
+  try {
+    return parseArgs({
+      args: argv,
+      options: {
+        force: { type: 'boolean' },
+        'dry-run': { type: 'boolean' },
+        help: { type: 'boolean', short: 'h' },
+      },
+    }).values;
+  } catch (error) {
+    throw new InputError(`${error.message}\nRun with --help for usage.`);
+  }
+}
+
+function loadManifest() {
+  let manifest;
+  try {
+    manifest = readManifest(ROOT_DIR);
+  } catch (error) {
+    if (error instanceof SyntaxError) {
+      throw new InputError(`${MANIFEST_FILE} is not valid JSON: ${error.message}`);
+    }
+    throw error;
+  }
+  if (!manifest) {
+    throw new InputError(`Nothing to roll back: ${MANIFEST_FILE} not found`);
+  }
+  return manifest;
+}
+
+/**
+ * Stage the original content of every file still as init left it
+ *
+ * Returns the files edited since; with `force` they're restored too.
+ */
+function stageRestore(manifest, transaction, { force }) {
+  const edited = [];
+
+  for (const file of manifest.files) {
+    const current = readFileIfExists(join(ROOT_DIR, ...file.path.split('/')));
+    const currentHash = current === null ? null : hashContent(current);
+
+    if (currentHash === file.before) {
+      continue;
+    }
+    if (currentHash !== file.after) {
+      edited.push(file.path);
+      if (!force) {
+        continue;
+      }
+    }
+    const original = file.before === null ? null : readBackup(ROOT_DIR, file.before);
+    transaction.stage(file.path, original, current);
+  }
+
+  return edited;
+}
+
+/**
+ * Main execution
+ */
+async function main(argv = process.argv.slice(2)) {
+  try {
+    const options = parseOptions(argv);
+    if (options.help) {
+      console.log(HELP);
+      return;
+    }
+
+    log.header('↩️  Template Rollback');
+
+    const manifest = loadManifest();
+    const transaction = new FileTransaction(ROOT_DIR);
+    const edited = stageRestore(manifest, transaction, { force: options.force });
+
+    if (edited.length > 0 && !options.force) {
+      throw new ConflictError(
+        'Some files changed since initialization. Commit or discard those edits, or pass --force to overwrite them',
+        edited
+      );
+    }
+    for (const path of edited) {
+      log.warn(`Discarding edits to ${path}`);
+    }
+
+    const { changes } = transaction;
+    if (options['dry-run']) {
+      for (const { path, after } of changes) {
+        log.info(`Would ${after === null ? 'remove' : 'restore'}: ${path}`);
+      }
+      return;
+    }
+
+    transaction.commit();
+    rmSync(join(ROOT_DIR, BACKUP_DIR), { recursive: true, force: true });
+    rmSync(join(ROOT_DIR, MANIFEST_FILE), { force: true });
+
+    for (const { path, after } of changes) {
+      log.success(`${after === null ? 'Removed' : 'Restored'}: ${path}`);
+    }
+    log.success(`Rolled back ${changes.length} files; the template is uninitialized again.`);
+    log.info(`Run ${colors.cyan}npm run template:init${colors.reset} to initialize it again.\n`);
+  } catch (error) {
+    process.exitCode = exitCodeFor(error);
+    log.error(
+      process.exitCode === EXIT_CODES.failure ? `Rollback failed: ${error.message}` : error.message
+    );
+    for (const issue of error.issues ?? []) {
+      log.error(`  ${issue.field}: ${issue.message}`);
+    }
+    if (process.exitCode === EXIT_CODES.failure) {
+      console.error(error);
+    }
+  }
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
@@ -0,0 +1,463 @@
+#!/usr/bin/env node
+
+/**
+ * Template Update
+ *
+ * Brings template changes made after initialization into the project. The
+ * template revision the project started from (recorded by `template:init` in
+ * `.template/state.json`) and the newer one both get the saved placeholder
+ * values, then each file is merged three ways with the project's version:
+ * changes made on one side only are applied, and where both sides changed
+ * the same lines the file gets conflict markers, or a `.rej` file with
+ * `--reject`. Binary files, and files the project deleted, get the template's
+ * version as `<file>.template-new` instead.
+ *
+ * The newer template can be a git revision (e.g. `template/main` after
+ * `git remote add template <url> && git fetch template`), a repository URL or
+ * a local clone; the last two are fetched. Only committed files are used.
+ *
+ * Exit codes:
+ * - 0: Updated, already up to date, or dry run finished
+ * - 1: Unexpected error
+ * - 2: Invalid input (not initialized, unknown revision, invalid flags)
+ * - 4: I/O error (running git, writing files)
+ * - 5: Updated with conflicts to resolve, or uncommitted changes
+ */
+
+import { existsSync, readFileSync, statSync } from 'fs';
+import { join, dirname, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { execFileSync } from 'child_process';
+import { parseArgs } from 'util';
+import { CliError, EXIT_CODES, exitCodeFor, InputError, IoError } from './lib/cli.mjs';
+import { hunkHeader, mergeText } from './lib/diff.mjs';
+import { isBinary } from './lib/files.mjs';
+import { globToRegExp } from './lib/glob.mjs';
+import { PLACEHOLDER_EXEMPT_FILES, replacePlaceholders } from './lib/placeholders.mjs';
+import { FileTransaction, readFileIfExists } from './lib/transaction.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const ROOT_DIR = join(__dirname, '..');
+
+// ANSI color codes
+const colors = {
+  reset: '\x1b[0m',
+  bright: '\x1b[1m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  red: '\x1b[31m',
+  cyan: '\x1b[36m',
+};
+
+const log = {
+  info: (msg) => console.log(`${colors.cyan}ℹ${colors.reset} ${msg}`),
+  success: (msg) => console.log(`${colors.green}✓${colors.reset} ${msg}`),
+  warn: (msg) => console.log(`${colors.yellow}⚠${colors.reset} ${msg}`),
+  error: (msg) => console.error(`${colors.red}✗${colors.reset} ${msg}`),
+  header: (msg) => console.log(`\n${colors.bright}${msg}${colors.reset}\n`),
+};
+
+const UNINITIALIZED_MARKER = '.template/UNINITIALIZED';
+const STATE_FILE = '.template/state.json';
+
+// Large enough for package-lock.json
+const MAX_BUFFER = 256 * 1024 * 1024;
+
+const REMOTE_URL = /^(?:[a-z+]+:\/\/|git@)/;
+
+const HELP = `Usage: npm run template:update -- <template> [options]
+
+Merges changes made to the template since this project was initialized.
+<template> is a git revision (e.g. template/main), a repository URL or the
+path to a local clone of the newer template.
+
+Options:
+  --base <revision>   Template revision the project started from (default:
+                      the one recorded in ${STATE_FILE})
+  --exclude <glob>    Leave matching files alone (repeatable)
+  --reject            Write conflicts to <file>.rej instead of conflict markers
+  --dry-run           Show what would change without writing anything
+  -h, --help          Show this help
+
+Exit codes: 0 done, 1 unexpected error, 2 invalid input, 4 I/O error,
+5 conflicts to resolve or uncommitted changes`;
+
+function parseOptions(argv) {
+  try {
+    const { values, positionals } = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        base: { type: 'string' },
+        exclude: { type: 'string', multiple: true, default: [] },
+        reject: { type: 'boolean' },
+        'dry-run': { type: 'boolean' },
+        help: { type: 'boolean', short: 'h' },
+      },
+    });
+    if (!values.help && positionals.length !== 1) {
+      throw new Error('Expected exactly one template revision, URL or path');
+    }
+    return { ...values, source: positionals[0] };
+  } catch (error) {
+    throw new InputError(`${error.message}\nRun with --help for usage.`);
+  }
+}
+
+function git(args, options = {}) {
+  return execFileSync('git', args, {
+    cwd: ROOT_DIR,
+    encoding: 'utf-8',
+    stdio: ['ignore', 'pipe', 'pipe'],
+    maxBuffer: MAX_BUFFER,
+    ...options,
+  });
+}
+
+/**
+ * Full commit hash of `revision`, or `null` when this repository doesn't have it
+ */
+function resolveCommit(revision) {
+  try {
+    return git(['rev-parse', '--verify', '--quiet', `${revision}^{commit}`]).trim();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Commit of the newer template, fetching it first when given a URL or path
+ */
+function resolveSource(source) {
+  const isDirectory = existsSync(source) && statSync(source).isDirectory();
+  if (!isDirectory && !REMOTE_URL.test(source)) {
+    const commit = resolveCommit(source);
+    if (!commit) {
+      throw new InputError(`${source} is not a directory, repository URL or known git revision`);
+    }
+    return commit;
+  }
+
+  const location = isDirectory ? resolve(source) : source;
+  log.info(`Fetching ${location}...`);
+  try {
+    git(['fetch', '--no-tags', '--quiet', location, 'HEAD']);
+  } catch (error) {
+    throw new IoError(
+      `Could not fetch ${location}: ${error.stderr?.trim() || error.message}`,
+      error
+    );
+  }
+  return resolveCommit('FETCH_HEAD');
+}
+
+/**
+ * Every file committed at `revision`, by path
+ *
+ * @returns {Map<string, Buffer>}
+ */
+function readTree(revision) {
+  const entries = git(['ls-tree', '-r', '-z', revision])
+    .split('\0')
+    .filter(Boolean)
+    .map((line) => {
+      const [info, path] = line.split('\t');
+      const [mode, type, object] = info.split(' ');
+      return { mode, type, object, path };
+    })
+    // Symlinks and submodules aren't template content
+    .filter((entry) => entry.type === 'blob' && entry.mode !== '120000');
+
+  const output = git(['cat-file', '--batch'], {
+    encoding: 'buffer',
+    input: Buffer.from(entries.map((entry) => entry.object).join('\n') + '\n'),
+    stdio: ['pipe', 'pipe', 'pipe'],
+  });
+
+  // Each object is "<hash> blob <size>\n<content>\n"
+  const files = new Map();
+  let offset = 0;
+  for (const { path } of entries) {
+    const headerEnd = output.indexOf(0x0a, offset);
+    const size = Number(output.subarray(offset, headerEnd).toString().split(' ')[2]);
+    files.set(path, output.subarray(headerEnd + 1, headerEnd + 1 + size));
+    offset = headerEnd + 1 + size + 1;
+  }
+  return files;
+}
+
+function readBufferIfExists(path) {
+  try {
+    return readFileSync(path);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+function loadState() {
+  if (existsSync(join(ROOT_DIR, ...UNINITIALIZED_MARKER.split('/')))) {
+    throw new InputError('The template is not initialized yet. Run npm run template:init first');
+  }
+
+  const content = readFileIfExists(join(ROOT_DIR, ...STATE_FILE.split('/')));
+  if (content === null) {
+    throw new InputError(`${STATE_FILE} not found: it holds the values to apply to the template`);
+  }
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    throw new InputError(`${STATE_FILE} is not valid JSON: ${error.message}`);
+  }
+}
+
+/**
+ * Refuse to merge into uncommitted changes, which couldn't be told apart
+ * from the update afterwards
+ */
+function assertCleanWorkTree() {
+  if (git(['status', '--porcelain', '--untracked-files=no']).trim()) {
+    throw new CliError(
+      'There are uncommitted changes. Commit or stash them first, so the update can be reviewed and undone',
+      EXIT_CODES.conflict
+    );
+  }
+}
+
+// Conflicts that can't be marked inside the file get the template's version
+// next to it instead, so nothing is lost when the recorded revision moves on
+const TEMPLATE_COPY_SUFFIX = '.template-new';
+const REMOVED_FROM_TEMPLATE =
+  'removed from the template but changed here, kept; delete it if it is no longer needed';
+
+/**
+ * Decide what happens to one file and stage it
+ *
+ * @returns {{ kind: 'added' | 'updated' | 'merged' | 'removed' | 'conflict', reason?: string } | null}
+ *   `null` when nothing changes
+ */
+function updateFile(path, { base, ours, theirs }, { values, labels, reject, transaction }) {
+  const same = (a, b) => (a === null || b === null ? a === b : a.equals(b));
+  if (same(ours, theirs) || same(theirs, base)) {
+    return null;
+  }
+  const isBinaryFile = [base, ours, theirs].some((content) => content && isBinary(content));
+  if (isBinaryFile && theirs !== null) {
+    transaction.stage(`${path}${TEMPLATE_COPY_SUFFIX}`, theirs);
+    return {
+      kind: 'conflict',
+      reason: `binary file changed in the template, new version in ${path}${TEMPLATE_COPY_SUFFIX}`,
+    };
+  }
+  if (isBinaryFile) {
+    return { kind: 'conflict', reason: REMOVED_FROM_TEMPLATE };
+  }
+
+  const exempt = PLACEHOLDER_EXEMPT_FILES.includes(path);
+  const apply = (content) =>
+    content === null
+      ? null
+      : exempt
+        ? content.toString()
+        : replacePlaceholders(content.toString(), values);
+  const baseText = apply(base);
+  const theirsText = apply(theirs);
+  const oursText = ours === null ? null : ours.toString();
+
+  if (oursText === theirsText || theirsText === baseText) {
+    return null;
+  }
+  if (oursText === baseText) {
+    transaction.stage(path, theirsText, oursText);
+    return { kind: oursText === null ? 'added' : theirsText === null ? 'removed' : 'updated' };
+  }
+  if (theirsText === null) {
+    return { kind: 'conflict', reason: REMOVED_FROM_TEMPLATE };
+  }
+  if (oursText === null) {
+    transaction.stage(`${path}${TEMPLATE_COPY_SUFFIX}`, theirsText);
+    return {
+      kind: 'conflict',
+      reason: `changed in the template but removed here, template version in ${path}${TEMPLATE_COPY_SUFFIX}`,
+    };
+  }
+
+  const merge = mergeText(baseText ?? '', oursText, theirsText, labels);
+  if (merge.conflicts.length === 0) {
+    transaction.stage(path, merge.content, oursText);
+    return { kind: 'merged' };
+  }
+
+  const count = `${merge.conflicts.length} conflicting change(s)`;
+  if (!reject) {
+    transaction.stage(path, merge.content, oursText);
+    return { kind: 'conflict', reason: `${count}, marked in the file` };
+  }
+
+  transaction.stage(path, merge.oursContent, oursText);
+  transaction.stage(`${path}.rej`, formatRejects(path, merge.conflicts));
+  return { kind: 'conflict', reason: `${count}, rejected to ${path}.rej` };
+}
+
+/**
+ * The template changes that couldn't be applied, as hunks against the
+ * template baseline
+ */
+function formatRejects(path, conflicts) {
+  const lines = [`--- a/${path}`, `+++ b/${path}`];
+  for (const { baseStart, base, theirsStart, theirs } of conflicts) {
+    lines.push(hunkHeader(baseStart, base.length, theirsStart, theirs.length));
+    lines.push(...base.map((line) => `-${line}`), ...theirs.map((line) => `+${line}`));
+  }
+  return lines.join('\n') + '\n';
+}
+
+function printSummary(results, { dryRun }) {
+  const groups = [
+    ['added', dryRun ? 'Would add' : 'Added', log.success],
+    ['updated', dryRun ? 'Would update' : 'Updated', log.success],
+    ['merged', dryRun ? 'Would merge' : 'Merged', log.success],
+    ['removed', dryRun ? 'Would remove' : 'Removed', log.success],
+    ['conflict', 'Conflict', log.warn],
+  ];
+
+  for (const [kind, label, write] of groups) {
+    for (const { path, reason } of results.filter((result) => result.kind === kind)) {
+      write(`${label}: ${path}${reason ? ` (${reason})` : ''}`);
+    }
+  }
+
+  const counts = groups
+    .map(([kind]) => [kind, results.filter((result) => result.kind === kind).length])
+    .filter(([, count]) => count > 0)
+    .map(([kind, count]) => `${count} ${kind === 'conflict' ? 'conflicting' : kind}`);
+  console.log();
+  log.info(counts.length > 0 ? `${counts.join(', ')} file(s)` : 'No files to change');
+}
+
+/**
+ * Main execution
+ */
+async function main(argv = process.argv.slice(2)) {
+  try {
+    const options = parseOptions(argv);
+    if (options.help) {
+      console.log(HELP);
+      return;
+    }
+
+    log.header('🔄 Template Update');
+
+    const state = loadState();
+    try {
+      git(['rev-parse', '--git-dir']);
+    } catch {
+      throw new InputError('template:update needs git and must run inside the project repository');
+    }
+    if (!options['dry-run']) {
+      assertCleanWorkTree();
+    }
+
+    const baseRevision = options.base ?? state.template?.revision;
+    if (!baseRevision) {
+      throw new InputError(
+        `${STATE_FILE} doesn't record the template revision this project started from. ` +
+          'Pass it with --base <revision>'
+      );
+    }
+    const base = resolveCommit(baseRevision);
+    if (!base) {
+      throw new InputError(
+        `Template revision ${baseRevision} is not in this repository. ` +
+          'Fetch the template (git fetch <template url>) or pass --base <revision>'
+      );
+    }
+    const target = resolveSource(options.source);
+    if (target === base) {
+      log.success(`Already up to date with ${target.slice(0, 7)}`);
+      return;
+    }
+    log.info(`Merging template changes ${base.slice(0, 7)}..${target.slice(0, 7)}`);
+
+    const baseFiles = readTree(base);
+    const targetFiles = readTree(target);
+    const excluded = [UNINITIALIZED_MARKER, ...options.exclude].map((glob) => globToRegExp(glob));
+    const paths = [...new Set([...baseFiles.keys(), ...targetFiles.keys()])]
+      .filter((path) => !excluded.some((regex) => regex.test(path)))
+      .sort();
+
+    const transaction = new FileTransaction(ROOT_DIR);
+    const context = {
+      values: state.values ?? {},
+      labels: { oursLabel: 'project', theirsLabel: `template ${target.slice(0, 7)}` },
+      reject: options.reject,
+      transaction,
+    };
+    const results = [];
+    for (const path of paths) {
+      const contents = {
+        base: baseFiles.get(path) ?? null,
+        ours: readBufferIfExists(join(ROOT_DIR, ...path.split('/'))),
+        theirs: targetFiles.get(path) ?? null,
+      };
+      const result = updateFile(path, contents, context);
+      if (result) {
+        results.push({ path, ...result });
+      }
+    }
+
+    printSummary(results, { dryRun: options['dry-run'] });
+    if (options['dry-run']) {
+      return;
+    }
+
+    transaction.stage(
+      STATE_FILE,
+      JSON.stringify(
+        {
+          ...state,
+          template: { ...state.template, revision: target, updatedAt: new Date().toISOString() },
+        },
+        null,
+        2
+      )
+    );
+    try {
+      transaction.commit();
+    } catch (error) {
+      if (error instanceof CliError) {
+        throw error;
+      }
+      throw new IoError(`Could not write changes, nothing was modified: ${error.message}`, error);
+    }
+
+    const conflicts = results.filter((result) => result.kind === 'conflict');
+    log.success(`Recorded template revision ${target.slice(0, 7)} in ${STATE_FILE}`);
+    if (conflicts.length > 0) {
+      process.exitCode = EXIT_CODES.conflict;
+      log.warn('Resolve the conflicts listed above before committing.');
+    }
+    log.info(
+      `Review with ${colors.cyan}git diff${colors.reset}, run the tests, then commit the update.\n`
+    );
+  } catch (error) {
+    process.exitCode = exitCodeFor(error);
+    log.error(
+      process.exitCode === EXIT_CODES.failure ? `Update failed: ${error.message}` : error.message
+    );
+    for (const issue of error.issues ?? []) {
+      log.error(`  ${issue.field}: ${issue.message}`);
+    }
+    if (process.exitCode === EXIT_CODES.failure) {
+      console.error(error);
+    }
+  }
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
@@ -0,0 +1,31 @@
+/**
+ * Throwaway project directories for the script tests
+ */
+
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { dirname, join } from 'path';
+
+const projects = [];
+
+/**
+ * Creates a temporary directory holding `files` by relative path; objects are
+ * written as formatted JSON
+ */
+export function createProject(files) {
+  const rootDir = mkdtempSync(join(tmpdir(), 'project-'));
+  projects.push(rootDir);
+  for (const [path, content] of Object.entries(files)) {
+    const file = join(rootDir, ...path.split('/'));
+    mkdirSync(dirname(file), { recursive: true });
+    writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content, null, 2));
+  }
+  return rootDir;
+}
+
+/**
+ * Deletes every project created so far; call from `afterEach`
+ */
+export function removeProjects() {
+  projects.splice(0).forEach((rootDir) => rmSync(rootDir, { recursive: true, force: true }));
+}
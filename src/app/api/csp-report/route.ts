@@ -0,0 +1,25 @@
+import { defineRoute } from '@/lib/api-handler';
+import { HTTP_STATUS } from '@/lib/constants';
+import { createReportDeduper, cspReportBodySchema, normalizeCspReports } from '@/lib/csp-report';
+
+const MAX_REPORT_BYTES = 64 * 1024;
+
+const isNewViolation = createReportDeduper();
+
+/**
+ * POST /api/csp-report
+ * Receives CSP violation reports (`report-uri` and Reporting API formats)
+ */
+export const POST = defineRoute(
+  { body: cspReportBodySchema },
+  async ({ body, logger }) => {
+    for (const violation of normalizeCspReports(body)) {
+      if (isNewViolation(violation)) {
+        logger.warn('CSP violation', violation);
+      }
+    }
+
+    return new Response(null, { status: HTTP_STATUS.NO_CONTENT });
+  },
+  { maxBodyBytes: MAX_REPORT_BYTES }
+);
@@ -0,0 +1,10 @@
+import { withApiHandler } from '@/lib/api-handler';
+import { healthRegistry, toHealthResponse } from '@/lib/health';
+
+export const dynamic = 'force-dynamic';
+
+/**
+ * GET /api/health/live
+ * Liveness probe: answers as long as the process is up
+ */
+export const GET = withApiHandler(async () => toHealthResponse(healthRegistry.live()));
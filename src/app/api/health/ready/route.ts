@@ -0,0 +1,10 @@
+import { withApiHandler } from '@/lib/api-handler';
+import { healthRegistry, toHealthResponse } from '@/lib/health';
+
+export const dynamic = 'force-dynamic';
+
+/**
+ * GET /api/health/ready
+ * Readiness probe: runs every registered dependency check
+ */
+export const GET = withApiHandler(async () => toHealthResponse(await healthRegistry.ready()));
@@ -1,15 +1,10 @@
-import { NextResponse } from 'next/server';
+import { withApiHandler } from '@/lib/api-handler';
+import { healthRegistry, toHealthResponse } from '@/lib/health';
 
-export async function GET() {
-  try {
-    // Example API route
-    const data = {
-      message: 'Hello from API',
-      timestamp: new Date().toISOString(),
-    };
+export const dynamic = 'force-dynamic';
 
-    return NextResponse.json(data);
-  } catch {
-    return NextResponse.json({ error: 'Internal Server Error' }, { status: 500 });
-  }
-}
+/**
+ * GET /api/health
+ * Alias of the readiness probe
+ */
+export const GET = withApiHandler(async () => toHealthResponse(await healthRegistry.ready()));
@@ -0,0 +1,79 @@
+// @vitest-environment node
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { createSessionPayload, sealSession, sessionCookieName, type Role } from '@/lib/session';
+import { userRepository } from '@/lib/users';
+import { DELETE, GET, PATCH } from './route';
+
+const cookieStore = new Map<string, string>();
+
+vi.mock('next/headers', () => ({
+  cookies: async () => ({
+    get: (name: string) =>
+      cookieStore.has(name) ? { name, value: cookieStore.get(name) } : undefined,
+  }),
+}));
+
+vi.mock('@/lib/env', async (importOriginal) => {
+  const { env } = await importOriginal<typeof import('@/lib/env')>();
+  return { env: { ...env, SESSION_SECRET: 'test-secret-that-is-at-least-32-chars' } };
+});
+
+async function signIn(roles: Role[]) {
+  const session = createSessionPayload({ id: 'user-1', roles });
+  cookieStore.set(sessionCookieName(), await sealSession(session));
+}
+
+describe('/api/users/:id', () => {
+  let id: string;
+  let context: { params: Promise<{ id: string }> };
+  const url = () => `http://localhost/api/users/${id}`;
+
+  beforeEach(async () => {
+    cookieStore.clear();
+    ({ id } = await userRepository.create({
+      name: 'Ada',
+      email: `ada-${crypto.randomUUID()}@example.com`,
+    }));
+    context = { params: Promise.resolve({ id }) };
+  });
+
+  it('should require a signed-in user to read a user', async () => {
+    expect((await GET(new Request(url()), context)).status).toBe(401);
+
+    await signIn(['user']);
+    expect((await GET(new Request(url()), context)).status).toBe(200);
+  });
+
+  it('should only let admins update users', async () => {
+    const patch = () =>
+      PATCH(
+        new Request(url(), {
+          method: 'PATCH',
+          headers: { 'content-type': 'application/json' },
+          body: JSON.stringify({ name: 'Grace', version: 1 }),
+        }),
+        context
+      );
+
+    expect((await patch()).status).toBe(401);
+
+    await signIn(['user']);
+    expect((await patch()).status).toBe(403);
+
+    await signIn(['admin']);
+    expect((await patch()).status).toBe(200);
+  });
+
+  it('should only let admins delete users', async () => {
+    const remove = () => DELETE(new Request(url(), { method: 'DELETE' }), context);
+
+    expect((await remove()).status).toBe(401);
+
+    await signIn(['user']);
+    expect((await remove()).status).toBe(403);
+    expect(await userRepository.findById(id)).not.toBeNull();
+
+    await signIn(['admin']);
+    expect((await remove()).status).toBe(204);
+  });
+});
@@ -0,0 +1,56 @@
+import { z } from 'zod';
+import { defineRoute } from '@/lib/api-handler';
+import { requireRole, requireUser } from '@/lib/auth';
+import { HTTP_STATUS } from '@/lib/constants';
+import { NotFoundError } from '@/lib/errors';
+import { userRepository } from '@/lib/users';
+import { updateUserSchema } from '@/lib/validation';
+
+export const dynamic = 'force-dynamic';
+
+const paramsSchema = z.object({ id: z.uuid() });
+const adminOnly = { authorize: () => requireRole('admin') };
+
+/**
+ * GET /api/users/:id
+ * Requires a signed-in user
+ */
+export const GET = defineRoute(
+  { params: paramsSchema },
+  async ({ params }) => {
+    const user = await userRepository.findById(params.id);
+    if (!user) {
+      throw new NotFoundError('User');
+    }
+    return user;
+  },
+  { authorize: requireUser }
+);
+
+/**
+ * PATCH /api/users/:id
+ * Updates a user. `version` must match the stored version, otherwise the
+ * update lost a race with another write and fails with 409. Admins only.
+ */
+export const PATCH = defineRoute(
+  { params: paramsSchema, body: updateUserSchema },
+  async ({ params, body: { version, ...patch } }) =>
+    userRepository.update(params.id, patch, { expectedVersion: version }),
+  adminOnly
+);
+
+/**
+ * DELETE /api/users/:id?version=N
+ * Deletes a user; `version` is optional and checked like on PATCH. Admins only.
+ */
+export const DELETE = defineRoute(
+  {
+    params: paramsSchema,
+    query: z.object({ version: z.coerce.number().int().positive().optional() }),
+  },
+  async ({ params, query }) => {
+    await userRepository.delete(params.id, { expectedVersion: query.version });
+    return new Response(null, { status: HTTP_STATUS.NO_CONTENT });
+  },
+  adminOnly
+);
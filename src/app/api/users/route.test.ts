@@ -0,0 +1,68 @@
+// @vitest-environment node
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { createSessionPayload, sealSession, sessionCookieName, type Role } from '@/lib/session';
+import { GET, POST } from './route';
+
+const cookieStore = new Map<string, string>();
+
+vi.mock('next/headers', () => ({
+  cookies: async () => ({
+    get: (name: string) =>
+      cookieStore.has(name) ? { name, value: cookieStore.get(name) } : undefined,
+  }),
+}));
+
+vi.mock('@/lib/env', async (importOriginal) => {
+  const { env } = await importOriginal<typeof import('@/lib/env')>();
+  return { env: { ...env, SESSION_SECRET: 'test-secret-that-is-at-least-32-chars' } };
+});
+
+async function signIn(roles: Role[]) {
+  const session = createSessionPayload({ id: 'user-1', roles });
+  cookieStore.set(sessionCookieName(), await sealSession(session));
+}
+
+const noParams = { params: Promise.resolve({}) };
+
+function createRequest(email: string) {
+  return new Request('http://localhost/api/users', {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ name: 'Ada', email }),
+  });
+}
+
+describe('/api/users', () => {
+  beforeEach(() => {
+    cookieStore.clear();
+  });
+
+  it('should require a signed-in user to list users', async () => {
+    const anonymous = await GET(new Request('http://localhost/api/users'), noParams);
+    expect(anonymous.status).toBe(401);
+
+    await signIn(['user']);
+    const signedIn = await GET(new Request('http://localhost/api/users'), noParams);
+    expect(signedIn.status).toBe(200);
+  });
+
+  it('should only let admins create users', async () => {
+    expect((await POST(createRequest('anon@example.com'), noParams)).status).toBe(401);
+
+    await signIn(['user']);
+    expect((await POST(createRequest('user@example.com'), noParams)).status).toBe(403);
+
+    await signIn(['admin']);
+    expect((await POST(createRequest('admin@example.com'), noParams)).status).toBe(201);
+  });
+
+  it('should check the session before validating the body', async () => {
+    expect((await POST(createRequest('not-an-email'), noParams)).status).toBe(401);
+
+    await signIn(['user']);
+    expect((await POST(createRequest('not-an-email'), noParams)).status).toBe(403);
+
+    await signIn(['admin']);
+    expect((await POST(createRequest('not-an-email'), noParams)).status).toBe(400);
+  });
+});
@@ -0,0 +1,50 @@
+import { NextResponse } from 'next/server';
+import { z } from 'zod';
+import { defineRoute } from '@/lib/api-handler';
+import { requireRole, requireUser } from '@/lib/auth';
+import { HTTP_STATUS } from '@/lib/constants';
+import { buildLinkHeader, offsetPageLinks, offsetPaginationSchema } from '@/lib/pagination';
+import { userRepository } from '@/lib/users';
+import { createUserSchema } from '@/lib/validation';
+
+export const dynamic = 'force-dynamic';
+
+const listUsersQuerySchema = offsetPaginationSchema().extend({
+  sort: z.enum(['name', 'email', 'createdAt', 'updatedAt']).optional(),
+  order: z.enum(['asc', 'desc']).default('asc'),
+  q: z.string().max(100).optional(),
+  email: z.email().optional(),
+});
+
+/**
+ * GET /api/users
+ * Lists users as a `PaginatedResponse<User>`, with search, filtering, sorting
+ * and a `Link` header to the neighbouring pages. Requires a signed-in user.
+ */
+export const GET = defineRoute(
+  { query: listUsersQuerySchema },
+  async ({ query, request }) => {
+    const result = await userRepository.list({
+      page: query.page,
+      limit: query.limit,
+      search: query.q,
+      filter: { email: query.email },
+      sort: query.sort ? { field: query.sort, direction: query.order } : undefined,
+    });
+
+    return NextResponse.json(result, {
+      headers: { Link: buildLinkHeader(offsetPageLinks(request.url, result.pagination)) },
+    });
+  },
+  { authorize: requireUser }
+);
+
+/**
+ * POST /api/users
+ * Creates a user. Admins only.
+ */
+export const POST = defineRoute(
+  { body: createUserSchema },
+  async ({ body }) => userRepository.create(body),
+  { status: HTTP_STATUS.CREATED, authorize: () => requireRole('admin') }
+);
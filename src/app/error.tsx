@@ -1,5 +1,8 @@
 'use client';
 
+import { Button } from '@/components/button';
+import { useTranslations } from '@/components/locale-provider';
+
 export default function Error({
   error,
   reset,
@@ -7,16 +10,13 @@ export default function Error({
   error: Error & { digest?: string };
   reset: () => void;
 }) {
+  const t = useTranslations();
+
   return (
     <div className="flex min-h-screen flex-col items-center justify-center p-24">
-      <h2 className="mb-4 text-2xl font-bold">Something went wrong!</h2>
-      <p className="mb-4 text-gray-600">{error.message}</p>
-      <button
-        onClick={reset}
-        className="rounded-lg bg-blue-500 px-4 py-2 text-white hover:bg-blue-600"
-      >
-        Try again
-      </button>
+      <h2 className="mb-4 text-2xl font-bold">{t('error.title')}</h2>
+      <p className="mb-4 text-muted-foreground">{error.message}</p>
+      <Button onClick={reset}>{t('error.retry')}</Button>
     </div>
   );
 }
@@ -1,5 +1,19 @@
 import type { Metadata } from 'next';
 import { Inter } from 'next/font/google';
+import { ConfirmDialog } from '@/components/confirm-dialog';
+import { CsrfProvider } from '@/components/csrf-field';
+import { FlagsProvider } from '@/components/feature-flags';
+import { LocaleProvider } from '@/components/locale-provider';
+import { NonceProvider } from '@/components/nonce-provider';
+import { ThemeProvider } from '@/components/theme-provider';
+import { ThemeScript } from '@/components/theme-script';
+import { Toaster } from '@/components/toaster';
+import { getCsrfToken } from '@/lib/csrf-server';
+import { getPublicFlags } from '@/lib/flags-server';
+import { getLocale } from '@/lib/i18n-server';
+import { getNonce } from '@/lib/nonce';
+import { getTheme } from '@/lib/theme-server';
+import { loadMessages } from '@/messages';
 import '@/styles/globals.css';
 
 const inter = Inter({ subsets: ['latin'] });
@@ -9,14 +23,41 @@ export const metadata: Metadata = {
   description: 'DESCRIPTION',
 };
 
-export default function RootLayout({
+export default async function RootLayout({
   children,
 }: Readonly<{
   children: React.ReactNode;
 }>) {
+  const [nonce, csrfToken, locale, theme, flags] = await Promise.all([
+    getNonce(),
+    getCsrfToken(),
+    getLocale(),
+    getTheme(),
+    getPublicFlags(),
+  ]);
+  const messages = await loadMessages(locale);
+
   return (
-    <html lang="en">
-      <body className={inter.className}>{children}</body>
+    // The theme script may change the class before hydration
+    <html lang={locale} className={theme === 'system' ? undefined : theme} suppressHydrationWarning>
+      <head>
+        <ThemeScript nonce={nonce} />
+      </head>
+      <body className={inter.className}>
+        <NonceProvider nonce={nonce}>
+          <CsrfProvider token={csrfToken}>
+            <LocaleProvider locale={locale} messages={messages}>
+              <FlagsProvider flags={flags}>
+                <ThemeProvider initialTheme={theme}>
+                  {children}
+                  <Toaster />
+                  <ConfirmDialog />
+                </ThemeProvider>
+              </FlagsProvider>
+            </LocaleProvider>
+          </CsrfProvider>
+        </NonceProvider>
+      </body>
     </html>
   );
 }
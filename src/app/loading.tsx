@@ -1,8 +1,12 @@
-export default function Loading() {
+import { getTranslations } from '@/lib/i18n-server';
+
+export default async function Loading() {
+  const t = await getTranslations();
+
   return (
     <div className="flex min-h-screen flex-col items-center justify-center p-24">
-      <div className="h-12 w-12 animate-spin rounded-full border-b-2 border-gray-900"></div>
-      <p className="mt-4 text-gray-600">Loading...</p>
+      <div className="h-12 w-12 animate-spin rounded-full border-b-2 border-foreground"></div>
+      <p className="mt-4 text-muted-foreground">{t('common.loading')}</p>
     </div>
   );
 }
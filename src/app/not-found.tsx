@@ -1,8 +1,12 @@
-export default function NotFound() {
+import { getTranslations } from '@/lib/i18n-server';
+
+export default async function NotFound() {
+  const t = await getTranslations();
+
   return (
     <div className="flex min-h-screen flex-col items-center justify-center p-24">
-      <h2 className="mb-4 text-2xl font-bold">404 - Page Not Found</h2>
-      <p className="text-gray-600">The page you are looking for does not exist.</p>
+      <h2 className="mb-4 text-2xl font-bold">{t('notFound.title')}</h2>
+      <p className="text-muted-foreground">{t('notFound.description')}</p>
     </div>
   );
 }
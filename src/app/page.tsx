@@ -1,41 +1,46 @@
-export default function HomePage() {
+import { ThemeToggle } from '@/components/theme-toggle';
+import { APP_NAME } from '@/lib/constants';
+import { getTranslations } from '@/lib/i18n-server';
+
+export default async function HomePage() {
+  const t = await getTranslations();
+
   return (
-    <main className="flex min-h-screen flex-col items-center justify-center p-24">
+    <main className="relative flex min-h-screen flex-col items-center justify-center p-24">
+      <ThemeToggle className="absolute right-6 top-6" />
       <div className="z-10 w-full max-w-5xl items-center justify-between font-mono text-sm">
-        <h1 className="mb-4 text-4xl font-bold">Welcome to PROJECT_NAME</h1>
-        <p className="mb-8 text-lg">
-          A modern Next.js + TypeScript template with best practices built-in.
-        </p>
+        <h1 className="mb-4 text-4xl font-bold">{t('home.title', { name: APP_NAME })}</h1>
+        <p className="mb-8 text-lg">{t('home.description')}</p>
 
         <div className="grid gap-4 md:grid-cols-2 lg:grid-cols-3">
           <div className="rounded-lg border p-4">
             <h2 className="mb-2 font-semibold">TypeScript</h2>
-            <p className="text-sm text-gray-600">Fully typed with strict mode enabled</p>
+            <p className="text-sm text-muted-foreground">Fully typed with strict mode enabled</p>
           </div>
 
           <div className="rounded-lg border p-4">
             <h2 className="mb-2 font-semibold">Tailwind CSS</h2>
-            <p className="text-sm text-gray-600">Utility-first CSS framework</p>
+            <p className="text-sm text-muted-foreground">Utility-first CSS framework</p>
           </div>
 
           <div className="rounded-lg border p-4">
             <h2 className="mb-2 font-semibold">Testing</h2>
-            <p className="text-sm text-gray-600">Vitest for fast unit tests</p>
+            <p className="text-sm text-muted-foreground">Vitest for fast unit tests</p>
           </div>
 
           <div className="rounded-lg border p-4">
             <h2 className="mb-2 font-semibold">Code Quality</h2>
-            <p className="text-sm text-gray-600">ESLint + Prettier configured</p>
+            <p className="text-sm text-muted-foreground">ESLint + Prettier configured</p>
           </div>
 
           <div className="rounded-lg border p-4">
             <h2 className="mb-2 font-semibold">CI/CD</h2>
-            <p className="text-sm text-gray-600">GitHub Actions workflows</p>
+            <p className="text-sm text-muted-foreground">GitHub Actions workflows</p>
           </div>
 
           <div className="rounded-lg border p-4">
             <h2 className="mb-2 font-semibold">Git Hooks</h2>
-            <p className="text-sm text-gray-600">Husky + lint-staged</p>
+            <p className="text-sm text-muted-foreground">Husky + lint-staged</p>
           </div>
         </div>
       </div>
@@ -1,5 +1,6 @@
-import { describe, it, expect } from 'vitest';
-import { render, screen } from '@testing-library/react';
+import { describe, it, expect, vi } from 'vitest';
+import { createRef } from 'react';
+import { fireEvent, render, screen } from '@testing-library/react';
 import { Button } from './button';
 
 describe('Button', () => {
@@ -11,13 +12,13 @@ describe('Button', () => {
   it('should apply primary variant by default', () => {
     render(<Button>Click me</Button>);
     const button = screen.getByText('Click me');
-    expect(button).toHaveClass('bg-blue-600');
+    expect(button).toHaveClass('bg-primary');
   });
 
   it('should apply secondary variant styles', () => {
     render(<Button variant="secondary">Click me</Button>);
     const button = screen.getByText('Click me');
-    expect(button).toHaveClass('bg-gray-600');
+    expect(button).toHaveClass('bg-secondary');
   });
 
   it('should apply custom className', () => {
@@ -26,9 +27,126 @@ describe('Button', () => {
     expect(button).toHaveClass('custom-class');
   });
 
+  it('should let className override variant styles', () => {
+    render(<Button className="bg-danger px-8">Click me</Button>);
+    const button = screen.getByText('Click me');
+    expect(button).toHaveClass('bg-danger', 'px-8', 'py-2');
+    expect(button).not.toHaveClass('bg-primary');
+    expect(button).not.toHaveClass('px-4');
+  });
+
   it('should render as button type by default', () => {
     render(<Button>Click me</Button>);
     const button = screen.getByText('Click me');
     expect(button).toHaveAttribute('type', 'button');
   });
+
+  it('should pass native attributes through', () => {
+    render(
+      <Button type="submit" name="intent" value="save" form="post-form" aria-label="Save post">
+        Save
+      </Button>
+    );
+    const button = screen.getByRole('button', { name: 'Save post' });
+    expect(button).toHaveAttribute('type', 'submit');
+    expect(button).toHaveAttribute('name', 'intent');
+    expect(button).toHaveAttribute('form', 'post-form');
+  });
+
+  it('should forward refs', () => {
+    const ref = createRef<HTMLButtonElement>();
+    render(<Button ref={ref}>Click me</Button>);
+    expect(ref.current).toBe(screen.getByRole('button'));
+  });
+
+  it('should show a spinner and block clicks while loading', () => {
+    const onClick = vi.fn();
+    const { container } = render(
+      <Button loading onClick={onClick}>
+        Saving
+      </Button>
+    );
+    const button = screen.getByRole('button', { name: 'Saving' });
+
+    fireEvent.click(button);
+
+    expect(onClick).not.toHaveBeenCalled();
+    expect(button).toHaveAttribute('aria-busy', 'true');
+    expect(button).toBeDisabled();
+    expect(container.querySelector('svg')).toHaveAttribute('aria-hidden', 'true');
+  });
+
+  it('should render icons around the label', () => {
+    render(
+      <Button leftIcon={<span data-testid="left" />} rightIcon={<span data-testid="right" />}>
+        Next
+      </Button>
+    );
+    const button = screen.getByRole('button', { name: 'Next' });
+    expect(button.firstChild).toBe(screen.getByTestId('left'));
+    expect(button.lastChild).toBe(screen.getByTestId('right'));
+  });
+
+  it('should render as a link with href', () => {
+    render(
+      <Button href="/settings" variant="ghost">
+        Settings
+      </Button>
+    );
+    const link = screen.getByRole('link', { name: 'Settings' });
+    expect(link).toHaveAttribute('href', '/settings');
+    expect(link).toHaveClass('hover:bg-accent');
+  });
+
+  it('should render a disabled link without href', () => {
+    render(
+      <Button href="/settings" disabled>
+        Settings
+      </Button>
+    );
+    const link = screen.getByRole('link', { name: 'Settings' });
+    expect(link).not.toHaveAttribute('href');
+    expect(link).toHaveAttribute('aria-disabled', 'true');
+  });
+
+  it('should keep attributes but not navigation on a loading link', () => {
+    const onClick = vi.fn();
+    render(
+      <Button
+        href="/settings"
+        loading
+        aria-label="Open settings"
+        data-testid="settings-link"
+        target="_blank"
+        onClick={onClick}
+      >
+        <svg aria-hidden="true" />
+      </Button>
+    );
+    const link = screen.getByRole('link', { name: 'Open settings' });
+
+    fireEvent.click(link);
+
+    expect(link).toHaveAttribute('data-testid', 'settings-link');
+    expect(link).toHaveAttribute('target', '_blank');
+    expect(link).not.toHaveAttribute('href');
+    expect(onClick).not.toHaveBeenCalled();
+  });
+
+  it('should merge props into its child with asChild', () => {
+    const onClick = vi.fn();
+    render(
+      <Button asChild variant="danger" onClick={onClick}>
+        <a href="/delete" className="extra">
+          Delete
+        </a>
+      </Button>
+    );
+    const link = screen.getByRole('link', { name: 'Delete' });
+
+    fireEvent.click(link);
+
+    expect(link).toHaveClass('bg-danger', 'extra');
+    expect(onClick).toHaveBeenCalledOnce();
+  });
 });
@@ -1,51 +1,161 @@
-import { ReactNode } from 'react';
-
-interface ButtonProps {
-  children: ReactNode;
-  variant?: 'primary' | 'secondary' | 'outline';
-  size?: 'sm' | 'md' | 'lg';
-  disabled?: boolean;
-  onClick?: () => void;
-  type?: 'button' | 'submit' | 'reset';
-  className?: string;
+import Link from 'next/link';
+import type { ComponentProps, ReactNode } from 'react';
+import { Slot } from '@/components/slot';
+import { variants, type VariantProps } from '@/lib/variants';
+
+export const buttonVariants = variants({
+  base: 'inline-flex items-center justify-center gap-2 rounded-lg font-medium ring-offset-background transition-colors focus:outline-none focus-visible:ring-2 focus-visible:ring-ring focus-visible:ring-offset-2',
+  variants: {
+    variant: {
+      primary: 'bg-primary text-primary-foreground hover:bg-primary/90',
+      secondary: 'bg-secondary text-secondary-foreground hover:bg-secondary/80',
+      outline: 'border-2 border-primary text-primary hover:bg-primary/10',
+      danger: 'bg-danger text-danger-foreground hover:bg-danger/90',
+      ghost: 'text-foreground hover:bg-accent hover:text-accent-foreground',
+      link: 'text-primary underline-offset-4 hover:underline',
+    },
+    size: {
+      sm: 'px-3 py-1.5 text-sm',
+      md: 'px-4 py-2 text-base',
+      lg: 'px-6 py-3 text-lg',
+    },
+    inactive: {
+      true: 'pointer-events-none cursor-not-allowed opacity-50',
+    },
+  },
+  defaultVariants: { variant: 'primary', size: 'md' },
+  compoundVariants: [{ variant: 'link', className: 'p-0' }],
+});
+
+interface ButtonOwnProps extends Omit<VariantProps<typeof buttonVariants>, 'inactive'> {
+  /** Shows a spinner, sets `aria-busy` and blocks clicks */
+  loading?: boolean;
+  /** Icon before the label; replaced by the spinner while loading */
+  leftIcon?: ReactNode;
+  rightIcon?: ReactNode;
+  /** Renders the only child (e.g. a `<Link>`) with the button's styles and props */
+  asChild?: boolean;
 }
 
-export function Button({
-  children,
-  variant = 'primary',
-  size = 'md',
-  disabled = false,
-  onClick,
-  type = 'button',
-  className = '',
-}: ButtonProps) {
-  const baseStyles = 'rounded-lg font-medium transition-colors focus:outline-none focus:ring-2';
-
-  const variantStyles = {
-    primary: 'bg-blue-600 text-white hover:bg-blue-700 focus:ring-blue-500',
-    secondary: 'bg-gray-600 text-white hover:bg-gray-700 focus:ring-gray-500',
-    outline: 'border-2 border-blue-600 text-blue-600 hover:bg-blue-50 focus:ring-blue-500',
-  };
+type ButtonAsButton = ButtonOwnProps & ComponentProps<'button'> & { href?: undefined };
 
-  const sizeStyles = {
-    sm: 'px-3 py-1.5 text-sm',
-    md: 'px-4 py-2 text-base',
-    lg: 'px-6 py-3 text-lg',
+type ButtonAsLink = ButtonOwnProps &
+  Omit<ComponentProps<typeof Link>, 'href'> & {
+    /** Renders a `next/link` styled as a button */
+    href: ComponentProps<typeof Link>['href'];
+    disabled?: boolean;
   };
 
-  const disabledStyles = 'opacity-50 cursor-not-allowed';
-
-  const combinedStyles = `
-    ${baseStyles}
-    ${variantStyles[variant]}
-    ${sizeStyles[size]}
-    ${disabled ? disabledStyles : ''}
-    ${className}
-  `.trim();
+export type ButtonProps = ButtonAsButton | ButtonAsLink;
 
+function Spinner() {
   return (
-    <button type={type} className={combinedStyles} onClick={onClick} disabled={disabled}>
+    <svg className="h-4 w-4 animate-spin" viewBox="0 0 24 24" fill="none" aria-hidden="true">
+      <circle cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4" className="opacity-25" />
+      <path fill="currentColor" d="M4 12a8 8 0 018-8v4a4 4 0 00-4 4H4z" className="opacity-75" />
+    </svg>
+  );
+}
+
+/**
+ * Button with variants, a loading state and icon slots
+ *
+ * Accepts every native `<button>` prop, including `ref`. Pass `href` to
+ * render a `next/link`, or `asChild` to style another element.
+ *
+ * @example
+ * ```tsx
+ * <Button type="submit" loading={pending}>Save</Button>
+ * <Button href="/settings" variant="ghost" leftIcon={<GearIcon />}>Settings</Button>
+ * <Button asChild><a href="/report.pdf" download>Download</a></Button>
+ * ```
+ */
+export function Button(props: ButtonProps) {
+  const {
+    variant,
+    size,
+    loading = false,
+    leftIcon,
+    rightIcon,
+    asChild = false,
+    disabled = false,
+    className,
+    children,
+    ...rest
+  } = props;
+
+  const inactive = disabled || loading;
+  const classes = buttonVariants({ variant, size, inactive, className });
+
+  if (asChild) {
+    return (
+      <Slot
+        {...(rest as ComponentProps<typeof Slot>)}
+        className={classes}
+        aria-busy={loading || undefined}
+        aria-disabled={inactive || undefined}
+        tabIndex={inactive ? -1 : undefined}
+      >
+        {children}
+      </Slot>
+    );
+  }
+
+  const content = (
+    <>
+      {loading ? <Spinner /> : leftIcon}
       {children}
+      {rightIcon}
+    </>
+  );
+
+  if (rest.href !== undefined) {
+    const { href, ...linkProps } = rest as ButtonAsLink;
+    if (inactive) {
+      // Everything but navigation: a link without `href` can't be followed,
+      // but keeps its name, test IDs and the like and is announced as a link
+      const {
+        as: _as,
+        replace: _replace,
+        scroll: _scroll,
+        shallow: _shallow,
+        passHref: _passHref,
+        prefetch: _prefetch,
+        locale: _locale,
+        legacyBehavior: _legacyBehavior,
+        onClick: _onClick,
+        onNavigate: _onNavigate,
+        ...anchorProps
+      } = linkProps;
+      return (
+        <a
+          {...anchorProps}
+          role="link"
+          aria-disabled="true"
+          aria-busy={loading || undefined}
+          className={classes}
+        >
+          {content}
+        </a>
+      );
+    }
+    return (
+      <Link href={href} {...linkProps} className={classes}>
+        {content}
+      </Link>
+    );
+  }
+
+  const { type = 'button', ...buttonProps } = rest as ComponentProps<'button'>;
+  return (
+    <button
+      type={type}
+      {...buttonProps}
+      className={classes}
+      disabled={inactive}
+      aria-busy={loading || undefined}
+    >
+      {content}
     </button>
   );
 }
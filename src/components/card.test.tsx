@@ -0,0 +1,48 @@
+import { describe, it, expect, vi } from 'vitest';
+import { fireEvent, render, screen } from '@testing-library/react';
+import { Card } from './card';
+
+describe('Card', () => {
+  it('should render a title at the chosen heading level', () => {
+    render(
+      <Card title="Usage" titleAs="h2">
+        Content
+      </Card>
+    );
+    expect(screen.getByRole('heading', { level: 2, name: 'Usage' })).toBeInTheDocument();
+  });
+
+  it('should compose header, body and footer', () => {
+    render(
+      <Card>
+        <Card.Header>
+          <Card.Title>Plan</Card.Title>
+          <Card.Description>Billed monthly</Card.Description>
+        </Card.Header>
+        <Card.Body>Body</Card.Body>
+        <Card.Footer>Footer</Card.Footer>
+      </Card>
+    );
+    expect(screen.getByRole('heading', { level: 3, name: 'Plan' })).toBeInTheDocument();
+    expect(screen.getByText('Billed monthly')).toBeInTheDocument();
+    expect(screen.getByText('Footer')).toHaveClass('relative');
+  });
+
+  it('should link the whole card through its title', () => {
+    const { container } = render(<Card title="Post" href="/posts/1" />);
+
+    const link = screen.getByRole('link', { name: 'Post' });
+    expect(link).toHaveAttribute('href', '/posts/1');
+    expect(link).toHaveClass('after:inset-0');
+    expect(container.firstChild).toHaveClass('relative');
+  });
+
+  it('should make the title a button with onClick', () => {
+    const onClick = vi.fn();
+    render(<Card title="Select plan" onClick={onClick} />);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Select plan' }));
+
+    expect(onClick).toHaveBeenCalledOnce();
+  });
+});
@@ -1,16 +1,143 @@
-import { ReactNode } from 'react';
+import Link from 'next/link';
+import type { ComponentProps, MouseEventHandler, ReactNode } from 'react';
+import { cn } from '@/lib/utils';
+import { variants } from '@/lib/variants';
 
-interface CardProps {
-  children: ReactNode;
-  title?: string;
-  className?: string;
+type HeadingLevel = 'h1' | 'h2' | 'h3' | 'h4' | 'h5' | 'h6';
+
+export const cardVariants = variants({
+  base: 'rounded-lg border border-border bg-surface p-6 text-surface-foreground shadow-sm',
+  variants: {
+    interactive: {
+      true: 'relative transition-shadow focus-within:ring-2 focus-within:ring-ring hover:shadow-md',
+    },
+  },
+});
+
+/** Stretches the title's link or button over the whole card */
+const stretchedStyles =
+  'text-left after:absolute after:inset-0 after:rounded-lg after:content-[""] focus:outline-none';
+
+interface CardTitleProps extends Omit<ComponentProps<'h3'>, 'onClick'> {
+  /** Heading level, so the card fits the page outline */
+  as?: HeadingLevel;
+  /** Makes the whole card a link to `href` */
+  href?: ComponentProps<typeof Link>['href'];
+  /** Makes the whole card a button */
+  onClick?: MouseEventHandler<HTMLButtonElement>;
 }
 
-export function Card({ children, title, className = '' }: CardProps) {
+/**
+ * Card heading. With `href` or `onClick` the title becomes the card's link or
+ * button, stretched over the card, so the accessible name stays the title
+ * text and other controls inside the card remain reachable.
+ */
+function CardTitle({
+  as: Heading = 'h3',
+  href,
+  onClick,
+  className,
+  children,
+  ...props
+}: CardTitleProps) {
+  let content = children;
+  if (href !== undefined) {
+    content = (
+      <Link href={href} className={stretchedStyles}>
+        {children}
+      </Link>
+    );
+  } else if (onClick) {
+    content = (
+      <button type="button" onClick={onClick} className={stretchedStyles}>
+        {children}
+      </button>
+    );
+  }
+
   return (
-    <div className={`rounded-lg border bg-white p-6 shadow-sm ${className}`}>
-      {title && <h3 className="mb-4 text-xl font-semibold">{title}</h3>}
+    <Heading className={cn('text-xl font-semibold', className)} {...props}>
+      {content}
+    </Heading>
+  );
+}
+
+function CardHeader({ className, ...props }: ComponentProps<'div'>) {
+  return <div className={cn('mb-4 space-y-1', className)} {...props} />;
+}
+
+function CardDescription({ className, ...props }: ComponentProps<'p'>) {
+  return <p className={cn('text-sm text-muted-foreground', className)} {...props} />;
+}
+
+function CardBody({ className, ...props }: ComponentProps<'div'>) {
+  return <div className={className} {...props} />;
+}
+
+/**
+ * Actions row; sits above a clickable card's stretched title so its own
+ * controls stay clickable
+ */
+function CardFooter({ className, ...props }: ComponentProps<'div'>) {
+  return <div className={cn('relative mt-4 flex items-center gap-2', className)} {...props} />;
+}
+
+interface CardProps extends Omit<ComponentProps<'div'>, 'title' | 'onClick'> {
+  /** Shorthand for a `Card.Header` with a `Card.Title` */
+  title?: ReactNode;
+  /** Heading level of `title` */
+  titleAs?: HeadingLevel;
+  /** Makes the whole card a link; requires `title` */
+  href?: CardTitleProps['href'];
+  /** Makes the whole card a button; requires `title` */
+  onClick?: CardTitleProps['onClick'];
+  /** Hover and focus styles for cards composed with a clickable `Card.Title` */
+  interactive?: boolean;
+}
+
+/**
+ * Content container, composable from `Card.Header`, `Card.Title`,
+ * `Card.Description`, `Card.Body` and `Card.Footer`
+ *
+ * @example
+ * ```tsx
+ * <Card interactive>
+ *   <Card.Header>
+ *     <Card.Title as="h2" href={`/posts/${post.id}`}>{post.title}</Card.Title>
+ *     <Card.Description>{post.summary}</Card.Description>
+ *   </Card.Header>
+ *   <Card.Footer>
+ *     <Button variant="ghost" onClick={share}>Share</Button>
+ *   </Card.Footer>
+ * </Card>
+ * ```
+ */
+export function Card({
+  children,
+  title,
+  titleAs,
+  href,
+  onClick,
+  interactive = href !== undefined || onClick !== undefined,
+  className,
+  ...props
+}: CardProps) {
+  return (
+    <div className={cardVariants({ interactive, className })} {...props}>
+      {title && (
+        <CardHeader>
+          <CardTitle as={titleAs} href={href} onClick={onClick}>
+            {title}
+          </CardTitle>
+        </CardHeader>
+      )}
       {children}
     </div>
   );
 }
+
+Card.Header = CardHeader;
+Card.Title = CardTitle;
+Card.Description = CardDescription;
+Card.Body = CardBody;
+Card.Footer = CardFooter;
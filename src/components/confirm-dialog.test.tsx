@@ -0,0 +1,64 @@
+import { describe, it, expect } from 'vitest';
+import { act, render, screen, fireEvent } from '@testing-library/react';
+import { confirm, ConfirmDialog } from './confirm-dialog';
+
+describe('confirm', () => {
+  it('should reject when no ConfirmDialog is rendered', async () => {
+    await expect(confirm({ title: 'Delete?' })).rejects.toThrow('ConfirmDialog');
+  });
+
+  it('should resolve true when confirmed', async () => {
+    render(<ConfirmDialog />);
+
+    let result!: Promise<boolean>;
+    act(() => {
+      result = confirm({ title: 'Delete project?', confirmLabel: 'Delete', destructive: true });
+    });
+
+    expect(screen.getByRole('alertdialog')).toHaveAccessibleName('Delete project?');
+    expect(screen.getByRole('button', { name: 'Cancel' })).toHaveFocus();
+    fireEvent.click(screen.getByRole('button', { name: 'Delete' }));
+
+    await expect(result).resolves.toBe(true);
+    expect(screen.queryByRole('alertdialog')).not.toBeInTheDocument();
+  });
+
+  it('should resolve false on Escape and restore focus', async () => {
+    render(
+      <>
+        <button>Delete</button>
+        <ConfirmDialog />
+      </>
+    );
+    const trigger = screen.getByRole('button', { name: 'Delete' });
+    trigger.focus();
+
+    let result!: Promise<boolean>;
+    act(() => {
+      result = confirm({ title: 'Delete project?' });
+    });
+    fireEvent.keyDown(screen.getByRole('button', { name: 'Cancel' }), { key: 'Escape' });
+
+    await expect(result).resolves.toBe(false);
+    expect(trigger).toHaveFocus();
+  });
+
+  it('should show queued requests one at a time', async () => {
+    render(<ConfirmDialog />);
+
+    let first!: Promise<boolean>;
+    let second!: Promise<boolean>;
+    act(() => {
+      first = confirm({ title: 'First?' });
+      second = confirm({ title: 'Second?' });
+    });
+
+    expect(screen.getByRole('alertdialog')).toHaveAccessibleName('First?');
+    fireEvent.click(screen.getByRole('button', { name: 'Confirm' }));
+    expect(screen.getByRole('alertdialog')).toHaveAccessibleName('Second?');
+    fireEvent.click(screen.getByRole('button', { name: 'Cancel' }));
+
+    await expect(first).resolves.toBe(true);
+    await expect(second).resolves.toBe(false);
+  });
+});
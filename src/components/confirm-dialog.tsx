@@ -0,0 +1,102 @@
+'use client';
+
+import { ReactNode, useRef, useSyncExternalStore } from 'react';
+import { Button } from '@/components/button';
+import { Dialog } from '@/components/dialog';
+
+export interface ConfirmOptions {
+  title: ReactNode;
+  description?: ReactNode;
+  confirmLabel?: string;
+  cancelLabel?: string;
+  /** Styles the confirm button for actions that destroy data */
+  destructive?: boolean;
+}
+
+interface PendingConfirm extends ConfirmOptions {
+  id: number;
+  resolve: (confirmed: boolean) => void;
+}
+
+let queue: readonly PendingConfirm[] = [];
+let nextId = 0;
+const listeners = new Set<() => void>();
+
+function setQueue(next: readonly PendingConfirm[]) {
+  queue = next;
+  listeners.forEach((listener) => listener());
+}
+
+function subscribe(listener: () => void) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Asks the user to confirm an action; resolves `true` when they do and
+ * `false` when they cancel or dismiss the dialog. Requests made while a
+ * dialog is open wait their turn.
+ *
+ * @example
+ * ```typescript
+ * if (await confirm({ title: 'Delete project?', destructive: true })) {
+ *   await deleteProject(id);
+ * }
+ * ```
+ */
+export function confirm(options: ConfirmOptions): Promise<boolean> {
+  if (listeners.size === 0) {
+    return Promise.reject(new Error('confirm() needs <ConfirmDialog /> in the layout'));
+  }
+  return new Promise((resolve) => {
+    setQueue([...queue, { ...options, id: ++nextId, resolve }]);
+  });
+}
+
+/**
+ * Renders the dialogs requested with `confirm()`; render it once, in the
+ * root layout
+ */
+export function ConfirmDialog() {
+  const current = useSyncExternalStore(
+    subscribe,
+    () => queue[0],
+    () => undefined
+  );
+  const cancelRef = useRef<HTMLButtonElement>(null);
+
+  const settle = (confirmed: boolean) => {
+    if (!current) {
+      return;
+    }
+    setQueue(queue.filter((item) => item !== current));
+    current.resolve(confirmed);
+  };
+
+  if (!current) {
+    return null;
+  }
+
+  // Keyed so each request opens afresh and returns focus when it closes;
+  // Cancel gets focus first so Enter can't destroy anything by accident
+  return (
+    <Dialog
+      key={current.id}
+      open
+      onOpenChange={() => settle(false)}
+      role="alertdialog"
+      title={current.title}
+      description={current.description}
+      initialFocus={cancelRef}
+    >
+      <Dialog.Footer>
+        <Button ref={cancelRef} variant="secondary" onClick={() => settle(false)}>
+          {current.cancelLabel ?? 'Cancel'}
+        </Button>
+        <Button variant={current.destructive ? 'danger' : 'primary'} onClick={() => settle(true)}>
+          {current.confirmLabel ?? 'Confirm'}
+        </Button>
+      </Dialog.Footer>
+    </Dialog>
+  );
+}
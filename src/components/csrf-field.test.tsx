@@ -0,0 +1,19 @@
+import { describe, it, expect } from 'vitest';
+import { render } from '@testing-library/react';
+import { CsrfField, CsrfProvider } from './csrf-field';
+
+describe('CsrfField', () => {
+  it('should render the token from the provider as a hidden field', () => {
+    const { container } = render(
+      <CsrfProvider token="token-123">
+        <form>
+          <CsrfField />
+        </form>
+      </CsrfProvider>
+    );
+
+    const input = container.querySelector('input[type="hidden"]');
+    expect(input).toHaveAttribute('name', 'csrf_token');
+    expect(input).toHaveValue('token-123');
+  });
+});
@@ -0,0 +1,34 @@
+'use client';
+
+import { createContext, ReactNode, useContext } from 'react';
+import { CSRF_FIELD } from '@/lib/csrf';
+
+const CsrfContext = createContext<string | undefined>(undefined);
+
+interface CsrfProviderProps {
+  token?: string;
+  children: ReactNode;
+}
+
+/**
+ * Makes the visitor's CSRF token available to client components
+ */
+export function CsrfProvider({ token, children }: CsrfProviderProps) {
+  return <CsrfContext.Provider value={token}>{children}</CsrfContext.Provider>;
+}
+
+/**
+ * The CSRF token, e.g. for an `x-csrf-token` header on `fetch` calls
+ */
+export function useCsrfToken(): string | undefined {
+  return useContext(CsrfContext);
+}
+
+/**
+ * Hidden input carrying the CSRF token; render it inside every `<form>`
+ * that posts to a route handler
+ */
+export function CsrfField() {
+  const token = useCsrfToken();
+  return <input type="hidden" name={CSRF_FIELD} value={token ?? ''} />;
+}
@@ -0,0 +1,127 @@
+import { describe, it, expect, vi } from 'vitest';
+import { useRef, useState } from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import { Dialog } from './dialog';
+
+function Example({ dismissible }: { dismissible?: boolean }) {
+  const [open, setOpen] = useState(false);
+  return (
+    <>
+      <main>
+        <button onClick={() => setOpen(true)}>Open</button>
+      </main>
+      <Dialog
+        open={open}
+        onOpenChange={setOpen}
+        title="Rename file"
+        description="Choose a new name"
+        dismissible={dismissible}
+      >
+        <input aria-label="Name" />
+        <Dialog.Footer>
+          <button onClick={() => setOpen(false)}>Cancel</button>
+          <button>Save</button>
+        </Dialog.Footer>
+      </Dialog>
+    </>
+  );
+}
+
+function openDialog() {
+  const trigger = screen.getByRole('button', { name: 'Open' });
+  trigger.focus();
+  fireEvent.click(trigger);
+  return { trigger, dialog: screen.getByRole('dialog') };
+}
+
+describe('Dialog', () => {
+  it('should label the dialog and focus its first control', () => {
+    render(<Example />);
+    const { dialog } = openDialog();
+
+    expect(dialog).toHaveAttribute('open');
+    expect(dialog).toHaveAccessibleName('Rename file');
+    expect(dialog).toHaveAccessibleDescription('Choose a new name');
+    expect(screen.getByLabelText('Name')).toHaveFocus();
+  });
+
+  it('should make the rest of the page inert while open', () => {
+    render(<Example />);
+    const { trigger } = openDialog();
+
+    expect(trigger.closest('main')).toHaveAttribute('inert');
+    fireEvent.click(screen.getByRole('button', { name: 'Cancel' }));
+    expect(trigger.closest('main')).not.toHaveAttribute('inert');
+  });
+
+  it('should keep Tab and Shift+Tab inside the dialog', () => {
+    render(<Example />);
+    const { dialog } = openDialog();
+    const name = screen.getByLabelText('Name');
+    const save = screen.getByRole('button', { name: 'Save' });
+
+    save.focus();
+    fireEvent.keyDown(save, { key: 'Tab' });
+    expect(name).toHaveFocus();
+
+    fireEvent.keyDown(name, { key: 'Tab', shiftKey: true });
+    expect(save).toHaveFocus();
+
+    expect(dialog).toContainElement(document.activeElement as HTMLElement);
+  });
+
+  it('should leave Tab alone between the first and last control', () => {
+    render(<Example />);
+    openDialog();
+    const name = screen.getByLabelText('Name');
+
+    expect(fireEvent.keyDown(name, { key: 'Tab' })).toBe(true);
+  });
+
+  it('should close on Escape and restore focus', () => {
+    render(<Example />);
+    const { trigger, dialog } = openDialog();
+
+    fireEvent.keyDown(screen.getByLabelText('Name'), { key: 'Escape' });
+
+    expect(dialog).not.toHaveAttribute('open');
+    expect(screen.queryByLabelText('Name')).not.toBeInTheDocument();
+    expect(trigger).toHaveFocus();
+  });
+
+  it('should close on a backdrop click but not on a click inside', () => {
+    render(<Example />);
+    const { dialog } = openDialog();
+
+    fireEvent.click(screen.getByText('Choose a new name'));
+    expect(dialog).toHaveAttribute('open');
+
+    fireEvent.click(dialog);
+    expect(dialog).not.toHaveAttribute('open');
+  });
+
+  it('should ignore Escape and backdrop clicks when not dismissible', () => {
+    render(<Example dismissible={false} />);
+    const { dialog } = openDialog();
+
+    fireEvent.keyDown(screen.getByLabelText('Name'), { key: 'Escape' });
+    fireEvent.click(dialog);
+
+    expect(dialog).toHaveAttribute('open');
+  });
+
+  it('should focus initialFocus when given', () => {
+    function Search() {
+      const queryRef = useRef<HTMLInputElement>(null);
+      return (
+        <Dialog open onOpenChange={vi.fn()} title="Search" initialFocus={queryRef}>
+          <button>Filters</button>
+          <input aria-label="Query" ref={queryRef} />
+        </Dialog>
+      );
+    }
+    render(<Search />);
+
+    expect(screen.getByLabelText('Query')).toHaveFocus();
+  });
+});
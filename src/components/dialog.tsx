@@ -0,0 +1,236 @@
+'use client';
+
+import {
+  ComponentProps,
+  KeyboardEvent,
+  MouseEvent,
+  ReactNode,
+  RefObject,
+  SyntheticEvent,
+  useEffect,
+  useId,
+  useRef,
+} from 'react';
+import { cn } from '@/lib/utils';
+
+const FOCUSABLE_SELECTOR = [
+  'a[href]',
+  'button:not([disabled])',
+  'input:not([disabled]):not([type="hidden"])',
+  'select:not([disabled])',
+  'textarea:not([disabled])',
+  'summary',
+  'iframe',
+  '[contenteditable]:not([contenteditable="false"])',
+  '[tabindex]',
+].join(',');
+
+/**
+ * Elements inside `container` reachable with Tab, in document order; skips
+ * anything inside an `inert` or `hidden` subtree
+ */
+export function getFocusableElements(container: HTMLElement): HTMLElement[] {
+  return Array.from(container.querySelectorAll<HTMLElement>(FOCUSABLE_SELECTOR)).filter(
+    (element) => element.tabIndex >= 0 && !element.closest('[inert], [hidden]')
+  );
+}
+
+/**
+ * Marks everything outside `element` as `inert`, as `showModal()` does
+ * natively. Returns a function that undoes it.
+ */
+function inertOthers(element: HTMLElement): () => void {
+  const changed: Element[] = [];
+  for (let node = element; node.parentElement; node = node.parentElement) {
+    for (const sibling of node.parentElement.children) {
+      if (sibling !== node && !sibling.hasAttribute('inert')) {
+        sibling.setAttribute('inert', '');
+        changed.push(sibling);
+      }
+    }
+    if (node.parentElement === document.body) {
+      break;
+    }
+  }
+  return () => changed.forEach((sibling) => sibling.removeAttribute('inert'));
+}
+
+interface DialogProps extends Omit<ComponentProps<'dialog'>, 'open' | 'title' | 'role'> {
+  open: boolean;
+  /** Called with `false` when the user dismisses the dialog */
+  onOpenChange: (open: boolean) => void;
+  title: ReactNode;
+  description?: ReactNode;
+  /** `alertdialog` for confirmations that interrupt the user */
+  role?: 'dialog' | 'alertdialog';
+  /** Whether Escape and clicks on the backdrop close the dialog */
+  dismissible?: boolean;
+  /** Receives focus on open instead of the first focusable element */
+  initialFocus?: RefObject<HTMLElement | null>;
+}
+
+/**
+ * Modal dialog on the native `<dialog>` element
+ *
+ * While open, the rest of the page is inert and Tab cycles through the
+ * dialog's controls. Escape and backdrop clicks call `onOpenChange(false)`
+ * unless `dismissible` is `false`; on close, focus returns to the element
+ * that had it before. Content is only rendered while open.
+ *
+ * @example
+ * ```tsx
+ * <Dialog open={open} onOpenChange={setOpen} title="Rename file">
+ *   <Form action={rename}>...</Form>
+ *   <Dialog.Footer>
+ *     <Button variant="ghost" onClick={() => setOpen(false)}>Cancel</Button>
+ *     <Button type="submit">Save</Button>
+ *   </Dialog.Footer>
+ * </Dialog>
+ * ```
+ */
+export function Dialog({
+  open,
+  onOpenChange,
+  title,
+  description,
+  role = 'dialog',
+  dismissible = true,
+  initialFocus,
+  className,
+  children,
+  ...props
+}: DialogProps) {
+  const id = useId();
+  const titleId = `${id}-title`;
+  const descriptionId = description ? `${id}-description` : undefined;
+  const dialogRef = useRef<HTMLDialogElement>(null);
+
+  useEffect(() => {
+    const dialog = dialogRef.current;
+    if (!open || !dialog) {
+      return;
+    }
+
+    const previouslyFocused = document.activeElement as HTMLElement | null;
+    // Browsers (and jsdom) without `showModal()` get the same behavior by hand
+    const native = typeof dialog.showModal === 'function';
+    let restoreInert: (() => void) | undefined;
+    if (native) {
+      dialog.showModal();
+    } else {
+      dialog.setAttribute('open', '');
+      restoreInert = inertOthers(dialog);
+    }
+
+    (initialFocus?.current ?? getFocusableElements(dialog)[0] ?? dialog).focus();
+
+    return () => {
+      if (native) {
+        dialog.close();
+      } else {
+        dialog.removeAttribute('open');
+      }
+      restoreInert?.();
+      previouslyFocused?.focus();
+    };
+    // `initialFocus` is only read when the dialog opens
+  }, [open]);
+
+  const handleKeyDown = (event: KeyboardEvent<HTMLDialogElement>) => {
+    props.onKeyDown?.(event);
+    if (event.defaultPrevented) {
+      return;
+    }
+
+    if (event.key === 'Escape') {
+      // Also stops the native `cancel`, which would close the dialog
+      // regardless of `open`
+      event.preventDefault();
+      event.stopPropagation();
+      if (dismissible) {
+        onOpenChange(false);
+      }
+    } else if (event.key === 'Tab') {
+      const focusable = getFocusableElements(event.currentTarget);
+      const first = focusable[0];
+      const last = focusable[focusable.length - 1];
+      const active = document.activeElement;
+      event.stopPropagation();
+
+      if (!first) {
+        event.preventDefault();
+      } else if (event.shiftKey && (active === first || active === event.currentTarget)) {
+        event.preventDefault();
+        last.focus();
+      } else if (!event.shiftKey && active === last) {
+        event.preventDefault();
+        first.focus();
+      }
+    }
+  };
+
+  const handleCancel = (event: SyntheticEvent<HTMLDialogElement>) => {
+    props.onCancel?.(event);
+    event.preventDefault();
+    if (dismissible) {
+      onOpenChange(false);
+    }
+  };
+
+  // A `<form method="dialog">` closes the dialog without asking
+  const handleClose = (event: SyntheticEvent<HTMLDialogElement>) => {
+    props.onClose?.(event);
+    if (open) {
+      onOpenChange(false);
+    }
+  };
+
+  // The content fills the dialog, so a click on the dialog itself landed on
+  // the backdrop
+  const handleClick = (event: MouseEvent<HTMLDialogElement>) => {
+    props.onClick?.(event);
+    if (dismissible && event.target === event.currentTarget) {
+      onOpenChange(false);
+    }
+  };
+
+  return (
+    <dialog
+      ref={dialogRef}
+      role={role}
+      aria-modal="true"
+      aria-labelledby={titleId}
+      aria-describedby={descriptionId}
+      tabIndex={-1}
+      {...props}
+      className={cn(
+        'm-auto w-full max-w-md rounded-lg border border-border bg-surface p-0 text-surface-foreground shadow-lg backdrop:bg-black/50 focus:outline-none',
+        className
+      )}
+      onKeyDown={handleKeyDown}
+      onCancel={handleCancel}
+      onClose={handleClose}
+      onClick={handleClick}
+    >
+      {open && (
+        <div className="p-6">
+          <h2 id={titleId} className="text-lg font-semibold">
+            {title}
+          </h2>
+          {description && (
+            <p id={descriptionId} className="mt-1 text-sm text-muted-foreground">
+              {description}
+            </p>
+          )}
+          {children && <div className="mt-4">{children}</div>}
+        </div>
+      )}
+    </dialog>
+  );
+}
+
+function DialogFooter({ className, ...props }: ComponentProps<'div'>) {
+  return <div className={cn('mt-6 flex justify-end gap-2 first:mt-0', className)} {...props} />;
+}
+
+Dialog.Footer = DialogFooter;
@@ -0,0 +1,48 @@
+import { describe, it, expect } from 'vitest';
+import { render, renderHook, screen } from '@testing-library/react';
+import { Feature, FlagsProvider, useFlag } from './feature-flags';
+
+describe('feature flags', () => {
+  it('should render children only while the flag is on', () => {
+    const { rerender } = render(
+      <FlagsProvider flags={{ xyz: true }}>
+        <Feature flag="xyz" fallback={<p>Old</p>}>
+          <p>New</p>
+        </Feature>
+      </FlagsProvider>
+    );
+    expect(screen.getByText('New')).toBeInTheDocument();
+    expect(screen.queryByText('Old')).not.toBeInTheDocument();
+
+    rerender(
+      <FlagsProvider flags={{ xyz: false }}>
+        <Feature flag="xyz" fallback={<p>Old</p>}>
+          <p>New</p>
+        </Feature>
+      </FlagsProvider>
+    );
+    expect(screen.getByText('Old')).toBeInTheDocument();
+    expect(screen.queryByText('New')).not.toBeInTheDocument();
+  });
+
+  it('should read flags from the provider', () => {
+    const { result } = renderHook(() => useFlag('xyz'), {
+      wrapper: ({ children }) => <FlagsProvider flags={{ xyz: true }}>{children}</FlagsProvider>,
+    });
+    expect(result.current).toBe(true);
+  });
+
+  it('should throw outside a provider', () => {
+    expect(() => renderHook(() => useFlag('xyz'))).toThrow(/FlagsProvider/);
+  });
+
+  it('should reject unknown flags at compile time', () => {
+    render(
+      <FlagsProvider flags={{ xyz: true }}>
+        {/* @ts-expect-error -- not a flag */}
+        <Feature flag="nope">Hidden</Feature>
+      </FlagsProvider>
+    );
+    expect(screen.queryByText('Hidden')).not.toBeInTheDocument();
+  });
+});
@@ -0,0 +1,47 @@
+'use client';
+
+import { createContext, ReactNode, useContext } from 'react';
+import type { PublicFlagName, PublicFlags } from '@/lib/flags';
+
+const FlagsContext = createContext<PublicFlags | undefined>(undefined);
+
+interface FlagsProviderProps {
+  /** The public flags for this request, from `getPublicFlags()` */
+  flags: PublicFlags;
+  children: ReactNode;
+}
+
+/**
+ * Makes the request's public feature flags available to client components
+ */
+export function FlagsProvider({ flags, children }: FlagsProviderProps) {
+  return <FlagsContext.Provider value={flags}>{children}</FlagsContext.Provider>;
+}
+
+/**
+ * Whether a public flag is on; server-only flags are read with `getFlag()`
+ */
+export function useFlag(name: PublicFlagName): boolean {
+  const flags = useContext(FlagsContext);
+  if (!flags) {
+    throw new Error('useFlag must be used within a FlagsProvider');
+  }
+  return flags[name];
+}
+
+interface FeatureProps {
+  flag: PublicFlagName;
+  /** Rendered instead while the flag is off */
+  fallback?: ReactNode;
+  children: ReactNode;
+}
+
+/**
+ * Renders its children only while `flag` is on
+ *
+ * Server components passed as children are still rendered on the server, so
+ * gate anything that mustn't reach the browser with `getFlag()` instead.
+ */
+export function Feature({ flag, fallback = null, children }: FeatureProps) {
+  return <>{useFlag(flag) ? children : fallback}</>;
+}
@@ -0,0 +1,87 @@
+import { describe, expect, it, vi } from 'vitest';
+import { fireEvent, render, screen } from '@testing-library/react';
+import { z } from 'zod';
+import { Checkbox, Field, Form, Input, Select, Textarea } from './form';
+
+describe('Form', () => {
+  it('should wire server errors to their controls', () => {
+    render(
+      <Form
+        state={{
+          status: 'error',
+          message: 'Please correct the highlighted fields',
+          fieldErrors: { email: ['Invalid email'] },
+          values: { email: 'nope', bio: 'Hello' },
+        }}
+      >
+        <Field name="email" label="Email" description="We never share it">
+          <Input type="email" />
+        </Field>
+        <Field name="bio" label="Bio">
+          <Textarea />
+        </Field>
+      </Form>
+    );
+
+    const email = screen.getByLabelText('Email');
+    expect(email).toHaveAttribute('name', 'email');
+    expect(email).toHaveAttribute('aria-invalid', 'true');
+    expect(email).toHaveAccessibleDescription('We never share it Invalid email');
+    expect(email).toHaveValue('nope');
+    expect(email).toHaveFocus();
+
+    const bio = screen.getByLabelText('Bio');
+    expect(bio).not.toHaveAttribute('aria-invalid');
+    expect(bio).toHaveValue('Hello');
+
+    expect(screen.getByRole('alert')).toHaveTextContent('Please correct the highlighted fields');
+  });
+
+  it('should restore checkbox and select values', () => {
+    render(
+      <Form state={{ status: 'error', values: { tags: ['b'], role: 'admin' } }}>
+        <Field name="tags">
+          <Checkbox value="a" label="A" />
+          <Checkbox value="b" label="B" />
+        </Field>
+        <Field name="role" label="Role">
+          <Select>
+            <option value="user">User</option>
+            <option value="admin">Admin</option>
+          </Select>
+        </Field>
+      </Form>
+    );
+
+    expect(screen.getByLabelText('A')).not.toBeChecked();
+    expect(screen.getByLabelText('B')).toBeChecked();
+    expect(screen.getByLabelText('Role')).toHaveValue('admin');
+  });
+
+  it('should validate on the client before submitting', () => {
+    const onSubmit = vi.fn((event: { preventDefault: () => void }) => event.preventDefault());
+    render(
+      <Form schema={z.object({ name: z.string().min(2, 'Too short') })} onSubmit={onSubmit}>
+        <Field name="name" label="Name">
+          <Input />
+        </Field>
+        <button type="submit">Save</button>
+      </Form>
+    );
+
+    const name = screen.getByLabelText('Name');
+    fireEvent.change(name, { target: { value: 'A' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Save' }));
+
+    expect(onSubmit).not.toHaveBeenCalled();
+    expect(name).toHaveAttribute('aria-invalid', 'true');
+    expect(name).toHaveAccessibleDescription('Too short');
+    expect(name).toHaveFocus();
+
+    fireEvent.change(name, { target: { value: 'Ada' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Save' }));
+
+    expect(onSubmit).toHaveBeenCalledOnce();
+    expect(name).not.toHaveAttribute('aria-invalid');
+  });
+});
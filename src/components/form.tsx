@@ -0,0 +1,267 @@
+'use client';
+
+import {
+  ComponentProps,
+  createContext,
+  FormEvent,
+  ReactNode,
+  useContext,
+  useEffect,
+  useId,
+  useRef,
+  useState,
+} from 'react';
+import type { z } from 'zod';
+import { cn } from '@/lib/utils';
+import { formDataToObject, toFieldErrors, type FieldErrors, type FormState } from '@/lib/form';
+
+interface FormContextValue {
+  id: string;
+  errors: FieldErrors;
+  values: Record<string, string | string[]>;
+}
+
+const FormContext = createContext<FormContextValue | undefined>(undefined);
+
+interface FieldContextValue {
+  id: string;
+  name: string;
+  descriptionId?: string;
+  errorId?: string;
+  defaultValue?: string | string[];
+}
+
+const FieldContext = createContext<FieldContextValue | undefined>(undefined);
+
+interface FormProps extends Omit<ComponentProps<'form'>, 'onSubmit'> {
+  /** Result of the last submission, from `useActionState` */
+  state?: FormState<unknown>;
+  /** Validates on the client before submitting; the server validates again */
+  schema?: z.ZodType;
+  onSubmit?: (event: FormEvent<HTMLFormElement>) => void;
+}
+
+/**
+ * `<form>` that shows field errors from a `createFormAction` state
+ *
+ * Without JavaScript the form posts to the server action and re-renders with
+ * its errors. Once hydrated, a `schema` is checked before submitting, and the
+ * first invalid field receives focus.
+ *
+ * @example
+ * ```tsx
+ * const [state, formAction] = useActionState(createUser, initialFormState);
+ *
+ * <Form action={formAction} state={state} schema={createUserSchema}>
+ *   <Field name="email" label="Email">
+ *     <Input type="email" />
+ *   </Field>
+ *   <Button type="submit">Create</Button>
+ * </Form>
+ * ```
+ */
+export function Form({ state, schema, onSubmit, children, ...props }: FormProps) {
+  const id = useId();
+  const formRef = useRef<HTMLFormElement>(null);
+  const [clientErrors, setClientErrors] = useState<FieldErrors | null>(null);
+  const errors = clientErrors ?? state?.fieldErrors ?? {};
+
+  // Focus the first invalid field whenever a new set of errors arrives
+  useEffect(() => {
+    formRef.current?.querySelector<HTMLElement>('[aria-invalid="true"]')?.focus();
+  }, [clientErrors, state]);
+
+  const handleSubmit = (event: FormEvent<HTMLFormElement>) => {
+    if (schema) {
+      const result = schema.safeParse(formDataToObject(schema, new FormData(event.currentTarget)));
+      if (!result.success) {
+        event.preventDefault();
+        setClientErrors(toFieldErrors(result.error));
+        return;
+      }
+    }
+    setClientErrors(null);
+    onSubmit?.(event);
+  };
+
+  const message = clientErrors ? undefined : state?.message;
+
+  return (
+    <FormContext.Provider value={{ id, errors, values: state?.values ?? {} }}>
+      <form ref={formRef} noValidate={schema ? true : undefined} onSubmit={handleSubmit} {...props}>
+        {message && (
+          <p
+            role={state?.status === 'error' ? 'alert' : 'status'}
+            className={cn(
+              'mb-4 text-sm',
+              state?.status === 'error' ? 'text-danger' : 'text-success'
+            )}
+          >
+            {message}
+          </p>
+        )}
+        {errors[''] && (
+          <p role="alert" className="mb-4 text-sm text-danger">
+            {errors[''].join(' ')}
+          </p>
+        )}
+        {children}
+      </form>
+    </FormContext.Provider>
+  );
+}
+
+interface FieldProps {
+  /** Submitted name; dotted for nested objects, e.g. `address.city` */
+  name: string;
+  label?: ReactNode;
+  description?: ReactNode;
+  className?: string;
+  children: ReactNode;
+}
+
+/**
+ * Labels a control and shows its description and errors; the control inside
+ * gets its `id`, `name` and ARIA attributes from the field
+ */
+export function Field({ name, label, description, className, children }: FieldProps) {
+  const form = useContext(FormContext);
+  const fallbackId = useId();
+  const id = `${form?.id ?? fallbackId}-${name}`;
+  const errors = form?.errors[name];
+
+  const field: FieldContextValue = {
+    id,
+    name,
+    descriptionId: description ? `${id}-description` : undefined,
+    errorId: errors ? `${id}-error` : undefined,
+    defaultValue: form?.values[name],
+  };
+
+  return (
+    <FieldContext.Provider value={field}>
+      <div className={cn('mb-4', className)}>
+        {label && (
+          <label htmlFor={id} className="mb-1 block text-sm font-medium">
+            {label}
+          </label>
+        )}
+        {children}
+        {description && (
+          <p id={field.descriptionId} className="mt-1 text-sm text-muted-foreground">
+            {description}
+          </p>
+        )}
+        {errors && (
+          <p id={field.errorId} aria-live="polite" className="mt-1 text-sm text-danger">
+            {errors.join(' ')}
+          </p>
+        )}
+      </div>
+    </FieldContext.Provider>
+  );
+}
+
+/**
+ * Attributes linking a control to its `Field`; explicit props win
+ */
+function useFieldControl(props: { id?: string; name?: string; 'aria-describedby'?: string }) {
+  const field = useContext(FieldContext);
+  if (!field) {
+    return {};
+  }
+
+  const describedBy = [props['aria-describedby'], field.descriptionId, field.errorId]
+    .filter(Boolean)
+    .join(' ');
+
+  return {
+    id: props.id ?? field.id,
+    name: props.name ?? field.name,
+    'aria-invalid': field.errorId ? true : undefined,
+    'aria-describedby': describedBy || undefined,
+  };
+}
+
+function useEchoedValue(): string | string[] | undefined {
+  return useContext(FieldContext)?.defaultValue;
+}
+
+const controlStyles =
+  'w-full rounded-lg border border-input bg-background px-3 py-2 text-foreground focus:outline-none focus:ring-2 focus:ring-ring aria-[invalid=true]:border-danger';
+
+export function Input({ className, ...props }: ComponentProps<'input'>) {
+  const control = useFieldControl(props);
+  const echoed = useEchoedValue();
+  const keepsValue =
+    props.type !== 'file' && props.type !== 'password' && props.value === undefined;
+
+  return (
+    <input
+      defaultValue={keepsValue && typeof echoed === 'string' ? echoed : undefined}
+      {...props}
+      {...control}
+      className={cn(controlStyles, className)}
+    />
+  );
+}
+
+export function Textarea({ className, ...props }: ComponentProps<'textarea'>) {
+  const control = useFieldControl(props);
+  const echoed = useEchoedValue();
+
+  return (
+    <textarea
+      defaultValue={props.value === undefined && typeof echoed === 'string' ? echoed : undefined}
+      {...props}
+      {...control}
+      className={cn(controlStyles, className)}
+    />
+  );
+}
+
+export function Select({ className, ...props }: ComponentProps<'select'>) {
+  const control = useFieldControl(props);
+  const echoed = useEchoedValue();
+
+  return (
+    <select
+      defaultValue={props.value === undefined ? echoed : undefined}
+      {...props}
+      {...control}
+      className={cn(controlStyles, className)}
+    />
+  );
+}
+
+interface CheckboxProps extends Omit<ComponentProps<'input'>, 'type'> {
+  label?: ReactNode;
+}
+
+/**
+ * Checkbox with an inline label. Several checkboxes sharing a name (each with
+ * its own `value`) submit an array.
+ */
+export function Checkbox({ label, className, ...props }: CheckboxProps) {
+  const control = useFieldControl(props);
+  const echoed = useEchoedValue();
+  const value = String(props.value ?? 'on');
+  const wasChecked = Array.isArray(echoed) ? echoed.includes(value) : echoed === value;
+  const id = control.id && props.value !== undefined ? `${control.id}-${value}` : control.id;
+
+  return (
+    <label className={cn('inline-flex items-center gap-2 text-sm', className)}>
+      <input
+        type="checkbox"
+        defaultChecked={
+          props.checked === undefined && echoed !== undefined ? wasChecked : undefined
+        }
+        {...props}
+        {...control}
+        id={props.id ?? id}
+        className="h-4 w-4 rounded border-input accent-primary focus:ring-2 focus:ring-ring"
+      />
+      {label}
+    </label>
+  );
+}
@@ -1,2 +1,14 @@
 export { Button } from './button';
 export { Card } from './card';
+export { confirm, ConfirmDialog } from './confirm-dialog';
+export { CsrfField, CsrfProvider, useCsrfToken } from './csrf-field';
+export { Dialog, getFocusableElements } from './dialog';
+export { Feature, FlagsProvider, useFlag } from './feature-flags';
+export { Checkbox, Field, Form, Input, Select, Textarea } from './form';
+export { LocaleProvider, useLocale, useTranslations } from './locale-provider';
+export { NonceProvider, useNonce } from './nonce-provider';
+export { composeRefs, Slot } from './slot';
+export { ThemeProvider, useTheme } from './theme-provider';
+export { ThemeScript } from './theme-script';
+export { ThemeToggle } from './theme-toggle';
+export { Toaster, useFormStateToast } from './toaster';
@@ -0,0 +1,45 @@
+'use client';
+
+import { createContext, ReactNode, useContext, useMemo } from 'react';
+import { createTranslator, DEFAULT_LOCALE, type Locale, type Translator } from '@/lib/i18n';
+import type { MessageKey, Messages } from '@/messages';
+
+interface LocaleContextValue {
+  locale: Locale;
+  t: Translator<MessageKey>;
+}
+
+const LocaleContext = createContext<LocaleContextValue | undefined>(undefined);
+
+interface LocaleProviderProps {
+  locale: Locale;
+  messages: Messages;
+  children: ReactNode;
+}
+
+/**
+ * Makes the request's locale and message catalog available to client components
+ */
+export function LocaleProvider({ locale, messages, children }: LocaleProviderProps) {
+  const value = useMemo(
+    () => ({ locale, t: createTranslator<MessageKey>(locale, messages) }),
+    [locale, messages]
+  );
+  return <LocaleContext.Provider value={value}>{children}</LocaleContext.Provider>;
+}
+
+/**
+ * The active locale, to pass to the `format` helpers
+ */
+export function useLocale(): Locale {
+  return useContext(LocaleContext)?.locale ?? DEFAULT_LOCALE;
+}
+
+/**
+ * Translator for client components; unknown keys render as the key itself
+ * outside a `LocaleProvider`
+ */
+export function useTranslations(): Translator<MessageKey> {
+  const context = useContext(LocaleContext);
+  return context?.t ?? ((key: MessageKey) => key);
+}
@@ -0,0 +1,22 @@
+'use client';
+
+import { createContext, ReactNode, useContext } from 'react';
+
+const NonceContext = createContext<string | undefined>(undefined);
+
+interface NonceProviderProps {
+  nonce?: string;
+  children: ReactNode;
+}
+
+/**
+ * Makes the request's CSP nonce available to client components, e.g. for
+ * `<Script nonce={useNonce()}>`
+ */
+export function NonceProvider({ nonce, children }: NonceProviderProps) {
+  return <NonceContext.Provider value={nonce}>{children}</NonceContext.Provider>;
+}
+
+export function useNonce(): string | undefined {
+  return useContext(NonceContext);
+}
@@ -0,0 +1,63 @@
+import {
+  cloneElement,
+  isValidElement,
+  type HTMLAttributes,
+  type ReactNode,
+  type Ref,
+  type RefCallback,
+} from 'react';
+import { cn } from '@/lib/utils';
+
+/**
+ * Combines refs so one element can be reported to several owners
+ */
+export function composeRefs<T>(...refs: (Ref<T> | undefined)[]): RefCallback<T> {
+  return (node) => {
+    for (const ref of refs) {
+      if (typeof ref === 'function') {
+        ref(node);
+      } else if (ref) {
+        ref.current = node;
+      }
+    }
+  };
+}
+
+interface SlotProps extends HTMLAttributes<HTMLElement> {
+  ref?: Ref<HTMLElement>;
+  children?: ReactNode;
+}
+
+/**
+ * Renders its only child with the slot's props merged in, for `asChild`
+ * components. Class names are combined, event handlers both run (the child's
+ * first), and other child props win.
+ */
+export function Slot({ children, ref, ...slotProps }: SlotProps) {
+  if (!isValidElement<Record<string, unknown> & { ref?: Ref<HTMLElement> }>(children)) {
+    return null;
+  }
+
+  const childProps = children.props;
+  const merged: Record<string, unknown> = { ...slotProps, ...childProps };
+
+  for (const [name, slotValue] of Object.entries(slotProps)) {
+    const childValue = childProps[name];
+    if (
+      /^on[A-Z]/.test(name) &&
+      typeof slotValue === 'function' &&
+      typeof childValue === 'function'
+    ) {
+      merged[name] = (...args: unknown[]) => {
+        childValue(...args);
+        slotValue(...args);
+      };
+    } else if (name === 'style') {
+      merged.style = { ...(slotValue as object), ...(childValue as object) };
+    }
+  }
+  merged.className = cn(slotProps.className, childProps.className as string | undefined);
+  merged.ref = ref && childProps.ref ? composeRefs(ref, childProps.ref) : (ref ?? childProps.ref);
+
+  return cloneElement(children, merged);
+}
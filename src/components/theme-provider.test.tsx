@@ -0,0 +1,49 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import { ThemeProvider } from './theme-provider';
+import { ThemeToggle } from './theme-toggle';
+
+describe('ThemeProvider', () => {
+  afterEach(() => {
+    document.cookie = 'theme=; max-age=0; path=/';
+    document.documentElement.className = '';
+  });
+
+  it('should apply the initial theme to <html>', () => {
+    render(
+      <ThemeProvider initialTheme="dark">
+        <ThemeToggle />
+      </ThemeProvider>
+    );
+
+    expect(document.documentElement).toHaveClass('dark');
+    expect(screen.getByRole('button', { name: 'Dark' })).toHaveAttribute('aria-pressed', 'true');
+  });
+
+  it('should switch theme and remember the choice', () => {
+    render(
+      <ThemeProvider initialTheme="light">
+        <ThemeToggle />
+      </ThemeProvider>
+    );
+
+    fireEvent.click(screen.getByRole('button', { name: 'Dark' }));
+
+    expect(document.documentElement).toHaveClass('dark');
+    expect(document.documentElement).not.toHaveClass('light');
+    expect(document.cookie).toContain('theme=dark');
+    expect(screen.getByRole('button', { name: 'Dark' })).toHaveAttribute('aria-pressed', 'true');
+    expect(screen.getByRole('button', { name: 'Light' })).toHaveAttribute('aria-pressed', 'false');
+  });
+
+  it('should fall back to light for system when the OS preference is unknown', () => {
+    render(
+      <ThemeProvider>
+        <ThemeToggle />
+      </ThemeProvider>
+    );
+
+    expect(document.documentElement).toHaveClass('light');
+    expect(screen.getByRole('button', { name: 'System' })).toHaveAttribute('aria-pressed', 'true');
+  });
+});
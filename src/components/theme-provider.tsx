@@ -0,0 +1,85 @@
+'use client';
+
+import {
+  createContext,
+  ReactNode,
+  useCallback,
+  useContext,
+  useEffect,
+  useMemo,
+  useState,
+  useSyncExternalStore,
+} from 'react';
+import {
+  applyTheme,
+  DARK_MODE_QUERY,
+  themeCookie,
+  type ResolvedTheme,
+  type Theme,
+} from '@/lib/theme';
+
+interface ThemeContextValue {
+  /** The chosen theme, possibly `system` */
+  theme: Theme;
+  /** The theme actually shown */
+  resolvedTheme: ResolvedTheme;
+  setTheme: (theme: Theme) => void;
+}
+
+const ThemeContext = createContext<ThemeContextValue | undefined>(undefined);
+
+function subscribeToSystemTheme(onChange: () => void): () => void {
+  const query = window.matchMedia?.(DARK_MODE_QUERY);
+  query?.addEventListener('change', onChange);
+  return () => query?.removeEventListener('change', onChange);
+}
+
+function getSystemTheme(): ResolvedTheme {
+  return window.matchMedia?.(DARK_MODE_QUERY).matches ? 'dark' : 'light';
+}
+
+interface ThemeProviderProps {
+  /** The theme from the `theme` cookie, read on the server with `getTheme()` */
+  initialTheme?: Theme;
+  children: ReactNode;
+}
+
+/**
+ * Tracks the theme choice, saves it in a cookie and keeps the `<html>` class
+ * in sync, including when the OS switches while `system` is chosen
+ */
+export function ThemeProvider({ initialTheme = 'system', children }: ThemeProviderProps) {
+  const [theme, setThemeState] = useState<Theme>(initialTheme);
+  const systemTheme = useSyncExternalStore(
+    subscribeToSystemTheme,
+    getSystemTheme,
+    () => 'light' as const
+  );
+  const resolvedTheme = theme === 'system' ? systemTheme : theme;
+
+  // Reads the media query directly: during hydration `systemTheme` still
+  // holds the server's guess, and applying that would flash the wrong theme
+  useEffect(() => {
+    applyTheme(theme === 'system' ? getSystemTheme() : theme);
+  }, [theme, systemTheme]);
+
+  const setTheme = useCallback((next: Theme) => {
+    document.cookie = themeCookie(next);
+    setThemeState(next);
+  }, []);
+
+  const value = useMemo(
+    () => ({ theme, resolvedTheme, setTheme }),
+    [theme, resolvedTheme, setTheme]
+  );
+
+  return <ThemeContext.Provider value={value}>{children}</ThemeContext.Provider>;
+}
+
+export function useTheme(): ThemeContextValue {
+  const context = useContext(ThemeContext);
+  if (!context) {
+    throw new Error('useTheme must be used within a ThemeProvider');
+  }
+  return context;
+}
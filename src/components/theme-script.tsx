@@ -0,0 +1,13 @@
+import { THEME_SCRIPT } from '@/lib/theme';
+
+interface ThemeScriptProps {
+  nonce?: string;
+}
+
+/**
+ * Applies the saved or system theme before the page paints; render it in
+ * `<head>` and pass the CSP nonce
+ */
+export function ThemeScript({ nonce }: ThemeScriptProps) {
+  return <script nonce={nonce} dangerouslySetInnerHTML={{ __html: THEME_SCRIPT }} />;
+}
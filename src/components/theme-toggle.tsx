@@ -0,0 +1,45 @@
+'use client';
+
+import { useTheme } from '@/components/theme-provider';
+import { THEMES, type Theme } from '@/lib/theme';
+import { cn } from '@/lib/utils';
+
+const LABELS: Record<Theme, string> = {
+  light: 'Light',
+  dark: 'Dark',
+  system: 'System',
+};
+
+interface ThemeToggleProps {
+  className?: string;
+}
+
+/**
+ * Segmented control for choosing light, dark or system theme
+ */
+export function ThemeToggle({ className }: ThemeToggleProps) {
+  const { theme, setTheme } = useTheme();
+
+  return (
+    <div
+      role="group"
+      aria-label="Theme"
+      className={cn('inline-flex rounded-lg border border-border p-0.5', className)}
+    >
+      {THEMES.map((option) => (
+        <button
+          key={option}
+          type="button"
+          aria-pressed={theme === option}
+          onClick={() => setTheme(option)}
+          className={cn(
+            'rounded-md px-3 py-1 text-sm text-muted-foreground transition-colors focus:outline-none focus-visible:ring-2 focus-visible:ring-ring',
+            theme === option ? 'bg-accent text-accent-foreground' : 'hover:text-foreground'
+          )}
+        >
+          {LABELS[option]}
+        </button>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,144 @@
+import { describe, it, expect, afterEach, beforeEach, vi } from 'vitest';
+import { act, render, screen, fireEvent, within } from '@testing-library/react';
+import { dismissToast, toast } from '@/lib/toast';
+import type { FormState } from '@/lib/form';
+import { Toaster, useFormStateToast } from './toaster';
+
+describe('Toaster', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    act(() => dismissToast());
+    vi.useRealTimers();
+    document.cookie = 'flash=; max-age=0; path=/';
+  });
+
+  it('should announce toasts in a live region', () => {
+    render(<Toaster />);
+    act(() => {
+      toast.success('Profile saved');
+      toast.error('Upload failed');
+    });
+
+    const region = screen.getByRole('region', { name: 'Notifications' });
+    expect(within(region).getByRole('list')).toHaveAttribute('aria-live', 'polite');
+    expect(screen.getByRole('status')).toHaveTextContent('Profile saved');
+    expect(screen.getByRole('alert')).toHaveTextContent('Upload failed');
+  });
+
+  it('should dismiss toasts after their duration', () => {
+    render(<Toaster />);
+    act(() => {
+      toast('Copied', { duration: 1000 });
+    });
+
+    act(() => vi.advanceTimersByTime(999));
+    expect(screen.getByText('Copied')).toBeInTheDocument();
+    act(() => vi.advanceTimersByTime(1));
+    expect(screen.queryByText('Copied')).not.toBeInTheDocument();
+  });
+
+  it('should pause the countdown while hovered', () => {
+    render(<Toaster />);
+    act(() => {
+      toast('Copied', { duration: 1000 });
+    });
+    const list = screen.getByRole('list');
+
+    act(() => vi.advanceTimersByTime(600));
+    fireEvent.mouseEnter(list);
+    act(() => vi.advanceTimersByTime(5000));
+    expect(screen.getByText('Copied')).toBeInTheDocument();
+
+    fireEvent.mouseLeave(list);
+    act(() => vi.advanceTimersByTime(399));
+    expect(screen.getByText('Copied')).toBeInTheDocument();
+    act(() => vi.advanceTimersByTime(1));
+    expect(screen.queryByText('Copied')).not.toBeInTheDocument();
+  });
+
+  it('should pause while focused and dismiss with Escape', () => {
+    render(<Toaster />);
+    act(() => {
+      toast('Copied', { duration: 1000 });
+    });
+
+    const dismiss = screen.getByRole('button', { name: 'Dismiss notification' });
+    act(() => dismiss.focus());
+    act(() => vi.advanceTimersByTime(5000));
+    expect(screen.getByText('Copied')).toBeInTheDocument();
+
+    fireEvent.keyDown(dismiss, { key: 'Escape' });
+    expect(screen.queryByText('Copied')).not.toBeInTheDocument();
+  });
+
+  it('should show queued toasts once earlier ones are dismissed', () => {
+    render(<Toaster limit={2} />);
+    act(() => {
+      toast('One', { duration: Infinity });
+      toast('Two', { duration: Infinity });
+      toast('Three', { duration: 1000 });
+    });
+
+    expect(screen.queryByText('Three')).not.toBeInTheDocument();
+    // Queued toasts don't count down while waiting
+    act(() => vi.advanceTimersByTime(5000));
+
+    fireEvent.click(screen.getAllByRole('button', { name: 'Dismiss notification' })[0]);
+    expect(screen.getByText('Three')).toBeInTheDocument();
+  });
+
+  it('should show and clear the flash cookie', () => {
+    document.cookie = `flash=${encodeURIComponent('{"message":"Signed out","variant":"success"}')}; path=/`;
+    render(<Toaster />);
+
+    expect(screen.getByRole('status')).toHaveTextContent('Signed out');
+    expect(document.cookie).not.toContain('flash=');
+  });
+});
+
+describe('useFormStateToast', () => {
+  afterEach(() => {
+    act(() => dismissToast());
+  });
+
+  function Result({ state }: { state: FormState }) {
+    useFormStateToast(state);
+    return null;
+  }
+
+  it('should toast each new message once', () => {
+    const saved: FormState = { status: 'success', message: 'Saved' };
+    const { rerender } = render(
+      <>
+        <Toaster />
+        <Result state={{ status: 'idle' }} />
+      </>
+    );
+    expect(screen.queryByRole('status')).not.toBeInTheDocument();
+
+    rerender(
+      <>
+        <Toaster />
+        <Result state={saved} />
+      </>
+    );
+    rerender(
+      <>
+        <Toaster />
+        <Result state={saved} />
+      </>
+    );
+    expect(screen.getAllByRole('status')).toHaveLength(1);
+
+    rerender(
+      <>
+        <Toaster />
+        <Result state={{ status: 'error', message: 'Email taken' }} />
+      </>
+    );
+    expect(screen.getByRole('alert')).toHaveTextContent('Email taken');
+  });
+});
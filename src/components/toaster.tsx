@@ -0,0 +1,198 @@
+'use client';
+
+import { usePathname } from 'next/navigation';
+import {
+  FocusEvent,
+  KeyboardEvent,
+  useEffect,
+  useRef,
+  useState,
+  useSyncExternalStore,
+} from 'react';
+import type { FormState } from '@/lib/form';
+import {
+  dismissToast,
+  FLASH_COOKIE,
+  getToasts,
+  parseFlash,
+  subscribeToToasts,
+  toast,
+  type Toast,
+} from '@/lib/toast';
+import { cn } from '@/lib/utils';
+import { variants } from '@/lib/variants';
+
+const toastVariants = variants({
+  base: 'pointer-events-auto flex w-full items-start gap-3 rounded-lg border border-l-4 bg-surface p-4 text-surface-foreground shadow-lg',
+  variants: {
+    variant: {
+      default: 'border-l-primary',
+      success: 'border-l-success',
+      error: 'border-l-danger',
+    },
+  },
+});
+
+const NO_TOASTS: readonly Toast[] = [];
+
+/**
+ * Returns the flash cookie's toast and deletes the cookie
+ */
+function takeFlash() {
+  const match = document.cookie.match(new RegExp(`(?:^|; )${FLASH_COOKIE}=([^;]*)`));
+  if (!match) {
+    return undefined;
+  }
+  document.cookie = `${FLASH_COOKIE}=; path=/; max-age=0`;
+  try {
+    return parseFlash(decodeURIComponent(match[1]));
+  } catch {
+    return undefined;
+  }
+}
+
+interface ToastItemProps {
+  toast: Toast;
+  paused: boolean;
+}
+
+function ToastItem({ toast: item, paused }: ToastItemProps) {
+  const remaining = useRef(item.duration);
+
+  // A toast replaced under the same id starts its countdown again
+  useEffect(() => {
+    remaining.current = item.duration;
+  }, [item]);
+
+  useEffect(() => {
+    if (paused || !Number.isFinite(remaining.current)) {
+      return;
+    }
+    const startedAt = Date.now();
+    const timer = setTimeout(() => dismissToast(item.id), remaining.current);
+    return () => {
+      clearTimeout(timer);
+      remaining.current -= Date.now() - startedAt;
+    };
+  }, [paused, item]);
+
+  const handleKeyDown = (event: KeyboardEvent<HTMLLIElement>) => {
+    if (event.key === 'Escape') {
+      event.stopPropagation();
+      dismissToast(item.id);
+    }
+  };
+
+  return (
+    <li
+      role={item.variant === 'error' ? 'alert' : 'status'}
+      aria-atomic="true"
+      className={toastVariants({ variant: item.variant })}
+      onKeyDown={handleKeyDown}
+    >
+      <div className="flex-1">
+        <p className="text-sm font-medium">{item.message}</p>
+        {item.description && (
+          <p className="mt-1 text-sm text-muted-foreground">{item.description}</p>
+        )}
+      </div>
+      <button
+        type="button"
+        aria-label="Dismiss notification"
+        onClick={() => dismissToast(item.id)}
+        className="rounded text-muted-foreground hover:text-foreground focus:outline-none focus-visible:ring-2 focus-visible:ring-ring"
+      >
+        <svg className="h-4 w-4" viewBox="0 0 16 16" fill="none" aria-hidden="true">
+          <path d="M4 4l8 8M12 4l-8 8" stroke="currentColor" strokeWidth="1.5" />
+        </svg>
+      </button>
+    </li>
+  );
+}
+
+interface ToasterProps {
+  /** Toasts shown at once; the rest wait their turn */
+  limit?: number;
+  className?: string;
+}
+
+/**
+ * Renders queued toasts in a polite live region; errors are announced
+ * assertively
+ *
+ * Toasts hide after their `duration`, paused while the pointer or focus is
+ * on them. Escape dismisses the focused toast. Render it once, in the root
+ * layout.
+ */
+export function Toaster({ limit = 3, className }: ToasterProps) {
+  const toasts = useSyncExternalStore(subscribeToToasts, getToasts, () => NO_TOASTS);
+  const pathname = usePathname();
+  const [hovered, setHovered] = useState(false);
+  const [focused, setFocused] = useState(false);
+
+  // Flashes set before a redirect arrive with the next page
+  useEffect(() => {
+    const flash = takeFlash();
+    if (flash) {
+      toast(flash.message, { description: flash.description, variant: flash.variant });
+    }
+  }, [pathname]);
+
+  // Removing the last toast doesn't always fire mouseleave or blur
+  useEffect(() => {
+    if (toasts.length === 0) {
+      setHovered(false);
+      setFocused(false);
+    }
+  }, [toasts.length]);
+
+  const handleBlur = (event: FocusEvent<HTMLOListElement>) => {
+    if (!event.currentTarget.contains(event.relatedTarget)) {
+      setFocused(false);
+    }
+  };
+
+  return (
+    <section
+      aria-label="Notifications"
+      className={cn(
+        'pointer-events-none fixed bottom-4 right-4 z-50 w-full max-w-sm px-4 sm:px-0',
+        className
+      )}
+    >
+      <ol
+        aria-live="polite"
+        className="flex flex-col gap-2"
+        onMouseEnter={() => setHovered(true)}
+        onMouseLeave={() => setHovered(false)}
+        onFocus={() => setFocused(true)}
+        onBlur={handleBlur}
+      >
+        {toasts.slice(0, limit).map((item) => (
+          <ToastItem key={item.id} toast={item} paused={hovered || focused} />
+        ))}
+      </ol>
+    </section>
+  );
+}
+
+/**
+ * Shows the message of each new `createFormAction` result as a toast
+ *
+ * @example
+ * ```tsx
+ * const [state, formAction] = useActionState(updateProfile, initialFormState);
+ * useFormStateToast(state);
+ * ```
+ */
+export function useFormStateToast(state: FormState<unknown>): void {
+  const shown = useRef<FormState<unknown>>(undefined);
+
+  useEffect(() => {
+    if (shown.current === state || !state.message || state.status === 'idle') {
+      return;
+    }
+    shown.current = state;
+    toast(state.message, { variant: state.status === 'error' ? 'error' : 'success' });
+  }, [state]);
+}
@@ -0,0 +1,66 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { renderHook } from '@testing-library/react';
+import { usePagination } from './use-pagination';
+
+const push = vi.fn();
+const replace = vi.fn();
+let searchParams = new URLSearchParams();
+
+vi.mock('next/navigation', () => ({
+  useRouter: () => ({ push, replace }),
+  usePathname: () => '/users',
+  useSearchParams: () => searchParams,
+}));
+
+describe('usePagination', () => {
+  beforeEach(() => {
+    push.mockClear();
+    replace.mockClear();
+    searchParams = new URLSearchParams();
+  });
+
+  it('should read defaults from empty search params', () => {
+    const { result } = renderHook(() => usePagination({ defaultLimit: 25 }));
+
+    expect(result.current).toMatchObject({ page: 1, limit: 25, cursor: undefined });
+  });
+
+  it('should ignore invalid values and clamp the limit', () => {
+    searchParams = new URLSearchParams('page=-2&limit=1000');
+    const { result } = renderHook(() => usePagination({ maxLimit: 50 }));
+
+    expect(result.current).toMatchObject({ page: 1, limit: 50 });
+  });
+
+  it('should write the page while keeping other params', () => {
+    searchParams = new URLSearchParams('q=ada&page=2');
+    const { result } = renderHook(() => usePagination());
+
+    result.current.setPage(3);
+    expect(push).toHaveBeenCalledWith('/users?q=ada&page=3');
+
+    result.current.setPage(1);
+    expect(push).toHaveBeenLastCalledWith('/users?q=ada');
+    expect(result.current.hrefForPage(4)).toBe('/users?q=ada&page=4');
+  });
+
+  it('should reset the page and cursor when the limit changes', () => {
+    searchParams = new URLSearchParams('page=4&cursor=abc');
+    const { result } = renderHook(() => usePagination({ replace: true }));
+
+    result.current.setLimit(50);
+
+    expect(replace).toHaveBeenCalledWith('/users?limit=50');
+    expect(push).not.toHaveBeenCalled();
+  });
+
+  it('should set and clear the cursor', () => {
+    const { result } = renderHook(() => usePagination());
+
+    result.current.setCursor('next-token');
+    expect(push).toHaveBeenCalledWith('/users?cursor=next-token');
+
+    result.current.setCursor(null);
+    expect(push).toHaveBeenLastCalledWith('/users');
+  });
+});
@@ -0,0 +1,90 @@
+'use client';
+
+import { usePathname, useRouter, useSearchParams } from 'next/navigation';
+import { useCallback, useMemo } from 'react';
+import { clampLimit, DEFAULT_PAGE_LIMIT, MAX_PAGE_LIMIT } from '@/lib/pagination-shared';
+
+export interface UsePaginationOptions {
+  defaultLimit?: number;
+  maxLimit?: number;
+  /** Replace the history entry instead of pushing a new one */
+  replace?: boolean;
+}
+
+function parsePositiveInt(value: string | null, fallback: number): number {
+  const parsed = Number(value);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+/**
+ * Reads and writes `page`, `limit` and `cursor` in the URL's search params,
+ * clamped the same way the API's pagination schemas clamp them
+ *
+ * @example
+ * ```tsx
+ * const { page, limit, setPage } = usePagination();
+ * const { data } = useSWR(`/api/users?page=${page}&limit=${limit}`);
+ * <button onClick={() => setPage(page + 1)}>Next</button>
+ * ```
+ */
+export function usePagination({
+  defaultLimit = DEFAULT_PAGE_LIMIT,
+  maxLimit = MAX_PAGE_LIMIT,
+  replace = false,
+}: UsePaginationOptions = {}) {
+  const router = useRouter();
+  const pathname = usePathname();
+  const searchParams = useSearchParams();
+
+  const page = parsePositiveInt(searchParams.get('page'), 1);
+  const limit = clampLimit(parsePositiveInt(searchParams.get('limit'), defaultLimit), maxLimit);
+  const cursor = searchParams.get('cursor') ?? undefined;
+
+  const hrefWith = useCallback(
+    (updates: Record<string, string | number | undefined>) => {
+      const params = new URLSearchParams(searchParams.toString());
+      for (const [name, value] of Object.entries(updates)) {
+        if (value === undefined) {
+          params.delete(name);
+        } else {
+          params.set(name, String(value));
+        }
+      }
+      const query = params.toString();
+      return query ? `${pathname}?${query}` : pathname;
+    },
+    [pathname, searchParams]
+  );
+
+  const navigate = useCallback(
+    (updates: Record<string, string | number | undefined>) => {
+      const href = hrefWith(updates);
+      if (replace) {
+        router.replace(href);
+      } else {
+        router.push(href);
+      }
+    },
+    [hrefWith, replace, router]
+  );
+
+  return useMemo(
+    () => ({
+      page,
+      limit,
+      cursor,
+      /** Link target for a page, e.g. for `<Link href={hrefForPage(2)}>` */
+      hrefForPage: (target: number) => hrefWith({ page: target > 1 ? target : undefined }),
+      setPage: (target: number) => navigate({ page: target > 1 ? target : undefined }),
+      /** Changing the page size starts over from the first page */
+      setLimit: (target: number) =>
+        navigate({
+          limit: clampLimit(target, maxLimit),
+          page: undefined,
+          cursor: undefined,
+        }),
+      setCursor: (target: string | null | undefined) => navigate({ cursor: target ?? undefined }),
+    }),
+    [cursor, hrefWith, limit, maxLimit, navigate, page]
+  );
+}
@@ -0,0 +1,9 @@
+/**
+ * Runs once when the Next.js server starts
+ *
+ * Loading the env module here validates the environment at boot, so a
+ * misconfigured deployment fails immediately instead of on first use.
+ */
+export async function register() {
+  await import('@/lib/env');
+}
@@ -0,0 +1,229 @@
+// @vitest-environment node
+import { describe, it, expect, vi } from 'vitest';
+import { z } from 'zod';
+import { defineRoute, withApiHandler } from './api-handler';
+import { ForbiddenError, NotFoundError, UnauthorizedError } from './errors';
+import { logger } from './logger';
+
+const noParams = { params: Promise.resolve({}) };
+
+function jsonRequest(url: string, body: unknown, init: RequestInit = {}) {
+  return new Request(url, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: typeof body === 'string' ? body : JSON.stringify(body),
+    ...init,
+  });
+}
+
+describe('withApiHandler', () => {
+  it('should wrap results in a data envelope', async () => {
+    const handler = withApiHandler(async () => ({ ok: true }));
+    const response = await handler(new Request('http://localhost/api/test'), noParams);
+
+    expect(response.status).toBe(200);
+    expect(await response.json()).toEqual({ data: { ok: true } });
+  });
+
+  it('should use the configured success status', async () => {
+    const handler = withApiHandler(async () => ({ id: '1' }), { status: 201 });
+    const response = await handler(new Request('http://localhost/api/test'), noParams);
+    expect(response.status).toBe(201);
+  });
+
+  it('should pass through Response objects', async () => {
+    const handler = withApiHandler(async () => new Response(null, { status: 204 }));
+    const response = await handler(new Request('http://localhost/api/test'), noParams);
+    expect(response.status).toBe(204);
+  });
+
+  it('should map AppError subclasses to their status codes', async () => {
+    const notFound = withApiHandler(async () => {
+      throw new NotFoundError('User');
+    });
+    const forbidden = withApiHandler(async () => {
+      throw new ForbiddenError();
+    });
+
+    const notFoundResponse = await notFound(new Request('http://localhost/api/test'), noParams);
+    const forbiddenResponse = await forbidden(new Request('http://localhost/api/test'), noParams);
+
+    expect(notFoundResponse.status).toBe(404);
+    expect(notFoundResponse.headers.get('content-type')).toBe('application/problem+json');
+    expect(await notFoundResponse.json()).toEqual({
+      type: '/problems/not-found',
+      title: 'Not Found',
+      status: 404,
+      detail: 'User not found',
+      instance: '/api/test',
+      code: 'NOT_FOUND',
+    });
+    expect(forbiddenResponse.status).toBe(403);
+  });
+
+  it('should hide unexpected errors behind a generic message and log them', async () => {
+    const childSpy = vi.spyOn(logger, 'child').mockReturnValue(logger);
+    const logSpy = vi.spyOn(logger, 'error').mockImplementation(() => {});
+    const handler = withApiHandler(async () => {
+      throw new Error('database password is hunter2');
+    });
+
+    const response = await handler(new Request('http://localhost/api/test'), noParams);
+
+    expect(response.status).toBe(500);
+    const problem = await response.json();
+    expect(problem.detail).toBe('An unexpected error occurred');
+    expect(problem.code).toBe('INTERNAL_ERROR');
+    expect(JSON.stringify(problem)).not.toContain('hunter2');
+    expect(logSpy).toHaveBeenCalledWith('Unhandled error in route handler', expect.any(Error));
+
+    childSpy.mockRestore();
+    logSpy.mockRestore();
+  });
+
+  it('should propagate the request ID', async () => {
+    const handler = withApiHandler(async (_request, { requestId }) => ({ requestId }));
+    const response = await handler(
+      new Request('http://localhost/api/test', { headers: { 'x-request-id': 'abc-123' } }),
+      noParams
+    );
+
+    expect(response.headers.get('x-request-id')).toBe('abc-123');
+    expect(await response.json()).toEqual({ data: { requestId: 'abc-123' } });
+  });
+
+  it('should add the request ID to responses with immutable headers', async () => {
+    const handler = withApiHandler(async () => Response.redirect('http://localhost/login', 307));
+    const response = await handler(
+      new Request('http://localhost/api/test', { headers: { 'x-request-id': 'abc-123' } }),
+      noParams
+    );
+
+    expect(response.status).toBe(307);
+    expect(response.headers.get('location')).toBe('http://localhost/login');
+    expect(response.headers.get('x-request-id')).toBe('abc-123');
+  });
+});
+
+describe('defineRoute', () => {
+  const route = defineRoute(
+    {
+      params: z.object({ id: z.coerce.number().int() }),
+      query: z.object({ tags: z.array(z.string()).optional() }),
+      body: z.object({ name: z.string().min(1), email: z.email() }),
+    },
+    async ({ params, query, body }) => ({ id: params.id, tags: query.tags, name: body.name }),
+    { status: 201 }
+  );
+
+  it('should hand the handler typed, validated input', async () => {
+    const response = await route(
+      jsonRequest('http://localhost/api/users/7?tags=a&tags=b', {
+        name: 'Jane',
+        email: 'jane@example.com',
+      }),
+      { params: Promise.resolve({ id: '7' }) }
+    );
+
+    expect(response.status).toBe(201);
+    expect(await response.json()).toEqual({ data: { id: 7, tags: ['a', 'b'], name: 'Jane' } });
+  });
+
+  it('should report field-level issues from every source', async () => {
+    const response = await route(jsonRequest('http://localhost/api/users/x', { name: '' }), {
+      params: Promise.resolve({ id: 'x' }),
+    });
+
+    expect(response.status).toBe(400);
+    const problem = await response.json();
+    expect(problem.code).toBe('VALIDATION_FAILED');
+    expect(problem.detail).toBe('Validation failed');
+    expect(problem.errors.map((issue: { path: string }) => issue.path)).toEqual([
+      'params.id',
+      'body.name',
+      'body.email',
+    ]);
+  });
+
+  it('should reject malformed JSON bodies', async () => {
+    const response = await route(jsonRequest('http://localhost/api/users/1', '{nope'), {
+      params: Promise.resolve({ id: '1' }),
+    });
+
+    expect(response.status).toBe(400);
+    expect((await response.json()).detail).toBe('Request body must be valid JSON');
+  });
+
+  it('should stop reading chunked bodies once they pass the limit', async () => {
+    const echo = defineRoute({ body: z.unknown() }, async ({ body }) => body, {
+      maxBodyBytes: 4096,
+    });
+    let chunksSent = 0;
+    const body = new ReadableStream<Uint8Array>({
+      pull(controller) {
+        chunksSent++;
+        controller.enqueue(new TextEncoder().encode(' '.repeat(1024)));
+      },
+    });
+
+    // No content-length: the body is streamed with chunked encoding
+    const response = await echo(
+      new Request('http://localhost/api/test', {
+        method: 'POST',
+        body,
+        duplex: 'half',
+      } as RequestInit),
+      noParams
+    );
+
+    expect(response.status).toBe(413);
+    expect((await response.json()).code).toBe('PAYLOAD_TOO_LARGE');
+    expect(chunksSent).toBeLessThan(10);
+  });
+
+  it('should reject a declared content-length over the limit before reading', async () => {
+    const echo = defineRoute({ body: z.unknown() }, async ({ body }) => body, {
+      maxBodyBytes: 10,
+    });
+    const request = jsonRequest(
+      'http://localhost/api/test',
+      {},
+      {
+        headers: { 'content-length': '1000000' },
+      }
+    );
+
+    const response = await echo(request, noParams);
+
+    expect(response.status).toBe(413);
+    expect(request.bodyUsed).toBe(false);
+  });
+
+  it('should authorize before reading or validating the request', async () => {
+    const handler = vi.fn();
+    const guarded = defineRoute({ body: z.object({ name: z.string() }) }, handler, {
+      authorize: () => {
+        throw new UnauthorizedError('Authentication required');
+      },
+    });
+    const request = jsonRequest('http://localhost/api/test', '{nope');
+
+    const response = await guarded(request, noParams);
+
+    expect(response.status).toBe(401);
+    expect(request.bodyUsed).toBe(false);
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  it('should validate headers', async () => {
+    const headerRoute = defineRoute(
+      { headers: z.object({ 'x-api-version': z.literal('2') }) },
+      async ({ headers }) => headers['x-api-version']
+    );
+
+    const response = await headerRoute(new Request('http://localhost/api/test'), noParams);
+
+    expect(response.status).toBe(400);
+    expect((await response.json()).errors[0].path).toBe('headers.x-api-version');
+  });
+});
@@ -0,0 +1,264 @@
+import { NextResponse } from 'next/server';
+import { z } from 'zod';
+import { HTTP_STATUS } from '@/lib/constants';
+import {
+  AppError,
+  handleError,
+  PayloadTooLargeError,
+  toProblemResponse,
+  ValidationError,
+} from '@/lib/errors';
+import { logger as rootLogger, type Logger } from '@/lib/logger';
+import {
+  getRequestIdFromHeaders,
+  REQUEST_ID_HEADER,
+  runWithRequestContext,
+} from '@/lib/request-context';
+import { withHeaders } from '@/lib/utils';
+import type { ApiResponse, FieldIssue } from '@/types';
+
+/**
+ * Route handler wrappers
+ *
+ * `withApiHandler` gives a handler a request context, a scoped logger,
+ * `ApiResponse` envelopes for results and problem+json bodies for errors.
+ * `defineRoute` adds zod validation of params, query, body and headers on top.
+ */
+
+type RouteParams = Record<string, string | string[] | undefined>;
+
+export interface RouteContext {
+  params: Promise<RouteParams>;
+}
+
+export type RouteHandler = (request: Request, context: RouteContext) => Promise<Response>;
+
+export interface HandlerContext {
+  params: RouteParams;
+  requestId: string;
+  logger: Logger;
+}
+
+export interface HandlerOptions {
+  /** Status used for successful responses, e.g. 201 for creation */
+  status?: number;
+}
+
+/**
+ * Converts anything thrown by a handler into a problem+json response
+ *
+ * Only operational `AppError`s expose their message. Anything else is logged
+ * with its stack and answered with a generic message so internals don't leak.
+ */
+function toErrorResponse(error: unknown, request: Request, logger: Logger): Response {
+  const appError = error instanceof z.ZodError ? ValidationError.fromZodError(error) : error;
+  const { statusCode } = handleError(appError);
+
+  if (!(appError instanceof AppError) || !appError.isOperational) {
+    logger.error('Unhandled error in route handler', appError);
+  } else if (statusCode >= HTTP_STATUS.INTERNAL_SERVER_ERROR) {
+    logger.error('Request failed', appError);
+  }
+
+  return toProblemResponse(appError, new URL(request.url).pathname);
+}
+
+/**
+ * Wraps a route handler with request context, logging and uniform responses
+ *
+ * The handler may return plain data (sent as `{ data }`) or a `Response`,
+ * which is passed through untouched.
+ *
+ * @example
+ * ```typescript
+ * export const GET = withApiHandler(async () => ({ status: 'ok' }));
+ * ```
+ */
+export function withApiHandler<T>(
+  handler: (request: Request, context: HandlerContext) => T | Promise<T>,
+  options: HandlerOptions = {}
+): RouteHandler {
+  return async (request, context) => {
+    const requestId = getRequestIdFromHeaders(request.headers);
+    const logger = rootLogger.child({
+      method: request.method,
+      path: new URL(request.url).pathname,
+    });
+
+    const response = await runWithRequestContext({ requestId }, async () => {
+      try {
+        const params = (await context?.params) ?? {};
+        const result = await handler(request, { params, requestId, logger });
+
+        if (result instanceof Response) {
+          return result;
+        }
+        return NextResponse.json<ApiResponse<T>>(
+          { data: result },
+          { status: options.status ?? 200 }
+        );
+      } catch (error) {
+        return toErrorResponse(error, request, logger);
+      }
+    });
+
+    return withHeaders(response, { [REQUEST_ID_HEADER]: requestId });
+  };
+}
+
+export interface RouteOptions extends HandlerOptions {
+  /** Largest request body read, in bytes; defaults to 1 MiB */
+  maxBodyBytes?: number;
+  /**
+   * Runs before the request is read or validated, so callers who may not use
+   * the route get a 401/403 rather than a 400 or 413. Throw to reject.
+   */
+  authorize?: (request: Request) => unknown;
+}
+
+const DEFAULT_MAX_BODY_BYTES = 1024 * 1024;
+
+export interface RouteSchemas {
+  params?: z.ZodType;
+  query?: z.ZodType;
+  body?: z.ZodType;
+  headers?: z.ZodType;
+}
+
+type Infer<S, Fallback = undefined> = S extends z.ZodType ? z.output<S> : Fallback;
+
+export interface RouteInput<S extends RouteSchemas> extends Omit<HandlerContext, 'params'> {
+  request: Request;
+  params: Infer<S['params'], RouteParams>;
+  query: Infer<S['query']>;
+  body: Infer<S['body']>;
+  headers: Infer<S['headers']>;
+}
+
+/**
+ * Collects search params into an object, turning repeated keys into arrays
+ */
+function searchParamsToObject(searchParams: URLSearchParams): Record<string, string | string[]> {
+  const result: Record<string, string | string[]> = {};
+  for (const key of new Set(searchParams.keys())) {
+    const values = searchParams.getAll(key);
+    result[key] = values.length > 1 ? values : values[0];
+  }
+  return result;
+}
+
+/**
+ * Reads the body as text, giving up as soon as it passes `maxBytes` so an
+ * oversized or endless (chunked) body is never buffered in full
+ */
+async function readBodyText(request: Request, maxBytes: number): Promise<string> {
+  if (Number(request.headers.get('content-length')) > maxBytes) {
+    throw new PayloadTooLargeError(maxBytes);
+  }
+  if (!request.body) {
+    return '';
+  }
+
+  const reader = request.body.getReader();
+  const decoder = new TextDecoder();
+  let received = 0;
+  let text = '';
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) {
+      return text + decoder.decode();
+    }
+    received += value.byteLength;
+    if (received > maxBytes) {
+      await reader.cancel();
+      throw new PayloadTooLargeError(maxBytes);
+    }
+    text += decoder.decode(value, { stream: true });
+  }
+}
+
+async function readJsonBody(request: Request, maxBytes: number): Promise<unknown> {
+  const text = await readBodyText(request, maxBytes);
+  if (!text) {
+    return undefined;
+  }
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw new ValidationError('Request body must be valid JSON');
+  }
+}
+
+async function validate<S extends z.ZodType | undefined>(
+  schema: S,
+  value: unknown,
+  source: string,
+  issues: FieldIssue[]
+): Promise<Infer<S>> {
+  if (!schema) {
+    return undefined as Infer<S>;
+  }
+  const result = await schema.safeParseAsync(value);
+  if (!result.success) {
+    issues.push(...ValidationError.fromZodError(result.error, source).issues);
+    return undefined as Infer<S>;
+  }
+  return result.data as Infer<S>;
+}
+
+/**
+ * Declares a route handler whose input is validated against zod schemas
+ *
+ * Validation failures become 400 responses listing every field-level issue.
+ * Bodies larger than `options.maxBodyBytes` are rejected with a 413.
+ *
+ * @example
+ * ```typescript
+ * export const POST = defineRoute(
+ *   { body: z.object({ name: z.string().min(1) }) },
+ *   async ({ body }) => createThing(body.name),
+ *   { status: 201, authorize: () => requireRole('admin') }
+ * );
+ * ```
+ */
+export function defineRoute<S extends RouteSchemas, T>(
+  schemas: S,
+  handler: (input: RouteInput<S>) => T | Promise<T>,
+  { maxBodyBytes = DEFAULT_MAX_BODY_BYTES, authorize, ...options }: RouteOptions = {}
+): RouteHandler {
+  return withApiHandler(async (request, context) => {
+    await authorize?.(request);
+    const url = new URL(request.url);
+
+    const issues: FieldIssue[] = [];
+    const rawBody = schemas.body ? await readJsonBody(request, maxBodyBytes) : undefined;
+
+    const params = await validate(schemas.params, context.params, 'params', issues);
+    const query = await validate(
+      schemas.query,
+      searchParamsToObject(url.searchParams),
+      'query',
+      issues
+    );
+    const headers = await validate(
+      schemas.headers,
+      Object.fromEntries(request.headers),
+      'headers',
+      issues
+    );
+    const body = await validate(schemas.body, rawBody, 'body', issues);
+
+    if (issues.length > 0) {
+      throw new ValidationError('Validation failed', issues);
+    }
+
+    return handler({
+      ...context,
+      request,
+      params: (params ?? context.params) as RouteInput<S>['params'],
+      query: query as RouteInput<S>['query'],
+      headers: headers as RouteInput<S>['headers'],
+      body: body as RouteInput<S>['body'],
+    });
+  }, options);
+}
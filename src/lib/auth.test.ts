@@ -0,0 +1,48 @@
+// @vitest-environment node
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { requireRole, requireUser } from './auth';
+import { ForbiddenError, UnauthorizedError } from './errors';
+import { createSessionPayload, sealSession, sessionCookieName } from './session';
+
+const cookieStore = new Map<string, string>();
+
+vi.mock('next/headers', () => ({
+  cookies: async () => ({
+    get: (name: string) =>
+      cookieStore.has(name) ? { name, value: cookieStore.get(name) } : undefined,
+  }),
+}));
+
+vi.mock('./env', async (importOriginal) => {
+  const { env } = await importOriginal<typeof import('./env')>();
+  return { env: { ...env, SESSION_SECRET: 'test-secret-that-is-at-least-32-chars' } };
+});
+
+async function signIn(roles: ('user' | 'admin')[]) {
+  const session = createSessionPayload({ id: 'user-1', roles });
+  cookieStore.set(sessionCookieName(), await sealSession(session));
+}
+
+describe('auth guards', () => {
+  beforeEach(() => {
+    cookieStore.clear();
+  });
+
+  it('should reject anonymous visitors', async () => {
+    await expect(requireUser()).rejects.toThrow(UnauthorizedError);
+    await expect(requireRole('user')).rejects.toThrow(UnauthorizedError);
+  });
+
+  it('should return the signed-in user', async () => {
+    await signIn(['user']);
+    await expect(requireUser()).resolves.toMatchObject({ id: 'user-1' });
+  });
+
+  it('should reject users without the required role', async () => {
+    await signIn(['user']);
+    await expect(requireRole('admin')).rejects.toThrow(ForbiddenError);
+
+    await signIn(['admin']);
+    await expect(requireRole('admin')).resolves.toMatchObject({ roles: ['admin'] });
+  });
+});
@@ -0,0 +1,85 @@
+import { cookies } from 'next/headers';
+import { cache } from 'react';
+import { ForbiddenError, UnauthorizedError } from '@/lib/errors';
+import {
+  createSessionPayload,
+  hasRole,
+  sealSession,
+  sessionCookieName,
+  sessionCookieOptions,
+  unsealSession,
+  type Role,
+  type Session,
+  type SessionUser,
+} from '@/lib/session';
+
+/**
+ * Server-side session access and authorization guards
+ *
+ * The guards throw `UnauthorizedError` / `ForbiddenError`, which route
+ * handlers wrapped in `withApiHandler` turn into 401/403 problem responses.
+ */
+
+/**
+ * The current visitor's session, or `null` when signed out
+ *
+ * Memoized per request, so layouts and pages can all call it.
+ */
+export const getSession = cache(async (): Promise<Session | null> => {
+  const value = (await cookies()).get(sessionCookieName())?.value;
+  return (await unsealSession(value))?.session ?? null;
+});
+
+/**
+ * Signs `user` in. Only callable where cookies can be set: route handlers
+ * and server actions.
+ */
+export async function createSession(user: SessionUser): Promise<Session> {
+  const session = createSessionPayload(user);
+  (await cookies()).set(
+    sessionCookieName(),
+    await sealSession(session),
+    sessionCookieOptions(session)
+  );
+  return session;
+}
+
+/**
+ * Signs the visitor out
+ */
+export async function destroySession(): Promise<void> {
+  (await cookies()).delete(sessionCookieName());
+}
+
+/**
+ * @throws UnauthorizedError when nobody is signed in
+ */
+export async function requireUser(): Promise<SessionUser> {
+  const session = await getSession();
+  if (!session) {
+    throw new UnauthorizedError('Authentication required');
+  }
+  return session.user;
+}
+
+/**
+ * Requires a signed-in user with at least one of the given roles
+ *
+ * @example
+ * ```typescript
+ * export const DELETE = withApiHandler(async () => {
+ *   await requireRole('admin');
+ *   // ...
+ * });
+ * ```
+ *
+ * @throws UnauthorizedError when nobody is signed in
+ * @throws ForbiddenError when the user lacks the role
+ */
+export async function requireRole(role: Role | readonly Role[]): Promise<SessionUser> {
+  const user = await requireUser();
+  if (!hasRole(user, role)) {
+    throw new ForbiddenError('Insufficient permissions');
+  }
+  return user;
+}
@@ -3,20 +3,33 @@ export const APP_DESCRIPTION = 'DESCRIPTION';
 
 export const API_ENDPOINTS = {
   HEALTH: '/api/health',
+  HEALTH_LIVE: '/api/health/live',
+  HEALTH_READY: '/api/health/ready',
+  USERS: '/api/users',
 } as const;
 
 export const ROUTES = {
   HOME: '/',
   ABOUT: '/about',
   CONTACT: '/contact',
+  LOGIN: '/login',
+  ADMIN: '/admin',
 } as const;
 
 export const HTTP_STATUS = {
   OK: 200,
   CREATED: 201,
+  NO_CONTENT: 204,
   BAD_REQUEST: 400,
   UNAUTHORIZED: 401,
   FORBIDDEN: 403,
   NOT_FOUND: 404,
+  CONFLICT: 409,
+  PAYLOAD_TOO_LARGE: 413,
+  UNPROCESSABLE_ENTITY: 422,
+  TOO_MANY_REQUESTS: 429,
   INTERNAL_SERVER_ERROR: 500,
+  BAD_GATEWAY: 502,
+  SERVICE_UNAVAILABLE: 503,
+  GATEWAY_TIMEOUT: 504,
 } as const;
@@ -0,0 +1,79 @@
+import { describe, it, expect } from 'vitest';
+import { createReportDeduper, cspReportBodySchema, normalizeCspReports } from './csp-report';
+
+const legacyReport = {
+  'csp-report': {
+    'document-uri': 'https://example.com/page?x=1',
+    'violated-directive': 'script-src-elem',
+    'effective-directive': 'script-src-elem',
+    'blocked-uri': 'https://evil.example/x.js',
+    disposition: 'enforce',
+    'line-number': 10,
+  },
+};
+
+const reportingApiReport = [
+  {
+    type: 'csp-violation',
+    url: 'https://example.com/page',
+    body: {
+      documentURL: 'https://example.com/page',
+      effectiveDirective: 'style-src-elem',
+      blockedURL: 'inline',
+      disposition: 'report',
+    },
+  },
+  { type: 'deprecation', body: { documentURL: 'https://example.com/page' } },
+];
+
+describe('csp-report', () => {
+  describe('normalizeCspReports', () => {
+    it('should normalize report-uri payloads', () => {
+      const body = cspReportBodySchema.parse(legacyReport);
+      expect(normalizeCspReports(body)).toEqual([
+        expect.objectContaining({
+          documentUrl: 'https://example.com/page?x=1',
+          directive: 'script-src-elem',
+          blockedUrl: 'https://evil.example/x.js',
+          lineNumber: 10,
+        }),
+      ]);
+    });
+
+    it('should normalize Reporting API payloads and skip other report types', () => {
+      const body = cspReportBodySchema.parse(reportingApiReport);
+      expect(normalizeCspReports(body)).toEqual([
+        expect.objectContaining({ directive: 'style-src-elem', blockedUrl: 'inline' }),
+      ]);
+    });
+
+    it('should reject malformed payloads', () => {
+      expect(cspReportBodySchema.safeParse({ foo: 'bar' }).success).toBe(false);
+    });
+  });
+
+  describe('createReportDeduper', () => {
+    it('should suppress repeats until the TTL expires', () => {
+      let now = 0;
+      const isNew = createReportDeduper({ ttlMs: 1000, now: () => now });
+      const [violation] = normalizeCspReports(cspReportBodySchema.parse(legacyReport));
+
+      expect(isNew(violation)).toBe(true);
+      expect(isNew({ ...violation, documentUrl: 'https://example.com/page?x=2' })).toBe(false);
+
+      now = 1001;
+      expect(isNew(violation)).toBe(true);
+    });
+
+    it('should stay bounded', () => {
+      const isNew = createReportDeduper({ maxEntries: 2 });
+      const violation = { documentUrl: 'https://example.com', directive: 'img-src' };
+
+      expect(isNew({ ...violation, blockedUrl: 'a' })).toBe(true);
+      expect(isNew({ ...violation, blockedUrl: 'b' })).toBe(true);
+      expect(isNew({ ...violation, blockedUrl: 'c' })).toBe(true);
+      // 'a' was evicted to make room for 'c'
+      expect(isNew({ ...violation, blockedUrl: 'a' })).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,152 @@
+import { z } from 'zod';
+
+/**
+ * CSP violation report parsing and deduplication
+ *
+ * Browsers send either the legacy `report-uri` format
+ * (`application/csp-report`, a single `{ "csp-report": {...} }` object) or the
+ * Reporting API format (`application/reports+json`, an array of reports).
+ * Both are normalized into `CspViolation`.
+ */
+
+const urlish = z.string().max(2048);
+
+const legacyReportSchema = z.object({
+  'csp-report': z.object({
+    'document-uri': urlish,
+    'violated-directive': z.string().max(256).optional(),
+    'effective-directive': z.string().max(256).optional(),
+    'blocked-uri': urlish.optional(),
+    'original-policy': z.string().max(8192).optional(),
+    disposition: z.enum(['enforce', 'report']).optional(),
+    'source-file': urlish.optional(),
+    'line-number': z.number().int().nonnegative().optional(),
+    'column-number': z.number().int().nonnegative().optional(),
+    'script-sample': z.string().max(256).optional(),
+  }),
+});
+
+const reportingApiSchema = z
+  .array(
+    z.object({
+      type: z.string(),
+      url: urlish.optional(),
+      body: z
+        .object({
+          documentURL: urlish,
+          effectiveDirective: z.string().max(256),
+          blockedURL: urlish.optional(),
+          originalPolicy: z.string().max(8192).optional(),
+          disposition: z.enum(['enforce', 'report']).optional(),
+          sourceFile: urlish.optional(),
+          lineNumber: z.number().int().nonnegative().optional(),
+          columnNumber: z.number().int().nonnegative().optional(),
+          sample: z.string().max(256).optional(),
+        })
+        .partial({ effectiveDirective: true }),
+    })
+  )
+  .max(100);
+
+export const cspReportBodySchema = z.union([legacyReportSchema, reportingApiSchema]);
+
+export type CspReportBody = z.infer<typeof cspReportBodySchema>;
+
+export interface CspViolation {
+  documentUrl: string;
+  directive: string;
+  blockedUrl?: string;
+  disposition?: 'enforce' | 'report';
+  sourceFile?: string;
+  lineNumber?: number;
+  columnNumber?: number;
+  sample?: string;
+}
+
+/**
+ * Converts either report format into a list of violations
+ */
+export function normalizeCspReports(body: CspReportBody): CspViolation[] {
+  if (!Array.isArray(body)) {
+    const report = body['csp-report'];
+    return [
+      {
+        documentUrl: report['document-uri'],
+        directive: report['effective-directive'] ?? report['violated-directive'] ?? 'unknown',
+        blockedUrl: report['blocked-uri'],
+        disposition: report.disposition,
+        sourceFile: report['source-file'],
+        lineNumber: report['line-number'],
+        columnNumber: report['column-number'],
+        sample: report['script-sample'],
+      },
+    ];
+  }
+
+  return body
+    .filter((report) => report.type === 'csp-violation')
+    .map(({ body: report }) => ({
+      documentUrl: report.documentURL,
+      directive: report.effectiveDirective ?? 'unknown',
+      blockedUrl: report.blockedURL,
+      disposition: report.disposition,
+      sourceFile: report.sourceFile,
+      lineNumber: report.lineNumber,
+      columnNumber: report.columnNumber,
+      sample: report.sample,
+    }));
+}
+
+export interface ReportDeduperOptions {
+  /** How long an identical violation is suppressed */
+  ttlMs?: number;
+  /** Upper bound on remembered violations */
+  maxEntries?: number;
+  now?: () => number;
+}
+
+/**
+ * Remembers recently seen violations so a noisy page doesn't flood the logs
+ *
+ * @returns A function that is true the first time a violation is seen
+ * within the TTL and false for repeats.
+ */
+export function createReportDeduper({
+  ttlMs = 60_000,
+  maxEntries = 1000,
+  now = Date.now,
+}: ReportDeduperOptions = {}): (violation: CspViolation) => boolean {
+  const seen = new Map<string, number>();
+
+  return (violation) => {
+    const currentTime = now();
+    const key = [
+      violation.directive,
+      violation.blockedUrl,
+      violation.sourceFile,
+      violation.lineNumber,
+      violation.documentUrl.split(/[?#]/)[0],
+    ].join('|');
+
+    const expiresAt = seen.get(key);
+    if (expiresAt !== undefined && expiresAt > currentTime) {
+      return false;
+    }
+
+    if (seen.size >= maxEntries) {
+      for (const [entryKey, entryExpiry] of seen) {
+        if (entryExpiry <= currentTime) {
+          seen.delete(entryKey);
+        }
+      }
+      // Still full: evict the oldest entry (Maps iterate in insertion order)
+      if (seen.size >= maxEntries) {
+        seen.delete(seen.keys().next().value as string);
+      }
+    }
+
+    seen.delete(key);
+    seen.set(key, currentTime + ttlMs);
+    return true;
+  };
+}
@@ -0,0 +1,47 @@
+import { cookies, headers } from 'next/headers';
+import {
+  assertCsrfToken,
+  checkRequestOrigin,
+  CSRF_FIELD,
+  CSRF_HEADER,
+  csrfCookieName,
+  type CsrfOptions,
+} from '@/lib/csrf';
+
+/**
+ * Reads the double-submit token the middleware issued for this visitor
+ */
+export async function getCsrfToken(): Promise<string | undefined> {
+  return (await cookies()).get(csrfCookieName())?.value;
+}
+
+/**
+ * CSRF check for server actions, which have no `Request` to pass to `verifyCsrf`
+ *
+ * @example
+ * ```typescript
+ * export async function deleteAccount(formData: FormData) {
+ *   'use server';
+ *   await verifyServerAction(formData);
+ *   // ...
+ * }
+ * ```
+ *
+ * @throws ForbiddenError when the action may be forged
+ */
+export async function verifyServerAction(
+  formData?: FormData,
+  options: CsrfOptions = {}
+): Promise<void> {
+  const requestHeaders = await headers();
+  const host = requestHeaders.get('x-forwarded-host') ?? requestHeaders.get('host');
+  const protocol = requestHeaders.get('x-forwarded-proto') ?? 'https';
+  const ownOrigin = host ? `${protocol}://${host}` : undefined;
+
+  if (checkRequestOrigin('POST', requestHeaders, ownOrigin, options)) {
+    assertCsrfToken(
+      requestHeaders,
+      requestHeaders.get(CSRF_HEADER) ?? formData?.get(CSRF_FIELD) ?? undefined
+    );
+  }
+}
@@ -0,0 +1,124 @@
+// @vitest-environment node
+import { describe, it, expect, vi } from 'vitest';
+import {
+  checkRequestOrigin,
+  createCsrfToken,
+  CSRF_FIELD,
+  CSRF_HEADER,
+  csrfCookieName,
+  verifyCsrf,
+  withCsrf,
+} from './csrf';
+import { ForbiddenError } from './errors';
+
+const APP_URL = 'http://localhost:3000';
+
+function post(headers: Record<string, string>, body?: BodyInit) {
+  return new Request(`${APP_URL}/api/items`, { method: 'POST', headers, body });
+}
+
+describe('csrf', () => {
+  describe('createCsrfToken', () => {
+    it('should create unique base64url tokens', () => {
+      const token = createCsrfToken();
+      expect(token).toMatch(/^[\w-]{43}$/);
+      expect(createCsrfToken()).not.toBe(token);
+    });
+  });
+
+  describe('checkRequestOrigin', () => {
+    it('should skip safe methods', () => {
+      expect(checkRequestOrigin('GET', new Headers({ origin: 'https://evil.example' }))).toBe(
+        false
+      );
+    });
+
+    it('should accept the app origin and trusted origins', () => {
+      expect(checkRequestOrigin('POST', new Headers({ origin: APP_URL }))).toBe(false);
+      expect(
+        checkRequestOrigin('DELETE', new Headers({ origin: 'https://admin.example' }), undefined, {
+          allowedOrigins: ['https://admin.example'],
+        })
+      ).toBe(false);
+    });
+
+    it('should accept the origin the request was addressed to', () => {
+      const headers = new Headers({ origin: 'https://app.example' });
+      expect(checkRequestOrigin('POST', headers, 'https://app.example')).toBe(false);
+    });
+
+    it('should reject foreign and opaque origins', () => {
+      for (const origin of ['https://evil.example', 'null']) {
+        expect(() => checkRequestOrigin('POST', new Headers({ origin }))).toThrow(ForbiddenError);
+      }
+    });
+
+    it('should fall back to Sec-Fetch-Site', () => {
+      expect(checkRequestOrigin('PUT', new Headers({ 'sec-fetch-site': 'same-origin' }))).toBe(
+        false
+      );
+      expect(() =>
+        checkRequestOrigin('PUT', new Headers({ 'sec-fetch-site': 'cross-site' }))
+      ).toThrow('Cross-site request blocked');
+    });
+
+    it('should require a token when provenance is unknown and cookies are present', () => {
+      expect(checkRequestOrigin('PATCH', new Headers())).toBe(false);
+      expect(checkRequestOrigin('PATCH', new Headers({ cookie: 'session=1' }))).toBe(true);
+    });
+
+    it('should require a token for trusted origins when asked to', () => {
+      expect(
+        checkRequestOrigin('POST', new Headers({ origin: APP_URL }), undefined, {
+          requireToken: true,
+        })
+      ).toBe(true);
+    });
+  });
+
+  describe('verifyCsrf', () => {
+    const cookie = `${csrfCookieName()}=token-123`;
+
+    it('should accept a matching token header', async () => {
+      await expect(
+        verifyCsrf(post({ cookie, [CSRF_HEADER]: 'token-123' }))
+      ).resolves.toBeUndefined();
+    });
+
+    it('should accept a matching form field and leave the body readable', async () => {
+      const request = post(
+        { cookie, 'content-type': 'application/x-www-form-urlencoded' },
+        new URLSearchParams({ [CSRF_FIELD]: 'token-123', name: 'Ada' })
+      );
+
+      await verifyCsrf(request);
+
+      expect((await request.formData()).get('name')).toBe('Ada');
+    });
+
+    it('should reject missing or mismatched tokens', async () => {
+      await expect(verifyCsrf(post({ cookie }))).rejects.toThrow('Invalid or missing CSRF token');
+      await expect(verifyCsrf(post({ cookie, [CSRF_HEADER]: 'token-456' }))).rejects.toThrow(
+        ForbiddenError
+      );
+      await expect(
+        verifyCsrf(post({ cookie: 'session=1', [CSRF_HEADER]: 'token-123' }))
+      ).rejects.toThrow(ForbiddenError);
+    });
+  });
+
+  describe('withCsrf', () => {
+    it('should answer forged requests with a 403 problem response', async () => {
+      const handler = vi.fn(async () => Response.json({ ok: true }));
+      const route = withCsrf(handler);
+
+      const response = await route(post({ origin: 'https://evil.example' }));
+
+      expect(response.status).toBe(403);
+      expect(await response.json()).toMatchObject({ code: 'FORBIDDEN', instance: '/api/items' });
+      expect(handler).not.toHaveBeenCalled();
+
+      expect((await route(post({ origin: APP_URL }))).status).toBe(200);
+    });
+  });
+});
@@ -0,0 +1,86 @@
+import { describe, it, expect } from 'vitest';
+import { createEnv, EnvValidationError } from './env';
+
+const validSource = {
+  NODE_ENV: 'test',
+  NEXT_PUBLIC_APP_URL: 'http://localhost:3000',
+};
+
+describe('env', () => {
+  describe('createEnv on the server', () => {
+    it('should parse a valid environment', () => {
+      const env = createEnv({ source: validSource, isServer: true });
+      expect(env.NODE_ENV).toBe('test');
+      expect(env.NEXT_PUBLIC_APP_URL).toBe('http://localhost:3000');
+    });
+
+    it('should coerce booleans and numbers', () => {
+      const env = createEnv({
+        source: { ...validSource, NEXT_PUBLIC_FEATURE_XYZ_ENABLED: 'true', PORT: '8080' },
+        isServer: true,
+      });
+      expect(env.NEXT_PUBLIC_FEATURE_XYZ_ENABLED).toBe(true);
+      expect(env.PORT).toBe(8080);
+    });
+
+    it('should treat empty values as unset', () => {
+      const env = createEnv({
+        source: { ...validSource, DATABASE_URL: '', NEXT_PUBLIC_FEATURE_XYZ_ENABLED: '' },
+        isServer: true,
+      });
+      expect(env.DATABASE_URL).toBeUndefined();
+      expect(env.NEXT_PUBLIC_FEATURE_XYZ_ENABLED).toBe(false);
+    });
+
+    it('should accept a login path or an absolute login URL', () => {
+      const parse = (LOGIN_URL?: string) =>
+        createEnv({ source: { ...validSource, LOGIN_URL }, isServer: true }).LOGIN_URL;
+
+      expect(parse()).toBe('/login');
+      expect(parse('/auth/sign-in')).toBe('/auth/sign-in');
+      expect(parse('https://id.example.com/authorize')).toBe('https://id.example.com/authorize');
+      expect(() => parse('//evil.example.com')).toThrow(EnvValidationError);
+    });
+
+    it('should report every invalid key in one error', () => {
+      const source = {
+        NEXT_PUBLIC_APP_URL: 'not-a-url',
+        DATABASE_URL: 'nope',
+        PORT: 'abc',
+        NEXTAUTH_SECRET: 'short',
+      };
+
+      try {
+        createEnv({ source, isServer: true });
+        expect.unreachable();
+      } catch (error) {
+        expect(error).toBeInstanceOf(EnvValidationError);
+        const keys = (error as EnvValidationError).issues.map((issue) => issue.key);
+        expect(keys).toEqual(
+          expect.arrayContaining(['NEXT_PUBLIC_APP_URL', 'DATABASE_URL', 'PORT', 'NEXTAUTH_SECRET'])
+        );
+        expect((error as Error).message).toContain('DATABASE_URL');
+      }
+    });
+  });
+
+  describe('createEnv on the client', () => {
+    it('should expose public variables', () => {
+      const env = createEnv({ source: validSource, isServer: false });
+      expect(env.NEXT_PUBLIC_APP_URL).toBe('http://localhost:3000');
+    });
+
+    it('should ignore invalid server-only variables', () => {
+      const env = createEnv({
+        source: { ...validSource, DATABASE_URL: 'nope' },
+        isServer: false,
+      });
+      expect(env.NODE_ENV).toBe('test');
+    });
+
+    it('should throw when a server-only variable is accessed', () => {
+      const env = createEnv({ source: validSource, isServer: false });
+      expect(() => env.DATABASE_URL).toThrow(/server-only environment variable "DATABASE_URL"/);
+    });
+  });
+});
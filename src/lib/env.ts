@@ -0,0 +1,165 @@
+import { z } from 'zod';
+import { ROUTES } from '@/lib/constants';
+
+/**
+ * Schema-validated environment configuration
+ *
+ * Variables are split into server-only and public (`NEXT_PUBLIC_*`) groups.
+ * The whole environment is validated once, when this module is first loaded,
+ * and every invalid key is reported in a single error.
+ */
+
+/**
+ * Comma-separated list, e.g. `FOO=a,b`, validated item by item
+ */
+function commaSeparated<T extends z.ZodType<unknown, string>>(item: T) {
+  return z
+    .string()
+    .transform((value) =>
+      value
+        .split(',')
+        .map((entry) => entry.trim())
+        .filter(Boolean)
+    )
+    .pipe(z.array(item))
+    .default([]);
+}
+
+const sharedSchema = z.object({
+  NODE_ENV: z.enum(['development', 'production', 'test']).default('development'),
+});
+
+export const serverEnvSchema = z.object({
+  PORT: z.coerce.number().int().min(1).max(65535).optional(),
+  LOG_LEVEL: z.enum(['debug', 'info', 'warn', 'error']).optional(),
+  LOG_FORMAT: z.enum(['json', 'pretty']).optional(),
+  CSP_REPORT_ONLY: z.stringbool().default(false),
+  API_RATE_LIMIT: z.coerce.number().int().positive().default(100),
+  API_RATE_LIMIT_WINDOW_MS: z.coerce.number().int().positive().default(60_000),
+  TRUSTED_IP_HEADER: z.string().min(1).toLowerCase().optional(),
+  TRUSTED_PROXY_HOPS: z.coerce.number().int().min(0).default(0),
+  CSRF_TRUSTED_ORIGINS: commaSeparated(z.url()),
+  SESSION_SECRET: z.string().min(32).optional(),
+  SESSION_SECRET_PREVIOUS: commaSeparated(z.string().min(32)),
+  LOGIN_URL: z
+    .union([z.string().regex(/^\/(?!\/)/, 'Expected a path or an absolute URL'), z.url()])
+    .default(ROUTES.LOGIN),
+  CURSOR_SECRET: z.string().min(32).optional(),
+  FLAG_OVERRIDE_SECRET: z.string().min(32).optional(),
+  DATABASE_URL: z.url().optional(),
+  DATA_DIR: z.string().min(1).optional(),
+  API_SECRET_KEY: z.string().min(1).optional(),
+  NEXTAUTH_URL: z.url().optional(),
+  NEXTAUTH_SECRET: z.string().min(32).optional(),
+  THIRD_PARTY_API_URL: z.url().optional(),
+  THIRD_PARTY_API_KEY: z.string().min(1).optional(),
+  SENTRY_DSN: z.url().optional(),
+});
+
+export const clientEnvSchema = z.object({
+  NEXT_PUBLIC_APP_URL: z.url(),
+  NEXT_PUBLIC_API_KEY: z.string().min(1).optional(),
+  NEXT_PUBLIC_FEATURE_XYZ_ENABLED: z.stringbool().default(false),
+  NEXT_PUBLIC_GA_ID: z
+    .string()
+    .regex(/^G-[A-Z0-9]+$/, 'Expected a GA4 measurement ID (G-XXXXXXXXXX)')
+    .optional(),
+});
+
+const envSchema = sharedSchema.extend(serverEnvSchema.shape).extend(clientEnvSchema.shape);
+const browserEnvSchema = sharedSchema.extend(clientEnvSchema.shape);
+
+export type Env = z.infer<typeof envSchema>;
+
+type EnvSource = Record<string, string | undefined>;
+
+/**
+ * Next.js only inlines public variables into the client bundle when they are
+ * referenced literally, so each one has to be listed by name here.
+ */
+const browserRuntimeEnv: EnvSource = {
+  NODE_ENV: process.env.NODE_ENV,
+  NEXT_PUBLIC_APP_URL: process.env.NEXT_PUBLIC_APP_URL,
+  NEXT_PUBLIC_API_KEY: process.env.NEXT_PUBLIC_API_KEY,
+  NEXT_PUBLIC_FEATURE_XYZ_ENABLED: process.env.NEXT_PUBLIC_FEATURE_XYZ_ENABLED,
+  NEXT_PUBLIC_GA_ID: process.env.NEXT_PUBLIC_GA_ID,
+};
+
+export interface EnvIssue {
+  key: string;
+  message: string;
+}
+
+/**
+ * Thrown when one or more environment variables are missing or malformed
+ */
+export class EnvValidationError extends Error {
+  constructor(public readonly issues: EnvIssue[]) {
+    super(
+      `Invalid environment variables:\n${issues
+        .map((issue) => `  - ${issue.key}: ${issue.message}`)
+        .join('\n')}`
+    );
+    this.name = 'EnvValidationError';
+  }
+}
+
+/**
+ * Treats empty values (`FOO=` in a .env file) as unset
+ */
+function withoutEmptyValues(source: EnvSource): EnvSource {
+  return Object.fromEntries(Object.entries(source).filter(([, value]) => value !== ''));
+}
+
+/**
+ * Validates a raw environment source against a schema, collecting every issue
+ */
+export function parseEnv<T extends z.ZodObject>(schema: T, source: EnvSource): z.infer<T> {
+  const result = schema.safeParse(withoutEmptyValues(source));
+
+  if (!result.success) {
+    throw new EnvValidationError(
+      result.error.issues.map((issue) => ({
+        key: issue.path.join('.'),
+        message: issue.message,
+      }))
+    );
+  }
+
+  return result.data;
+}
+
+interface CreateEnvOptions {
+  source?: EnvSource;
+  isServer?: boolean;
+}
+
+/**
+ * Builds the validated env object for the current runtime
+ *
+ * In the browser only public variables are validated, and reading a
+ * server-only key throws instead of silently returning `undefined`.
+ */
+export function createEnv({
+  source,
+  isServer = typeof window === 'undefined',
+}: CreateEnvOptions = {}): Env {
+  if (isServer) {
+    return parseEnv(envSchema, source ?? process.env);
+  }
+
+  const browserEnv = parseEnv(browserEnvSchema, source ?? browserRuntimeEnv);
+
+  return new Proxy(browserEnv as Env, {
+    get(target, key) {
+      if (typeof key === 'string' && key in serverEnvSchema.shape) {
+        throw new Error(
+          `Attempted to access server-only environment variable "${key}" on the client`
+        );
+      }
+      return Reflect.get(target, key);
+    },
+  });
+}
+
+export const env = createEnv();
@@ -0,0 +1,128 @@
+import { describe, it, expect } from 'vitest';
+import {
+  AppError,
+  ConflictError,
+  ForbiddenError,
+  handleError,
+  NotFoundError,
+  parseProblemResponse,
+  RateLimitError,
+  ServiceUnavailableError,
+  toProblemDetails,
+  toProblemResponse,
+  ValidationError,
+} from './errors';
+
+describe('errors', () => {
+  describe('toProblem', () => {
+    it('should serialize to an RFC 9457 problem document', () => {
+      const problem = new ConflictError('Email already taken').toProblem('/api/users');
+      expect(problem).toEqual({
+        type: '/problems/conflict',
+        title: 'Conflict',
+        status: 409,
+        detail: 'Email already taken',
+        instance: '/api/users',
+        code: 'CONFLICT',
+      });
+    });
+
+    it('should include validation issues as an errors extension', () => {
+      const error = new ValidationError('Validation failed', [
+        { path: 'email', message: 'Invalid email address' },
+      ]);
+      expect(error.toProblem().errors).toEqual([
+        { path: 'email', message: 'Invalid email address' },
+      ]);
+    });
+
+    it('should include retryAfter for rate limiting', () => {
+      expect(new RateLimitError(30).toProblem()).toMatchObject({ status: 429, retryAfter: 30 });
+    });
+
+    it('should keep the cause chain', () => {
+      const cause = new Error('socket hang up');
+      const error = new ServiceUnavailableError('Database unavailable', undefined, { cause });
+      expect(error.cause).toBe(cause);
+    });
+  });
+
+  describe('handleError', () => {
+    it('should expose operational AppError messages', () => {
+      expect(handleError(new NotFoundError('User'))).toEqual({
+        message: 'User not found',
+        statusCode: 404,
+        code: 'NOT_FOUND',
+      });
+    });
+
+    it('should not leak messages from unexpected errors', () => {
+      const result = handleError(new Error('password=hunter2'));
+      expect(result.message).toBe('An unexpected error occurred');
+      expect(result.statusCode).toBe(500);
+    });
+
+    it('should hide non-operational AppError messages', () => {
+      const result = handleError(new AppError('invariant broken', 500, false));
+      expect(result.message).toBe('An unexpected error occurred');
+    });
+  });
+
+  describe('toProblemResponse', () => {
+    it('should send problem+json with a Retry-After header', async () => {
+      const response = toProblemResponse(new RateLimitError(12.4));
+      expect(response.status).toBe(429);
+      expect(response.headers.get('content-type')).toBe('application/problem+json');
+      expect(response.headers.get('retry-after')).toBe('13');
+    });
+
+    it('should produce a generic problem for unknown values', () => {
+      expect(toProblemDetails('boom')).toMatchObject({
+        status: 500,
+        code: 'INTERNAL_ERROR',
+        detail: 'An unexpected error occurred',
+      });
+    });
+  });
+
+  describe('parseProblemResponse', () => {
+    it.each([
+      [
+        new ValidationError('Validation failed', [{ path: 'name', message: 'Required' }]),
+        ValidationError,
+      ],
+      [new ForbiddenError(), ForbiddenError],
+      [new NotFoundError('User'), NotFoundError],
+      [new ConflictError(), ConflictError],
+      [new RateLimitError(5), RateLimitError],
+      [new ServiceUnavailableError(), ServiceUnavailableError],
+    ])('should round-trip %s', async (error, ErrorClass) => {
+      const parsed = await parseProblemResponse(toProblemResponse(error, '/api/test'));
+
+      expect(parsed).toBeInstanceOf(ErrorClass);
+      expect(parsed.message).toBe(error.message);
+      expect(parsed.statusCode).toBe(error.statusCode);
+      expect(parsed.code).toBe(error.code);
+      expect(parsed.instance).toBe('/api/test');
+    });
+
+    it('should restore typed extension members', async () => {
+      const parsed = await parseProblemResponse(toProblemResponse(new RateLimitError(7)));
+      expect((parsed as RateLimitError).retryAfter).toBe(7);
+
+      const validation = await parseProblemResponse(
+        toProblemResponse(new ValidationError('Bad', [{ path: 'email', message: 'Invalid' }]))
+      );
+      expect((validation as ValidationError).issues).toEqual([
+        { path: 'email', message: 'Invalid' },
+      ]);
+    });
+
+    it('should fall back to a generic AppError for non-problem bodies', async () => {
+      const parsed = await parseProblemResponse(new Response('oops', { status: 502 }));
+      expect(parsed).toBeInstanceOf(AppError);
+      expect(parsed.statusCode).toBe(502);
+      expect(parsed.message).toBe('Bad Gateway');
+    });
+  });
+});
@@ -1,66 +1,367 @@
+import type { ZodError } from 'zod';
+import { HTTP_STATUS } from '@/lib/constants';
+import type { FieldIssue, ProblemDetails } from '@/types';
+
 /**
  * Custom error classes for better error handling
+ *
+ * Every `AppError` carries a stable, machine-readable `code` and serializes to
+ * an RFC 9457 problem document (`application/problem+json`).
  */
 
+export const PROBLEM_CONTENT_TYPE = 'application/problem+json';
+
+export const ERROR_CODES = {
+  INTERNAL_ERROR: 'INTERNAL_ERROR',
+  VALIDATION_FAILED: 'VALIDATION_FAILED',
+  UNAUTHORIZED: 'UNAUTHORIZED',
+  FORBIDDEN: 'FORBIDDEN',
+  NOT_FOUND: 'NOT_FOUND',
+  CONFLICT: 'CONFLICT',
+  PAYLOAD_TOO_LARGE: 'PAYLOAD_TOO_LARGE',
+  RATE_LIMITED: 'RATE_LIMITED',
+  SERVICE_UNAVAILABLE: 'SERVICE_UNAVAILABLE',
+  UPSTREAM_ERROR: 'UPSTREAM_ERROR',
+  UPSTREAM_TIMEOUT: 'UPSTREAM_TIMEOUT',
+} as const;
+
+export type ErrorCode = (typeof ERROR_CODES)[keyof typeof ERROR_CODES];
+
+const STATUS_TITLES: Record<number, string> = {
+  [HTTP_STATUS.BAD_REQUEST]: 'Bad Request',
+  [HTTP_STATUS.UNAUTHORIZED]: 'Unauthorized',
+  [HTTP_STATUS.FORBIDDEN]: 'Forbidden',
+  [HTTP_STATUS.NOT_FOUND]: 'Not Found',
+  [HTTP_STATUS.CONFLICT]: 'Conflict',
+  [HTTP_STATUS.PAYLOAD_TOO_LARGE]: 'Content Too Large',
+  [HTTP_STATUS.UNPROCESSABLE_ENTITY]: 'Unprocessable Entity',
+  [HTTP_STATUS.TOO_MANY_REQUESTS]: 'Too Many Requests',
+  [HTTP_STATUS.INTERNAL_SERVER_ERROR]: 'Internal Server Error',
+  [HTTP_STATUS.BAD_GATEWAY]: 'Bad Gateway',
+  [HTTP_STATUS.SERVICE_UNAVAILABLE]: 'Service Unavailable',
+  [HTTP_STATUS.GATEWAY_TIMEOUT]: 'Gateway Timeout',
+};
+
+const GENERIC_ERROR_MESSAGE = 'An unexpected error occurred';
+
+/**
+ * Problem type URI for an error code, e.g. `/problems/not-found`
+ */
+export function problemType(code: string): string {
+  return `/problems/${code.toLowerCase().replace(/_/g, '-')}`;
+}
+
+export interface AppErrorOptions {
+  code?: string;
+  cause?: unknown;
+  instance?: string;
+  /** Extra members added to the problem document */
+  extensions?: Record<string, unknown>;
+  /** Extra response headers, e.g. `RateLimit-*` */
+  headers?: Record<string, string>;
+}
+
 export class AppError extends Error {
+  public code: string;
+  public instance?: string;
+  public extensions: Record<string, unknown>;
+  public headers: Record<string, string>;
+
   constructor(
     message: string,
-    public statusCode: number = 500,
-    public isOperational: boolean = true
+    public statusCode: number = HTTP_STATUS.INTERNAL_SERVER_ERROR,
+    public isOperational: boolean = true,
+    options: AppErrorOptions = {}
   ) {
-    super(message);
+    super(message, options.cause === undefined ? undefined : { cause: options.cause });
     this.name = this.constructor.name;
+    this.code = options.code ?? ERROR_CODES.INTERNAL_ERROR;
+    this.instance = options.instance;
+    this.extensions = options.extensions ?? {};
+    this.headers = options.headers ?? {};
     Error.captureStackTrace(this, this.constructor);
   }
+
+  /**
+   * Serializes the error as an RFC 9457 problem document
+   */
+  toProblem(instance = this.instance): ProblemDetails {
+    return {
+      ...this.extensions,
+      type: problemType(this.code),
+      title: STATUS_TITLES[this.statusCode] ?? 'Error',
+      status: this.statusCode,
+      detail: this.message,
+      ...(instance ? { instance } : {}),
+      code: this.code,
+    };
+  }
+
+  toJSON(): ProblemDetails {
+    return this.toProblem();
+  }
 }
 
 export class ValidationError extends AppError {
-  constructor(message: string) {
-    super(message, 400);
+  constructor(
+    message: string,
+    public issues: FieldIssue[] = [],
+    options: AppErrorOptions = {}
+  ) {
+    super(message, HTTP_STATUS.BAD_REQUEST, true, {
+      code: ERROR_CODES.VALIDATION_FAILED,
+      ...options,
+    });
+  }
+
+  /**
+   * Converts zod issues into field-level issues, optionally prefixing each
+   * path with where the value came from (e.g. `body`, `query`)
+   */
+  static fromZodError(error: ZodError, source?: string): ValidationError {
+    return new ValidationError(
+      'Validation failed',
+      error.issues.map((issue) => ({
+        path: [source, ...issue.path.map(String)].filter(Boolean).join('.'),
+        message: issue.message,
+      })),
+      { cause: error }
+    );
+  }
+
+  toProblem(instance?: string): ProblemDetails {
+    return { ...super.toProblem(instance), errors: this.issues };
   }
 }
 
 export class NotFoundError extends AppError {
-  constructor(resource: string) {
-    super(`${resource} not found`, 404);
+  constructor(resource: string, options: AppErrorOptions = {}) {
+    super(`${resource} not found`, HTTP_STATUS.NOT_FOUND, true, {
+      code: ERROR_CODES.NOT_FOUND,
+      ...options,
+    });
   }
 }
 
 export class UnauthorizedError extends AppError {
-  constructor(message = 'Unauthorized') {
-    super(message, 401);
+  constructor(message = 'Unauthorized', options: AppErrorOptions = {}) {
+    super(message, HTTP_STATUS.UNAUTHORIZED, true, {
+      code: ERROR_CODES.UNAUTHORIZED,
+      ...options,
+    });
   }
 }
 
 export class ForbiddenError extends AppError {
-  constructor(message = 'Forbidden') {
-    super(message, 403);
+  constructor(message = 'Forbidden', options: AppErrorOptions = {}) {
+    super(message, HTTP_STATUS.FORBIDDEN, true, {
+      code: ERROR_CODES.FORBIDDEN,
+      ...options,
+    });
+  }
+}
+
+export class ConflictError extends AppError {
+  constructor(message = 'Conflict', options: AppErrorOptions = {}) {
+    super(message, HTTP_STATUS.CONFLICT, true, {
+      code: ERROR_CODES.CONFLICT,
+      ...options,
+    });
+  }
+}
+
+export class PayloadTooLargeError extends AppError {
+  /**
+   * @param maxBytes - Largest body the endpoint accepts
+   */
+  constructor(
+    public maxBytes: number,
+    options: AppErrorOptions = {}
+  ) {
+    super(`Request body exceeds ${maxBytes} bytes`, HTTP_STATUS.PAYLOAD_TOO_LARGE, true, {
+      code: ERROR_CODES.PAYLOAD_TOO_LARGE,
+      ...options,
+    });
+  }
+}
+
+export class RateLimitError extends AppError {
+  /**
+   * @param retryAfter - Seconds until the client may retry
+   */
+  constructor(
+    public retryAfter: number,
+    message = 'Too many requests',
+    options: AppErrorOptions = {}
+  ) {
+    super(message, HTTP_STATUS.TOO_MANY_REQUESTS, true, {
+      code: ERROR_CODES.RATE_LIMITED,
+      ...options,
+    });
+  }
+
+  toProblem(instance?: string): ProblemDetails {
+    return { ...super.toProblem(instance), retryAfter: this.retryAfter };
+  }
+}
+
+export class ServiceUnavailableError extends AppError {
+  /**
+   * @param retryAfter - Optional seconds until the service is expected back
+   */
+  constructor(
+    message = 'Service unavailable',
+    public retryAfter?: number,
+    options: AppErrorOptions = {}
+  ) {
+    super(message, HTTP_STATUS.SERVICE_UNAVAILABLE, true, {
+      code: ERROR_CODES.SERVICE_UNAVAILABLE,
+      ...options,
+    });
+  }
+
+  toProblem(instance?: string): ProblemDetails {
+    const problem = super.toProblem(instance);
+    return this.retryAfter === undefined ? problem : { ...problem, retryAfter: this.retryAfter };
   }
 }
 
 /**
  * Error handler utility
+ *
+ * Only operational `AppError`s expose their message; anything else gets a
+ * generic message so internals never reach the client.
  */
 export function handleError(error: unknown): {
   message: string;
   statusCode: number;
+  code: string;
 } {
-  if (error instanceof AppError) {
+  if (error instanceof AppError && error.isOperational) {
     return {
       message: error.message,
       statusCode: error.statusCode,
-    };
-  }
-
-  if (error instanceof Error) {
-    return {
-      message: error.message,
-      statusCode: 500,
+      code: error.code,
     };
   }
 
   return {
-    message: 'An unexpected error occurred',
-    statusCode: 500,
+    message: GENERIC_ERROR_MESSAGE,
+    statusCode: error instanceof AppError ? error.statusCode : HTTP_STATUS.INTERNAL_SERVER_ERROR,
+    code: ERROR_CODES.INTERNAL_ERROR,
   };
 }
+
+/**
+ * Converts any thrown value into a problem document safe to send to clients
+ */
+export function toProblemDetails(error: unknown, instance?: string): ProblemDetails {
+  if (error instanceof AppError && error.isOperational) {
+    return error.toProblem(instance);
+  }
+
+  const { message, statusCode, code } = handleError(error);
+  return new AppError(message, statusCode, true, { code, instance }).toProblem();
+}
+
+/**
+ * Builds an `application/problem+json` response for any thrown value
+ */
+export function toProblemResponse(error: unknown, instance?: string): Response {
+  const problem = toProblemDetails(error, instance);
+  const headers = new Headers(
+    error instanceof AppError && error.isOperational ? error.headers : undefined
+  );
+  headers.set('content-type', PROBLEM_CONTENT_TYPE);
+
+  if (typeof problem.retryAfter === 'number') {
+    headers.set('retry-after', String(Math.ceil(problem.retryAfter)));
+  }
+
+  return new Response(JSON.stringify(problem), { status: problem.status, headers });
+}
+
+/**
+ * Type guard for RFC 9457 problem documents
+ */
+export function isProblemDetails(value: unknown): value is ProblemDetails {
+  return (
+    typeof value === 'object' &&
+    value !== null &&
+    typeof (value as ProblemDetails).status === 'number' &&
+    typeof (value as ProblemDetails).title === 'string'
+  );
+}
+
+/**
+ * Turns a problem document back into the matching typed error
+ */
+export function fromProblemDetails(problem: ProblemDetails): AppError {
+  const message = problem.detail ?? problem.title;
+  const {
+    type: _type,
+    title: _title,
+    status,
+    detail: _detail,
+    instance,
+    code,
+    ...extensions
+  } = problem;
+  const options: AppErrorOptions = { instance, extensions };
+
+  let error: AppError;
+  switch (code) {
+    case ERROR_CODES.VALIDATION_FAILED:
+      error = new ValidationError(message, (problem.errors as FieldIssue[]) ?? [], options);
+      break;
+    case ERROR_CODES.UNAUTHORIZED:
+      error = new UnauthorizedError(message, options);
+      break;
+    case ERROR_CODES.FORBIDDEN:
+      error = new ForbiddenError(message, options);
+      break;
+    case ERROR_CODES.NOT_FOUND:
+      error = new NotFoundError('Resource', options);
+      error.message = message;
+      break;
+    case ERROR_CODES.CONFLICT:
+      error = new ConflictError(message, options);
+      break;
+    case ERROR_CODES.RATE_LIMITED:
+      error = new RateLimitError(Number(problem.retryAfter ?? 0), message, options);
+      break;
+    case ERROR_CODES.SERVICE_UNAVAILABLE:
+      error = new ServiceUnavailableError(
+        message,
+        problem.retryAfter === undefined ? undefined : Number(problem.retryAfter),
+        options
+      );
+      break;
+    default:
+      error = new AppError(message, status, true, { ...options, code });
+  }
+
+  return error;
+}
+
+/**
+ * Client-side parser: reads a problem response into the matching typed error
+ *
+ * Falls back to a generic `AppError` with the response status when the body
+ * isn't a problem document.
+ */
+export async function parseProblemResponse(response: Response): Promise<AppError> {
+  try {
+    const body: unknown = await response.json();
+    if (isProblemDetails(body)) {
+      return fromProblemDetails(body);
+    }
+  } catch {
+    // Not JSON, fall through
+  }
+
+  return new AppError(
+    STATUS_TITLES[response.status] ?? response.statusText ?? 'Request failed',
+    response.status
+  );
+}
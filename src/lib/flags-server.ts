@@ -0,0 +1,62 @@
+import { cookies } from 'next/headers';
+import { cache } from 'react';
+import { getSession } from '@/lib/auth';
+import { env } from '@/lib/env';
+import {
+  evaluateFlag,
+  FLAG_OVERRIDE_COOKIE,
+  FLAG_VISITOR_COOKIE,
+  FLAGS,
+  PUBLIC_FLAG_NAMES,
+  verifyFlagOverrides,
+  type FlagContext,
+  type FlagName,
+  type PublicFlags,
+} from '@/lib/flags';
+
+/**
+ * QA overrides and the rollout subject for the current request
+ *
+ * Signed-in users are bucketed by user ID, so they see the same flags on
+ * every device; everyone else by the visitor ID the middleware issues.
+ */
+const getFlagContext = cache(async (): Promise<FlagContext> => {
+  const [cookieStore, session] = await Promise.all([cookies(), getSession()]);
+  const verified = await verifyFlagOverrides(cookieStore.get(FLAG_OVERRIDE_COOKIE)?.value);
+  return {
+    overrides: verified?.overrides,
+    env,
+    subject: session?.user.id ?? cookieStore.get(FLAG_VISITOR_COOKIE)?.value,
+  };
+});
+
+/**
+ * Whether a flag is on for the current request, in server components,
+ * route handlers and server actions
+ *
+ * @example
+ * ```typescript
+ * if (await getFlag('newCheckout')) {
+ *   return <NewCheckout />;
+ * }
+ * ```
+ *
+ * @param options.subject ID to bucket instead of the user's, e.g. a team ID
+ */
+export async function getFlag(
+  name: FlagName,
+  options: { subject?: string } = {}
+): Promise<boolean> {
+  const context = await getFlagContext();
+  return evaluateFlag(FLAGS, name, { ...context, subject: options.subject ?? context.subject });
+}
+
+/**
+ * The public flags for `<FlagsProvider>`; server-only flags are left out
+ */
+export async function getPublicFlags(): Promise<PublicFlags> {
+  const context = await getFlagContext();
+  return Object.fromEntries(
+    PUBLIC_FLAG_NAMES.map((name) => [name, evaluateFlag(FLAGS, name, context)])
+  ) as PublicFlags;
+}
@@ -0,0 +1,123 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest';
+import {
+  evaluateFlag,
+  FLAGS,
+  FlagOverrideConfigError,
+  PUBLIC_FLAG_NAMES,
+  rolloutBucket,
+  signFlagOverrides,
+  verifyFlagOverrides,
+  type FlagRegistry,
+} from './flags';
+import { signPayload } from './signing';
+
+const SECRET = 'flag-override-secret-at-least-32-chars';
+const NOW = Date.UTC(2025, 0, 1);
+
+const flags = {
+  beta: { description: 'Beta', defaultValue: false, rollout: 25 },
+  banner: { description: 'Banner', defaultValue: true, env: 'NEXT_PUBLIC_FEATURE_XYZ_ENABLED' },
+} as const satisfies FlagRegistry;
+
+describe('flags', () => {
+  describe('evaluateFlag', () => {
+    it('should fall back to the default', () => {
+      expect(evaluateFlag(flags, 'beta')).toBe(false);
+      expect(evaluateFlag(flags, 'banner')).toBe(true);
+    });
+
+    it('should prefer the environment variable when it is set', () => {
+      expect(
+        evaluateFlag(flags, 'banner', { env: { NEXT_PUBLIC_FEATURE_XYZ_ENABLED: false } })
+      ).toBe(false);
+      expect(
+        evaluateFlag(flags, 'banner', { env: { NEXT_PUBLIC_FEATURE_XYZ_ENABLED: undefined } })
+      ).toBe(true);
+    });
+
+    it('should prefer overrides over everything else', () => {
+      const context = {
+        overrides: { banner: true },
+        env: { NEXT_PUBLIC_FEATURE_XYZ_ENABLED: false },
+      };
+      expect(evaluateFlag(flags, 'banner', context)).toBe(true);
+      expect(evaluateFlag(flags, 'beta', { overrides: { beta: true }, subject: 'a' })).toBe(true);
+    });
+
+    it('should roll out to the percentage of subjects in the lower buckets', () => {
+      const subjects = Array.from({ length: 2000 }, (_, i) => `user-${i}`);
+      const enabled = subjects.filter((subject) => evaluateFlag(flags, 'beta', { subject }));
+
+      expect(enabled.length / subjects.length).toBeGreaterThan(0.2);
+      expect(enabled.length / subjects.length).toBeLessThan(0.3);
+      for (const subject of enabled) {
+        expect(rolloutBucket('beta', subject)).toBeLessThan(25);
+      }
+    });
+
+    it('should reject unknown flag names at compile time', () => {
+      // @ts-expect-error -- not a flag
+      expect(() => evaluateFlag(FLAGS, 'nope')).toThrow();
+    });
+  });
+
+  describe('rolloutBucket', () => {
+    it('should be stable and within 0-100', () => {
+      const bucket = rolloutBucket('beta', 'user-1');
+      expect(rolloutBucket('beta', 'user-1')).toBe(bucket);
+      expect(bucket).toBeGreaterThanOrEqual(0);
+      expect(bucket).toBeLessThan(100);
+    });
+
+    it('should bucket each flag independently', () => {
+      const subjects = Array.from({ length: 50 }, (_, i) => `user-${i}`);
+      const buckets = (flag: string) => subjects.map((subject) => rolloutBucket(flag, subject));
+      expect(buckets('beta')).not.toEqual(buckets('gamma'));
+    });
+  });
+
+  describe('signFlagOverrides / verifyFlagOverrides', () => {
+    it('should round-trip overrides until they expire', async () => {
+      const token = await signFlagOverrides(
+        { xyz: true },
+        { secrets: [SECRET], maxAgeMs: 1000, now: NOW }
+      );
+
+      expect(await verifyFlagOverrides(token, [SECRET], NOW)).toEqual({
+        overrides: { xyz: true },
+        expiresAt: NOW + 1000,
+      });
+      expect(await verifyFlagOverrides(token, [SECRET], NOW + 1000)).toBeNull();
+    });
+
+    it('should reject forged tokens and ignore tokens without a secret', async () => {
+      const token = await signFlagOverrides({ xyz: true }, { secrets: [SECRET], now: NOW });
+
+      expect(await verifyFlagOverrides(token, ['x'.repeat(32)], NOW)).toBeNull();
+      expect(await verifyFlagOverrides(token, [], NOW)).toBeNull();
+      expect(await verifyFlagOverrides(`${token}x`, [SECRET], NOW)).toBeNull();
+      expect(await verifyFlagOverrides(undefined, [SECRET], NOW)).toBeNull();
+    });
+
+    it('should drop flags that no longer exist', async () => {
+      const token = await signPayload(
+        { flags: { xyz: false, removed: true }, expiresAt: NOW + 1000 },
+        SECRET
+      );
+      expect((await verifyFlagOverrides(token, [SECRET], NOW))?.overrides).toEqual({ xyz: false });
+    });
+
+    it('should require a secret to sign', async () => {
+      await expect(signFlagOverrides({ xyz: true }, { secrets: [] })).rejects.toThrow(
+        FlagOverrideConfigError
+      );
+    });
+  });
+
+  it('should only list public flags for the browser', () => {
+    expect(PUBLIC_FLAG_NAMES).toEqual(
+      Object.keys(FLAGS).filter((name) => (FLAGS as FlagRegistry)[name].public)
+    );
+  });
+});
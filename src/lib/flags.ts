@@ -0,0 +1,198 @@
+import { z } from 'zod';
+import { env, type Env } from '@/lib/env';
+import { signPayload, verifyPayload } from '@/lib/signing';
+
+/**
+ * Typed feature flags
+ *
+ * Every flag is declared in `FLAGS`, so `getFlag('newChekout')` fails the
+ * type-check. A flag's value comes from the first of these that applies:
+ *
+ * 1. A QA override: a token signed with `FLAG_OVERRIDE_SECRET`, kept in the
+ *    `flag-overrides` cookie, which the middleware sets from `?flags=<token>`
+ * 2. The flag's environment variable, when it is set
+ * 3. The flag's percentage rollout, bucketing the signed-in user's ID, or an
+ *    anonymous visitor ID, with a stable hash
+ * 4. The flag's default
+ *
+ * Only flags marked `public` are sent to the browser.
+ *
+ * This module is edge-safe.
+ */
+
+/** Variables in `src/lib/env.ts` parsed as booleans */
+type BooleanEnvKey = {
+  [K in keyof Env]-?: Env[K] extends boolean | undefined ? K : never;
+}[keyof Env];
+
+export interface FlagDefinition {
+  description: string;
+  defaultValue: boolean;
+  /** Evaluated for the browser, for `useFlag()` and `<Feature>` */
+  public?: boolean;
+  /**
+   * Turns the flag on or off for a whole deployment. Declare it with
+   * `z.stringbool().optional()`, so that leaving it unset falls through to
+   * the rollout and default.
+   */
+  env?: BooleanEnvKey;
+  /** Percentage (0-100) of users and visitors who get the flag */
+  rollout?: number;
+}
+
+export type FlagRegistry = Readonly<Record<string, FlagDefinition>>;
+
+export const FLAGS = {
+  xyz: {
+    description: 'Example flag; replace it with your first real one',
+    defaultValue: false,
+    public: true,
+    env: 'NEXT_PUBLIC_FEATURE_XYZ_ENABLED',
+  },
+} as const satisfies FlagRegistry;
+
+export type FlagName = keyof typeof FLAGS;
+
+export type PublicFlagName = {
+  [K in FlagName]: (typeof FLAGS)[K] extends { public: true } ? K : never;
+}[FlagName];
+
+/** What `<FlagsProvider>` receives: the public flags, evaluated for one request */
+export type PublicFlags = Record<PublicFlagName, boolean>;
+
+export type FlagOverrides = Partial<Record<FlagName, boolean>>;
+
+export const PUBLIC_FLAG_NAMES = (Object.keys(FLAGS) as FlagName[]).filter(
+  (name): name is PublicFlagName => (FLAGS as FlagRegistry)[name].public === true
+);
+
+export const FLAG_OVERRIDE_COOKIE = 'flag-overrides';
+export const FLAG_OVERRIDE_PARAM = 'flags';
+export const FLAG_VISITOR_COOKIE = 'flag-visitor';
+
+/** How long a QA override link works */
+export const FLAG_OVERRIDE_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+export const FLAG_VISITOR_MAX_AGE_S = 365 * 24 * 60 * 60;
+
+export interface FlagContext<Name extends string = FlagName> {
+  overrides?: Partial<Record<Name, boolean>>;
+  /** Parsed environment, usually `env` */
+  env?: Partial<Record<BooleanEnvKey, boolean | undefined>>;
+  /** User or visitor ID that percentage rollouts bucket */
+  subject?: string;
+}
+
+/**
+ * Stable position of `subject` in a flag's rollout, `0 <= bucket < 100`
+ *
+ * Uses FNV-1a. Hashing the flag name too keeps rollouts of different flags
+ * independent, and raising a rollout's percentage keeps everyone who already
+ * had the flag.
+ */
+export function rolloutBucket(flag: string, subject: string): number {
+  let hash = 0x811c9dc5;
+  for (const byte of new TextEncoder().encode(`${flag}:${subject}`)) {
+    hash ^= byte;
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return ((hash >>> 0) % 10_000) / 100;
+}
+
+/**
+ * Resolves one flag of `flags` in `context`
+ */
+export function evaluateFlag<T extends FlagRegistry>(
+  flags: T,
+  name: keyof T & string,
+  context: FlagContext<keyof T & string> = {}
+): boolean {
+  const definition = flags[name];
+
+  const override = context.overrides?.[name];
+  if (override !== undefined) {
+    return override;
+  }
+
+  const fromEnv = definition.env ? context.env?.[definition.env] : undefined;
+  if (fromEnv !== undefined) {
+    return fromEnv;
+  }
+
+  if (definition.rollout !== undefined && context.subject) {
+    return rolloutBucket(name, context.subject) < definition.rollout;
+  }
+
+  return definition.defaultValue;
+}
+
+export class FlagOverrideConfigError extends Error {
+  constructor() {
+    super('FLAG_OVERRIDE_SECRET must be set to sign flag overrides');
+    this.name = 'FlagOverrideConfigError';
+  }
+}
+
+export function getFlagOverrideSecrets(): string[] {
+  return env.FLAG_OVERRIDE_SECRET ? [env.FLAG_OVERRIDE_SECRET] : [];
+}
+
+export function flagCookieOptions(secure = env.NODE_ENV === 'production') {
+  return { httpOnly: true, secure, sameSite: 'lax', path: '/' } as const;
+}
+
+const overridePayloadSchema = z.object({
+  flags: z.record(z.string(), z.boolean()),
+  expiresAt: z.number(),
+});
+
+interface SignFlagOverridesOptions {
+  secrets?: readonly string[];
+  maxAgeMs?: number;
+  now?: number;
+}
+
+/**
+ * Signs a token forcing flags on or off, for a QA link such as
+ * `https://example.com/checkout?flags=<token>`
+ *
+ * @throws FlagOverrideConfigError when no secret is configured
+ */
+export async function signFlagOverrides(
+  overrides: FlagOverrides,
+  {
+    secrets = getFlagOverrideSecrets(),
+    maxAgeMs = FLAG_OVERRIDE_MAX_AGE_MS,
+    now = Date.now(),
+  }: SignFlagOverridesOptions = {}
+): Promise<string> {
+  if (secrets.length === 0) {
+    throw new FlagOverrideConfigError();
+  }
+  return signPayload({ flags: overrides, expiresAt: now + maxAgeMs }, secrets[0]);
+}
+
+/**
+ * Verifies an override token; flags that no longer exist are dropped
+ *
+ * @returns The overrides and when they expire, or `null` when the token is
+ * forged, malformed or expired, or overrides aren't configured
+ */
+export async function verifyFlagOverrides(
+  token: string | undefined,
+  secrets: readonly string[] = getFlagOverrideSecrets(),
+  now = Date.now()
+): Promise<{ overrides: FlagOverrides; expiresAt: number } | null> {
+  if (secrets.length === 0) {
+    return null;
+  }
+
+  const parsed = overridePayloadSchema.safeParse((await verifyPayload(token, secrets))?.payload);
+  if (!parsed.success || parsed.data.expiresAt <= now) {
+    return null;
+  }
+
+  const overrides = Object.fromEntries(
+    Object.entries(parsed.data.flags).filter(([name]) => Object.hasOwn(FLAGS, name))
+  );
+  return { overrides, expiresAt: parsed.data.expiresAt };
+}
@@ -0,0 +1,18 @@
+import { cookies } from 'next/headers';
+import { env } from '@/lib/env';
+import { FLASH_COOKIE, type Flash } from '@/lib/toast';
+
+/**
+ * Shows a toast on the next page the visitor sees; call it from a server
+ * action, typically right before `redirect()`
+ *
+ * The cookie is readable by scripts so `<Toaster />` can show and clear it.
+ */
+export async function setFlash(flash: Flash): Promise<void> {
+  (await cookies()).set(FLASH_COOKIE, JSON.stringify(flash), {
+    path: '/',
+    sameSite: 'lax',
+    secure: env.NODE_ENV === 'production',
+    maxAge: 60,
+  });
+}
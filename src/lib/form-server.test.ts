@@ -0,0 +1,104 @@
+// @vitest-environment node
+import { describe, expect, it, vi } from 'vitest';
+import { z } from 'zod';
+import { ConflictError, ValidationError } from './errors';
+import { initialFormState } from './form';
+import { createFormAction } from './form-server';
+
+vi.mock('next/navigation', async (importOriginal) => importOriginal());
+
+vi.mock('./logger', async (importOriginal) => ({
+  ...(await importOriginal<typeof import('./logger')>()),
+  logger: { error: vi.fn() },
+}));
+
+const schema = z.object({ email: z.email(), password: z.string().min(8) });
+
+function submit(entries: Record<string, string>): FormData {
+  const data = new FormData();
+  for (const [name, value] of Object.entries(entries)) {
+    data.append(name, value);
+  }
+  return data;
+}
+
+describe('createFormAction', () => {
+  it('should pass validated data to the handler', async () => {
+    const handler = vi.fn(async ({ email }: { email: string }) => ({ email }));
+    const action = createFormAction(schema, handler, { successMessage: 'Saved' });
+
+    const state = await action(
+      initialFormState,
+      submit({ email: 'ada@example.com', password: 'hunter22' })
+    );
+
+    expect(state).toEqual({
+      status: 'success',
+      message: 'Saved',
+      data: { email: 'ada@example.com' },
+    });
+  });
+
+  it('should return field errors and echo non-sensitive values', async () => {
+    const handler = vi.fn();
+    const action = createFormAction(schema, handler);
+
+    const state = await action(initialFormState, submit({ email: 'nope', password: 'short' }));
+
+    expect(handler).not.toHaveBeenCalled();
+    expect(state.status).toBe('error');
+    expect(Object.keys(state.fieldErrors ?? {})).toEqual(['email', 'password']);
+    expect(state.values).toEqual({ email: 'nope' });
+  });
+
+  it('should map a ValidationError from the handler to field errors', async () => {
+    const action = createFormAction(schema, () => {
+      throw new ValidationError('Invalid', [{ path: 'email', message: 'Email is taken' }]);
+    });
+
+    const state = await action(
+      initialFormState,
+      submit({ email: 'ada@example.com', password: 'hunter22' })
+    );
+
+    expect(state.fieldErrors).toEqual({ email: ['Email is taken'] });
+  });
+
+  it('should report operational errors as the form message', async () => {
+    const action = createFormAction(schema, () => {
+      throw new ConflictError('User was modified by another request');
+    });
+
+    const state = await action(
+      initialFormState,
+      submit({ email: 'ada@example.com', password: 'hunter22' })
+    );
+
+    expect(state).toMatchObject({
+      status: 'error',
+      message: 'User was modified by another request',
+    });
+  });
+
+  it('should hide unexpected errors', async () => {
+    const action = createFormAction(schema, () => {
+      throw new Error('connection refused');
+    });
+
+    const state = await action(
+      initialFormState,
+      submit({ email: 'ada@example.com', password: 'hunter22' })
+    );
+
+    expect(state.message).toBe('An unexpected error occurred');
+  });
+
+  it('should rethrow redirects', async () => {
+    const { redirect } = await import('next/navigation');
+    const action = createFormAction(schema, () => redirect('/done'));
+
+    await expect(
+      action(initialFormState, submit({ email: 'ada@example.com', password: 'hunter22' }))
+    ).rejects.toThrow('NEXT_REDIRECT');
+  });
+});
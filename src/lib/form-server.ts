@@ -0,0 +1,89 @@
+import { unstable_rethrow } from 'next/navigation';
+import type { z } from 'zod';
+import { AppError, handleError, ValidationError } from '@/lib/errors';
+import { formDataToObject, toFieldErrors, type FormState } from '@/lib/form';
+import { DEFAULT_REDACT_KEYS, logger } from '@/lib/logger';
+
+export interface FormActionOptions {
+  /** Message shown when validation fails */
+  errorMessage?: string;
+  successMessage?: string;
+}
+
+/**
+ * Submitted strings to echo back after a failed submission; files and
+ * sensitive fields such as passwords are never sent back
+ */
+function echoValues(formData: FormData): Record<string, string | string[]> {
+  const values: Record<string, string | string[]> = {};
+  for (const name of new Set(formData.keys())) {
+    if (name.startsWith('$ACTION') || DEFAULT_REDACT_KEYS.test(name)) {
+      continue;
+    }
+    const strings = formData.getAll(name).filter((value) => typeof value === 'string');
+    if (strings.length > 0) {
+      values[name] = strings.length === 1 ? strings[0] : strings;
+    }
+  }
+  return values;
+}
+
+/**
+ * Wraps a server action for `useActionState`: the form is coerced and
+ * validated against `schema`, and failures come back as field errors
+ * instead of throwing
+ *
+ * A `ValidationError` thrown by the handler (e.g. "email already taken") is
+ * reported per field, and other operational `AppError`s as the form message.
+ * `redirect()` and `notFound()` work as usual.
+ *
+ * @example
+ * ```typescript
+ * 'use server';
+ *
+ * export const createUser = createFormAction(createUserSchema, async (input) => {
+ *   const user = await userRepository.create(input);
+ *   redirect(`/users/${user.id}`);
+ * });
+ * ```
+ */
+export function createFormAction<S extends z.ZodType, Result = void>(
+  schema: S,
+  handler: (data: z.output<S>, formData: FormData) => Result | Promise<Result>,
+  { errorMessage = 'Please correct the highlighted fields', successMessage }: FormActionOptions = {}
+) {
+  return async function formAction(
+    _previousState: FormState<Result>,
+    formData: FormData
+  ): Promise<FormState<Result>> {
+    const parsed = await schema.safeParseAsync(formDataToObject(schema, formData));
+    if (!parsed.success) {
+      return {
+        status: 'error',
+        message: errorMessage,
+        fieldErrors: toFieldErrors(parsed.error),
+        values: echoValues(formData),
+      };
+    }
+
+    try {
+      const data = await handler(parsed.data, formData);
+      return { status: 'success', message: successMessage, data };
+    } catch (error) {
+      unstable_rethrow(error);
+
+      if (error instanceof ValidationError) {
+        return {
+          status: 'error',
+          message: error.issues.length > 0 ? errorMessage : error.message,
+          fieldErrors: toFieldErrors(error.issues),
+          values: echoValues(formData),
+        };
+      }
+      if (!(error instanceof AppError && error.isOperational)) {
+        logger.error('Form action failed', error);
+      }
+      return { status: 'error', message: handleError(error).message, values: echoValues(formData) };
+    }
+  };
+}
@@ -0,0 +1,121 @@
+import { describe, expect, it } from 'vitest';
+import { z } from 'zod';
+import { ValidationError } from './errors';
+import { formDataToObject, parseFormData, parseSearchParams, toFieldErrors } from './form';
+
+function formData(entries: [string, string | File][]): FormData {
+  const data = new FormData();
+  for (const [name, value] of entries) {
+    data.append(name, value);
+  }
+  return data;
+}
+
+describe('form parsing', () => {
+  const schema = z.object({
+    name: z.string().min(1),
+    age: z.number().int().optional(),
+    subscribe: z.boolean(),
+    tags: z.array(z.string()),
+    address: z.object({ city: z.string() }).optional(),
+    avatar: z.file().optional(),
+  });
+
+  describe('formDataToObject', () => {
+    it('should coerce values to the schema shape', () => {
+      const result = formDataToObject(
+        schema,
+        formData([
+          ['name', 'Ada'],
+          ['age', '36'],
+          ['subscribe', 'on'],
+          ['tags', 'a'],
+          ['tags', 'b'],
+          ['address.city', 'London'],
+        ])
+      );
+
+      expect(result).toEqual({
+        name: 'Ada',
+        age: 36,
+        subscribe: true,
+        tags: ['a', 'b'],
+        address: { city: 'London' },
+      });
+    });
+
+    it('should treat a missing checkbox as false', () => {
+      expect(formDataToObject(schema, formData([])).subscribe).toBe(false);
+      expect(formDataToObject(schema, formData([['subscribe', 'false']])).subscribe).toBe(false);
+    });
+
+    it('should drop empty strings and empty file inputs', () => {
+      const result = formDataToObject(
+        schema,
+        formData([
+          ['age', ''],
+          ['avatar', new File([], '')],
+        ])
+      );
+      expect(result).not.toHaveProperty('age');
+      expect(result).not.toHaveProperty('avatar');
+    });
+
+    it('should keep uploaded files', () => {
+      const avatar = new File(['png'], 'avatar.png', { type: 'image/png' });
+      expect(formDataToObject(schema, formData([['avatar', avatar]])).avatar).toBe(avatar);
+    });
+
+    it('should accept `name[]` for arrays', () => {
+      expect(formDataToObject(schema, formData([['tags[]', 'x']])).tags).toEqual(['x']);
+    });
+
+    it('should group repeated names without a schema', () => {
+      const params = new URLSearchParams('a=1&b=2&b=3');
+      expect(formDataToObject(undefined, params)).toEqual({ a: '1', b: ['2', '3'] });
+    });
+  });
+
+  describe('parseFormData', () => {
+    it('should return validated data', async () => {
+      const data = await parseFormData(schema, formData([['name', 'Ada']]));
+      expect(data).toEqual({ name: 'Ada', subscribe: false, tags: [] });
+    });
+
+    it('should throw a ValidationError with field paths', async () => {
+      const error = await parseFormData(schema, formData([['age', 'old']])).catch((e) => e);
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error.issues.map((issue: { path: string }) => issue.path)).toEqual(['name', 'age']);
+    });
+  });
+
+  describe('parseSearchParams', () => {
+    const querySchema = z.object({ q: z.string().optional(), page: z.number().default(1) });
+
+    it('should accept a searchParams object', async () => {
+      expect(await parseSearchParams(querySchema, { q: 'next', page: '2' })).toEqual({
+        q: 'next',
+        page: 2,
+      });
+    });
+
+    it('should prefix issue paths with query', async () => {
+      const error = await parseSearchParams(querySchema, new URLSearchParams('page=x')).catch(
+        (e) => e
+      );
+      expect(error.issues[0].path).toBe('query.page');
+    });
+  });
+
+  describe('toFieldErrors', () => {
+    it('should group messages by path', () => {
+      expect(
+        toFieldErrors([
+          { path: 'email', message: 'Required' },
+          { path: 'email', message: 'Invalid' },
+          { path: '', message: 'Passwords differ' },
+        ])
+      ).toEqual({ email: ['Required', 'Invalid'], '': ['Passwords differ'] });
+    });
+  });
+});
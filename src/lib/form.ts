@@ -0,0 +1,220 @@
+import { z } from 'zod';
+import { ValidationError } from '@/lib/errors';
+import type { FieldIssue } from '@/types';
+
+/**
+ * Form and query-string parsing driven by zod schemas
+ *
+ * `FormData` and `URLSearchParams` only carry strings and files, so values are
+ * coerced to the shape of an object schema before validation:
+ *
+ * - `z.boolean()` is `true` when the field is present (an unticked checkbox
+ *   submits nothing) unless its value is `false`, `off` or `0`
+ * - `z.array()` collects every value submitted under the name (or `name[]`)
+ * - `z.number()` and `z.date()` are converted; nested `z.object()`s read
+ *   dotted names such as `address.city`
+ * - Empty strings and empty file inputs become `undefined`, so `.optional()`
+ *   fields may be left blank
+ *
+ * This module is shared by server actions and client components.
+ */
+
+/** Error messages keyed by dotted field path */
+export type FieldErrors = Record<string, string[]>;
+
+export interface FormState<Result = unknown> {
+  status: 'idle' | 'success' | 'error';
+  message?: string;
+  fieldErrors?: FieldErrors;
+  /**
+   * Submitted values, echoed back after a failed submission so a form
+   * re-rendered without JavaScript keeps its input
+   */
+  values?: Record<string, string | string[]>;
+  data?: Result;
+}
+
+export const initialFormState: FormState<never> = { status: 'idle' };
+
+interface FormSource {
+  getAll(name: string): FormDataEntryValue[];
+}
+
+const FALSE_VALUES = new Set(['false', 'off', '0']);
+
+/**
+ * Strips wrappers that don't change how a value is submitted
+ */
+function unwrap(schema: z.ZodType): z.ZodType {
+  const def = schema.def as { type: string; innerType?: z.ZodType; in?: z.ZodType };
+  switch (def.type) {
+    case 'optional':
+    case 'nullable':
+    case 'default':
+    case 'prefault':
+    case 'catch':
+    case 'readonly':
+      return unwrap(def.innerType!);
+    case 'pipe':
+      return unwrap(def.in!);
+    default:
+      return schema;
+  }
+}
+
+function coerceValue(schema: z.ZodType, value: FormDataEntryValue | undefined): unknown {
+  if (value === undefined) {
+    return undefined;
+  }
+  if (typeof value !== 'string') {
+    // Browsers submit an empty, nameless file for an untouched file input
+    return value.size === 0 && !value.name ? undefined : value;
+  }
+  if (value === '') {
+    return undefined;
+  }
+
+  switch (unwrap(schema).def.type) {
+    case 'number':
+      return Number(value);
+    case 'bigint':
+      return /^-?\d+$/.test(value) ? BigInt(value) : value;
+    case 'date':
+      return new Date(value);
+    case 'boolean':
+      return !FALSE_VALUES.has(value.toLowerCase());
+    default:
+      return value;
+  }
+}
+
+function coerceObject(
+  shape: Record<string, z.ZodType>,
+  source: FormSource,
+  prefix = ''
+): Record<string, unknown> {
+  const result: Record<string, unknown> = {};
+
+  for (const [key, fieldSchema] of Object.entries(shape)) {
+    const name = prefix + key;
+    const inner = unwrap(fieldSchema);
+    const { type } = inner.def;
+    let value: unknown;
+
+    if (type === 'object') {
+      const nested = coerceObject((inner as z.ZodObject).shape, source, `${name}.`);
+      // Nothing submitted for an optional group leaves it out entirely
+      value = Object.keys(nested).length > 0 ? nested : undefined;
+    } else if (type === 'array') {
+      const element = (inner as z.ZodArray<z.ZodType>).element;
+      value = [...source.getAll(name), ...source.getAll(`${name}[]`)]
+        .map((item) => coerceValue(element, item))
+        .filter((item) => item !== undefined);
+    } else if (type === 'boolean') {
+      const [first] = source.getAll(name);
+      value = first === undefined ? false : coerceValue(inner, first);
+    } else {
+      value = coerceValue(fieldSchema, source.getAll(name)[0]);
+    }
+
+    if (value !== undefined) {
+      result[key] = value;
+    }
+  }
+
+  return result;
+}
+
+function toSource(
+  input: FormData | URLSearchParams | Record<string, string | string[] | undefined>
+): FormSource {
+  if (input instanceof FormData || input instanceof URLSearchParams) {
+    return input;
+  }
+
+  // Next.js passes page `searchParams` as a plain object
+  const params = new URLSearchParams();
+  for (const [name, value] of Object.entries(input)) {
+    for (const item of Array.isArray(value) ? value : value === undefined ? [] : [value]) {
+      params.append(name, item);
+    }
+  }
+  return params;
+}
+
+/**
+ * Coerces submitted values to the shape of `schema` without validating them
+ *
+ * Without an object schema, names submitted more than once become arrays.
+ */
+export function formDataToObject(
+  schema: z.ZodType | undefined,
+  input: FormData | URLSearchParams | Record<string, string | string[] | undefined>
+): Record<string, unknown> {
+  const source = toSource(input);
+  const inner = schema ? unwrap(schema) : undefined;
+  if (inner?.def.type === 'object') {
+    return coerceObject((inner as z.ZodObject).shape, source);
+  }
+
+  const result: Record<string, unknown> = {};
+  const names = new Set(
+    input instanceof FormData || input instanceof URLSearchParams
+      ? input.keys()
+      : Object.keys(input)
+  );
+  for (const name of names) {
+    const values = source.getAll(name);
+    result[name] = values.length > 1 ? values : values[0];
+  }
+  return result;
+}
+
+/**
+ * Coerces and validates a `FormData`
+ *
+ * @throws ValidationError when the submission doesn't match the schema
+ */
+export async function parseFormData<S extends z.ZodType>(
+  schema: S,
+  formData: FormData
+): Promise<z.output<S>> {
+  const result = await schema.safeParseAsync(formDataToObject(schema, formData));
+  if (!result.success) {
+    throw ValidationError.fromZodError(result.error);
+  }
+  return result.data;
+}
+
+/**
+ * Coerces and validates query parameters, from a `URLSearchParams` or a
+ * page's `searchParams` prop
+ *
+ * @throws ValidationError when the parameters don't match the schema
+ */
+export async function parseSearchParams<S extends z.ZodType>(
+  schema: S,
+  searchParams: URLSearchParams | Record<string, string | string[] | undefined>
+): Promise<z.output<S>> {
+  const result = await schema.safeParseAsync(formDataToObject(schema, searchParams));
+  if (!result.success) {
+    throw ValidationError.fromZodError(result.error, 'query');
+  }
+  return result.data;
+}
+
+/**
+ * Groups validation issues by field path; form-wide issues use the `''` key
+ */
+export function toFieldErrors(issues: z.ZodError | readonly FieldIssue[]): FieldErrors {
+  const list =
+    issues instanceof z.ZodError
+      ? issues.issues.map((issue) => ({ path: issue.path.join('.'), message: issue.message }))
+      : issues;
+
+  const errors: FieldErrors = {};
+  for (const { path, message } of list) {
+    (errors[path] ??= []).push(message);
+  }
+  return errors;
+}
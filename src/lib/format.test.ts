@@ -1,5 +1,17 @@
 import { describe, it, expect } from 'vitest';
-import { formatDate, formatCurrency, truncate, capitalize } from './format';
+import {
+  capitalize,
+  formatCompactNumber,
+  formatCurrency,
+  formatDate,
+  formatList,
+  formatNumber,
+  formatPercent,
+  formatPlural,
+  formatRelativeTime,
+  getNumberFormat,
+  truncate,
+} from './format';
 
 describe('format utilities', () => {
   describe('formatDate', () => {
@@ -15,6 +27,23 @@ describe('format utilities', () => {
       const result = formatDate('2024-01-15');
       expect(result).toContain('January');
     });
+
+    it('should format in the given locale', () => {
+      expect(formatDate('2024-01-15', { locale: 'de-DE', timeZone: 'UTC' })).toBe(
+        '15. Januar 2024'
+      );
+    });
+
+    it('should apply the time zone', () => {
+      const date = new Date('2024-01-15T23:30:00Z');
+      expect(formatDate(date, { timeZone: 'UTC' })).toBe('January 15, 2024');
+      expect(formatDate(date, { timeZone: 'Europe/Berlin' })).toBe('January 16, 2024');
+    });
+
+    it('should use explicit format options instead of the default', () => {
+      const date = new Date('2024-01-15T09:05:00Z');
+      expect(formatDate(date, { timeStyle: 'short', timeZone: 'UTC' })).toBe('9:05 AM');
+    });
   });
 
   describe('formatCurrency', () => {
@@ -32,6 +61,80 @@ describe('format utilities', () => {
       const result = formatCurrency(0);
       expect(result).toBe('$0.00');
     });
+
+    it("should default to the locale's currency", () => {
+      expect(formatCurrency(1234.56, undefined, 'de-DE')).toBe('1.234,56\u00a0€');
+    });
+  });
+
+  describe('number formatting', () => {
+    it('should format numbers per locale', () => {
+      expect(formatNumber(1234567.8)).toBe('1,234,567.8');
+      expect(formatNumber(1234567.8, { locale: 'fr-FR' })).toBe('1\u202f234\u202f567,8');
+    });
+
+    it('should format compact numbers', () => {
+      expect(formatCompactNumber(1234)).toBe('1.2K');
+      expect(formatCompactNumber(1_500_000, 'de-DE')).toBe('1,5\u00a0Mio.');
+    });
+
+    it('should format ratios as percentages', () => {
+      expect(formatPercent(0.256)).toBe('26%');
+      expect(formatPercent(0.256, { maximumFractionDigits: 1 })).toBe('25.6%');
+    });
+
+    it('should reuse cached formatters', () => {
+      expect(getNumberFormat('en-US', { style: 'percent' })).toBe(
+        getNumberFormat('en-US', { style: 'percent' })
+      );
+    });
+  });
+
+  describe('formatRelativeTime', () => {
+    const now = new Date('2024-01-15T12:00:00Z');
+
+    it('should pick the largest fitting unit', () => {
+      expect(formatRelativeTime('2024-01-12T12:00:00Z', { now })).toBe('3 days ago');
+      expect(formatRelativeTime('2024-01-15T14:00:00Z', { now })).toBe('in 2 hours');
+      expect(formatRelativeTime('2023-01-15T12:00:00Z', { now })).toBe('last year');
+    });
+
+    it('should use words for adjacent days', () => {
+      expect(formatRelativeTime('2024-01-14T12:00:00Z', { now })).toBe('yesterday');
+      expect(formatRelativeTime(now, { now })).toBe('now');
+    });
+
+    it('should format in the given locale', () => {
+      expect(formatRelativeTime('2024-01-12T12:00:00Z', { now, locale: 'de-DE' })).toBe(
+        'vor 3 Tagen'
+      );
+    });
+  });
+
+  describe('formatList', () => {
+    it('should join items for the locale', () => {
+      expect(formatList(['a', 'b', 'c'])).toBe('a, b, and c');
+      expect(formatList(['a', 'b', 'c'], { locale: 'de-DE' })).toBe('a, b und c');
+      expect(formatList(['a', 'b'], { type: 'disjunction' })).toBe('a or b');
+    });
+  });
+
+  describe('formatPlural', () => {
+    const forms = { one: '# file', other: '# files' };
+
+    it('should select the plural form', () => {
+      expect(formatPlural(1, forms)).toBe('1 file');
+      expect(formatPlural(1200, forms)).toBe('1,200 files');
+    });
+
+    it("should follow the locale's plural rules", () => {
+      // French treats 0 and 1 as singular
+      expect(formatPlural(0, { one: '# fichier', other: '# fichiers' }, 'fr-FR')).toBe('0 fichier');
+    });
+
+    it('should prefer an explicit zero form', () => {
+      expect(formatPlural(0, { ...forms, zero: 'No files' })).toBe('No files');
+    });
   });
 
   describe('truncate', () => {
@@ -51,6 +154,15 @@ describe('format utilities', () => {
       const result = truncate('', 10);
       expect(result).toBe('');
     });
+
+    it('should not split grapheme clusters', () => {
+      expect(truncate('👨‍👩‍👧‍👦👍🏽 family', 2)).toBe('👨‍👩‍👧‍👦👍🏽...');
+      expect(truncate('👍🏽👍🏽', 2)).toBe('👍🏽👍🏽');
+    });
+
+    it('should use a custom ellipsis', () => {
+      expect(truncate('Hello world', 5, { ellipsis: '…' })).toBe('Hello…');
+    });
   });
 
   describe('capitalize', () => {
@@ -68,5 +180,14 @@ describe('format utilities', () => {
       const result = capitalize('');
       expect(result).toBe('');
     });
+
+    it("should use the locale's casing rules", () => {
+      expect(capitalize('istanbul', 'tr-TR')).toBe('İstanbul');
+      expect(capitalize('istanbul')).toBe('Istanbul');
+    });
+
+    it('should capitalize a combined first character', () => {
+      expect(capitalize('e\u0301cole')).toBe('E\u0301cole');
+    });
   });
 });
@@ -1,37 +1,234 @@
+import { DEFAULT_LOCALE, type Locale } from '@/lib/i18n';
+
+/**
+ * Locale-aware formatting helpers
+ *
+ * Every helper takes an optional locale (default `DEFAULT_LOCALE`); pass the
+ * one from `useLocale()` or `getLocale()`. `Intl` formatters are expensive to
+ * construct, so instances are cached per locale and options.
+ */
+
+/** Currency used by `formatCurrency` when none is given */
+export const LOCALE_CURRENCIES: Record<Locale, string> = {
+  'en-US': 'USD',
+  'de-DE': 'EUR',
+  'fr-FR': 'EUR',
+};
+
+const formatterCache = new Map<string, unknown>();
+
+function cached<T>(kind: string, locale: string, options: object, create: () => T): T {
+  const key = `${kind}|${locale}|${JSON.stringify(options)}`;
+  let formatter = formatterCache.get(key) as T | undefined;
+  if (!formatter) {
+    formatter = create();
+    formatterCache.set(key, formatter);
+  }
+  return formatter;
+}
+
+export function getDateTimeFormat(
+  locale: string,
+  options: Intl.DateTimeFormatOptions = {}
+): Intl.DateTimeFormat {
+  return cached('date', locale, options, () => new Intl.DateTimeFormat(locale, options));
+}
+
+export function getNumberFormat(
+  locale: string,
+  options: Intl.NumberFormatOptions = {}
+): Intl.NumberFormat {
+  return cached('number', locale, options, () => new Intl.NumberFormat(locale, options));
+}
+
+export function getPluralRules(
+  locale: string,
+  options: Intl.PluralRulesOptions = {}
+): Intl.PluralRules {
+  return cached('plural', locale, options, () => new Intl.PluralRules(locale, options));
+}
+
+function getSegmenter(locale: string): Intl.Segmenter {
+  return cached(
+    'segmenter',
+    locale,
+    {},
+    () => new Intl.Segmenter(locale, { granularity: 'grapheme' })
+  );
+}
+
+function toDate(date: Date | string | number): Date {
+  return date instanceof Date ? date : new Date(date);
+}
+
+export interface FormatDateOptions extends Intl.DateTimeFormatOptions {
+  locale?: string;
+}
+
 /**
  * Formats a date to a human-readable string
+ *
+ * Defaults to a long date (`January 15, 2024`); pass `Intl.DateTimeFormat`
+ * options such as `timeStyle` or `timeZone` to change it.
  */
-export function formatDate(date: Date | string): string {
-  const dateObj = typeof date === 'string' ? new Date(date) : date;
-  return new Intl.DateTimeFormat('en-US', {
-    year: 'numeric',
-    month: 'long',
-    day: 'numeric',
-  }).format(dateObj);
+export function formatDate(
+  date: Date | string | number,
+  { locale = DEFAULT_LOCALE, ...options }: FormatDateOptions = {}
+): string {
+  const hasFields = Object.keys(options).some((key) => key !== 'timeZone' && key !== 'hour12');
+  const formatOptions: Intl.DateTimeFormatOptions = hasFields
+    ? options
+    : { year: 'numeric', month: 'long', day: 'numeric', ...options };
+  return getDateTimeFormat(locale, formatOptions).format(toDate(date));
 }
 
 /**
  * Formats a number as currency
+ *
+ * @param currency - ISO 4217 code; defaults to the locale's currency, or USD
  */
-export function formatCurrency(amount: number, currency = 'USD'): string {
-  return new Intl.NumberFormat('en-US', {
+export function formatCurrency(
+  amount: number,
+  currency?: string,
+  locale: string = DEFAULT_LOCALE
+): string {
+  return getNumberFormat(locale, {
     style: 'currency',
-    currency,
+    currency: currency ?? LOCALE_CURRENCIES[locale as Locale] ?? 'USD',
   }).format(amount);
 }
 
+export interface FormatNumberOptions extends Intl.NumberFormatOptions {
+  locale?: string;
+}
+
+export function formatNumber(
+  value: number,
+  { locale = DEFAULT_LOCALE, ...options }: FormatNumberOptions = {}
+): string {
+  return getNumberFormat(locale, options).format(value);
+}
+
+/**
+ * Short form for large numbers, e.g. `1.2K` or `1,2 Mio.`
+ */
+export function formatCompactNumber(value: number, locale: string = DEFAULT_LOCALE): string {
+  return getNumberFormat(locale, { notation: 'compact', maximumFractionDigits: 1 }).format(value);
+}
+
+/**
+ * Formats a ratio as a percentage: `0.256` → `26%`
+ */
+export function formatPercent(
+  ratio: number,
+  { locale = DEFAULT_LOCALE, maximumFractionDigits = 0 }: FormatNumberOptions = {}
+): string {
+  return getNumberFormat(locale, { style: 'percent', maximumFractionDigits }).format(ratio);
+}
+
+const RELATIVE_TIME_UNITS: [Intl.RelativeTimeFormatUnit, number][] = [
+  ['year', 365 * 24 * 60 * 60 * 1000],
+  ['month', 30 * 24 * 60 * 60 * 1000],
+  ['week', 7 * 24 * 60 * 60 * 1000],
+  ['day', 24 * 60 * 60 * 1000],
+  ['hour', 60 * 60 * 1000],
+  ['minute', 60 * 1000],
+  ['second', 1000],
+];
+
+export interface FormatRelativeTimeOptions {
+  locale?: string;
+  /** Reference point, defaults to now */
+  now?: Date | number;
+  style?: Intl.RelativeTimeFormatStyle;
+}
+
+/**
+ * Describes a date relative to now, e.g. `3 days ago` or `in 2 hours`
+ */
+export function formatRelativeTime(
+  date: Date | string | number,
+  { locale = DEFAULT_LOCALE, now = Date.now(), style = 'long' }: FormatRelativeTimeOptions = {}
+): string {
+  const diff = toDate(date).getTime() - toDate(now).getTime();
+  const [unit, unitMs] =
+    RELATIVE_TIME_UNITS.find(([, ms]) => Math.abs(diff) >= ms) ??
+    RELATIVE_TIME_UNITS[RELATIVE_TIME_UNITS.length - 1];
+
+  const options: Intl.RelativeTimeFormatOptions = { numeric: 'auto', style };
+  return cached(
+    'relative',
+    locale,
+    options,
+    () => new Intl.RelativeTimeFormat(locale, options)
+  ).format(Math.round(diff / unitMs), unit);
+}
+
+export interface FormatListOptions extends Intl.ListFormatOptions {
+  locale?: string;
+}
+
+/**
+ * Joins items into a sentence: `a, b, and c`
+ */
+export function formatList(
+  items: readonly string[],
+  { locale = DEFAULT_LOCALE, type = 'conjunction', style = 'long' }: FormatListOptions = {}
+): string {
+  const options: Intl.ListFormatOptions = { type, style };
+  return cached('list', locale, options, () => new Intl.ListFormat(locale, options)).format(items);
+}
+
+export type PluralForms = { other: string } & Partial<Record<Intl.LDMLPluralRule, string>>;
+
+/**
+ * Picks the plural form for `count` using the locale's plural rules; `#` in
+ * the form is replaced by the formatted count
+ *
+ * @example
+ * ```typescript
+ * formatPlural(1, { one: '# file', other: '# files' }); // "1 file"
+ * ```
+ */
+export function formatPlural(
+  count: number,
+  forms: PluralForms,
+  locale: string = DEFAULT_LOCALE
+): string {
+  // An explicit `zero` form wins even where the language has no zero category
+  const category = count === 0 && forms.zero ? 'zero' : getPluralRules(locale).select(count);
+  return (forms[category] ?? forms.other).replace(/#/g, formatNumber(count, { locale }));
+}
+
+export interface TruncateOptions {
+  locale?: string;
+  ellipsis?: string;
+}
+
 /**
- * Truncates text to a specified length
+ * Truncates text to a number of user-perceived characters (grapheme
+ * clusters), so emoji and combined characters are never split
  */
-export function truncate(text: string, length: number): string {
-  if (text.length <= length) return text;
-  return text.slice(0, length) + '...';
+export function truncate(
+  text: string,
+  length: number,
+  { locale = DEFAULT_LOCALE, ellipsis = '...' }: TruncateOptions = {}
+): string {
+  const graphemes = Array.from(getSegmenter(locale).segment(text), ({ segment }) => segment);
+  if (graphemes.length <= length) {
+    return text;
+  }
+  return graphemes.slice(0, length).join('') + ellipsis;
 }
 
 /**
- * Capitalizes the first letter of a string
+ * Upper-cases the first grapheme with the locale's casing rules
+ * (`capitalize('istanbul', 'tr-TR')` → `İstanbul`)
  */
-export function capitalize(text: string): string {
-  if (!text) return '';
-  return text.charAt(0).toUpperCase() + text.slice(1);
+export function capitalize(text: string, locale: string = DEFAULT_LOCALE): string {
+  if (!text) {
+    return '';
+  }
+  const [first] = getSegmenter(locale).segment(text);
+  return first.segment.toLocaleUpperCase(locale) + text.slice(first.segment.length);
 }
@@ -0,0 +1,116 @@
+// @vitest-environment node
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { HealthRegistry, toHealthResponse } from './health';
+import { logger } from './logger';
+
+describe('HealthRegistry', () => {
+  beforeEach(() => {
+    vi.spyOn(logger, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  it('should pass when every check passes', async () => {
+    const registry = new HealthRegistry();
+    registry.register({ name: 'database', check: async () => {} });
+
+    const health = await registry.ready();
+
+    expect(health.status).toBe('pass');
+    expect(health.version).toEqual(expect.any(String));
+    expect(health.checks['database:responseTime'][0]).toMatchObject({
+      componentId: 'database',
+      status: 'pass',
+      observedUnit: 'ms',
+    });
+    expect(health.checks.uptime[0].observedUnit).toBe('s');
+  });
+
+  it('should fail when a critical check fails', async () => {
+    const registry = new HealthRegistry();
+    registry.register({ name: 'database', check: async () => Promise.reject(new Error('down')) });
+
+    const health = await registry.ready();
+
+    expect(health.status).toBe('fail');
+    expect(health.checks['database:responseTime'][0].output).toBe('An unexpected error occurred');
+    expect(toHealthResponse(health).status).toBe(503);
+  });
+
+  it('should warn and report not ready when a non-critical check fails', async () => {
+    const registry = new HealthRegistry();
+    registry.register({ name: 'database', check: async () => {} });
+    registry.register({
+      name: 'analytics',
+      critical: false,
+      check: async () => Promise.reject(new Error('down')),
+    });
+
+    const health = await registry.ready();
+
+    expect(health.status).toBe('warn');
+    expect(health.checks['analytics:responseTime'][0].status).toBe('warn');
+    expect(toHealthResponse(health).status).toBe(503);
+  });
+
+  it('should fail checks that exceed their timeout and abort them', async () => {
+    vi.useFakeTimers();
+    const registry = new HealthRegistry();
+    let signal: AbortSignal | undefined;
+    registry.register({
+      name: 'slow-api',
+      timeoutMs: 100,
+      check: (options) => {
+        signal = options.signal;
+        return new Promise(() => {});
+      },
+    });
+
+    const pending = registry.ready();
+    await vi.advanceTimersByTimeAsync(100);
+    const health = await pending;
+
+    expect(health.status).toBe('fail');
+    expect(health.checks['slow-api:responseTime'][0].output).toBe('Timed out after 100ms');
+    expect(signal?.aborted).toBe(true);
+  });
+
+  it('should cache results and share in-flight runs', async () => {
+    let now = 0;
+    const registry = new HealthRegistry({ cacheTtlMs: 1000, now: () => now });
+    const check = vi.fn(async () => {});
+    registry.register({ name: 'cache', check });
+
+    await Promise.all([registry.ready(), registry.ready(), registry.ready()]);
+    expect(check).toHaveBeenCalledTimes(1);
+
+    now = 999;
+    await registry.ready();
+    expect(check).toHaveBeenCalledTimes(1);
+
+    now = 1001;
+    await registry.ready();
+    expect(check).toHaveBeenCalledTimes(2);
+  });
+
+  it('should not run dependency checks for liveness', () => {
+    const registry = new HealthRegistry();
+    const check = vi.fn(async () => {});
+    registry.register({ name: 'database', check });
+
+    const health = registry.live();
+
+    expect(health.status).toBe('pass');
+    expect(check).not.toHaveBeenCalled();
+  });
+
+  it('should serialize as application/health+json', () => {
+    const response = toHealthResponse(new HealthRegistry().live());
+    expect(response.status).toBe(200);
+    expect(response.headers.get('content-type')).toBe('application/health+json');
+    expect(response.headers.get('cache-control')).toBe('no-store');
+  });
+});
@@ -0,0 +1,255 @@
+import { HTTP_STATUS } from '@/lib/constants';
+import { handleError } from '@/lib/errors';
+import { logger } from '@/lib/logger';
+
+/**
+ * Health-check registry
+ *
+ * Modules register named checks (database, cache, external APIs) that are run
+ * by the readiness probe. Results follow the IETF "Health Check Response
+ * Format for HTTP APIs" draft (`application/health+json`).
+ *
+ * A failing critical check marks the service as `fail`, a failing
+ * non-critical check only downgrades it to `warn`. Readiness answers 503 for
+ * both, so load balancers stop routing to a degraded instance.
+ */
+
+export const HEALTH_CONTENT_TYPE = 'application/health+json';
+
+export type HealthStatus = 'pass' | 'warn' | 'fail';
+
+export interface HealthCheckOutcome {
+  status?: HealthStatus;
+  output?: string;
+}
+
+export interface HealthCheck {
+  name: string;
+  /** Resolves (optionally with an outcome) when healthy, throws when not */
+  check: (options: { signal: AbortSignal }) => Promise<HealthCheckOutcome | void>;
+  /** Defaults to 2000ms */
+  timeoutMs?: number;
+  /** Critical checks fail the whole service; defaults to true */
+  critical?: boolean;
+  componentType?: string;
+}
+
+export interface HealthCheckResult {
+  componentId: string;
+  componentType?: string;
+  status: HealthStatus;
+  observedValue?: number;
+  observedUnit?: string;
+  affectsServiceHealth?: boolean;
+  time: string;
+  output?: string;
+}
+
+export interface HealthResponse {
+  status: HealthStatus;
+  version: string;
+  description?: string;
+  checks: Record<string, HealthCheckResult[]>;
+}
+
+export interface HealthRegistryOptions {
+  /** How long readiness results are reused, so probes can't stampede dependencies */
+  cacheTtlMs?: number;
+  now?: () => number;
+}
+
+const DEFAULT_TIMEOUT_MS = 2000;
+const DEFAULT_CACHE_TTL_MS = 5000;
+
+// Injected by next.config.ts; npm sets the fallback when run through a script
+const version = process.env.APP_VERSION ?? process.env.npm_package_version ?? '0.0.0';
+
+export class HealthCheckTimeoutError extends Error {
+  constructor(timeoutMs: number) {
+    super(`Timed out after ${timeoutMs}ms`);
+    this.name = 'HealthCheckTimeoutError';
+  }
+}
+
+/**
+ * Runs a single check, bounded by its timeout
+ */
+async function runCheck(check: HealthCheck, now: () => number): Promise<HealthCheckResult> {
+  const timeoutMs = check.timeoutMs ?? DEFAULT_TIMEOUT_MS;
+  const critical = check.critical ?? true;
+  const controller = new AbortController();
+  const startedAt = now();
+  let timer: ReturnType<typeof setTimeout> | undefined;
+
+  const base = {
+    componentId: check.name,
+    componentType: check.componentType,
+    affectsServiceHealth: critical,
+    observedUnit: 'ms',
+  };
+
+  try {
+    const outcome = await Promise.race([
+      check.check({ signal: controller.signal }),
+      new Promise<never>((_, reject) => {
+        timer = setTimeout(() => {
+          controller.abort();
+          reject(new HealthCheckTimeoutError(timeoutMs));
+        }, timeoutMs);
+      }),
+    ]);
+
+    return {
+      ...base,
+      status: outcome?.status ?? 'pass',
+      observedValue: now() - startedAt,
+      time: new Date(startedAt).toISOString(),
+      ...(outcome?.output ? { output: outcome.output } : {}),
+    };
+  } catch (error) {
+    logger.warn(`Health check "${check.name}" failed`, error);
+
+    return {
+      ...base,
+      status: critical ? 'fail' : 'warn',
+      observedValue: now() - startedAt,
+      time: new Date(startedAt).toISOString(),
+      output: error instanceof HealthCheckTimeoutError ? error.message : handleError(error).message,
+    };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Aggregates check results: any `fail` wins, then any `warn`
+ */
+function aggregateStatus(results: HealthCheckResult[]): HealthStatus {
+  if (results.some((result) => result.status === 'fail' && result.affectsServiceHealth)) {
+    return 'fail';
+  }
+  if (results.some((result) => result.status !== 'pass')) {
+    return 'warn';
+  }
+  return 'pass';
+}
+
+export class HealthRegistry {
+  private readonly checks = new Map<string, HealthCheck>();
+  private readonly cacheTtlMs: number;
+  private readonly now: () => number;
+  private readonly startedAt: number;
+  private cached?: { response: HealthResponse; expiresAt: number };
+  private inFlight?: Promise<HealthResponse>;
+
+  constructor(options: HealthRegistryOptions = {}) {
+    this.cacheTtlMs = options.cacheTtlMs ?? DEFAULT_CACHE_TTL_MS;
+    this.now = options.now ?? Date.now;
+    this.startedAt = this.now();
+  }
+
+  /**
+   * Registers a named check, replacing any previous check with that name
+   *
+   * @returns A function that unregisters the check
+   */
+  register(check: HealthCheck): () => void {
+    this.checks.set(check.name, check);
+    this.invalidate();
+    return () => {
+      this.checks.delete(check.name);
+      this.invalidate();
+    };
+  }
+
+  invalidate(): void {
+    this.cached = undefined;
+  }
+
+  private uptime(): Record<string, HealthCheckResult[]> {
+    return {
+      uptime: [
+        {
+          componentId: 'uptime',
+          componentType: 'system',
+          status: 'pass',
+          observedValue: Math.round((this.now() - this.startedAt) / 1000),
+          observedUnit: 's',
+          time: new Date(this.now()).toISOString(),
+        },
+      ],
+    };
+  }
+
+  /**
+   * Liveness: the process is up and able to answer. Never touches dependencies.
+   */
+  live(): HealthResponse {
+    return { status: 'pass', version, checks: this.uptime() };
+  }
+
+  /**
+   * Readiness: runs every registered check, reusing a recent result if any
+   */
+  async ready(): Promise<HealthResponse> {
+    if (this.cached && this.cached.expiresAt > this.now()) {
+      return this.cached.response;
+    }
+
+    // Concurrent probes share one run instead of each hitting dependencies
+    this.inFlight ??= this.runAll().finally(() => {
+      this.inFlight = undefined;
+    });
+    return this.inFlight;
+  }
+
+  private async runAll(): Promise<HealthResponse> {
+    const results = await Promise.all(
+      Array.from(this.checks.values(), (check) => runCheck(check, this.now))
+    );
+
+    const checks = this.uptime();
+    for (const result of results) {
+      checks[`${result.componentId}:responseTime`] = [result];
+    }
+
+    const response: HealthResponse = { status: aggregateStatus(results), version, checks };
+    this.cached = { response, expiresAt: this.now() + this.cacheTtlMs };
+    return response;
+  }
+}
+
+/**
+ * Serializes a health response with the matching status code and headers;
+ * anything short of `pass` is a 503
+ */
+export function toHealthResponse(health: HealthResponse): Response {
+  return new Response(JSON.stringify(health), {
+    status: health.status === 'pass' ? HTTP_STATUS.OK : HTTP_STATUS.SERVICE_UNAVAILABLE,
+    headers: {
+      'content-type': HEALTH_CONTENT_TYPE,
+      'cache-control': 'no-store',
+    },
+  });
+}
+
+export const healthRegistry = new HealthRegistry();
+
+/**
+ * Registers a check with the application's readiness probe
+ *
+ * @example
+ * ```typescript
+ * registerHealthCheck({
+ *   name: 'database',
+ *   componentType: 'datastore',
+ *   timeoutMs: 1000,
+ *   check: async () => {
+ *     await db.$queryRaw`SELECT 1`;
+ *   },
+ * });
+ * ```
+ */
+export function registerHealthCheck(check: HealthCheck): () => void {
+  return healthRegistry.register(check);
+}
@@ -0,0 +1,356 @@
+// @vitest-environment node
+import { createServer, type IncomingMessage, type ServerResponse } from 'node:http';
+import type { AddressInfo } from 'node:net';
+import { afterAll, beforeAll, beforeEach, describe, expect, it } from 'vitest';
+import { z } from 'zod';
+import {
+  AppError,
+  ERROR_CODES,
+  NotFoundError,
+  RateLimitError,
+  ServiceUnavailableError,
+} from './errors';
+import { backoffDelay, CircuitBreaker, createHttpClient, parseRetryAfter } from './http-client';
+import { runWithRequestContext } from './request-context';
+
+type Handler = (req: IncomingMessage, res: ServerResponse, hit: number) => void;
+
+const routes: Record<string, Handler> = {};
+const hits: Record<string, number> = {};
+const received: IncomingMessage[] = [];
+
+const server = createServer((req, res) => {
+  const { pathname } = new URL(req.url ?? '/', 'http://localhost');
+  hits[pathname] = (hits[pathname] ?? 0) + 1;
+  received.push(req);
+  const handler = routes[pathname];
+  if (handler) {
+    handler(req, res, hits[pathname]);
+  } else {
+    res.writeHead(404).end();
+  }
+});
+
+let baseUrl = '';
+
+function json(res: ServerResponse, status: number, body: unknown, headers = {}) {
+  res.writeHead(status, { 'content-type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+function client(options: Parameters<typeof createHttpClient>[0] = {}) {
+  return createHttpClient({
+    baseUrl: `${baseUrl}/v1/`,
+    retry: { baseDelayMs: 1, maxDelayMs: 2000 },
+    ...options,
+  });
+}
+
+const userSchema = z.object({ id: z.string(), name: z.string() });
+
+beforeAll(async () => {
+  await new Promise<void>((resolve) => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${(server.address() as AddressInfo).port}`;
+});
+
+afterAll(async () => {
+  server.closeAllConnections();
+  await new Promise((resolve) => server.close(resolve));
+});
+
+beforeEach(() => {
+  for (const key of Object.keys(routes)) {
+    delete routes[key];
+  }
+  for (const key of Object.keys(hits)) {
+    delete hits[key];
+  }
+  received.length = 0;
+});
+
+describe('httpClient', () => {
+  it('should return the validated body', async () => {
+    routes['/v1/users/1'] = (req, res) => {
+      json(res, 200, { id: '1', name: 'Ada', extra: true, query: req.url });
+    };
+
+    const user = await client().get('/users/1', {
+      schema: userSchema,
+      query: { include: 'profile', skip: undefined },
+    });
+
+    expect(user).toEqual({ id: '1', name: 'Ada' });
+    expect(received[0].url).toBe('/v1/users/1?include=profile');
+  });
+
+  it('should send JSON bodies and forward the request ID', async () => {
+    routes['/v1/users'] = (_req, res) => json(res, 201, { id: '2', name: 'Grace' });
+
+    await runWithRequestContext({ requestId: 'req-123' }, () =>
+      client().post('users', { json: { name: 'Grace' }, schema: userSchema })
+    );
+
+    expect(received[0].method).toBe('POST');
+    expect(received[0].headers['x-request-id']).toBe('req-123');
+    expect(received[0].headers['content-type']).toBe('application/json');
+  });
+
+  it('should reject responses that do not match the schema without retrying', async () => {
+    routes['/v1/users/1'] = (_req, res) => json(res, 200, { id: 1 });
+
+    const error = await client()
+      .get('users/1', { schema: userSchema })
+      .catch((e: unknown) => e);
+
+    expect(error).toBeInstanceOf(AppError);
+    expect(error).toMatchObject({ statusCode: 502, code: ERROR_CODES.UPSTREAM_ERROR });
+    expect(hits['/v1/users/1']).toBe(1);
+  });
+
+  it('should retry idempotent requests on 5xx until one succeeds', async () => {
+    routes['/v1/flaky'] = (_req, res, hit) => {
+      if (hit < 3) {
+        res.writeHead(503).end();
+      } else {
+        json(res, 200, { ok: true });
+      }
+    };
+
+    expect(await client().get('flaky')).toEqual({ ok: true });
+    expect(hits['/v1/flaky']).toBe(3);
+  });
+
+  it('should wait for Retry-After', async () => {
+    routes['/v1/busy'] = (_req, res, hit) => {
+      if (hit === 1) {
+        res.writeHead(429, { 'retry-after': '1' }).end();
+      } else {
+        json(res, 200, { ok: true });
+      }
+    };
+
+    const startedAt = Date.now();
+    await client().get('busy');
+
+    expect(Date.now() - startedAt).toBeGreaterThanOrEqual(900);
+    expect(hits['/v1/busy']).toBe(2);
+  });
+
+  it('should only retry POST with an idempotency key', async () => {
+    routes['/v1/orders'] = (_req, res, hit) => {
+      if (hit < 3) {
+        res.writeHead(500).end();
+      } else {
+        json(res, 201, { ok: true });
+      }
+    };
+
+    await expect(client().post('orders', { json: {} })).rejects.toMatchObject({
+      statusCode: 502,
+      code: ERROR_CODES.UPSTREAM_ERROR,
+    });
+    expect(hits['/v1/orders']).toBe(1);
+
+    expect(await client().post('orders', { json: {}, idempotencyKey: 'order-1' })).toEqual({
+      ok: true,
+    });
+    expect(hits['/v1/orders']).toBe(3);
+    expect(received[2].headers['idempotency-key']).toBe('order-1');
+  });
+
+  it('should map error responses to typed errors', async () => {
+    routes['/v1/gone'] = (_req, res) => res.writeHead(410).end();
+    routes['/v1/limited'] = (_req, res) => res.writeHead(429, { 'retry-after': '60' }).end();
+
+    await expect(client().get('missing')).rejects.toBeInstanceOf(NotFoundError);
+    await expect(client().get('gone')).rejects.toMatchObject({
+      statusCode: 502,
+      code: ERROR_CODES.UPSTREAM_ERROR,
+    });
+
+    const error = await client()
+      .get('limited')
+      .catch((e: unknown) => e);
+    expect(error).toBeInstanceOf(RateLimitError);
+    expect((error as RateLimitError).retryAfter).toBe(60);
+    expect(hits['/v1/limited']).toBe(1);
+  });
+
+  it('should keep upstream problem details on the cause only', async () => {
+    routes['/v1/outage'] = (_req, res) =>
+      json(res, 503, {
+        type: '/problems/service-unavailable',
+        title: 'Service Unavailable',
+        status: 503,
+        detail: 'Down for maintenance',
+        code: ERROR_CODES.SERVICE_UNAVAILABLE,
+        retryAfter: 120,
+      });
+    routes['/v1/broken'] = (_req, res) =>
+      json(res, 500, {
+        type: '/problems/internal-error',
+        title: 'Internal Server Error',
+        status: 500,
+        detail: 'connection to db-7.internal refused',
+        host: 'db-7.internal',
+      });
+
+    const outage = await client({ retry: false })
+      .get('outage')
+      .catch((e: unknown) => e);
+    expect(outage).toBeInstanceOf(ServiceUnavailableError);
+    expect(outage).toMatchObject({ message: 'Upstream service unavailable', retryAfter: 120 });
+    expect((outage as AppError).cause).toMatchObject({ message: 'Down for maintenance' });
+
+    const broken = (await client({ retry: false })
+      .get('broken')
+      .catch((e: unknown) => e)) as AppError;
+    expect(broken).toMatchObject({ statusCode: 502, code: ERROR_CODES.UPSTREAM_ERROR });
+    expect(JSON.stringify(broken.toProblem())).not.toContain('db-7');
+    expect(broken.cause).toMatchObject({ extensions: { host: 'db-7.internal' } });
+
+    for (const status of [400, 409, 422]) {
+      routes[`/v1/rejected-${status}`] = (_req, res) =>
+        json(res, status, {
+          type: '/problems/validation-failed',
+          title: 'Rejected',
+          status,
+          detail: 'account_ref acct_9f2 is locked',
+          errors: [{ path: 'body.account_ref', message: 'Locked', code: 'custom' }],
+        });
+
+      const rejected = (await client({ retry: false })
+        .get(`rejected-${status}`)
+        .catch((e: unknown) => e)) as AppError;
+      expect(rejected).toMatchObject({ statusCode: 502, code: ERROR_CODES.UPSTREAM_ERROR });
+      expect(JSON.stringify(rejected.toProblem())).not.toMatch(/acct_9f2|account_ref/);
+      expect(rejected.cause).toMatchObject({ message: 'account_ref acct_9f2 is locked' });
+    }
+  });
+
+  it('should not pass upstream 401 and 403 on as our own', async () => {
+    routes['/v1/private'] = (_req, res) =>
+      json(res, 401, {
+        type: '/problems/unauthorized',
+        title: 'Unauthorized',
+        status: 401,
+        detail: 'Invalid API key',
+        code: ERROR_CODES.UNAUTHORIZED,
+      });
+    routes['/v1/admin'] = (_req, res) => res.writeHead(403).end();
+
+    await expect(client().get('private')).rejects.toMatchObject({
+      statusCode: 502,
+      code: ERROR_CODES.UPSTREAM_ERROR,
+    });
+    await expect(client().get('admin')).rejects.toMatchObject({
+      statusCode: 502,
+      code: ERROR_CODES.UPSTREAM_ERROR,
+    });
+  });
+
+  it('should time out slow responses', async () => {
+    routes['/v1/slow'] = (_req, res) => {
+      setTimeout(() => json(res, 200, {}), 500);
+    };
+
+    await expect(client({ retry: false }).get('slow', { timeoutMs: 50 })).rejects.toMatchObject({
+      statusCode: 504,
+      code: ERROR_CODES.UPSTREAM_TIMEOUT,
+    });
+  });
+
+  it('should time out responses whose body stalls after the headers', async () => {
+    routes['/v1/stalled'] = (_req, res) => {
+      res.writeHead(200, { 'content-type': 'application/json' });
+      res.write('{"id":');
+    };
+
+    const startedAt = Date.now();
+    await expect(client({ retry: false }).get('stalled', { timeoutMs: 100 })).rejects.toMatchObject(
+      { statusCode: 504, code: ERROR_CODES.UPSTREAM_TIMEOUT }
+    );
+    expect(Date.now() - startedAt).toBeLessThan(2000);
+  });
+
+  it('should stop retrying when the caller aborts', async () => {
+    routes['/v1/down'] = (_req, res) => res.writeHead(502).end();
+    const controller = new AbortController();
+    const api = client({ retry: { retries: 5, baseDelayMs: 10_000, maxDelayMs: 10_000 } });
+
+    const startedAt = Date.now();
+    const pending = api.get('down', { signal: controller.signal });
+    setTimeout(() => controller.abort(new Error('cancelled')), 50);
+
+    await expect(pending).rejects.toThrow('cancelled');
+    expect(Date.now() - startedAt).toBeLessThan(2000);
+  });
+
+  it('should fail fast while the circuit is open', async () => {
+    let healthy = false;
+    routes['/v1/unstable'] = (_req, res) => {
+      if (healthy) {
+        json(res, 200, { ok: true });
+      } else {
+        res.writeHead(500).end();
+      }
+    };
+    const api = client({
+      retry: false,
+      circuitBreaker: { failureThreshold: 2, resetTimeoutMs: 100 },
+    });
+
+    await expect(api.get('unstable')).rejects.toMatchObject({ statusCode: 502 });
+    await expect(api.get('unstable')).rejects.toMatchObject({ statusCode: 502 });
+    await expect(api.get('unstable')).rejects.toBeInstanceOf(ServiceUnavailableError);
+    expect(hits['/v1/unstable']).toBe(2);
+    expect(api.circuitState).toBe('open');
+
+    healthy = true;
+    await new Promise((resolve) => setTimeout(resolve, 120));
+    expect(await api.get('unstable')).toEqual({ ok: true });
+    expect(api.circuitState).toBe('closed');
+  });
+});
+
+describe('CircuitBreaker', () => {
+  it('should let a single trial through when half-open and re-open if it fails', () => {
+    let now = 0;
+    const breaker = new CircuitBreaker({
+      failureThreshold: 1,
+      resetTimeoutMs: 1000,
+      now: () => now,
+    });
+
+    breaker.acquire();
+    breaker.recordFailure();
+    expect(() => breaker.acquire()).toThrow(ServiceUnavailableError);
+
+    now = 1000;
+    expect(breaker.state).toBe('half-open');
+    breaker.acquire();
+    expect(() => breaker.acquire()).toThrow(ServiceUnavailableError);
+
+    breaker.recordFailure();
+    expect(breaker.state).toBe('open');
+  });
+});
+
+describe('backoffDelay', () => {
+  it('should double up to the maximum', () => {
+    const options = { retries: 5, baseDelayMs: 100, maxDelayMs: 350 };
+    const delays = [1, 2, 3, 4].map((retry) => backoffDelay(retry, options, () => 1));
+    expect(delays).toEqual([100, 200, 350, 350]);
+    expect(backoffDelay(3, options, () => 0)).toBe(0);
+  });
+});
+
+describe('parseRetryAfter', () => {
+  it('should read seconds and HTTP dates', () => {
+    const now = Date.UTC(2025, 0, 1);
+    expect(parseRetryAfter('5', now)).toBe(5000);
+    expect(parseRetryAfter(new Date(now + 3000).toUTCString(), now)).toBe(3000);
+    expect(parseRetryAfter('soon', now)).toBeUndefined();
+    expect(parseRetryAfter(null, now)).toBeUndefined();
+  });
+});
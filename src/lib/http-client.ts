@@ -0,0 +1,487 @@
+import type { z } from 'zod';
+import { HTTP_STATUS } from '@/lib/constants';
+import {
+  AppError,
+  ERROR_CODES,
+  fromProblemDetails,
+  isProblemDetails,
+  NotFoundError,
+  RateLimitError,
+  ServiceUnavailableError,
+} from '@/lib/errors';
+import { logger } from '@/lib/logger';
+import { getRequestId, REQUEST_ID_HEADER } from '@/lib/request-context';
+import { sleep } from '@/lib/utils';
+import type { ProblemDetails } from '@/types';
+
+/**
+ * Typed `fetch` client for calls to other services
+ *
+ * - Responses are validated against a zod schema
+ * - Every attempt is bounded by an `AbortController` timeout
+ * - Idempotent methods (or requests with an idempotency key) are retried on
+ *   network errors, timeouts, 408, 429 and 5xx, with exponential backoff and
+ *   full jitter, waiting for `Retry-After` when the server sends one
+ * - Error responses become the matching `AppError` subclass, without
+ *   passing the upstream's own error details on to our clients
+ * - A circuit breaker fails fast after repeated failures
+ * - The current request ID is sent as `x-request-id`
+ *
+ * Server-only: it reads the request context from `AsyncLocalStorage`.
+ *
+ * @example
+ * ```typescript
+ * const api = createHttpClient({ baseUrl: env.THIRD_PARTY_API_URL });
+ * const user = await api.get(`users/${id}`, { schema: userSchema });
+ * ```
+ */
+
+export interface RetryOptions {
+  /** Retries after the first attempt */
+  retries: number;
+  /** Backoff ceiling for the first retry, doubling for each one after it */
+  baseDelayMs: number;
+  /** Longest wait between attempts; a longer `Retry-After` isn't waited for */
+  maxDelayMs: number;
+}
+
+export interface CircuitBreakerOptions {
+  /** Consecutive failures that open the circuit */
+  failureThreshold: number;
+  /** How long the circuit stays open before letting a trial request through */
+  resetTimeoutMs: number;
+  now?: () => number;
+}
+
+export interface HttpClientOptions {
+  /** Prefix for relative paths, e.g. `https://api.example.com/v1` */
+  baseUrl?: string;
+  /** Sent with every request */
+  headers?: HeadersInit;
+  /** Per attempt */
+  timeoutMs?: number;
+  retry?: Partial<RetryOptions> | false;
+  circuitBreaker?: Partial<CircuitBreakerOptions> | false;
+  fetch?: typeof fetch;
+}
+
+export type QueryParams = Record<string, string | number | boolean | null | undefined>;
+
+export interface RequestOptions<T> {
+  method?: string;
+  query?: QueryParams;
+  headers?: HeadersInit;
+  /** Sent as JSON */
+  json?: unknown;
+  body?: BodyInit;
+  /** Validates the response body; without one it is returned as `unknown` */
+  schema?: z.ZodType<T>;
+  signal?: AbortSignal;
+  timeoutMs?: number;
+  retry?: Partial<RetryOptions> | false;
+  /** Sent as `Idempotency-Key`, which makes POST and PATCH safe to retry */
+  idempotencyKey?: string;
+}
+
+const DEFAULT_TIMEOUT_MS = 10_000;
+
+const DEFAULT_RETRY: RetryOptions = { retries: 2, baseDelayMs: 200, maxDelayMs: 10_000 };
+
+const DEFAULT_CIRCUIT_BREAKER = { failureThreshold: 5, resetTimeoutMs: 30_000 };
+
+const IDEMPOTENT_METHODS = new Set(['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE']);
+
+const RETRYABLE_STATUSES = new Set<number>([
+  408,
+  HTTP_STATUS.TOO_MANY_REQUESTS,
+  HTTP_STATUS.INTERNAL_SERVER_ERROR,
+  HTTP_STATUS.BAD_GATEWAY,
+  HTTP_STATUS.SERVICE_UNAVAILABLE,
+  HTTP_STATUS.GATEWAY_TIMEOUT,
+]);
+
+/**
+ * Full-jitter exponential backoff: a random wait of up to
+ * `baseDelayMs * 2^(retry - 1)`, capped at `maxDelayMs`
+ */
+export function backoffDelay(
+  retry: number,
+  { baseDelayMs, maxDelayMs }: RetryOptions,
+  random: () => number = Math.random
+): number {
+  return Math.round(random() * Math.min(maxDelayMs, baseDelayMs * 2 ** (retry - 1)));
+}
+
+/**
+ * `Retry-After` in milliseconds, from either delay seconds or an HTTP date
+ */
+export function parseRetryAfter(value: string | null, now = Date.now()): number | undefined {
+  if (!value) {
+    return undefined;
+  }
+  if (/^\d+$/.test(value.trim())) {
+    return Number(value) * 1000;
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? undefined : Math.max(0, date - now);
+}
+
+/**
+ * Stops calling a failing service for a while
+ *
+ * After `failureThreshold` consecutive failures the circuit opens and
+ * requests fail fast with `ServiceUnavailableError`. Once `resetTimeoutMs`
+ * has passed it is half-open: one trial request goes through, and its
+ * outcome closes or re-opens the circuit.
+ */
+export class CircuitBreaker {
+  private failures = 0;
+  private openedAt: number | null = null;
+  private trialInFlight = false;
+  private readonly failureThreshold: number;
+  private readonly resetTimeoutMs: number;
+  private readonly now: () => number;
+
+  constructor(options: Partial<CircuitBreakerOptions> = {}) {
+    this.failureThreshold = options.failureThreshold ?? DEFAULT_CIRCUIT_BREAKER.failureThreshold;
+    this.resetTimeoutMs = options.resetTimeoutMs ?? DEFAULT_CIRCUIT_BREAKER.resetTimeoutMs;
+    this.now = options.now ?? Date.now;
+  }
+
+  get state(): 'closed' | 'open' | 'half-open' {
+    if (this.openedAt === null) {
+      return 'closed';
+    }
+    return this.now() - this.openedAt >= this.resetTimeoutMs ? 'half-open' : 'open';
+  }
+
+  /**
+   * Claims permission to send a request
+   *
+   * @throws ServiceUnavailableError while the circuit is open
+   */
+  acquire(): void {
+    const state = this.state;
+    if (state === 'closed') {
+      return;
+    }
+    if (state === 'half-open' && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return;
+    }
+
+    const remainingMs = (this.openedAt ?? 0) + this.resetTimeoutMs - this.now();
+    throw new ServiceUnavailableError(
+      'Upstream service unavailable',
+      Math.max(1, Math.ceil(remainingMs / 1000))
+    );
+  }
+
+  recordSuccess(): void {
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  recordFailure(): void {
+    this.failures++;
+    this.trialInFlight = false;
+    if (this.openedAt !== null || this.failures >= this.failureThreshold) {
+      this.openedAt = this.now();
+    }
+  }
+
+  /** A request the caller cancelled says nothing about the service */
+  release(): void {
+    this.trialInFlight = false;
+  }
+}
+
+/** A response whose body has been read in full */
+interface Attempt {
+  response: Response;
+  text: string;
+}
+
+class UpstreamTimeoutError extends AppError {
+  constructor(timeoutMs: number) {
+    super(`Upstream request timed out after ${timeoutMs}ms`, HTTP_STATUS.GATEWAY_TIMEOUT, true, {
+      code: ERROR_CODES.UPSTREAM_TIMEOUT,
+    });
+  }
+}
+
+function upstreamError(message: string, cause?: unknown): AppError {
+  return new AppError(message, HTTP_STATUS.BAD_GATEWAY, true, {
+    code: ERROR_CODES.UPSTREAM_ERROR,
+    cause,
+  });
+}
+
+/**
+ * The `AppError` for an error response, chosen by status
+ *
+ * Upstream errors are answered in our own words: their `detail` and
+ * extensions stay on `cause` for logs and never reach our clients. Only a
+ * 404, 429 or 503 keeps its meaning; any other 4xx means our server sent a
+ * request the upstream refused (bad input, stale state, rejected credentials),
+ * which is not the visitor's fault, so it is a 502.
+ */
+function errorFromResponse({ response, text }: Attempt, retryAfterMs?: number): AppError {
+  let problem: ProblemDetails | undefined;
+  try {
+    const body: unknown = JSON.parse(text);
+    problem = isProblemDetails(body) ? body : undefined;
+  } catch {
+    // Not JSON
+  }
+
+  const { status } = response;
+  const cause = problem ? fromProblemDetails(problem) : undefined;
+  const options = { cause };
+  const retryAfter =
+    retryAfterMs !== undefined
+      ? Math.ceil(retryAfterMs / 1000)
+      : problem?.retryAfter !== undefined
+        ? Number(problem.retryAfter)
+        : undefined;
+
+  switch (status) {
+    case HTTP_STATUS.NOT_FOUND:
+      return new NotFoundError('Upstream resource', options);
+    case HTTP_STATUS.TOO_MANY_REQUESTS:
+      return new RateLimitError(retryAfter ?? 0, 'Upstream rate limit exceeded', options);
+    case HTTP_STATUS.SERVICE_UNAVAILABLE:
+      return new ServiceUnavailableError('Upstream service unavailable', retryAfter, options);
+    case HTTP_STATUS.GATEWAY_TIMEOUT:
+      return new AppError('Upstream timed out', HTTP_STATUS.GATEWAY_TIMEOUT, true, {
+        code: ERROR_CODES.UPSTREAM_TIMEOUT,
+        cause,
+      });
+    case HTTP_STATUS.UNAUTHORIZED:
+    case HTTP_STATUS.FORBIDDEN:
+      return upstreamError(`Upstream refused our credentials (${status})`, cause);
+  }
+
+  return upstreamError(`Upstream responded with ${status}`, cause);
+}
+
+/**
+ * Parses a successful response, validating it when there is a schema
+ */
+function parseResponse<T>({ response, text }: Attempt, schema?: z.ZodType<T>): T {
+  let body: unknown = text || undefined;
+
+  if (text && /[/+]json\b/.test(response.headers.get('content-type') ?? '')) {
+    try {
+      body = JSON.parse(text);
+    } catch (error) {
+      throw upstreamError('Upstream sent malformed JSON', error);
+    }
+  }
+
+  if (!schema) {
+    return body as T;
+  }
+  const result = schema.safeParse(body);
+  if (!result.success) {
+    throw upstreamError('Unexpected response from upstream', result.error);
+  }
+  return result.data;
+}
+
+export class HttpClient {
+  private readonly retry: RetryOptions | false;
+  private readonly breaker: CircuitBreaker | null;
+  private readonly fetch: typeof fetch;
+
+  constructor(private readonly options: HttpClientOptions = {}) {
+    this.retry = options.retry === false ? false : { ...DEFAULT_RETRY, ...options.retry };
+    this.breaker =
+      options.circuitBreaker === false ? null : new CircuitBreaker(options.circuitBreaker);
+    this.fetch = options.fetch ?? ((...args) => fetch(...args));
+  }
+
+  get circuitState() {
+    return this.breaker?.state ?? 'closed';
+  }
+
+  url(path: string, query: QueryParams = {}): URL {
+    const { baseUrl } = this.options;
+    const url =
+      baseUrl && !/^[a-z][a-z\d+.-]*:/i.test(path)
+        ? new URL(`${baseUrl.replace(/\/+$/, '')}/${path.replace(/^\/+/, '')}`)
+        : new URL(path);
+
+    for (const [key, value] of Object.entries(query)) {
+      if (value !== undefined && value !== null) {
+        url.searchParams.append(key, String(value));
+      }
+    }
+    return url;
+  }
+
+  /**
+   * Sends a request, retrying it when that's safe
+   *
+   * @throws AppError subclasses for error responses, timeouts, network
+   * errors and responses that don't match `schema`; the signal's reason when
+   * the caller aborts
+   */
+  async request<T = unknown>(path: string, options: RequestOptions<T> = {}): Promise<T> {
+    const method = (options.method ?? 'GET').toUpperCase();
+    const url = this.url(path, options.query);
+    const headers = new Headers(this.options.headers);
+    new Headers(options.headers).forEach((value, key) => headers.set(key, value));
+
+    const requestId = getRequestId();
+    if (requestId && !headers.has(REQUEST_ID_HEADER)) {
+      headers.set(REQUEST_ID_HEADER, requestId);
+    }
+    if (options.idempotencyKey) {
+      headers.set('idempotency-key', options.idempotencyKey);
+    }
+
+    let body = options.body;
+    if (options.json !== undefined) {
+      body = JSON.stringify(options.json);
+      if (!headers.has('content-type')) {
+        headers.set('content-type', 'application/json');
+      }
+    }
+    if (!headers.has('accept')) {
+      headers.set('accept', 'application/json');
+    }
+
+    const retry =
+      this.retry && options.retry !== false ? { ...this.retry, ...options.retry } : undefined;
+    const retries =
+      retry && (IDEMPOTENT_METHODS.has(method) || options.idempotencyKey) ? retry.retries : 0;
+    const timeoutMs = options.timeoutMs ?? this.options.timeoutMs ?? DEFAULT_TIMEOUT_MS;
+    const target = `${method} ${url.origin}${url.pathname}`;
+
+    for (let attempt = 0; ; attempt++) {
+      options.signal?.throwIfAborted();
+      this.breaker?.acquire();
+
+      let attempted: Attempt;
+      try {
+        attempted = await this.send(url, { method, headers, body }, timeoutMs, options.signal);
+      } catch (error) {
+        if (options.signal?.aborted) {
+          this.breaker?.release();
+          throw options.signal.reason;
+        }
+        this.breaker?.recordFailure();
+
+        const failure =
+          error instanceof UpstreamTimeoutError
+            ? error
+            : upstreamError(`Could not reach upstream: ${(error as Error).message}`, error);
+        if (attempt >= retries || !retry) {
+          throw failure;
+        }
+        const delayMs = backoffDelay(attempt + 1, retry);
+        logger.warn(`${target} failed, retrying in ${delayMs}ms`, { attempt, error: failure });
+        await sleep(delayMs, options.signal);
+        continue;
+      }
+
+      const { response } = attempted;
+      if (response.ok) {
+        this.breaker?.recordSuccess();
+        return parseResponse(attempted, options.schema);
+      }
+
+      // A 4xx means the service is up and answering
+      if (response.status >= 500 || response.status === 408) {
+        this.breaker?.recordFailure();
+      } else {
+        this.breaker?.recordSuccess();
+      }
+
+      const retryAfterMs = parseRetryAfter(response.headers.get('retry-after'));
+      if (
+        retry &&
+        attempt < retries &&
+        RETRYABLE_STATUSES.has(response.status) &&
+        (retryAfterMs === undefined || retryAfterMs <= retry.maxDelayMs)
+      ) {
+        const delayMs = retryAfterMs ?? backoffDelay(attempt + 1, retry);
+        logger.warn(`${target} responded ${response.status}, retrying in ${delayMs}ms`, {
+          attempt,
+        });
+        await sleep(delayMs, options.signal);
+        continue;
+      }
+
+      throw errorFromResponse(attempted, retryAfterMs);
+    }
+  }
+
+  /**
+   * One attempt, aborted after `timeoutMs` or when the caller aborts
+   *
+   * The body is read inside the timed section too, so an upstream that sends
+   * headers and then stalls can't hang the request.
+   */
+  private async send(
+    url: URL,
+    init: RequestInit,
+    timeoutMs: number,
+    signal?: AbortSignal
+  ): Promise<Attempt> {
+    const controller = new AbortController();
+    const onAbort = () => controller.abort(signal?.reason);
+    signal?.addEventListener('abort', onAbort, { once: true });
+    let timedOut = false;
+    const timeout = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeoutMs);
+
+    try {
+      const response = await this.fetch(url, { ...init, signal: controller.signal });
+      return { response, text: await response.text() };
+    } catch (error) {
+      throw timedOut ? new UpstreamTimeoutError(timeoutMs) : error;
+    } finally {
+      clearTimeout(timeout);
+      signal?.removeEventListener('abort', onAbort);
+    }
+  }
+
+  get<T = unknown>(path: string, options: Omit<RequestOptions<T>, 'method'> = {}) {
+    return this.request(path, { ...options, method: 'GET' });
+  }
+
+  post<T = unknown>(path: string, options: Omit<RequestOptions<T>, 'method'> = {}) {
+    return this.request(path, { ...options, method: 'POST' });
+  }
+
+  put<T = unknown>(path: string, options: Omit<RequestOptions<T>, 'method'> = {}) {
+    return this.request(path, { ...options, method: 'PUT' });
+  }
+
+  patch<T = unknown>(path: string, options: Omit<RequestOptions<T>, 'method'> = {}) {
+    return this.request(path, { ...options, method: 'PATCH' });
+  }
+
+  delete<T = unknown>(path: string, options: Omit<RequestOptions<T>, 'method'> = {}) {
+    return this.request(path, { ...options, method: 'DELETE' });
+  }
+}
+
+/**
+ * A client with its own retry policy and circuit breaker; create one per
+ * upstream service
+ */
+export function createHttpClient(options: HttpClientOptions = {}): HttpClient {
+  return new HttpClient(options);
+}
+
+/**
+ * Client for absolute URLs, with the default timeout, retries and circuit
+ * breaker
+ */
+export const httpClient = createHttpClient();
@@ -0,0 +1,52 @@
+import { cookies, headers } from 'next/headers';
+import { cache } from 'react';
+import { env } from '@/lib/env';
+import {
+  createTranslator,
+  isSupportedLocale,
+  LOCALE_COOKIE,
+  negotiateLocale,
+  type Locale,
+} from '@/lib/i18n';
+import { loadMessages } from '@/messages';
+
+/**
+ * The locale for the current request: the `locale` cookie, else the best
+ * `Accept-Language` match, else the default
+ */
+export const getLocale = cache(async (): Promise<Locale> => {
+  const [cookieStore, requestHeaders] = await Promise.all([cookies(), headers()]);
+  return negotiateLocale({
+    cookie: cookieStore.get(LOCALE_COOKIE)?.value,
+    acceptLanguage: requestHeaders.get('accept-language'),
+  });
+});
+
+/**
+ * Translator for server components
+ *
+ * @example
+ * ```typescript
+ * const t = await getTranslations();
+ * return <h1>{t('home.title', { name: APP_NAME })}</h1>;
+ * ```
+ */
+export async function getTranslations() {
+  const locale = await getLocale();
+  return createTranslator(locale, await loadMessages(locale));
+}
+
+/**
+ * Remembers the visitor's choice of locale; call it from a server action
+ */
+export async function setLocale(locale: string): Promise<void> {
+  if (!isSupportedLocale(locale)) {
+    return;
+  }
+  (await cookies()).set(LOCALE_COOKIE, locale, {
+    path: '/',
+    sameSite: 'lax',
+    secure: env.NODE_ENV === 'production',
+    maxAge: 365 * 24 * 60 * 60,
+  });
+}
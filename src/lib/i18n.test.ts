@@ -0,0 +1,90 @@
+import { describe, expect, it } from 'vitest';
+import {
+  createTranslator,
+  DEFAULT_LOCALE,
+  matchLocale,
+  negotiateLocale,
+  parseAcceptLanguage,
+} from './i18n';
+import { loadMessages } from '@/messages';
+
+describe('i18n', () => {
+  describe('parseAcceptLanguage', () => {
+    it('should order tags by quality, then position', () => {
+      expect(parseAcceptLanguage('fr;q=0.5, de-AT, en;q=0.8, es')).toEqual([
+        'de-AT',
+        'es',
+        'en',
+        'fr',
+      ]);
+    });
+
+    it('should drop wildcards, zero weights and empty headers', () => {
+      expect(parseAcceptLanguage('*, de;q=0')).toEqual([]);
+      expect(parseAcceptLanguage(null)).toEqual([]);
+    });
+  });
+
+  describe('matchLocale', () => {
+    it('should prefer an exact match', () => {
+      expect(matchLocale(['fr-fr', 'de-DE'])).toBe('fr-FR');
+    });
+
+    it('should fall back to a locale with the same language', () => {
+      expect(matchLocale(['es', 'de-AT'])).toBe('de-DE');
+    });
+
+    it('should fall back to the default locale', () => {
+      expect(matchLocale(['ja-JP'])).toBe(DEFAULT_LOCALE);
+    });
+  });
+
+  describe('negotiateLocale', () => {
+    it('should prefer a supported cookie', () => {
+      expect(negotiateLocale({ cookie: 'fr-FR', acceptLanguage: 'de-DE' })).toBe('fr-FR');
+    });
+
+    it('should ignore an unsupported cookie', () => {
+      expect(negotiateLocale({ cookie: 'xx', acceptLanguage: 'de-CH,de;q=0.9' })).toBe('de-DE');
+    });
+  });
+
+  describe('createTranslator', () => {
+    const t = createTranslator('en-US', {
+      greeting: 'Hello, {name}!',
+      items: { zero: 'No items', one: '# item', other: '# items in {place}' },
+    });
+
+    it('should interpolate values', () => {
+      expect(t('greeting', { name: 'Ada' })).toBe('Hello, Ada!');
+    });
+
+    it('should leave unknown placeholders alone', () => {
+      expect(t('greeting')).toBe('Hello, {name}!');
+    });
+
+    it('should select plural forms by count', () => {
+      expect(t('items', { count: 0 })).toBe('No items');
+      expect(t('items', { count: 1 })).toBe('1 item');
+      expect(t('items', { count: 2500, place: 'stock' })).toBe('2,500 items in stock');
+    });
+
+    it('should render unknown keys as the key', () => {
+      expect(t('missing' as 'greeting')).toBe('missing');
+    });
+
+    it('should fall back to another catalog', () => {
+      const german = createTranslator<'a' | 'b'>('de-DE', { a: 'Eins' }, { a: 'One', b: 'Two' });
+      expect(german('a')).toBe('Eins');
+      expect(german('b')).toBe('Two');
+    });
+  });
+
+  describe('loadMessages', () => {
+    it('should fill untranslated keys from the default catalog', async () => {
+      const [english, german] = await Promise.all([loadMessages('en-US'), loadMessages('de-DE')]);
+      expect(Object.keys(german).sort()).toEqual(Object.keys(english).sort());
+      expect(german['error.retry']).toBe('Erneut versuchen');
+    });
+  });
+});
@@ -0,0 +1,127 @@
+import { formatPlural, type PluralForms } from '@/lib/format';
+
+/**
+ * Locale negotiation and message catalogs
+ *
+ * The locale comes from the `locale` cookie when it names a supported locale,
+ * otherwise from the best `Accept-Language` match, otherwise the default.
+ * Catalogs are flat maps of message keys; the default catalog defines the
+ * keys, and other locales fall back to it for anything they don't translate.
+ *
+ * This module is edge-safe and has no server-only imports.
+ */
+
+export const SUPPORTED_LOCALES = ['en-US', 'de-DE', 'fr-FR'] as const;
+
+export type Locale = (typeof SUPPORTED_LOCALES)[number];
+
+export const DEFAULT_LOCALE: Locale = 'en-US';
+
+export const LOCALE_COOKIE = 'locale';
+
+export function isSupportedLocale(value: unknown): value is Locale {
+  return SUPPORTED_LOCALES.includes(value as Locale);
+}
+
+/**
+ * Parses an `Accept-Language` header into tags ordered by preference
+ */
+export function parseAcceptLanguage(header: string | null | undefined): string[] {
+  if (!header) {
+    return [];
+  }
+
+  return header
+    .split(',')
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(';');
+      const quality = params.map((param) => param.trim()).find((param) => param.startsWith('q='));
+      return { tag: tag.trim(), q: quality ? Number(quality.slice(2)) : 1, index };
+    })
+    .filter(({ tag, q }) => tag && tag !== '*' && Number.isFinite(q) && q > 0)
+    .sort((a, b) => b.q - a.q || a.index - b.index)
+    .map(({ tag }) => tag);
+}
+
+/**
+ * Best supported locale for a list of requested tags: an exact match, or the
+ * first supported locale with the same language (`de-AT` → `de-DE`)
+ */
+export function matchLocale(
+  requested: readonly string[],
+  supported: readonly Locale[] = SUPPORTED_LOCALES,
+  fallback: Locale = DEFAULT_LOCALE
+): Locale {
+  for (const tag of requested) {
+    const exact = supported.find((locale) => locale.toLowerCase() === tag.toLowerCase());
+    if (exact) {
+      return exact;
+    }
+    const language = tag.split('-')[0].toLowerCase();
+    const sameLanguage = supported.find(
+      (locale) => locale.split('-')[0].toLowerCase() === language
+    );
+    if (sameLanguage) {
+      return sameLanguage;
+    }
+  }
+  return fallback;
+}
+
+export function negotiateLocale({
+  cookie,
+  acceptLanguage,
+}: {
+  cookie?: string | null;
+  acceptLanguage?: string | null;
+}): Locale {
+  if (isSupportedLocale(cookie)) {
+    return cookie;
+  }
+  return matchLocale(parseAcceptLanguage(acceptLanguage));
+}
+
+/** A message, or its plural forms selected by the `count` value */
+export type Message = string | PluralForms;
+
+export type MessageCatalog<Key extends string = string> = Record<Key, Message>;
+
+export type MessageValues = Record<string, string | number>;
+
+/**
+ * Builds a translate function over a catalog
+ *
+ * `{name}` placeholders are replaced from `values`. Plural messages pick a
+ * form with the locale's plural rules for `values.count`, and `#` in the
+ * chosen form stands for the locale-formatted count. Unknown keys render as
+ * the key itself so a missing translation is visible, not blank.
+ *
+ * @example
+ * ```typescript
+ * const t = createTranslator('en-US', { 'cart.items': { one: '# item', other: '# items' } });
+ * t('cart.items', { count: 3 }); // "3 items"
+ * ```
+ */
+export function createTranslator<Key extends string>(
+  locale: string,
+  messages: Partial<MessageCatalog<Key>>,
+  fallback?: MessageCatalog<Key>
+) {
+  return function t(key: Key, values: MessageValues = {}): string {
+    const message = messages[key] ?? fallback?.[key];
+    if (message === undefined) {
+      return key;
+    }
+
+    const template =
+      typeof message === 'string'
+        ? message
+        : formatPlural(Number(values.count ?? 0), message, locale);
+
+    return template.replace(/\{(\w+)\}/g, (placeholder, name: string) =>
+      name in values ? String(values[name]) : placeholder
+    );
+  };
+}
+
+export type Translator<Key extends string = string> = ReturnType<typeof createTranslator<Key>>;
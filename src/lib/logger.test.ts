@@ -0,0 +1,106 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest';
+import { NotFoundError } from './errors';
+import { Logger, memoryTransport, redact } from './logger';
+import { runWithRequestContext } from './request-context';
+
+function createTestLogger(level: 'debug' | 'info' | 'warn' | 'error' = 'debug') {
+  const transport = memoryTransport();
+  const logger = new Logger({ level, transports: [transport] });
+  return { logger, transport };
+}
+
+describe('Logger', () => {
+  describe('levels', () => {
+    it('should drop entries below the minimum level', () => {
+      const { logger, transport } = createTestLogger('warn');
+      logger.debug('debug');
+      logger.info('info');
+      logger.warn('warn');
+      logger.error('error');
+      expect(transport.entries.map((entry) => entry.level)).toEqual(['warn', 'error']);
+    });
+
+    it('should allow the level to be changed at runtime', () => {
+      const { logger, transport } = createTestLogger('error');
+      logger.setLevel('info');
+      logger.info('now visible');
+      expect(transport.entries).toHaveLength(1);
+    });
+  });
+
+  describe('child', () => {
+    it('should bind fields to every entry', () => {
+      const { logger, transport } = createTestLogger();
+      const child = logger.child({ route: '/api/users' }).child({ method: 'GET' });
+      child.info('handled');
+      expect(transport.entries[0].context).toEqual({ route: '/api/users', method: 'GET' });
+    });
+
+    it('should not affect the parent logger', () => {
+      const { logger, transport } = createTestLogger();
+      logger.child({ route: '/api/users' });
+      logger.info('parent');
+      expect(transport.entries[0].context).toBeUndefined();
+    });
+  });
+
+  describe('request context', () => {
+    it('should attach the request ID across async calls', async () => {
+      const { logger, transport } = createTestLogger();
+
+      await runWithRequestContext({ requestId: 'req-123' }, async () => {
+        await new Promise((resolve) => setTimeout(resolve, 1));
+        logger.info('inside request');
+      });
+      logger.info('outside request');
+
+      expect(transport.entries[0].requestId).toBe('req-123');
+      expect(transport.entries[1].requestId).toBeUndefined();
+    });
+  });
+
+  describe('redaction', () => {
+    it('should mask sensitive keys at any depth', () => {
+      const { logger, transport } = createTestLogger();
+      logger.info('login', {
+        user: 'jane',
+        password: 'hunter2',
+        headers: { Authorization: 'Bearer abc', Cookie: 'sid=1' },
+        items: [{ accessToken: 'xyz' }],
+      });
+      expect(transport.entries[0].data).toEqual({
+        user: 'jane',
+        password: '[REDACTED]',
+        headers: { Authorization: '[REDACTED]', Cookie: '[REDACTED]' },
+        items: [{ accessToken: '[REDACTED]' }],
+      });
+    });
+
+    it('should handle circular references', () => {
+      const value: Record<string, unknown> = { name: 'loop' };
+      value.self = value;
+      expect(redact(value)).toEqual({ name: 'loop', self: '[Circular]' });
+    });
+  });
+
+  describe('errors', () => {
+    it('should serialize stack, cause chain and status code', () => {
+      const { logger, transport } = createTestLogger();
+      const root = new Error('connection refused');
+      const error = new NotFoundError('User');
+      error.cause = root;
+
+      logger.error('lookup failed', error);
+
+      const serialized = transport.entries[0].error;
+      expect(serialized).toMatchObject({
+        name: 'NotFoundError',
+        message: 'User not found',
+        statusCode: 404,
+        cause: { name: 'Error', message: 'connection refused' },
+      });
+      expect(serialized?.stack).toContain('NotFoundError');
+    });
+  });
+});
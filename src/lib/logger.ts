@@ -1,50 +1,246 @@
+import { env } from '@/lib/env';
+import { AppError } from '@/lib/errors';
+import { getRequestContext } from '@/lib/request-context';
+
 /**
- * Custom logger for application-wide logging
+ * Structured logger for application-wide logging
+ *
+ * Entries carry the current request's correlation ID, any fields bound with
+ * `child()`, and a redacted copy of the `data` payload. Output is delegated
+ * to pluggable transports (pretty console, JSON lines, in-memory).
  */
 
-type LogLevel = 'debug' | 'info' | 'warn' | 'error';
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error'] as const;
+
+export type LogLevel = (typeof LOG_LEVELS)[number];
+
+const LEVEL_WEIGHT: Record<LogLevel, number> = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+};
 
-interface LogEntry {
+export interface SerializedError {
+  name: string;
+  message: string;
+  stack?: string;
+  statusCode?: number;
+  cause?: SerializedError | unknown;
+}
+
+export interface LogEntry {
   level: LogLevel;
   message: string;
   timestamp: string;
+  requestId?: string;
+  context?: Record<string, unknown>;
   data?: unknown;
+  error?: SerializedError;
+}
+
+export interface LogTransport {
+  write(entry: LogEntry): void;
+}
+
+export interface LoggerOptions {
+  level?: LogLevel;
+  transports?: LogTransport[];
+  bindings?: Record<string, unknown>;
+  redactKeys?: RegExp;
+}
+
+export const DEFAULT_REDACT_KEYS = /password|passwd|secret|token|authorization|cookie|api[-_]?key/i;
+const REDACTED = '[REDACTED]';
+const MAX_CAUSE_DEPTH = 5;
+
+/**
+ * Serializes an error, following its `cause` chain
+ */
+export function serializeError(error: Error, depth = 0): SerializedError {
+  const serialized: SerializedError = {
+    name: error.name,
+    message: error.message,
+    stack: error.stack,
+  };
+
+  if (error instanceof AppError) {
+    serialized.statusCode = error.statusCode;
+  }
+
+  if (error.cause !== undefined) {
+    serialized.cause =
+      error.cause instanceof Error && depth < MAX_CAUSE_DEPTH
+        ? serializeError(error.cause, depth + 1)
+        : error.cause;
+  }
+
+  return serialized;
+}
+
+/**
+ * Returns a copy of `value` with sensitive keys masked
+ */
+export function redact(
+  value: unknown,
+  keys: RegExp = DEFAULT_REDACT_KEYS,
+  seen = new WeakSet<object>()
+): unknown {
+  if (value instanceof Error) {
+    return serializeError(value);
+  }
+
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+
+  if (seen.has(value)) {
+    return '[Circular]';
+  }
+  seen.add(value);
+
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item, keys, seen));
+  }
+
+  return Object.fromEntries(
+    Object.entries(value).map(([key, item]) => [
+      key,
+      keys.test(key) ? REDACTED : redact(item, keys, seen),
+    ])
+  );
+}
+
+/**
+ * Human-readable `[timestamp] LEVEL: message` output for local development
+ */
+export function consoleTransport(): LogTransport {
+  return {
+    write(entry) {
+      const prefix = entry.requestId ? ` (${entry.requestId})` : '';
+      const formatted = `[${entry.timestamp}] ${entry.level.toUpperCase()}${prefix}: ${entry.message}`;
+      const extra = entry.error ?? entry.data ?? '';
+
+      switch (entry.level) {
+        case 'debug':
+        case 'info':
+          // eslint-disable-next-line no-console
+          console.log(formatted, extra);
+          break;
+        case 'warn':
+          console.warn(formatted, extra);
+          break;
+        case 'error':
+          console.error(formatted, extra);
+          break;
+      }
+    },
+  };
 }
 
-class Logger {
-  private isDevelopment = process.env.NODE_ENV === 'development';
+/**
+ * One JSON object per line on stdout, for log collectors in production
+ */
+export function jsonTransport(): LogTransport {
+  return {
+    write(entry) {
+      const line = JSON.stringify(entry);
+      if (typeof process !== 'undefined' && process.stdout?.write) {
+        process.stdout.write(line + '\n');
+      } else {
+        // eslint-disable-next-line no-console
+        console.log(line);
+      }
+    },
+  };
+}
 
-  private formatMessage(entry: LogEntry): string {
-    return `[${entry.timestamp}] ${entry.level.toUpperCase()}: ${entry.message}`;
+export interface MemoryTransport extends LogTransport {
+  entries: LogEntry[];
+  clear(): void;
+}
+
+/**
+ * Keeps entries in an array, for assertions in tests
+ */
+export function memoryTransport(): MemoryTransport {
+  const entries: LogEntry[] = [];
+  return {
+    entries,
+    write(entry) {
+      entries.push(entry);
+    },
+    clear() {
+      entries.length = 0;
+    },
+  };
+}
+
+export class Logger {
+  private level: LogLevel;
+  private readonly transports: LogTransport[];
+  private readonly bindings: Record<string, unknown>;
+  private readonly redactKeys: RegExp;
+
+  constructor(options: LoggerOptions = {}) {
+    this.level = options.level ?? 'info';
+    this.transports = options.transports ?? [consoleTransport()];
+    this.bindings = options.bindings ?? {};
+    this.redactKeys = options.redactKeys ?? DEFAULT_REDACT_KEYS;
+  }
+
+  /**
+   * Creates a logger that adds `bindings` to every entry
+   */
+  child(bindings: Record<string, unknown>): Logger {
+    return new Logger({
+      level: this.level,
+      transports: this.transports,
+      bindings: { ...this.bindings, ...bindings },
+      redactKeys: this.redactKeys,
+    });
+  }
+
+  setLevel(level: LogLevel): void {
+    this.level = level;
+  }
+
+  isLevelEnabled(level: LogLevel): boolean {
+    return LEVEL_WEIGHT[level] >= LEVEL_WEIGHT[this.level];
   }
 
   private log(level: LogLevel, message: string, data?: unknown): void {
+    if (!this.isLevelEnabled(level)) {
+      return;
+    }
+
+    const { requestId, ...requestFields } = getRequestContext() ?? {};
+    const context = { ...requestFields, ...this.bindings };
+
     const entry: LogEntry = {
       level,
       message,
       timestamp: new Date().toISOString(),
-      data,
     };
 
-    const formattedMessage = this.formatMessage(entry);
+    if (requestId) {
+      entry.requestId = requestId;
+    }
+    if (Object.keys(context).length > 0) {
+      entry.context = redact(context, this.redactKeys) as Record<string, unknown>;
+    }
+    if (data instanceof Error) {
+      entry.error = serializeError(data);
+    } else if (data !== undefined) {
+      entry.data = redact(data, this.redactKeys);
+    }
 
-    switch (level) {
-      case 'debug':
-        if (this.isDevelopment) {
-          // eslint-disable-next-line no-console
-          console.log(formattedMessage, data ?? '');
-        }
-        break;
-      case 'info':
-        // eslint-disable-next-line no-console
-        console.log(formattedMessage, data ?? '');
-        break;
-      case 'warn':
-        console.warn(formattedMessage, data ?? '');
-        break;
-      case 'error':
-        console.error(formattedMessage, data ?? '');
-        break;
+    for (const transport of this.transports) {
+      try {
+        transport.write(entry);
+      } catch (error) {
+        console.error('Log transport failed', error);
+      }
     }
   }
 
@@ -65,4 +261,14 @@ class Logger {
   }
 }
 
-export const logger = new Logger();
+function createDefaultLogger(): Logger {
+  const level = env.LOG_LEVEL ?? (env.NODE_ENV === 'development' ? 'debug' : 'info');
+  const format = env.LOG_FORMAT ?? (env.NODE_ENV === 'production' ? 'json' : 'pretty');
+
+  return new Logger({
+    level,
+    transports: [format === 'json' ? jsonTransport() : consoleTransport()],
+  });
+}
+
+export const logger = createDefaultLogger();
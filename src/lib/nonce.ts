@@ -0,0 +1,12 @@
+import { headers } from 'next/headers';
+import { NONCE_HEADER } from '@/lib/security-headers';
+
+/**
+ * Reads the per-request CSP nonce set by the middleware
+ *
+ * Calling this opts the route into dynamic rendering, which nonce-based CSP
+ * requires anyway: a statically rendered page can't carry a fresh nonce.
+ */
+export async function getNonce(): Promise<string | undefined> {
+  return (await headers()).get(NONCE_HEADER) ?? undefined;
+}
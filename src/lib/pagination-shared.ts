@@ -0,0 +1,16 @@
+/**
+ * Pagination limits shared by the API schemas and `usePagination()`
+ *
+ * Kept free of server-only imports (env, cursor signing) so client
+ * components can use it.
+ */
+
+export const DEFAULT_PAGE_LIMIT = 20;
+export const MAX_PAGE_LIMIT = 100;
+
+/**
+ * Clamps a page size to `1..maxLimit`
+ */
+export function clampLimit(limit: number, maxLimit = MAX_PAGE_LIMIT): number {
+  return Math.min(Math.max(limit, 1), maxLimit);
+}
@@ -0,0 +1,173 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest';
+import { z } from 'zod';
+import {
+  buildCursorPagination,
+  buildLinkHeader,
+  buildOffsetPagination,
+  compareKeys,
+  cursorPageLinks,
+  cursorPaginationSchema,
+  decodeCursor,
+  encodeCursor,
+  offsetPageLinks,
+  offsetPaginationSchema,
+  paginateByKeyset,
+} from './pagination';
+
+const rows = Array.from({ length: 7 }, (_, index) => ({ id: `id-${index}`, rank: index * 10 }));
+const getKey = (row: { id: string; rank: number }) => [row.rank, row.id];
+
+describe('pagination', () => {
+  describe('offsetPaginationSchema', () => {
+    it('should apply defaults and clamp the limit', () => {
+      const schema = offsetPaginationSchema({ defaultLimit: 10, maxLimit: 50 });
+
+      expect(schema.parse({})).toEqual({ page: 1, limit: 10 });
+      expect(schema.parse({ page: '3', limit: '500' })).toEqual({ page: 3, limit: 50 });
+      expect(schema.parse({ limit: '0' })).toEqual({ page: 1, limit: 1 });
+      expect(schema.safeParse({ page: '0' }).success).toBe(false);
+    });
+  });
+
+  describe('cursors', () => {
+    it('should round-trip a signed cursor', async () => {
+      const cursor = { key: [10, 'id-1'], direction: 'next' as const, sort: 'rank:asc' };
+      const encoded = await encodeCursor(cursor);
+
+      expect(encoded).toMatch(/^[\w-]+\.[\w-]+$/);
+      expect(await decodeCursor(encoded)).toEqual(cursor);
+    });
+
+    it('should reject forged cursors', async () => {
+      const [, signature] = (await encodeCursor({ key: [10], direction: 'next' })).split('.');
+      const forged = Buffer.from(JSON.stringify({ k: [999], d: 'next' })).toString('base64url');
+
+      expect(await decodeCursor(`${forged}.${signature}`)).toBeNull();
+      expect(await decodeCursor('garbage')).toBeNull();
+    });
+
+    it('should decode cursors in the query schema', async () => {
+      const schema = cursorPaginationSchema();
+      const cursor = await encodeCursor({ key: [10], direction: 'prev' });
+
+      expect(await schema.parseAsync({ cursor, limit: '5' })).toEqual({
+        cursor: { key: [10], direction: 'prev' },
+        limit: 5,
+      });
+
+      const result = await schema.safeParseAsync({ cursor: 'forged.value' });
+      expect(result.success).toBe(false);
+      expect((result.error as z.ZodError).issues[0].message).toBe('Invalid cursor');
+    });
+  });
+
+  describe('compareKeys', () => {
+    it('should compare element by element with nulls last', () => {
+      expect(compareKeys([1, 'b'], [1, 'a'])).toBe(1);
+      expect(compareKeys(['a'], ['b'])).toBe(-1);
+      expect(compareKeys([null], [5])).toBe(1);
+      expect(compareKeys([2, 'x'], [2, 'x'])).toBe(0);
+    });
+  });
+
+  describe('paginateByKeyset', () => {
+    it('should walk forwards and backwards', () => {
+      const first = paginateByKeyset(rows, { getKey, limit: 3 });
+      expect(first.data.map((row) => row.id)).toEqual(['id-0', 'id-1', 'id-2']);
+      expect(first.prevCursor).toBeUndefined();
+
+      const second = paginateByKeyset(rows, { getKey, limit: 3, cursor: first.nextCursor });
+      expect(second.data.map((row) => row.id)).toEqual(['id-3', 'id-4', 'id-5']);
+
+      const last = paginateByKeyset(rows, { getKey, limit: 3, cursor: second.nextCursor });
+      expect(last.data.map((row) => row.id)).toEqual(['id-6']);
+      expect(last.nextCursor).toBeUndefined();
+
+      const back = paginateByKeyset(rows, { getKey, limit: 3, cursor: last.prevCursor });
+      expect(back.data.map((row) => row.id)).toEqual(['id-3', 'id-4', 'id-5']);
+    });
+
+    it('should support descending order', () => {
+      const page = paginateByKeyset(rows, { getKey, limit: 2, direction: 'desc' });
+      const next = paginateByKeyset(rows, {
+        getKey,
+        limit: 2,
+        direction: 'desc',
+        cursor: page.nextCursor,
+      });
+
+      expect(next.data.map((row) => row.id)).toEqual(['id-4', 'id-3']);
+    });
+
+    it('should stay stable when rows are inserted between fetches', () => {
+      const first = paginateByKeyset(rows, { getKey, limit: 3 });
+      const withInserts = [...rows, { id: 'new-a', rank: 5 }, { id: 'new-b', rank: 25 }];
+
+      const second = paginateByKeyset(withInserts, { getKey, limit: 3, cursor: first.nextCursor });
+
+      // Nothing from page one repeats; the row inserted after the cursor shows up in order
+      expect(second.data.map((row) => row.id)).toEqual(['new-b', 'id-3', 'id-4']);
+    });
+  });
+
+  describe('builders', () => {
+    it('should build the offset pagination block', () => {
+      expect(buildOffsetPagination({ page: 2, limit: 10, total: 25 })).toEqual({
+        page: 2,
+        limit: 10,
+        total: 25,
+        totalPages: 3,
+      });
+    });
+
+    it('should encode cursors in the cursor pagination block', async () => {
+      const pagination = await buildCursorPagination(
+        paginateByKeyset(rows, { getKey, limit: 3 }),
+        3
+      );
+
+      expect(pagination.prevCursor).toBeNull();
+      expect(await decodeCursor(pagination.nextCursor ?? '')).toMatchObject({
+        key: [20, 'id-2'],
+      });
+    });
+  });
+
+  describe('Link headers', () => {
+    it('should link to first, prev, next and last pages', () => {
+      const links = offsetPageLinks('https://app.example/api/users?page=2&limit=10', {
+        page: 2,
+        totalPages: 3,
+      });
+
+      expect(buildLinkHeader(links)).toBe(
+        [
+          '<https://app.example/api/users?page=1&limit=10>; rel="first"',
+          '<https://app.example/api/users?page=1&limit=10>; rel="prev"',
+          '<https://app.example/api/users?page=3&limit=10>; rel="next"',
+          '<https://app.example/api/users?page=3&limit=10>; rel="last"',
+        ].join(', ')
+      );
+    });
+
+    it('should omit prev and next at the edges', () => {
+      expect(offsetPageLinks('https://app.example/items', { page: 1, totalPages: 1 })).toEqual({
+        first: 'https://app.example/items?page=1',
+        last: 'https://app.example/items?page=1',
+      });
+    });
+
+    it('should link cursor pages', () => {
+      expect(
+        cursorPageLinks('https://app.example/items?cursor=old&limit=5', {
+          nextCursor: 'abc',
+          prevCursor: null,
+        })
+      ).toEqual({
+        first: 'https://app.example/items?limit=5',
+        next: 'https://app.example/items?cursor=abc&limit=5',
+      });
+    });
+  });
+});
@@ -0,0 +1,280 @@
+import { z } from 'zod';
+import { env } from '@/lib/env';
+import { clampLimit, DEFAULT_PAGE_LIMIT, MAX_PAGE_LIMIT } from '@/lib/pagination-shared';
+import { signPayload, verifyPayload } from '@/lib/signing';
+import { toBase64Url } from '@/lib/utils';
+import type { CursorPaginatedResponse, PaginatedResponse } from '@/types';
+
+/**
+ * Shared pagination toolkit
+ *
+ * Offset pagination (`?page=2&limit=20`) suits small, mostly static lists.
+ * Cursor pagination (`?cursor=...&limit=20`) positions each page after the
+ * last row seen (keyset pagination), so rows inserted between fetches never
+ * shift or repeat items. Cursors are opaque and signed so clients can't forge
+ * positions; sign them with `CURSOR_SECRET` when running several instances.
+ */
+
+export { clampLimit, DEFAULT_PAGE_LIMIT, MAX_PAGE_LIMIT };
+
+export interface LimitOptions {
+  defaultLimit?: number;
+  maxLimit?: number;
+}
+
+/**
+ * `limit` query param, clamped to `1..maxLimit` instead of rejected
+ */
+export function limitSchema({
+  defaultLimit = DEFAULT_PAGE_LIMIT,
+  maxLimit = MAX_PAGE_LIMIT,
+}: LimitOptions = {}) {
+  return z.coerce
+    .number()
+    .int()
+    .default(defaultLimit)
+    .transform((limit) => clampLimit(limit, maxLimit));
+}
+
+/**
+ * Query schema for `?page=&limit=`
+ */
+export function offsetPaginationSchema(options: LimitOptions = {}) {
+  return z.object({
+    page: z.coerce.number().int().min(1).default(1),
+    limit: limitSchema(options),
+  });
+}
+
+export type KeyValue = string | number | null;
+
+export interface Cursor {
+  /** Sort key of the row the page starts after (`next`) or before (`prev`) */
+  key: KeyValue[];
+  direction: 'next' | 'prev';
+  /** Identifies the ordering the cursor belongs to, e.g. `createdAt:desc` */
+  sort?: string;
+}
+
+const cursorPayloadSchema = z.object({
+  k: z.array(z.union([z.string(), z.number(), z.null()])).max(8),
+  d: z.enum(['next', 'prev']),
+  s: z.string().max(100).optional(),
+});
+
+let processSecret: string | undefined;
+
+/**
+ * Without `CURSOR_SECRET`, cursors are signed with a per-process key and stop
+ * working after a restart or on another instance
+ */
+function cursorSecret(): string {
+  if (env.CURSOR_SECRET) {
+    return env.CURSOR_SECRET;
+  }
+  processSecret ??= toBase64Url(crypto.getRandomValues(new Uint8Array(32)));
+  return processSecret;
+}
+
+export function encodeCursor(cursor: Cursor): Promise<string> {
+  return signPayload({ k: cursor.key, d: cursor.direction, s: cursor.sort }, cursorSecret());
+}
+
+/**
+ * @returns The cursor, or `null` when it is malformed or forged
+ */
+export async function decodeCursor(value: string): Promise<Cursor | null> {
+  const result = cursorPayloadSchema.safeParse(
+    (await verifyPayload(value, [cursorSecret()]))?.payload
+  );
+  return result.success
+    ? { key: result.data.k, direction: result.data.d, sort: result.data.s }
+    : null;
+}
+
+/**
+ * Query schema for `?cursor=&limit=`; `cursor` is decoded and verified
+ */
+export function cursorPaginationSchema(options: LimitOptions = {}) {
+  return z.object({
+    cursor: z
+      .string()
+      .max(1024)
+      .optional()
+      .transform(async (value, ctx) => {
+        if (value === undefined) {
+          return undefined;
+        }
+        const cursor = await decodeCursor(value);
+        if (!cursor) {
+          ctx.addIssue({ code: 'custom', message: 'Invalid cursor' });
+          return z.NEVER;
+        }
+        return cursor;
+      }),
+    limit: limitSchema(options),
+  });
+}
+
+/**
+ * Orders keys element by element; `null` sorts last
+ */
+export function compareKeys(a: readonly KeyValue[], b: readonly KeyValue[]): number {
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    const left = a[i] ?? null;
+    const right = b[i] ?? null;
+    if (left === right) {
+      continue;
+    }
+    if (left === null) {
+      return 1;
+    }
+    if (right === null) {
+      return -1;
+    }
+    if (typeof left !== typeof right) {
+      return typeof left < typeof right ? -1 : 1;
+    }
+    return left < right ? -1 : 1;
+  }
+  return 0;
+}
+
+export interface KeysetPage<T> {
+  data: T[];
+  nextCursor?: Cursor;
+  prevCursor?: Cursor;
+}
+
+export interface KeysetOptions<T> {
+  /**
+   * Sort key for a row; end it with a unique field (usually the ID) so every
+   * row has a distinct position
+   */
+  getKey: (item: T) => KeyValue[];
+  direction?: 'asc' | 'desc';
+  cursor?: Cursor;
+  limit: number;
+  sort?: string;
+}
+
+/**
+ * Keyset-paginates an in-memory list
+ */
+export function paginateByKeyset<T>(items: readonly T[], options: KeysetOptions<T>): KeysetPage<T> {
+  const { getKey, cursor, limit, sort } = options;
+  const order = options.direction === 'desc' ? -1 : 1;
+  const rows = items
+    .map((item) => ({ item, key: getKey(item) }))
+    .sort((a, b) => order * compareKeys(a.key, b.key));
+
+  let start = 0;
+  let end = rows.length;
+  if (cursor?.direction === 'next') {
+    start = rows.findIndex((row) => order * compareKeys(row.key, cursor.key) > 0);
+    start = start === -1 ? rows.length : start;
+    end = Math.min(start + limit, rows.length);
+  } else if (cursor?.direction === 'prev') {
+    end = rows.findIndex((row) => order * compareKeys(row.key, cursor.key) >= 0);
+    end = end === -1 ? rows.length : end;
+    start = Math.max(end - limit, 0);
+  } else {
+    end = Math.min(limit, rows.length);
+  }
+
+  const page = rows.slice(start, end);
+  return {
+    data: page.map((row) => row.item),
+    nextCursor:
+      end < rows.length && page.length > 0
+        ? { key: page[page.length - 1].key, direction: 'next', sort }
+        : undefined,
+    prevCursor:
+      start > 0 && page.length > 0 ? { key: page[0].key, direction: 'prev', sort } : undefined,
+  };
+}
+
+/**
+ * The `pagination` block of a `PaginatedResponse`
+ */
+export function buildOffsetPagination({
+  page,
+  limit,
+  total,
+}: {
+  page: number;
+  limit: number;
+  total: number;
+}): PaginatedResponse<unknown>['pagination'] {
+  return { page, limit, total, totalPages: Math.ceil(total / limit) };
+}
+
+/**
+ * The `pagination` block of a `CursorPaginatedResponse`, with encoded cursors
+ */
+export async function buildCursorPagination(
+  page: KeysetPage<unknown>,
+  limit: number
+): Promise<CursorPaginatedResponse<unknown>['pagination']> {
+  return {
+    limit,
+    nextCursor: page.nextCursor ? await encodeCursor(page.nextCursor) : null,
+    prevCursor: page.prevCursor ? await encodeCursor(page.prevCursor) : null,
+  };
+}
+
+export type LinkRelation = 'first' | 'prev' | 'next' | 'last';
+
+export type PageLinks = Partial<Record<LinkRelation, string>>;
+
+function withParams(url: string | URL, params: Record<string, string | undefined>): string {
+  const target = new URL(url);
+  for (const [name, value] of Object.entries(params)) {
+    if (value === undefined) {
+      target.searchParams.delete(name);
+    } else {
+      target.searchParams.set(name, value);
+    }
+  }
+  return target.toString();
+}
+
+/**
+ * first/prev/next/last links for an offset-paginated URL
+ */
+export function offsetPageLinks(
+  url: string | URL,
+  { page, totalPages }: { page: number; totalPages: number }
+): PageLinks {
+  const last = Math.max(totalPages, 1);
+  const link = (target: number) => withParams(url, { page: String(target) });
+  return {
+    first: link(1),
+    ...(page > 1 ? { prev: link(Math.min(page - 1, last)) } : {}),
+    ...(page < last ? { next: link(page + 1) } : {}),
+    last: link(last),
+  };
+}
+
+/**
+ * first/prev/next links for a cursor-paginated URL
+ */
+export function cursorPageLinks(
+  url: string | URL,
+  { nextCursor, prevCursor }: { nextCursor: string | null; prevCursor: string | null }
+): PageLinks {
+  return {
+    first: withParams(url, { cursor: undefined }),
+    ...(prevCursor ? { prev: withParams(url, { cursor: prevCursor }) } : {}),
+    ...(nextCursor ? { next: withParams(url, { cursor: nextCursor }) } : {}),
+  };
+}
+
+/**
+ * Serializes links as an RFC 8288 `Link` header value
+ */
+export function buildLinkHeader(links: PageLinks): string {
+  return Object.entries(links)
+    .map(([rel, href]) => `<${href}>; rel="${rel}"`)
+    .join(', ');
+}
@@ -0,0 +1,264 @@
+// @vitest-environment node
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { AppError, handleError, PROBLEM_CONTENT_TYPE, RateLimitError } from './errors';
+import {
+  fixedWindow,
+  getClientIp,
+  getClientKey,
+  MemoryStore,
+  RateLimiter,
+  rateLimitHeaders,
+  rateLimitKeys,
+  slidingWindow,
+  tokenBucket,
+  withRateLimit,
+} from './rate-limit';
+
+async function consume(limiter: RateLimiter, key: string, times: number) {
+  const results = [];
+  for (let i = 0; i < times; i++) {
+    results.push(await limiter.limit(key));
+  }
+  return results;
+}
+
+describe('rate limiting', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(0);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  describe('fixedWindow', () => {
+    it('should allow up to the limit and then block until the window resets', async () => {
+      const limiter = new RateLimiter({ algorithm: fixedWindow({ limit: 3, windowMs: 1000 }) });
+
+      const results = await consume(limiter, 'a', 4);
+      expect(results.map((result) => result.success)).toEqual([true, true, true, false]);
+      expect(results.map((result) => result.remaining)).toEqual([2, 1, 0, 0]);
+      expect(results[3].retryAfterMs).toBe(1000);
+
+      vi.advanceTimersByTime(400);
+      expect((await limiter.limit('a')).retryAfterMs).toBe(600);
+
+      vi.advanceTimersByTime(600);
+      expect(await limiter.limit('a')).toMatchObject({ success: true, remaining: 2 });
+    });
+
+    it('should track keys independently', async () => {
+      const limiter = new RateLimiter({ algorithm: fixedWindow({ limit: 1, windowMs: 1000 }) });
+
+      expect((await limiter.limit('a')).success).toBe(true);
+      expect((await limiter.limit('b')).success).toBe(true);
+      expect((await limiter.limit('a')).success).toBe(false);
+    });
+  });
+
+  describe('slidingWindow', () => {
+    it('should weight the previous window by its remaining overlap', async () => {
+      const limiter = new RateLimiter({ algorithm: slidingWindow({ limit: 10, windowMs: 1000 }) });
+
+      await consume(limiter, 'a', 10);
+      expect((await limiter.limit('a')).success).toBe(false);
+
+      // Halfway into the next window, half of the previous 10 still count
+      vi.setSystemTime(1500);
+      const results = await consume(limiter, 'a', 6);
+      expect(results.filter((result) => result.success)).toHaveLength(5);
+      expect(results[5].success).toBe(false);
+      expect(results[5].retryAfterMs).toBeGreaterThan(0);
+    });
+
+    it('should forget windows older than the previous one', async () => {
+      const limiter = new RateLimiter({ algorithm: slidingWindow({ limit: 2, windowMs: 1000 }) });
+
+      await consume(limiter, 'a', 2);
+      vi.setSystemTime(2500);
+
+      expect(await limiter.limit('a')).toMatchObject({ success: true, remaining: 1 });
+    });
+  });
+
+  describe('tokenBucket', () => {
+    it('should allow bursts up to capacity and refill over time', async () => {
+      const limiter = new RateLimiter({
+        algorithm: tokenBucket({ capacity: 3, refillPerSecond: 2 }),
+      });
+
+      const results = await consume(limiter, 'a', 4);
+      expect(results.map((result) => result.success)).toEqual([true, true, true, false]);
+      expect(results[3].retryAfterMs).toBe(500);
+
+      vi.advanceTimersByTime(500);
+      expect((await limiter.limit('a')).success).toBe(true);
+      expect((await limiter.limit('a')).success).toBe(false);
+
+      vi.advanceTimersByTime(10_000);
+      expect(await limiter.limit('a')).toMatchObject({ success: true, remaining: 2 });
+    });
+  });
+
+  describe('MemoryStore', () => {
+    it('should evict the least recently used key when full', async () => {
+      const store = new MemoryStore({ maxKeys: 2 });
+      const increment = (current: number | undefined) => (current ?? 0) + 1;
+
+      await store.update('a', 1000, increment);
+      await store.update('b', 1000, increment);
+      await store.update('a', 1000, increment);
+      await store.update('c', 1000, increment);
+
+      expect(store.size).toBe(2);
+      expect(await store.update('a', 1000, increment)).toBe(3);
+      expect(await store.update('b', 1000, increment)).toBe(1);
+    });
+
+    it('should expire entries after their TTL', async () => {
+      const store = new MemoryStore();
+      const increment = (current: number | undefined) => (current ?? 0) + 1;
+
+      await store.update('a', 1000, increment);
+      vi.advanceTimersByTime(1000);
+
+      expect(await store.update('a', 1000, increment)).toBe(1);
+    });
+  });
+
+  describe('keys', () => {
+    it('should ignore forwarded headers unless a proxy is trusted', () => {
+      const headers = new Headers({
+        'x-forwarded-for': '198.51.100.9, 203.0.113.1',
+        'x-real-ip': '203.0.113.2',
+      });
+
+      expect(getClientIp(headers, { trustedProxyHops: 0 })).toBeUndefined();
+      expect(getClientIp(headers, { trustedHeader: 'x-real-ip' })).toBe('203.0.113.2');
+    });
+
+    it('should take the right-most address the trusted proxies did not add', () => {
+      // The client forged the first entry; our one proxy appended the real address
+      const headers = new Headers({ 'x-forwarded-for': '198.51.100.9, 203.0.113.1' });
+      expect(getClientIp(headers, { trustedProxyHops: 1 })).toBe('203.0.113.1');
+
+      const twoProxies = new Headers({ 'x-forwarded-for': '198.51.100.9, 203.0.113.1, 10.0.0.1' });
+      expect(getClientIp(twoProxies, { trustedProxyHops: 2 })).toBe('203.0.113.1');
+      expect(
+        getClientIp(new Headers({ 'x-forwarded-for': '203.0.113.1' }), { trustedProxyHops: 2 })
+      ).toBe('203.0.113.1');
+    });
+
+    it('should fall back to a per-client fingerprint instead of one shared key', () => {
+      const options = { trustedProxyHops: 0 };
+      const firefox = new Headers({ 'user-agent': 'Firefox', 'x-forwarded-for': '1.2.3.4' });
+      const chrome = new Headers({ 'user-agent': 'Chrome', 'x-forwarded-for': '5.6.7.8' });
+
+      expect(getClientKey(firefox, options)).toMatch(/^anon:/);
+      expect(getClientKey(firefox, options)).not.toBe(getClientKey(chrome, options));
+      expect(getClientKey(firefox, options)).toBe(
+        getClientKey(
+          new Headers({ 'user-agent': 'Firefox', 'x-forwarded-for': '9.9.9.9' }),
+          options
+        )
+      );
+      expect(getClientKey(firefox, { trustedProxyHops: 1 })).toBe('ip:1.2.3.4');
+    });
+
+    it('should key by user ID and fall back to the client', async () => {
+      const key = rateLimitKeys.user((request) => request.headers.get('x-user-id') ?? undefined);
+      const headers = { 'user-agent': 'Firefox' };
+
+      expect(
+        await key(new Request('http://localhost', { headers: { ...headers, 'x-user-id': '42' } }))
+      ).toBe('user:42');
+      expect(await key(new Request('http://localhost', { headers }))).toBe(
+        getClientKey(new Headers(headers))
+      );
+    });
+  });
+
+  describe('rateLimitHeaders', () => {
+    it('should add Retry-After only when blocked', () => {
+      const allowed = { success: true, limit: 5, remaining: 4, resetMs: 1500, retryAfterMs: 0 };
+
+      expect(rateLimitHeaders(allowed)).toEqual({
+        'RateLimit-Limit': '5',
+        'RateLimit-Remaining': '4',
+        'RateLimit-Reset': '2',
+      });
+      expect(
+        rateLimitHeaders({ ...allowed, success: false, remaining: 0, retryAfterMs: 200 })
+      ).toMatchObject({ 'Retry-After': '1' });
+    });
+  });
+
+  describe('RateLimiter.enforce', () => {
+    it('should throw a RateLimitError that handleError understands', async () => {
+      const limiter = new RateLimiter({ algorithm: fixedWindow({ limit: 1, windowMs: 30_000 }) });
+      await limiter.enforce('a');
+
+      const error = await limiter.enforce('a').catch((caught: unknown) => caught);
+
+      expect(error).toBeInstanceOf(RateLimitError);
+      expect((error as RateLimitError).retryAfter).toBe(30);
+      expect((error as AppError).headers['RateLimit-Remaining']).toBe('0');
+      expect(handleError(error)).toEqual({
+        message: 'Too many requests',
+        statusCode: 429,
+        code: 'RATE_LIMITED',
+      });
+    });
+
+    it('should allow the key again after reset', async () => {
+      const limiter = new RateLimiter({ algorithm: fixedWindow({ limit: 1, windowMs: 30_000 }) });
+      await limiter.enforce('a');
+      await limiter.reset('a');
+
+      await expect(limiter.enforce('a')).resolves.toMatchObject({ success: true });
+    });
+  });
+
+  describe('withRateLimit', () => {
+    it('should add headers to allowed responses and answer 429 once blocked', async () => {
+      const limiter = new RateLimiter({ algorithm: fixedWindow({ limit: 1, windowMs: 10_000 }) });
+      const handler = vi.fn(async () => Response.json({ ok: true }));
+      const route = withRateLimit(limiter, handler);
+      const request = () =>
+        new Request('http://localhost/api/items', {
+          headers: { 'x-forwarded-for': '203.0.113.1' },
+        });
+
+      const allowed = await route(request());
+      expect(allowed.status).toBe(200);
+      expect(allowed.headers.get('ratelimit-remaining')).toBe('0');
+
+      const blocked = await route(request());
+      expect(blocked.status).toBe(429);
+      expect(blocked.headers.get('content-type')).toBe(PROBLEM_CONTENT_TYPE);
+      expect(blocked.headers.get('retry-after')).toBe('10');
+      expect(blocked.headers.get('ratelimit-limit')).toBe('1');
+      expect(await blocked.json()).toMatchObject({
+        status: 429,
+        code: 'RATE_LIMITED',
+        instance: '/api/items',
+        retryAfter: 10,
+      });
+      expect(handler).toHaveBeenCalledTimes(1);
+    });
+
+    it('should add headers to responses with immutable headers', async () => {
+      const limiter = new RateLimiter({ algorithm: fixedWindow({ limit: 5, windowMs: 10_000 }) });
+      const route = withRateLimit(limiter, async () =>
+        Response.redirect('http://localhost/login', 303)
+      );
+
+      const response = await route(new Request('http://localhost/api/items'));
+
+      expect(response.status).toBe(303);
+      expect(response.headers.get('location')).toBe('http://localhost/login');
+      expect(response.headers.get('ratelimit-remaining')).toBe('4');
+    });
+  });
+});
@@ -0,0 +1,411 @@
+import { env } from '@/lib/env';
+import { RateLimitError, toProblemResponse } from '@/lib/errors';
+import { withHeaders } from '@/lib/utils';
+
+/**
+ * Rate limiting for API routes, server actions and middleware
+ *
+ * A limiter combines an algorithm (fixed window, sliding window or token
+ * bucket) with a store. The in-memory LRU store is per process/isolate; back
+ * `RateLimitStore` with Redis when running more than one instance.
+ *
+ * This module is edge-safe, so it can run in `src/middleware.ts`.
+ */
+
+export interface RateLimitResult {
+  success: boolean;
+  limit: number;
+  remaining: number;
+  /** Milliseconds until the limit fully resets */
+  resetMs: number;
+  /** Milliseconds until the next request would be allowed (0 when allowed) */
+  retryAfterMs: number;
+}
+
+export interface RateLimitStore {
+  /**
+   * Atomically replaces the entry for `key` with `update(current)` and
+   * returns the new value. Entries expire `ttlMs` after their last update.
+   */
+  update<T>(key: string, ttlMs: number, update: (current: T | undefined) => T): Promise<T>;
+  delete(key: string): Promise<void>;
+}
+
+export interface RateLimitAlgorithm {
+  limit: number;
+  consume(store: RateLimitStore, key: string, now: number): Promise<RateLimitResult>;
+}
+
+export interface MemoryStoreOptions {
+  /** Keys kept before the least recently used are evicted */
+  maxKeys?: number;
+  now?: () => number;
+}
+
+/**
+ * In-memory LRU store with per-entry expiry
+ */
+export class MemoryStore implements RateLimitStore {
+  private readonly entries = new Map<string, { value: unknown; expiresAt: number }>();
+  private readonly maxKeys: number;
+  private readonly now: () => number;
+
+  constructor({ maxKeys = 10_000, now = Date.now }: MemoryStoreOptions = {}) {
+    this.maxKeys = maxKeys;
+    this.now = now;
+  }
+
+  get size(): number {
+    return this.entries.size;
+  }
+
+  async update<T>(key: string, ttlMs: number, update: (current: T | undefined) => T): Promise<T> {
+    const entry = this.entries.get(key);
+    const current = entry && entry.expiresAt > this.now() ? (entry.value as T) : undefined;
+    const value = update(current);
+
+    // Re-insert so Map order doubles as recency order
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: this.now() + ttlMs });
+
+    if (this.entries.size > this.maxKeys) {
+      this.entries.delete(this.entries.keys().next().value as string);
+    }
+
+    return value;
+  }
+
+  async delete(key: string): Promise<void> {
+    this.entries.delete(key);
+  }
+}
+
+/**
+ * Allows `limit` requests per window; the window starts at the first request
+ */
+export function fixedWindow({
+  limit,
+  windowMs,
+}: {
+  limit: number;
+  windowMs: number;
+}): RateLimitAlgorithm {
+  return {
+    limit,
+    async consume(store, key, now) {
+      let allowed = false;
+      const state = await store.update<{ start: number; count: number }>(
+        key,
+        windowMs,
+        (current) => {
+          const window =
+            current && now - current.start < windowMs ? current : { start: now, count: 0 };
+          allowed = window.count < limit;
+          return allowed ? { ...window, count: window.count + 1 } : window;
+        }
+      );
+
+      const resetMs = state.start + windowMs - now;
+      return {
+        success: allowed,
+        limit,
+        remaining: Math.max(0, limit - state.count),
+        resetMs,
+        retryAfterMs: allowed ? 0 : resetMs,
+      };
+    },
+  };
+}
+
+/**
+ * Sliding window counter: weights the previous fixed window by how much of it
+ * still overlaps the sliding window, which smooths bursts at window edges
+ */
+export function slidingWindow({
+  limit,
+  windowMs,
+}: {
+  limit: number;
+  windowMs: number;
+}): RateLimitAlgorithm {
+  return {
+    limit,
+    async consume(store, key, now) {
+      const currentStart = Math.floor(now / windowMs) * windowMs;
+      const elapsed = now - currentStart;
+      let allowed = false;
+      let weighted = 0;
+
+      const state = await store.update<{ start: number; current: number; previous: number }>(
+        key,
+        windowMs * 2,
+        (stored) => {
+          let window = { start: currentStart, current: 0, previous: 0 };
+          if (stored?.start === currentStart) {
+            window = stored;
+          } else if (stored?.start === currentStart - windowMs) {
+            window = { start: currentStart, current: 0, previous: stored.current };
+          }
+
+          weighted = window.previous * ((windowMs - elapsed) / windowMs) + window.current;
+          allowed = weighted < limit;
+          return allowed ? { ...window, current: window.current + 1 } : window;
+        }
+      );
+
+      const used = allowed ? weighted + 1 : weighted;
+      const untilNextWindow = windowMs - elapsed;
+      // When blocked, wait until enough of the previous window has slid out
+      const retryAfterMs = allowed
+        ? 0
+        : state.current >= limit || state.previous === 0
+          ? untilNextWindow
+          : Math.ceil(untilNextWindow - ((limit - state.current) * windowMs) / state.previous);
+
+      return {
+        success: allowed,
+        limit,
+        remaining: Math.max(0, Math.floor(limit - used)),
+        resetMs: state.current > 0 ? untilNextWindow + windowMs : untilNextWindow,
+        retryAfterMs: Math.max(retryAfterMs, allowed ? 0 : 1),
+      };
+    },
+  };
+}
+
+/**
+ * Token bucket: holds up to `capacity` tokens, refilled at `refillPerSecond`;
+ * each request takes one token
+ */
+export function tokenBucket({
+  capacity,
+  refillPerSecond,
+}: {
+  capacity: number;
+  refillPerSecond: number;
+}): RateLimitAlgorithm {
+  const msPerToken = 1000 / refillPerSecond;
+  const ttlMs = Math.ceil(capacity * msPerToken);
+
+  return {
+    limit: capacity,
+    async consume(store, key, now) {
+      let allowed = false;
+      const state = await store.update<{ tokens: number; updatedAt: number }>(
+        key,
+        ttlMs,
+        (current) => {
+          const refilled = current
+            ? Math.min(capacity, current.tokens + (now - current.updatedAt) / msPerToken)
+            : capacity;
+          allowed = refilled >= 1;
+          return { tokens: allowed ? refilled - 1 : refilled, updatedAt: now };
+        }
+      );
+
+      return {
+        success: allowed,
+        limit: capacity,
+        remaining: Math.floor(state.tokens),
+        resetMs: Math.ceil((capacity - state.tokens) * msPerToken),
+        retryAfterMs: allowed ? 0 : Math.ceil((1 - state.tokens) * msPerToken),
+      };
+    },
+  };
+}
+
+export interface ClientIpOptions {
+  /** Header a trusted proxy sets to the client IP, e.g. `cf-connecting-ip` */
+  trustedHeader?: string;
+  /** Proxies in front of the app that append to `X-Forwarded-For`; 0 ignores it */
+  trustedProxyHops?: number;
+}
+
+/**
+ * The client IP, as far as trusted proxies vouch for it
+ *
+ * Clients can send any `X-Forwarded-For`, so only the entries appended by the
+ * `trustedProxyHops` proxies in front of the app count: the right-most one
+ * they didn't add themselves. Defaults come from `TRUSTED_IP_HEADER` and
+ * `TRUSTED_PROXY_HOPS`; without either, proxy headers are ignored.
+ */
+export function getClientIp(
+  source: Request | Headers,
+  {
+    trustedHeader = env.TRUSTED_IP_HEADER,
+    trustedProxyHops = env.TRUSTED_PROXY_HOPS,
+  }: ClientIpOptions = {}
+): string | undefined {
+  const headers = source instanceof Headers ? source : source.headers;
+
+  const fromHeader = trustedHeader ? headers.get(trustedHeader)?.trim() : undefined;
+  if (fromHeader) {
+    return fromHeader;
+  }
+
+  if (trustedProxyHops > 0) {
+    const hops = (headers.get('x-forwarded-for') ?? '')
+      .split(',')
+      .map((entry) => entry.trim())
+      .filter(Boolean);
+    const ip = hops[Math.max(0, hops.length - trustedProxyHops)];
+    if (ip) {
+      return ip;
+    }
+  }
+
+  // Set by some adapters (and Next.js before 15) from the socket address
+  const { ip } = source as { ip?: string };
+  return ip || undefined;
+}
+
+/**
+ * FNV-1a, to keep fallback keys short
+ */
+function hashKey(value: string): string {
+  let hash = 0x811c9dc5;
+  for (const byte of new TextEncoder().encode(value)) {
+    hash ^= byte;
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(36);
+}
+
+/**
+ * Rate limit key for an anonymous client: `ip:<address>`, or when the address
+ * is unknown a fingerprint of headers every browser sends, so clients don't
+ * all share (and exhaust) one bucket
+ */
+export function getClientKey(source: Request | Headers, options?: ClientIpOptions): string {
+  const ip = getClientIp(source, options);
+  if (ip) {
+    return `ip:${ip}`;
+  }
+  const headers = source instanceof Headers ? source : source.headers;
+  const fingerprint = ['user-agent', 'accept-language', 'accept-encoding']
+    .map((name) => headers.get(name) ?? '')
+    .join('\n');
+  return `anon:${hashKey(fingerprint)}`;
+}
+
+export type RateLimitKeyFn = (request: Request) => string | Promise<string>;
+
+/**
+ * Ready-made key extractors
+ */
+export const rateLimitKeys = {
+  ip: ((request) => getClientKey(request)) as RateLimitKeyFn,
+
+  /**
+   * Keys by user ID, falling back to the client IP for anonymous requests
+   */
+  user(getUserId: (request: Request) => string | undefined | Promise<string | undefined>) {
+    return (async (request) => {
+      const userId = await getUserId(request);
+      return userId ? `user:${userId}` : getClientKey(request);
+    }) as RateLimitKeyFn;
+  },
+};
+
+/**
+ * `RateLimit-*` (IETF draft) and, when blocked, `Retry-After` headers
+ */
+export function rateLimitHeaders(result: RateLimitResult): Record<string, string> {
+  const headers: Record<string, string> = {
+    'RateLimit-Limit': String(result.limit),
+    'RateLimit-Remaining': String(result.remaining),
+    'RateLimit-Reset': String(Math.ceil(result.resetMs / 1000)),
+  };
+  if (!result.success) {
+    headers['Retry-After'] = String(Math.max(1, Math.ceil(result.retryAfterMs / 1000)));
+  }
+  return headers;
+}
+
+/**
+ * The typed error for a blocked request, carrying the rate limit headers
+ */
+export function toRateLimitError(result: RateLimitResult): RateLimitError {
+  return new RateLimitError(Math.max(1, Math.ceil(result.retryAfterMs / 1000)), undefined, {
+    headers: rateLimitHeaders(result),
+  });
+}
+
+export interface RateLimiterOptions {
+  algorithm: RateLimitAlgorithm;
+  store?: RateLimitStore;
+  /** Namespaces keys so several limiters can share one store */
+  prefix?: string;
+  /** Derives the key from a request; defaults to the client IP */
+  key?: RateLimitKeyFn;
+  now?: () => number;
+}
+
+export class RateLimiter {
+  private readonly algorithm: RateLimitAlgorithm;
+  private readonly store: RateLimitStore;
+  private readonly prefix: string;
+  private readonly keyFn: RateLimitKeyFn;
+  private readonly now: () => number;
+
+  constructor(options: RateLimiterOptions) {
+    this.algorithm = options.algorithm;
+    this.store = options.store ?? new MemoryStore();
+    this.prefix = options.prefix ?? 'rl';
+    this.keyFn = options.key ?? rateLimitKeys.ip;
+    this.now = options.now ?? Date.now;
+  }
+
+  /**
+   * Consumes one request for `key`
+   */
+  limit(key: string): Promise<RateLimitResult> {
+    return this.algorithm.consume(this.store, `${this.prefix}:${key}`, this.now());
+  }
+
+  /**
+   * Consumes one request for the key derived from `request`
+   */
+  async limitRequest(request: Request): Promise<RateLimitResult> {
+    return this.limit(await this.keyFn(request));
+  }
+
+  /**
+   * Consumes one request for `key`, throwing `RateLimitError` when blocked.
+   * Use this in server actions and route handlers.
+   *
+   * @example
+   * ```typescript
+   * await loginLimiter.enforce(getClientKey(await headers()));
+   * ```
+   */
+  async enforce(key: string): Promise<RateLimitResult> {
+    const result = await this.limit(key);
+    if (!result.success) {
+      throw toRateLimitError(result);
+    }
+    return result;
+  }
+
+  reset(key: string): Promise<void> {
+    return this.store.delete(`${this.prefix}:${key}`);
+  }
+}
+
+/**
+ * Wraps a route handler so it answers 429 once the limit is hit and adds
+ * `RateLimit-*` headers to every response
+ */
+export function withRateLimit<Args extends unknown[]>(
+  limiter: RateLimiter,
+  handler: (request: Request, ...args: Args) => Promise<Response>
+): (request: Request, ...args: Args) => Promise<Response> {
+  return async (request, ...args) => {
+    const result = await limiter.limitRequest(request);
+    if (!result.success) {
+      return toProblemResponse(toRateLimitError(result), new URL(request.url).pathname);
+    }
+
+    return withHeaders(await handler(request, ...args), rateLimitHeaders(result));
+  };
+}
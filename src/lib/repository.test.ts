@@ -0,0 +1,194 @@
+// @vitest-environment node
+import { mkdir, mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { ConflictError, NotFoundError, ValidationError } from './errors';
+import { MemoryRepository } from './repository';
+import { userSchema, type User } from './validation';
+
+function createRepository(filePath?: string) {
+  let tick = 0;
+  return new MemoryRepository<User>({
+    name: 'User',
+    schema: userSchema,
+    unique: ['email'],
+    searchFields: ['name', 'email'],
+    filePath,
+    now: () => new Date(Date.UTC(2025, 0, 1, 0, 0, tick++)),
+  });
+}
+
+describe('MemoryRepository', () => {
+  let repository: MemoryRepository<User>;
+
+  beforeEach(() => {
+    repository = createRepository();
+  });
+
+  it('should create, read, update and delete records', async () => {
+    const created = await repository.create({ name: 'Ada', email: 'ada@example.com' });
+
+    expect(created).toMatchObject({ name: 'Ada', version: 1 });
+    expect(created.id).toMatch(/^[0-9a-f-]{36}$/);
+    expect(await repository.findById(created.id)).toEqual(created);
+
+    const updated = await repository.update(created.id, { age: 36 });
+    expect(updated).toMatchObject({ name: 'Ada', age: 36, version: 2 });
+    expect(updated.createdAt).toBe(created.createdAt);
+    expect(updated.updatedAt).not.toBe(created.updatedAt);
+
+    await repository.delete(created.id);
+    expect(await repository.findById(created.id)).toBeNull();
+  });
+
+  it('should validate every write against the schema', async () => {
+    await expect(repository.create({ name: '', email: 'nope' })).rejects.toThrow(ValidationError);
+
+    const user = await repository.create({ name: 'Ada', email: 'ada@example.com' });
+    await expect(repository.update(user.id, { age: -1 })).rejects.toThrow(ValidationError);
+    expect((await repository.findById(user.id))?.version).toBe(1);
+  });
+
+  it('should reject duplicate unique fields', async () => {
+    await repository.create({ name: 'Ada', email: 'ada@example.com' });
+    const grace = await repository.create({ name: 'Grace', email: 'grace@example.com' });
+
+    await expect(repository.create({ name: 'Ada 2', email: 'ada@example.com' })).rejects.toThrow(
+      ConflictError
+    );
+    await expect(repository.update(grace.id, { email: 'ada@example.com' })).rejects.toThrow(
+      'User with this email already exists'
+    );
+  });
+
+  it('should throw NotFoundError for unknown records', async () => {
+    await expect(repository.update('missing', { name: 'x' })).rejects.toThrow(NotFoundError);
+    await expect(repository.delete('missing')).rejects.toThrow(NotFoundError);
+  });
+
+  it('should reject writes based on a stale version', async () => {
+    const user = await repository.create({ name: 'Ada', email: 'ada@example.com' });
+
+    // Two clients read version 1; the first write wins
+    await repository.update(user.id, { name: 'Ada L.' }, { expectedVersion: 1 });
+    const error = await repository
+      .update(user.id, { name: 'Ada Lovelace' }, { expectedVersion: 1 })
+      .catch((caught: unknown) => caught);
+
+    expect(error).toBeInstanceOf(ConflictError);
+    expect((error as ConflictError).toProblem()).toMatchObject({ status: 409, currentVersion: 2 });
+    await expect(repository.delete(user.id, { expectedVersion: 1 })).rejects.toThrow(ConflictError);
+    expect((await repository.findById(user.id))?.name).toBe('Ada L.');
+  });
+
+  describe('list', () => {
+    beforeEach(async () => {
+      for (const [name, age] of [
+        ['Grace', 85],
+        ['Ada', 36],
+        ['Linus', 55],
+        ['Margaret', 88],
+      ] as const) {
+        await repository.create({ name, email: `${name.toLowerCase()}@example.com`, age });
+      }
+    });
+
+    it('should paginate', async () => {
+      const page = await repository.list({ page: 2, limit: 3 });
+
+      expect(page.data).toHaveLength(1);
+      expect(page.pagination).toEqual({ page: 2, limit: 3, total: 4, totalPages: 2 });
+    });
+
+    it('should sort in either direction', async () => {
+      const byName = await repository.list({ sort: { field: 'name' } });
+      expect(byName.data.map((user) => user.name)).toEqual(['Ada', 'Grace', 'Linus', 'Margaret']);
+
+      const byAge = await repository.list({ sort: { field: 'age', direction: 'desc' } });
+      expect(byAge.data.map((user) => user.age)).toEqual([88, 85, 55, 36]);
+    });
+
+    it('should filter and search', async () => {
+      const filtered = await repository.list({ filter: { email: 'ada@example.com' } });
+      expect(filtered.data.map((user) => user.name)).toEqual(['Ada']);
+
+      const searched = await repository.list({ search: 'AR', sort: { field: 'name' } });
+      expect(searched.data.map((user) => user.name)).toEqual(['Margaret']);
+    });
+  });
+
+  describe('listByCursor', () => {
+    it('should page by key and stay stable when records are inserted', async () => {
+      for (const name of ['Ada', 'Grace', 'Linus']) {
+        await repository.create({ name, email: `${name.toLowerCase()}@example.com` });
+      }
+
+      const first = await repository.listByCursor({ limit: 2 });
+      expect(first.data.map((user) => user.name)).toEqual(['Ada', 'Grace']);
+
+      await repository.create({ name: 'Margaret', email: 'margaret@example.com' });
+      const second = await repository.listByCursor({ limit: 2, cursor: first.nextCursor });
+
+      expect(second.data.map((user) => user.name)).toEqual(['Linus', 'Margaret']);
+      expect(second.nextCursor).toBeUndefined();
+    });
+
+    it('should reject cursors taken under another sort order', async () => {
+      await repository.create({ name: 'Ada', email: 'ada@example.com' });
+      await repository.create({ name: 'Grace', email: 'grace@example.com' });
+      const { nextCursor } = await repository.listByCursor({ limit: 1 });
+
+      await expect(
+        repository.listByCursor({ cursor: nextCursor, sort: { field: 'name', direction: 'desc' } })
+      ).rejects.toThrow(ValidationError);
+    });
+  });
+
+  describe('with a JSON file', () => {
+    let directory: string;
+
+    beforeEach(async () => {
+      directory = await mkdtemp(join(tmpdir(), 'repository-'));
+    });
+
+    afterEach(async () => {
+      await rm(directory, { recursive: true, force: true });
+    });
+
+    it('should persist records across instances', async () => {
+      const filePath = join(directory, 'nested', 'users.json');
+      const user = await createRepository(filePath).create({
+        name: 'Ada',
+        email: 'ada@example.com',
+      });
+
+      expect(JSON.parse(await readFile(filePath, 'utf8'))).toEqual([user]);
+      expect(await createRepository(filePath).findById(user.id)).toEqual(user);
+    });
+
+    it('should leave records unchanged when saving fails', async () => {
+      const filePath = join(directory, 'users.json');
+      const repository = createRepository(filePath);
+      const user = await repository.create({ name: 'Ada', email: 'ada@example.com' });
+
+      // A directory where the temp file goes makes every save fail
+      const tempPath = `${filePath}.${process.pid}.tmp`;
+      await mkdir(tempPath);
+
+      await expect(repository.update(user.id, { name: 'Grace' })).rejects.toThrow();
+      await expect(
+        repository.create({ name: 'Grace', email: 'grace@example.com' })
+      ).rejects.toThrow();
+      await expect(repository.delete(user.id)).rejects.toThrow();
+
+      expect(await repository.findById(user.id)).toEqual(user);
+      expect((await repository.list()).pagination.total).toBe(1);
+
+      await rm(tempPath, { recursive: true });
+      const updated = await repository.update(user.id, { name: 'Grace' }, { expectedVersion: 1 });
+      expect(updated.version).toBe(2);
+      expect(JSON.parse(await readFile(filePath, 'utf8'))).toEqual([updated]);
+    });
+  });
+});
@@ -0,0 +1,310 @@
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import { dirname } from 'node:path';
+import { z } from 'zod';
+import { ConflictError, NotFoundError, ValidationError } from '@/lib/errors';
+import {
+  buildOffsetPagination,
+  clampLimit,
+  DEFAULT_PAGE_LIMIT,
+  paginateByKeyset,
+  type Cursor,
+  type KeysetPage,
+  type KeyValue,
+} from '@/lib/pagination';
+import type { PaginatedResponse } from '@/types';
+
+/**
+ * Repository abstraction for persisted entities
+ *
+ * Every write is validated against the entity's zod schema. Stored records
+ * carry a `version` that increments on each write; passing `expectedVersion`
+ * turns a write into a compare-and-swap that throws `ConflictError` when
+ * another write got there first (optimistic concurrency).
+ *
+ * `MemoryRepository` needs no database. Give it a `filePath` to persist
+ * records as JSON between restarts.
+ */
+
+export interface EntityMetadata {
+  version: number;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export type Stored<T> = T & EntityMetadata;
+
+export type SortDirection = 'asc' | 'desc';
+
+export interface ListQuery<T> {
+  /** Exact-match filters */
+  filter?: Partial<T>;
+  /** Case-insensitive substring match on the repository's `searchFields` */
+  search?: string;
+  sort?: { field: keyof Stored<T> & string; direction?: SortDirection };
+  /** 1-based */
+  page?: number;
+  limit?: number;
+}
+
+export interface CursorListQuery<T> extends Omit<ListQuery<T>, 'page'> {
+  cursor?: Cursor;
+}
+
+export interface WriteOptions {
+  /** Version the caller last read; the write fails with `ConflictError` if it changed */
+  expectedVersion?: number;
+}
+
+export interface Repository<T extends { id: string }> {
+  findById(id: string): Promise<Stored<T> | null>;
+  list(query?: ListQuery<T>): Promise<PaginatedResponse<Stored<T>>>;
+  /** Keyset pagination: stable while rows are inserted between fetches */
+  listByCursor(query?: CursorListQuery<T>): Promise<KeysetPage<Stored<T>>>;
+  create(input: Omit<T, 'id'>): Promise<Stored<T>>;
+  update(id: string, patch: Partial<Omit<T, 'id'>>, options?: WriteOptions): Promise<Stored<T>>;
+  delete(id: string, options?: WriteOptions): Promise<void>;
+}
+
+export interface MemoryRepositoryOptions<T> {
+  /** Entity name used in error messages, e.g. `User` */
+  name: string;
+  schema: z.ZodType<T>;
+  /** Fields that must be unique across records */
+  unique?: (keyof T & string)[];
+  searchFields?: (keyof T & string)[];
+  /** JSON file the records are loaded from and saved to */
+  filePath?: string;
+  defaultLimit?: number;
+  now?: () => Date;
+}
+
+/**
+ * Orders strings by locale and everything else by value; missing values sort last
+ */
+function compareValues(a: unknown, b: unknown): number {
+  if (a === b) {
+    return 0;
+  }
+  if (a === undefined || a === null) {
+    return 1;
+  }
+  if (b === undefined || b === null) {
+    return -1;
+  }
+  if (typeof a === 'string' && typeof b === 'string') {
+    return a.localeCompare(b);
+  }
+  return (a as number) < (b as number) ? -1 : 1;
+}
+
+export class MemoryRepository<T extends { id: string }> implements Repository<T> {
+  private records = new Map<string, Stored<T>>();
+  private loaded?: Promise<void>;
+  private writes: Promise<void> = Promise.resolve();
+  private readonly options: MemoryRepositoryOptions<T>;
+  private readonly now: () => Date;
+
+  constructor(options: MemoryRepositoryOptions<T>) {
+    this.options = options;
+    this.now = options.now ?? (() => new Date());
+  }
+
+  async findById(id: string): Promise<Stored<T> | null> {
+    await this.load();
+    return this.records.get(id) ?? null;
+  }
+
+  async list(query: ListQuery<T> = {}): Promise<PaginatedResponse<Stored<T>>> {
+    await this.load();
+    const limit = this.clampLimit(query.limit);
+    const page = Math.max(query.page ?? 1, 1);
+    let matches = this.match(query);
+
+    if (query.sort) {
+      const { field, direction } = query.sort;
+      const order = direction === 'desc' ? -1 : 1;
+      matches = matches.sort(
+        (a, b) => order * compareValues(a[field], b[field]) || a.id.localeCompare(b.id)
+      );
+    }
+
+    return {
+      data: matches.slice((page - 1) * limit, page * limit),
+      pagination: buildOffsetPagination({ page, limit, total: matches.length }),
+    };
+  }
+
+  async listByCursor(query: CursorListQuery<T> = {}): Promise<KeysetPage<Stored<T>>> {
+    await this.load();
+    const field = query.sort?.field ?? 'createdAt';
+    const direction = query.sort?.direction ?? 'asc';
+    const sort = `${field}:${direction}`;
+
+    // A cursor taken under another ordering would land on an arbitrary row
+    if (query.cursor && query.cursor.sort !== sort) {
+      throw new ValidationError('Cursor does not match the requested sort order');
+    }
+
+    return paginateByKeyset(this.match(query), {
+      getKey: (record) => [(record[field] ?? null) as KeyValue, record.id],
+      direction,
+      cursor: query.cursor,
+      limit: this.clampLimit(query.limit),
+      sort,
+    });
+  }
+
+  async create(input: Omit<T, 'id'>): Promise<Stored<T>> {
+    await this.load();
+    return this.write((records) => {
+      const entity = this.validate({ ...input, id: crypto.randomUUID() });
+      this.assertUnique(entity);
+
+      const timestamp = this.now().toISOString();
+      const record = { ...entity, version: 1, createdAt: timestamp, updatedAt: timestamp };
+      records.set(record.id, record);
+      return record;
+    });
+  }
+
+  async update(
+    id: string,
+    patch: Partial<Omit<T, 'id'>>,
+    options: WriteOptions = {}
+  ): Promise<Stored<T>> {
+    await this.load();
+    return this.write((records) => {
+      const current = this.getForWrite(id, options);
+      const { version, createdAt, updatedAt: _updatedAt, ...data } = current;
+      const entity = this.validate({ ...data, ...patch, id });
+      this.assertUnique(entity);
+
+      const record = {
+        ...entity,
+        version: version + 1,
+        createdAt,
+        updatedAt: this.now().toISOString(),
+      };
+      records.set(id, record);
+      return record;
+    });
+  }
+
+  async delete(id: string, options: WriteOptions = {}): Promise<void> {
+    await this.load();
+    return this.write((records) => {
+      this.getForWrite(id, options);
+      records.delete(id);
+    });
+  }
+
+  private clampLimit(limit?: number): number {
+    return clampLimit(limit ?? this.options.defaultLimit ?? DEFAULT_PAGE_LIMIT);
+  }
+
+  /**
+   * Records matching a query's filters and search term
+   */
+  private match({ filter = {}, search }: Omit<ListQuery<T>, 'page'>): Stored<T>[] {
+    const needle = search?.trim().toLowerCase();
+    return Array.from(this.records.values()).filter(
+      (record) =>
+        Object.entries(filter).every(
+          ([field, value]) => value === undefined || record[field as keyof T] === value
+        ) &&
+        (!needle ||
+          (this.options.searchFields ?? []).some((field) =>
+            String(record[field] ?? '')
+              .toLowerCase()
+              .includes(needle)
+          ))
+    );
+  }
+
+  private getForWrite(id: string, { expectedVersion }: WriteOptions): Stored<T> {
+    const current = this.records.get(id);
+    if (!current) {
+      throw new NotFoundError(this.options.name);
+    }
+    if (expectedVersion !== undefined && expectedVersion !== current.version) {
+      throw new ConflictError(`${this.options.name} was modified by another request`, {
+        extensions: { currentVersion: current.version },
+      });
+    }
+    return current;
+  }
+
+  private validate(value: unknown): T {
+    const result = this.options.schema.safeParse(value);
+    if (!result.success) {
+      throw ValidationError.fromZodError(result.error);
+    }
+    return result.data;
+  }
+
+  private assertUnique(entity: T): void {
+    for (const field of this.options.unique ?? []) {
+      const duplicate = Array.from(this.records.values()).some(
+        (record) => record.id !== entity.id && record[field] === entity[field]
+      );
+      if (duplicate) {
+        throw new ConflictError(`${this.options.name} with this ${field} already exists`);
+      }
+    }
+  }
+
+  private load(): Promise<void> {
+    const { filePath } = this.options;
+    this.loaded ??= filePath
+      ? readFile(filePath, 'utf8').then(
+          (contents) => {
+            const records = JSON.parse(contents) as Stored<T>[];
+            this.records = new Map(records.map((record) => [record.id, record]));
+          },
+          (error: NodeJS.ErrnoException) => {
+            if (error.code !== 'ENOENT') {
+              throw error;
+            }
+          }
+        )
+      : Promise.resolve();
+    return this.loaded;
+  }
+
+  /**
+   * Applies `mutate` to a copy of the records, saves that copy and only then
+   * swaps it in, so a failed save leaves the repository as it was. Writes are
+   * queued so each one checks versions and uniqueness against the previous
+   * one's result, and snapshots land in order.
+   */
+  private write<R>(mutate: (records: Map<string, Stored<T>>) => R): Promise<R> {
+    const write = this.writes.then(async () => {
+      const next = new Map(this.records);
+      const result = mutate(next);
+      await this.persist(next);
+      this.records = next;
+      return result;
+    });
+    // A failed write is reported to its caller without blocking later ones
+    this.writes = write.then(
+      () => undefined,
+      () => undefined
+    );
+    return write;
+  }
+
+  /**
+   * Saves a snapshot through a temp file, so a crash never leaves half a file
+   */
+  private async persist(records: Map<string, Stored<T>>): Promise<void> {
+    const { filePath } = this.options;
+    if (!filePath) {
+      return;
+    }
+
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await mkdir(dirname(filePath), { recursive: true });
+    await writeFile(tempPath, JSON.stringify(Array.from(records.values()), null, 2));
+    await rename(tempPath, filePath);
+  }
+}
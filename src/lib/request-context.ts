@@ -0,0 +1,57 @@
+import { AsyncLocalStorage } from 'node:async_hooks';
+
+/**
+ * Per-request context carried through async calls
+ *
+ * Anything run inside `runWithRequestContext` (including awaited promises,
+ * timers and callbacks) can read the current request ID without it being
+ * passed down explicitly.
+ */
+
+export const REQUEST_ID_HEADER = 'x-request-id';
+
+export interface RequestContext {
+  requestId: string;
+  [key: string]: unknown;
+}
+
+const storage = new AsyncLocalStorage<RequestContext>();
+
+/**
+ * Generates a new correlation ID
+ */
+export function createRequestId(): string {
+  return crypto.randomUUID();
+}
+
+/**
+ * Reuses an incoming correlation ID when it looks sane, otherwise creates one
+ */
+export function getRequestIdFromHeaders(headers: Headers): string {
+  const incoming = headers.get(REQUEST_ID_HEADER);
+  if (incoming && /^[\w.:-]{1,128}$/.test(incoming)) {
+    return incoming;
+  }
+  return createRequestId();
+}
+
+/**
+ * Runs `fn` with the given context bound to every async call it makes
+ */
+export function runWithRequestContext<T>(context: RequestContext, fn: () => T): T {
+  return storage.run(context, fn);
+}
+
+/**
+ * Returns the context of the request currently being handled, if any
+ */
+export function getRequestContext(): RequestContext | undefined {
+  return storage.getStore();
+}
+
+/**
+ * Returns the correlation ID of the request currently being handled, if any
+ */
+export function getRequestId(): string | undefined {
+  return storage.getStore()?.requestId;
+}
@@ -0,0 +1,76 @@
+import { describe, it, expect } from 'vitest';
+import {
+  buildCspPolicy,
+  buildSecurityHeaders,
+  createNonce,
+  cspHeaderName,
+  serializeCsp,
+} from './security-headers';
+
+describe('security headers', () => {
+  describe('createNonce', () => {
+    it('should create unique base64 nonces', () => {
+      const first = createNonce();
+      expect(first).toMatch(/^[A-Za-z0-9+/]{22}==$/);
+      expect(createNonce()).not.toBe(first);
+    });
+  });
+
+  describe('buildCspPolicy', () => {
+    it('should build a strict nonce-based policy for production', () => {
+      const csp = serializeCsp(buildCspPolicy({ nonce: 'abc' }));
+
+      expect(csp).toContain("script-src 'self' 'nonce-abc' 'strict-dynamic'");
+      expect(csp).toContain("style-src 'self' 'nonce-abc'");
+      expect(csp).toContain("object-src 'none'");
+      expect(csp).toContain("frame-ancestors 'none'");
+      expect(csp).toContain('upgrade-insecure-requests');
+      expect(csp).toContain('report-uri /api/csp-report');
+      expect(csp).not.toContain('unsafe');
+    });
+
+    it('should relax the policy for next dev', () => {
+      const policy = buildCspPolicy({ nonce: 'abc', isDev: true });
+
+      expect(policy['script-src']).toContain("'unsafe-eval'");
+      expect(policy['style-src']).toEqual(["'self'", "'unsafe-inline'"]);
+      expect(policy['connect-src']).toContain('ws:');
+      expect(policy['upgrade-insecure-requests']).toBeUndefined();
+    });
+
+    it('should merge extra sources without duplicates', () => {
+      const policy = buildCspPolicy({
+        nonce: 'abc',
+        extend: { 'connect-src': ["'self'", 'https://api.example.com'] },
+      });
+      expect(policy['connect-src']).toEqual(["'self'", 'https://api.example.com']);
+    });
+  });
+
+  describe('cspHeaderName', () => {
+    it('should switch to the report-only header during rollout', () => {
+      expect(cspHeaderName(false)).toBe('Content-Security-Policy');
+      expect(cspHeaderName(true)).toBe('Content-Security-Policy-Report-Only');
+    });
+  });
+
+  describe('buildSecurityHeaders', () => {
+    it('should include HSTS, Permissions-Policy and COOP/CORP in production', () => {
+      const keys = buildSecurityHeaders().map((header) => header.key);
+      expect(keys).toEqual(
+        expect.arrayContaining([
+          'Strict-Transport-Security',
+          'Permissions-Policy',
+          'Cross-Origin-Opener-Policy',
+          'Cross-Origin-Resource-Policy',
+        ])
+      );
+      expect(keys).not.toContain('X-XSS-Protection');
+    });
+
+    it('should skip HSTS in development', () => {
+      const keys = buildSecurityHeaders({ isDev: true }).map((header) => header.key);
+      expect(keys).not.toContain('Strict-Transport-Security');
+    });
+  });
+});
@@ -0,0 +1,145 @@
+/**
+ * Security header policy builder
+ *
+ * The Content-Security-Policy is built per request with a fresh nonce (see
+ * `src/middleware.ts`). Headers that don't depend on the request are built
+ * once and applied to every route from `next.config.ts`.
+ *
+ * This module is loaded by `next.config.ts`, so it must not import app code.
+ */
+
+export const NONCE_HEADER = 'x-nonce';
+export const CSP_REPORT_PATH = '/api/csp-report';
+export const CSP_REPORT_GROUP = 'csp-endpoint';
+
+export type CspDirective =
+  | 'default-src'
+  | 'script-src'
+  | 'style-src'
+  | 'img-src'
+  | 'font-src'
+  | 'connect-src'
+  | 'media-src'
+  | 'object-src'
+  | 'frame-src'
+  | 'worker-src'
+  | 'manifest-src'
+  | 'base-uri'
+  | 'form-action'
+  | 'frame-ancestors'
+  | 'upgrade-insecure-requests'
+  | 'report-uri'
+  | 'report-to';
+
+/**
+ * A directive maps to its source list, or to `true` for value-less
+ * directives such as `upgrade-insecure-requests`
+ */
+export type CspPolicy = Partial<Record<CspDirective, readonly string[] | true>>;
+
+export interface CspOptions {
+  nonce: string;
+  /** Relaxes the policy for `next dev` (eval for React Refresh, HMR websockets) */
+  isDev?: boolean;
+  /** Extra sources merged into the base policy, e.g. an analytics origin */
+  extend?: CspPolicy;
+}
+
+export interface SecurityHeaderOptions {
+  isDev?: boolean;
+}
+
+/**
+ * Generates a base64 nonce from 16 random bytes
+ */
+export function createNonce(): string {
+  const bytes = crypto.getRandomValues(new Uint8Array(16));
+  return btoa(String.fromCharCode(...bytes));
+}
+
+/**
+ * Builds the strict, nonce-based policy for a single request
+ */
+export function buildCspPolicy({ nonce, isDev = false, extend = {} }: CspOptions): CspPolicy {
+  const policy: CspPolicy = {
+    'default-src': ["'self'"],
+    'script-src': isDev
+      ? ["'self'", `'nonce-${nonce}'`, "'strict-dynamic'", "'unsafe-eval'"]
+      : ["'self'", `'nonce-${nonce}'`, "'strict-dynamic'"],
+    // 'unsafe-inline' is ignored when a nonce is present, so dev drops the nonce
+    'style-src': isDev ? ["'self'", "'unsafe-inline'"] : ["'self'", `'nonce-${nonce}'`],
+    'img-src': ["'self'", 'blob:', 'data:'],
+    'font-src': ["'self'"],
+    'connect-src': isDev ? ["'self'", 'ws:', 'wss:'] : ["'self'"],
+    'object-src': ["'none'"],
+    'base-uri': ["'self'"],
+    'form-action': ["'self'"],
+    'frame-ancestors': ["'none'"],
+    'report-uri': [CSP_REPORT_PATH],
+    'report-to': [CSP_REPORT_GROUP],
+  };
+
+  if (!isDev) {
+    policy['upgrade-insecure-requests'] = true;
+  }
+
+  for (const [directive, sources] of Object.entries(extend) as [
+    CspDirective,
+    CspPolicy[CspDirective],
+  ][]) {
+    const current = policy[directive];
+    policy[directive] =
+      sources === true || current === true || !current
+        ? sources
+        : Array.from(new Set([...current, ...(sources ?? [])]));
+  }
+
+  return policy;
+}
+
+/**
+ * Serializes a policy object into a header value
+ */
+export function serializeCsp(policy: CspPolicy): string {
+  return Object.entries(policy)
+    .filter(([, value]) => value !== undefined)
+    .map(([directive, value]) => (value === true ? directive : `${directive} ${value.join(' ')}`))
+    .join('; ');
+}
+
+/**
+ * Name of the CSP header for enforcing or report-only rollout
+ */
+export function cspHeaderName(reportOnly: boolean): string {
+  return reportOnly ? 'Content-Security-Policy-Report-Only' : 'Content-Security-Policy';
+}
+
+/**
+ * Request-independent security headers applied to every route
+ */
+export function buildSecurityHeaders({ isDev = false }: SecurityHeaderOptions = {}): {
+  key: string;
+  value: string;
+}[] {
+  const headers = [
+    { key: 'X-Content-Type-Options', value: 'nosniff' },
+    { key: 'X-Frame-Options', value: 'DENY' },
+    { key: 'Referrer-Policy', value: 'strict-origin-when-cross-origin' },
+    {
+      key: 'Permissions-Policy',
+      value: 'camera=(), microphone=(), geolocation=(), payment=(), usb=(), interest-cohort=()',
+    },
+    { key: 'Cross-Origin-Opener-Policy', value: 'same-origin' },
+    { key: 'Cross-Origin-Resource-Policy', value: 'same-origin' },
+  ];
+
+  // HSTS on localhost would pin browsers to HTTPS for every local project
+  if (!isDev) {
+    headers.push({
+      key: 'Strict-Transport-Security',
+      value: 'max-age=63072000; includeSubDomains; preload',
+    });
+  }
+
+  return headers;
+}
@@ -0,0 +1,99 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest';
+import {
+  createSessionPayload,
+  hasRole,
+  refreshSession,
+  sealSession,
+  SESSION_ABSOLUTE_MAX_AGE_MS,
+  SESSION_MAX_AGE_MS,
+  SessionConfigError,
+  unsealSession,
+} from './session';
+
+const CURRENT = 'current-secret-that-is-at-least-32-chars';
+const PREVIOUS = 'previous-secret-that-is-at-least-32-chars';
+const NOW = Date.UTC(2025, 0, 1);
+const DAY = 24 * 60 * 60 * 1000;
+
+const user = { id: 'user-1', email: 'ada@example.com', roles: ['user' as const] };
+
+describe('session', () => {
+  describe('sealSession / unsealSession', () => {
+    it('should round-trip a signed session', async () => {
+      const session = createSessionPayload(user, NOW);
+      const value = await sealSession(session, [CURRENT]);
+
+      expect(value).toMatch(/^[\w-]+\.[\w-]+$/);
+      expect(await unsealSession(value, [CURRENT], NOW)).toEqual({ session, secretIndex: 0 });
+    });
+
+    it('should reject tampered payloads and signatures', async () => {
+      const value = await sealSession(createSessionPayload(user, NOW), [CURRENT]);
+      const [payload, signature] = value.split('.');
+      const forged = Buffer.from(
+        JSON.stringify({ ...createSessionPayload(user, NOW), user: { ...user, roles: ['admin'] } })
+      ).toString('base64url');
+
+      expect(await unsealSession(`${forged}.${signature}`, [CURRENT], NOW)).toBeNull();
+      expect(await unsealSession(`${payload}.${signature}x`, [CURRENT], NOW)).toBeNull();
+      expect(await unsealSession(`${payload}`, [CURRENT], NOW)).toBeNull();
+      expect(await unsealSession('not base64!.!!', [CURRENT], NOW)).toBeNull();
+      expect(await unsealSession(undefined, [CURRENT], NOW)).toBeNull();
+    });
+
+    it('should keep sessions signed with a previous secret valid after rotation', async () => {
+      const value = await sealSession(createSessionPayload(user, NOW), [PREVIOUS]);
+
+      expect(await unsealSession(value, [CURRENT, PREVIOUS], NOW)).toMatchObject({
+        secretIndex: 1,
+      });
+      expect(await unsealSession(value, [CURRENT], NOW)).toBeNull();
+    });
+
+    it('should reject expired sessions', async () => {
+      const value = await sealSession(createSessionPayload(user, NOW), [CURRENT]);
+      expect(await unsealSession(value, [CURRENT], NOW + SESSION_MAX_AGE_MS)).toBeNull();
+    });
+
+    it('should refuse to sign without a secret', async () => {
+      await expect(sealSession(createSessionPayload(user, NOW), [])).rejects.toThrow(
+        SessionConfigError
+      );
+    });
+  });
+
+  describe('refreshSession', () => {
+    it('should leave fresh sessions alone', () => {
+      expect(refreshSession(createSessionPayload(user, NOW), NOW + DAY)).toBeNull();
+    });
+
+    it('should extend sessions past the refresh threshold', () => {
+      const now = NOW + 5 * DAY;
+      expect(refreshSession(createSessionPayload(user, NOW), now)?.expiresAt).toBe(
+        now + SESSION_MAX_AGE_MS
+      );
+    });
+
+    it('should cap expiry at the absolute lifetime', () => {
+      const session = {
+        ...createSessionPayload(user, NOW),
+        expiresAt: NOW + SESSION_ABSOLUTE_MAX_AGE_MS - DAY,
+      };
+      const now = NOW + SESSION_ABSOLUTE_MAX_AGE_MS - 2 * DAY;
+
+      expect(refreshSession(session, now)?.expiresAt).toBe(NOW + SESSION_ABSOLUTE_MAX_AGE_MS);
+      expect(
+        refreshSession({ ...session, expiresAt: NOW + SESSION_ABSOLUTE_MAX_AGE_MS }, now)
+      ).toBeNull();
+    });
+  });
+
+  describe('hasRole', () => {
+    it('should match any of the given roles', () => {
+      expect(hasRole(user, 'user')).toBe(true);
+      expect(hasRole(user, 'admin')).toBe(false);
+      expect(hasRole(user, ['admin', 'user'])).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,142 @@
+import { z } from 'zod';
+import { env } from '@/lib/env';
+import { signPayload, verifyPayload } from '@/lib/signing';
+import { getCookie } from '@/lib/utils';
+
+/**
+ * Stateless sessions in an HMAC-signed cookie
+ *
+ * The cookie value is `<base64url JSON payload>.<base64url HMAC-SHA256>`,
+ * signed with `SESSION_SECRET`. Secrets listed in `SESSION_SECRET_PREVIOUS`
+ * still verify, so rotating the secret doesn't sign everyone out; those
+ * sessions are re-signed with the current secret on their next refresh.
+ *
+ * The payload is signed, not encrypted: never put secrets in it.
+ *
+ * This module is edge-safe, so it can run in `src/middleware.ts`.
+ */
+
+export const ROLES = ['user', 'admin'] as const;
+
+export type Role = (typeof ROLES)[number];
+
+/** Idle timeout: each refresh pushes expiry this far out */
+export const SESSION_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+/** Hard limit on a session's lifetime, however active it is */
+export const SESSION_ABSOLUTE_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+/** Sessions are re-issued once less than this much of the idle timeout is left */
+const REFRESH_THRESHOLD_MS = SESSION_MAX_AGE_MS / 2;
+
+const sessionSchema = z.object({
+  user: z.object({
+    id: z.string().min(1),
+    email: z.string().optional(),
+    name: z.string().optional(),
+    roles: z.array(z.enum(ROLES)),
+  }),
+  createdAt: z.number(),
+  expiresAt: z.number(),
+});
+
+export type Session = z.infer<typeof sessionSchema>;
+
+export type SessionUser = Session['user'];
+
+export class SessionConfigError extends Error {
+  constructor() {
+    super('SESSION_SECRET must be set to sign sessions');
+    this.name = 'SessionConfigError';
+  }
+}
+
+/**
+ * The current secret first, then previous ones still accepted for verification
+ */
+export function getSessionSecrets(): string[] {
+  return env.SESSION_SECRET ? [env.SESSION_SECRET, ...env.SESSION_SECRET_PREVIOUS] : [];
+}
+
+export function sessionCookieName(secure = env.NODE_ENV === 'production'): string {
+  return secure ? '__Host-session' : 'session';
+}
+
+export function sessionCookieOptions(session: Session, secure = env.NODE_ENV === 'production') {
+  return {
+    httpOnly: true,
+    secure,
+    sameSite: 'lax',
+    path: '/',
+    expires: new Date(session.expiresAt),
+  } as const;
+}
+
+/**
+ * Starts a new session for `user`
+ */
+export function createSessionPayload(user: SessionUser, now = Date.now()): Session {
+  return { user, createdAt: now, expiresAt: now + SESSION_MAX_AGE_MS };
+}
+
+/**
+ * Sliding expiry: a session past the refresh threshold gets a later expiry,
+ * capped by its absolute lifetime
+ *
+ * @returns The refreshed session, or `null` when it doesn't need one yet
+ */
+export function refreshSession(session: Session, now = Date.now()): Session | null {
+  if (session.expiresAt - now > REFRESH_THRESHOLD_MS) {
+    return null;
+  }
+  const expiresAt = Math.min(
+    now + SESSION_MAX_AGE_MS,
+    session.createdAt + SESSION_ABSOLUTE_MAX_AGE_MS
+  );
+  return expiresAt > session.expiresAt ? { ...session, expiresAt } : null;
+}
+
+/**
+ * Signs a session into a cookie value with the current secret
+ *
+ * @throws SessionConfigError when no secret is configured
+ */
+export async function sealSession(
+  session: Session,
+  secrets: readonly string[] = getSessionSecrets()
+): Promise<string> {
+  if (secrets.length === 0) {
+    throw new SessionConfigError();
+  }
+  return signPayload(session, secrets[0]);
+}
+
+/**
+ * Verifies and decodes a cookie value
+ *
+ * @returns The session with the index of the secret that verified it, or
+ * `null` when the value is tampered with, malformed or expired
+ */
+export async function unsealSession(
+  value: string | undefined,
+  secrets: readonly string[] = getSessionSecrets(),
+  now = Date.now()
+): Promise<{ session: Session; secretIndex: number } | null> {
+  const verified = await verifyPayload(value, secrets);
+  const result = sessionSchema.safeParse(verified?.payload);
+  if (!verified || !result.success || result.data.expiresAt <= now) {
+    return null;
+  }
+  return { session: result.data, secretIndex: verified.secretIndex };
+}
+
+/**
+ * Reads the session carried by a request's cookies
+ */
+export async function getSessionFromHeaders(headers: Headers): Promise<Session | null> {
+  const value = getCookie(headers, sessionCookieName());
+  return (await unsealSession(value))?.session ?? null;
+}
+
+export function hasRole(user: SessionUser, role: Role | readonly Role[]): boolean {
+  const required = typeof role === 'string' ? [role] : role;
+  return required.some((candidate) => user.roles.includes(candidate));
+}
@@ -0,0 +1,72 @@
+import { describe, it, expect } from 'vitest';
+import { twMerge } from './tailwind-merge';
+
+describe('twMerge', () => {
+  it('should keep the last of two conflicting classes', () => {
+    expect(twMerge('bg-blue-600 text-white', 'bg-red-600')).toBe('text-white bg-red-600');
+    expect(twMerge('px-4 px-2')).toBe('px-2');
+    expect(twMerge('rounded-lg rounded')).toBe('rounded');
+  });
+
+  it('should keep classes that set different properties', () => {
+    expect(twMerge('text-sm text-red-600 text-center')).toBe('text-sm text-red-600 text-center');
+    expect(twMerge('border border-gray-300 border-dashed')).toBe(
+      'border border-gray-300 border-dashed'
+    );
+    expect(twMerge('ring-2 ring-blue-500 ring-offset-2 ring-offset-white')).toBe(
+      'ring-2 ring-blue-500 ring-offset-2 ring-offset-white'
+    );
+    expect(twMerge('font-mono font-bold shadow-sm shadow-red-500')).toBe(
+      'font-mono font-bold shadow-sm shadow-red-500'
+    );
+  });
+
+  it('should resolve conflicts within the same variants only', () => {
+    expect(twMerge('hover:bg-blue-700 bg-blue-600 hover:bg-red-700')).toBe(
+      'bg-blue-600 hover:bg-red-700'
+    );
+    expect(twMerge('md:p-4 p-2')).toBe('md:p-4 p-2');
+    expect(twMerge('md:hover:underline hover:md:no-underline')).toBe('hover:md:no-underline');
+    expect(twMerge('aria-[invalid=true]:border-red-600 aria-[invalid=true]:border-red-700')).toBe(
+      'aria-[invalid=true]:border-red-700'
+    );
+  });
+
+  it('should let shorthands override earlier longhands', () => {
+    expect(twMerge('px-4 py-2 p-0')).toBe('p-0');
+    expect(twMerge('p-0 px-4')).toBe('p-0 px-4');
+    expect(twMerge('mt-2 -mt-4')).toBe('-mt-4');
+    expect(twMerge('w-4 h-4 size-6')).toBe('size-6');
+    expect(twMerge('rounded-tl-lg rounded-t-none')).toBe('rounded-t-none');
+    expect(twMerge('border-x-2 border-0')).toBe('border-0');
+  });
+
+  it('should handle arbitrary values', () => {
+    expect(twMerge('text-[14px] text-lg')).toBe('text-lg');
+    expect(twMerge('text-[#333] text-red-600')).toBe('text-red-600');
+    expect(twMerge('text-[14px] text-[#333]')).toBe('text-[14px] text-[#333]');
+    expect(twMerge('w-[calc(100%-2rem)] w-full')).toBe('w-full');
+    expect(twMerge('[mask-type:luminance] [mask-type:alpha]')).toBe('[mask-type:alpha]');
+    expect(twMerge('[&:hover]:underline [&:hover]:no-underline')).toBe('[&:hover]:no-underline');
+  });
+
+  it('should group colors with opacity modifiers and theme colors', () => {
+    expect(twMerge('bg-red-500/50 bg-foreground')).toBe('bg-foreground');
+    expect(twMerge('text-background text-[color:var(--accent)]')).toBe(
+      'text-[color:var(--accent)]'
+    );
+  });
+
+  it('should separate exact-name utilities by property', () => {
+    expect(twMerge('block inline-flex relative absolute')).toBe('inline-flex absolute');
+    expect(twMerge('flex flex-col flex-1')).toBe('flex flex-col flex-1');
+  });
+
+  it('should keep important classes separate', () => {
+    expect(twMerge('!p-4 p-2')).toBe('!p-4 p-2');
+  });
+
+  it('should keep unknown classes and drop duplicates', () => {
+    expect(twMerge('custom-class other custom-class')).toBe('other custom-class');
+  });
+});
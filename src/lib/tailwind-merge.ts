@@ -0,0 +1,485 @@
+/**
+ * Dependency-free Tailwind class merging
+ *
+ * When two classes set the same CSS property under the same variants
+ * (`hover:`, `md:`, `aria-[invalid=true]:`...), the one listed last wins and
+ * the earlier one is dropped, so `bg-blue-600 bg-red-600` becomes
+ * `bg-red-600`. Shorthands also override their longhands: `p-2` removes an
+ * earlier `px-4`, but a later `px-4` still refines `p-2`.
+ *
+ * Utilities are grouped by the property they set, not by theme values, so
+ * custom colors and spacing from `tailwind.config.ts` work without being
+ * listed here. Classes it doesn't recognise are always kept.
+ */
+
+const TEXT_SIZES = new Set([
+  'xs',
+  'sm',
+  'base',
+  'lg',
+  'xl',
+  '2xl',
+  '3xl',
+  '4xl',
+  '5xl',
+  '6xl',
+  '7xl',
+  '8xl',
+  '9xl',
+]);
+const SHADOW_SIZES = new Set(['', 'sm', 'md', 'lg', 'xl', '2xl', 'inner', 'none']);
+const FONT_WEIGHTS = new Set([
+  'thin',
+  'extralight',
+  'light',
+  'normal',
+  'medium',
+  'semibold',
+  'bold',
+  'extrabold',
+  'black',
+]);
+const LINE_STYLES = new Set(['solid', 'dashed', 'dotted', 'double', 'hidden', 'none']);
+const BG_POSITIONS = new Set([
+  'bottom',
+  'center',
+  'left',
+  'left-bottom',
+  'left-top',
+  'right',
+  'right-bottom',
+  'right-top',
+  'top',
+]);
+
+const LENGTH_UNIT = /^-?\d*\.?\d+(px|r?em|%|v[hw]|[sdl]v[hw]|ch|ex|pt|cm|mm|in)$/;
+
+function isArbitrary(value: string): boolean {
+  return value.startsWith('[') && value.endsWith(']');
+}
+
+/**
+ * Numbers and lengths: `2`, `0.5`, `px`, `[3px]`, `[length:var(--w)]`
+ */
+function isLength(value: string): boolean {
+  if (isArbitrary(value)) {
+    const inner = value.slice(1, -1);
+    return inner.startsWith('length:') || LENGTH_UNIT.test(inner) || /^calc\(/.test(inner);
+  }
+  return value === '' || value === 'px' || /^\d*\.?\d+$/.test(value);
+}
+
+function isNumber(value: string): boolean {
+  return /^\d*\.?\d+$/.test(value) || (isArbitrary(value) && /^\[\d*\.?\d+\]$/.test(value));
+}
+
+/** Arbitrary values typed as something other than a color */
+function isArbitraryNonColor(value: string): boolean {
+  return isArbitrary(value) && !/^\[(#|rgba?\(|hsla?\(|color:)/.test(value) && isLength(value);
+}
+
+type Classifier = (value: string) => string | undefined;
+
+/** Utilities whose whole name is the class */
+const EXACT: Record<string, string> = {
+  block: 'display',
+  'inline-block': 'display',
+  inline: 'display',
+  flex: 'display',
+  'inline-flex': 'display',
+  grid: 'display',
+  'inline-grid': 'display',
+  table: 'display',
+  contents: 'display',
+  'flow-root': 'display',
+  'list-item': 'display',
+  hidden: 'display',
+  static: 'position',
+  fixed: 'position',
+  absolute: 'position',
+  relative: 'position',
+  sticky: 'position',
+  visible: 'visibility',
+  invisible: 'visibility',
+  collapse: 'visibility',
+  underline: 'text-decoration',
+  overline: 'text-decoration',
+  'line-through': 'text-decoration',
+  'no-underline': 'text-decoration',
+  italic: 'font-style',
+  'not-italic': 'font-style',
+  uppercase: 'text-transform',
+  lowercase: 'text-transform',
+  capitalize: 'text-transform',
+  'normal-case': 'text-transform',
+  truncate: 'text-overflow',
+  'sr-only': 'sr',
+  'not-sr-only': 'sr',
+  isolate: 'isolation',
+  'isolation-auto': 'isolation',
+  'ring-inset': 'ring-inset',
+};
+
+const same =
+  (group: string): Classifier =>
+  () =>
+    group;
+
+/**
+ * Prefixes, each mapping its value to a group; the longest prefix matches
+ */
+const PREFIXES: Record<string, Classifier> = {
+  ...Object.fromEntries(
+    ['p', 'px', 'py', 'pt', 'pr', 'pb', 'pl', 'ps', 'pe'].map((prefix) => [prefix, same(prefix)])
+  ),
+  ...Object.fromEntries(
+    ['m', 'mx', 'my', 'mt', 'mr', 'mb', 'ml', 'ms', 'me'].map((prefix) => [prefix, same(prefix)])
+  ),
+  ...Object.fromEntries(
+    [
+      'w',
+      'h',
+      'min-w',
+      'min-h',
+      'max-w',
+      'max-h',
+      'size',
+      'inset',
+      'inset-x',
+      'inset-y',
+      'top',
+      'right',
+      'bottom',
+      'left',
+      'start',
+      'end',
+      'gap',
+      'gap-x',
+      'gap-y',
+      'z',
+      'order',
+      'basis',
+      'opacity',
+      'grid-cols',
+      'grid-rows',
+      'col',
+      'col-span',
+      'col-start',
+      'col-end',
+      'row',
+      'row-span',
+      'row-start',
+      'row-end',
+      'leading',
+      'tracking',
+      'whitespace',
+      'break',
+      'align',
+      'indent',
+      'line-clamp',
+      'underline-offset',
+      'cursor',
+      'pointer-events',
+      'select',
+      'resize',
+      'appearance',
+      'overflow',
+      'overflow-x',
+      'overflow-y',
+      'overscroll',
+      'aspect',
+      'columns',
+      'transition',
+      'duration',
+      'ease',
+      'delay',
+      'animate',
+      'scale',
+      'scale-x',
+      'scale-y',
+      'rotate',
+      'translate-x',
+      'translate-y',
+      'skew-x',
+      'skew-y',
+      'origin',
+      'blur',
+      'brightness',
+      'contrast',
+      'grayscale',
+      'invert',
+      'saturate',
+      'sepia',
+      'drop-shadow',
+      'backdrop-blur',
+      'will-change',
+      'touch',
+      'float',
+      'clear',
+      'ring-offset-opacity',
+      'items',
+      'justify',
+      'justify-items',
+      'justify-self',
+      'self',
+      'place-content',
+      'place-items',
+      'place-self',
+      'list',
+      'object',
+      'fill',
+      'caret',
+      'accent',
+      'from',
+      'via',
+      'to',
+      'outline-offset',
+      'space-x',
+      'space-y',
+      'divide-x',
+      'divide-y',
+      'bg-clip',
+      'bg-origin',
+      'mix-blend',
+      'bg-blend',
+      'table',
+      'box-decoration',
+      'scroll-m',
+      'scroll-p',
+      'snap',
+    ].map((prefix) => [prefix, same(prefix)])
+  ),
+  'space-x-reverse': same('space-x-reverse'),
+  'space-y-reverse': same('space-y-reverse'),
+  grow: same('grow'),
+  shrink: same('shrink'),
+  box: same('box-sizing'),
+  flex: (value) => {
+    if (['row', 'row-reverse', 'col', 'col-reverse'].includes(value)) {
+      return 'flex-direction';
+    }
+    if (['wrap', 'wrap-reverse', 'nowrap'].includes(value)) {
+      return 'flex-wrap';
+    }
+    return 'flex';
+  },
+  content: (value) => (isArbitrary(value) || value === 'none' ? 'content-value' : 'align-content'),
+  text: (value) => {
+    if (['left', 'center', 'right', 'justify', 'start', 'end'].includes(value)) {
+      return 'text-align';
+    }
+    if (['wrap', 'nowrap', 'balance', 'pretty'].includes(value)) {
+      return 'text-wrap';
+    }
+    if (['ellipsis', 'clip'].includes(value)) {
+      return 'text-overflow';
+    }
+    if (TEXT_SIZES.has(value) || isArbitraryNonColor(value)) {
+      return 'font-size';
+    }
+    return 'text-color';
+  },
+  font: (value) => (FONT_WEIGHTS.has(value) || isNumber(value) ? 'font-weight' : 'font-family'),
+  decoration: (value) => {
+    if (['solid', 'double', 'dotted', 'dashed', 'wavy'].includes(value)) {
+      return 'decoration-style';
+    }
+    if (value === 'auto' || value === 'from-font' || isLength(value)) {
+      return 'decoration-thickness';
+    }
+    return 'decoration-color';
+  },
+  bg: (value) => {
+    if (['fixed', 'local', 'scroll'].includes(value)) {
+      return 'bg-attachment';
+    }
+    if (BG_POSITIONS.has(value)) {
+      return 'bg-position';
+    }
+    if (value.startsWith('repeat') || value === 'no-repeat') {
+      return 'bg-repeat';
+    }
+    if (['auto', 'cover', 'contain'].includes(value)) {
+      return 'bg-size';
+    }
+    if (value === 'none' || value.startsWith('gradient-') || value.startsWith('[url(')) {
+      return 'bg-image';
+    }
+    return 'bg-color';
+  },
+  rounded: same('rounded'),
+  ...Object.fromEntries(
+    ['s', 'e', 't', 'r', 'b', 'l', 'ss', 'se', 'ee', 'es', 'tl', 'tr', 'br', 'bl'].map((side) => [
+      `rounded-${side}`,
+      same(`rounded-${side}`),
+    ])
+  ),
+  border: (value) => {
+    if (LINE_STYLES.has(value)) {
+      return 'border-style';
+    }
+    if (['collapse', 'separate'].includes(value)) {
+      return 'border-collapse';
+    }
+    return isLength(value) ? 'border-w' : 'border-color';
+  },
+  ...Object.fromEntries(
+    ['x', 'y', 's', 'e', 't', 'r', 'b', 'l'].map((side) => [
+      `border-${side}`,
+      (value: string) => (isLength(value) ? `border-w-${side}` : `border-color-${side}`),
+    ])
+  ),
+  divide: (value) => (LINE_STYLES.has(value) ? 'divide-style' : 'divide-color'),
+  outline: (value) => {
+    if (value === '' || LINE_STYLES.has(value)) {
+      return 'outline-style';
+    }
+    return isLength(value) ? 'outline-w' : 'outline-color';
+  },
+  ring: (value) => (isLength(value) ? 'ring-w' : 'ring-color'),
+  'ring-offset': (value) => (isLength(value) ? 'ring-offset-w' : 'ring-offset-color'),
+  shadow: (value) =>
+    SHADOW_SIZES.has(value) || (isArbitrary(value) && value.includes('_'))
+      ? 'shadow'
+      : 'shadow-color',
+  stroke: (value) => (isNumber(value) ? 'stroke-w' : 'stroke'),
+};
+
+/**
+ * Groups a class overrides on top of its own
+ */
+const CONFLICTS: Record<string, string[]> = {
+  p: ['px', 'py', 'pt', 'pr', 'pb', 'pl', 'ps', 'pe'],
+  px: ['pr', 'pl', 'ps', 'pe'],
+  py: ['pt', 'pb'],
+  m: ['mx', 'my', 'mt', 'mr', 'mb', 'ml', 'ms', 'me'],
+  mx: ['mr', 'ml', 'ms', 'me'],
+  my: ['mt', 'mb'],
+  size: ['w', 'h'],
+  inset: ['inset-x', 'inset-y', 'top', 'right', 'bottom', 'left', 'start', 'end'],
+  'inset-x': ['right', 'left'],
+  'inset-y': ['top', 'bottom'],
+  gap: ['gap-x', 'gap-y'],
+  flex: ['basis', 'grow', 'shrink'],
+  overflow: ['overflow-x', 'overflow-y'],
+  'font-size': ['leading'],
+  rounded: [
+    'rounded-s',
+    'rounded-e',
+    'rounded-t',
+    'rounded-r',
+    'rounded-b',
+    'rounded-l',
+    'rounded-ss',
+    'rounded-se',
+    'rounded-ee',
+    'rounded-es',
+    'rounded-tl',
+    'rounded-tr',
+    'rounded-br',
+    'rounded-bl',
+  ],
+  'rounded-t': ['rounded-tl', 'rounded-tr'],
+  'rounded-r': ['rounded-tr', 'rounded-br'],
+  'rounded-b': ['rounded-br', 'rounded-bl'],
+  'rounded-l': ['rounded-tl', 'rounded-bl'],
+  'border-w': ['border-w-x', 'border-w-y', 'border-w-s', 'border-w-e'].concat(
+    ['t', 'r', 'b', 'l'].map((side) => `border-w-${side}`)
+  ),
+  'border-w-x': ['border-w-r', 'border-w-l'],
+  'border-w-y': ['border-w-t', 'border-w-b'],
+  'border-color': ['border-color-x', 'border-color-y', 'border-color-s', 'border-color-e'].concat(
+    ['t', 'r', 'b', 'l'].map((side) => `border-color-${side}`)
+  ),
+  'border-color-x': ['border-color-r', 'border-color-l'],
+  'border-color-y': ['border-color-t', 'border-color-b'],
+};
+
+/**
+ * Splits `md:hover:bg-red-600` into variants and the utility, ignoring
+ * colons inside brackets (`[&:hover]:underline`, `bg-[url(a:b)]`)
+ */
+function splitVariants(className: string): { variants: string[]; utility: string } {
+  const parts: string[] = [];
+  let depth = 0;
+  let start = 0;
+  for (let i = 0; i < className.length; i++) {
+    const char = className[i];
+    if (char === '[' || char === '(') {
+      depth++;
+    } else if (char === ']' || char === ')') {
+      depth--;
+    } else if (char === ':' && depth === 0) {
+      parts.push(className.slice(start, i));
+      start = i + 1;
+    }
+  }
+  return { variants: parts, utility: className.slice(start) };
+}
+
+function classify(utility: string): string | undefined {
+  // Arbitrary properties conflict with the same property: `[mask-type:alpha]`
+  if (isArbitrary(utility)) {
+    const property = utility.slice(1, utility.indexOf(':'));
+    return property ? `[${property}]` : undefined;
+  }
+
+  const base = utility.replace(/^-/, '');
+  if (EXACT[base]) {
+    return EXACT[base];
+  }
+
+  // `bg-red-500/50`: the opacity modifier doesn't change the group
+  const withoutOpacity = base.replace(/\/(\d+|\[[^\]]+\])$/, '');
+  for (let end = withoutOpacity.length; end > 0; end = withoutOpacity.lastIndexOf('-', end - 1)) {
+    const prefix = withoutOpacity.slice(0, end);
+    const classifier = PREFIXES[prefix];
+    if (classifier) {
+      return classifier(withoutOpacity.slice(end + 1));
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Drops classes overridden by a later conflicting class
+ *
+ * @example
+ * ```typescript
+ * twMerge('px-4 py-2 bg-blue-600 hover:bg-blue-700', 'p-0 bg-red-600');
+ * // "hover:bg-blue-700 p-0 bg-red-600"
+ * ```
+ */
+export function twMerge(...classLists: string[]): string {
+  const classes = classLists.join(' ').split(/\s+/).filter(Boolean);
+  const taken = new Set<string>();
+  const kept: string[] = [];
+
+  for (let i = classes.length - 1; i >= 0; i--) {
+    const className = classes[i];
+    if (kept.includes(className)) {
+      continue;
+    }
+    const { variants, utility } = splitVariants(className);
+    const important = utility.startsWith('!') || utility.endsWith('!');
+    const group = classify(utility.replace(/^!|!$/g, ''));
+
+    if (group === undefined) {
+      kept.push(className);
+      continue;
+    }
+
+    // `md:hover:` and `hover:md:` target the same thing
+    const scope = [...variants].sort().join(':') + (important ? '!' : '') + '|';
+    if (taken.has(scope + group)) {
+      continue;
+    }
+    kept.push(className);
+    taken.add(scope + group);
+    for (const overridden of CONFLICTS[group] ?? []) {
+      taken.add(scope + overridden);
+    }
+  }
+
+  return kept.reverse().join(' ');
+}
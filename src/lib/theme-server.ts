@@ -0,0 +1,10 @@
+import { cookies } from 'next/headers';
+import { isTheme, THEME_COOKIE, type Theme } from '@/lib/theme';
+
+/**
+ * The visitor's saved theme, `system` when they haven't chosen one
+ */
+export async function getTheme(): Promise<Theme> {
+  const value = (await cookies()).get(THEME_COOKIE)?.value;
+  return isTheme(value) ? value : 'system';
+}
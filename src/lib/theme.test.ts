@@ -0,0 +1,63 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { applyTheme, isTheme, THEME_SCRIPT, themeCookie } from './theme';
+
+function mockSystemTheme(dark: boolean) {
+  vi.stubGlobal(
+    'matchMedia',
+    vi.fn(() => ({ matches: dark }))
+  );
+}
+
+describe('theme', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    document.cookie = 'theme=; max-age=0; path=/';
+    document.documentElement.className = '';
+    document.documentElement.style.colorScheme = '';
+  });
+
+  it('should recognise theme names', () => {
+    expect(isTheme('dark')).toBe(true);
+    expect(isTheme('system')).toBe(true);
+    expect(isTheme('sepia')).toBe(false);
+    expect(isTheme(undefined)).toBe(false);
+  });
+
+  it('should swap the theme class and set color-scheme', () => {
+    const root = document.documentElement;
+    applyTheme('dark', root);
+    expect(root).toHaveClass('dark');
+    expect(root.style.colorScheme).toBe('dark');
+
+    applyTheme('light', root);
+    expect(root).toHaveClass('light');
+    expect(root).not.toHaveClass('dark');
+  });
+
+  it('should build a long-lived cookie', () => {
+    expect(themeCookie('dark')).toMatch(/^theme=dark; path=\/; max-age=31536000/);
+  });
+
+  describe('THEME_SCRIPT', () => {
+    it('should apply the theme saved in the cookie', () => {
+      mockSystemTheme(false);
+      document.cookie = themeCookie('dark');
+      new Function(THEME_SCRIPT)();
+      expect(document.documentElement).toHaveClass('dark');
+    });
+
+    it('should follow the OS when no theme is saved', () => {
+      mockSystemTheme(true);
+      new Function(THEME_SCRIPT)();
+      expect(document.documentElement).toHaveClass('dark');
+      expect(document.documentElement.style.colorScheme).toBe('dark');
+    });
+
+    it('should follow the OS when system is saved', () => {
+      mockSystemTheme(false);
+      document.cookie = themeCookie('system');
+      new Function(THEME_SCRIPT)();
+      expect(document.documentElement).toHaveClass('light');
+    });
+  });
+});
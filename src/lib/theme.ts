@@ -0,0 +1,55 @@
+/**
+ * Light/dark theme preference
+ *
+ * The choice is stored in the `theme` cookie so the server can render the
+ * right class on `<html>`. For `system`, only the browser knows the answer:
+ * `THEME_SCRIPT` runs before first paint to set it, and the
+ * `prefers-color-scheme` rules in globals.css cover visitors without
+ * JavaScript.
+ */
+
+export const THEMES = ['light', 'dark', 'system'] as const;
+
+export type Theme = (typeof THEMES)[number];
+
+export type ResolvedTheme = Exclude<Theme, 'system'>;
+
+export const THEME_COOKIE = 'theme';
+
+export const DARK_MODE_QUERY = '(prefers-color-scheme: dark)';
+
+export function isTheme(value: unknown): value is Theme {
+  return THEMES.includes(value as Theme);
+}
+
+/**
+ * Sets the theme class and `color-scheme` on `<html>`
+ */
+export function applyTheme(theme: ResolvedTheme, root: HTMLElement = document.documentElement) {
+  root.classList.remove(theme === 'dark' ? 'light' : 'dark');
+  root.classList.add(theme);
+  root.style.colorScheme = theme;
+}
+
+export function themeCookie(theme: Theme): string {
+  return `${THEME_COOKIE}=${theme}; path=/; max-age=${365 * 24 * 60 * 60}; samesite=lax`;
+}
+
+/**
+ * Inlined into the page, so it must not reference anything outside itself
+ */
+function initTheme(cookieName: string, query: string) {
+  try {
+    const match = document.cookie.match(new RegExp('(?:^|; )' + cookieName + '=(light|dark)'));
+    const theme = match ? match[1] : window.matchMedia(query).matches ? 'dark' : 'light';
+    const root = document.documentElement;
+    root.classList.remove(theme === 'dark' ? 'light' : 'dark');
+    root.classList.add(theme);
+    root.style.colorScheme = theme;
+  } catch {
+    // Leave the server-rendered class in place
+  }
+}
+
+/** Source of the blocking script that applies the theme before first paint */
+export const THEME_SCRIPT = `(${initTheme.toString()})(${JSON.stringify(THEME_COOKIE)}, ${JSON.stringify(DARK_MODE_QUERY)})`;
@@ -0,0 +1,77 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import {
+  DEFAULT_TOAST_DURATION,
+  dismissToast,
+  getToasts,
+  parseFlash,
+  subscribeToToasts,
+  toast,
+} from './toast';
+
+describe('toast', () => {
+  afterEach(() => {
+    dismissToast();
+  });
+
+  it('should queue toasts in order with defaults', () => {
+    toast('Saved');
+    toast.error('Failed', { description: 'Try again' });
+
+    expect(getToasts()).toMatchObject([
+      { message: 'Saved', variant: 'default', duration: DEFAULT_TOAST_DURATION },
+      { message: 'Failed', variant: 'error', description: 'Try again' },
+    ]);
+  });
+
+  it('should replace a toast that reuses an id', () => {
+    toast('Saving...', { id: 'save', duration: Infinity });
+    toast('Other');
+    toast.success('Saved', { id: 'save' });
+
+    expect(getToasts().map((item) => item.message)).toEqual(['Saved', 'Other']);
+    expect(getToasts()[0]).toMatchObject({ variant: 'success', duration: DEFAULT_TOAST_DURATION });
+  });
+
+  it('should dismiss one toast or all of them', () => {
+    const id = toast('One');
+    toast('Two');
+
+    dismissToast(id);
+    expect(getToasts().map((item) => item.message)).toEqual(['Two']);
+
+    dismissToast();
+    expect(getToasts()).toEqual([]);
+  });
+
+  it('should notify subscribers until they unsubscribe', () => {
+    const listener = vi.fn();
+    const unsubscribe = subscribeToToasts(listener);
+
+    toast('One');
+    unsubscribe();
+    toast('Two');
+
+    expect(listener).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('parseFlash', () => {
+  it('should read a flash', () => {
+    expect(parseFlash('{"message":"Welcome back","variant":"success"}')).toEqual({
+      message: 'Welcome back',
+      description: undefined,
+      variant: 'success',
+    });
+  });
+
+  it('should drop unknown variants', () => {
+    expect(parseFlash('{"message":"Hi","variant":"rainbow"}')?.variant).toBeUndefined();
+  });
+
+  it('should ignore malformed values', () => {
+    expect(parseFlash(undefined)).toBeUndefined();
+    expect(parseFlash('not json')).toBeUndefined();
+    expect(parseFlash('{"text":"Hi"}')).toBeUndefined();
+    expect(parseFlash('null')).toBeUndefined();
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * Toast notifications
+ *
+ * `toast()` can be called from any client code; `<Toaster />` in the root
+ * layout renders the queue. Server code triggers toasts with a flash: either
+ * a `message` in a `createFormAction` state (see `useFormStateToast`) or the
+ * `flash` cookie set by `setFlash()`, which survives a redirect.
+ */
+
+export type ToastVariant = 'default' | 'success' | 'error';
+
+export interface Toast {
+  id: string;
+  message: string;
+  description?: string;
+  variant: ToastVariant;
+  /** Milliseconds before the toast hides itself; `Infinity` keeps it */
+  duration: number;
+}
+
+export interface ToastOptions {
+  /** Reusing an id replaces that toast, e.g. to turn "Saving..." into "Saved" */
+  id?: string;
+  description?: string;
+  variant?: ToastVariant;
+  duration?: number;
+}
+
+/** A toast requested by the server */
+export interface Flash {
+  message: string;
+  description?: string;
+  variant?: ToastVariant;
+}
+
+export const DEFAULT_TOAST_DURATION = 5000;
+
+export const FLASH_COOKIE = 'flash';
+
+const VARIANTS: readonly ToastVariant[] = ['default', 'success', 'error'];
+
+let toasts: readonly Toast[] = [];
+let nextId = 0;
+const listeners = new Set<() => void>();
+
+function setToasts(next: readonly Toast[]) {
+  toasts = next;
+  listeners.forEach((listener) => listener());
+}
+
+/**
+ * Queues a toast and returns its id
+ *
+ * @example
+ * ```typescript
+ * toast('Link copied');
+ * toast.error('Could not save', { description: error.message });
+ * ```
+ */
+export function toast(message: string, options: ToastOptions = {}): string {
+  const id = options.id ?? `toast-${++nextId}`;
+  const next: Toast = {
+    id,
+    message,
+    description: options.description,
+    variant: options.variant ?? 'default',
+    duration: options.duration ?? DEFAULT_TOAST_DURATION,
+  };
+
+  setToasts(
+    toasts.some((item) => item.id === id)
+      ? toasts.map((item) => (item.id === id ? next : item))
+      : [...toasts, next]
+  );
+  return id;
+}
+
+toast.success = (message: string, options?: Omit<ToastOptions, 'variant'>) =>
+  toast(message, { ...options, variant: 'success' });
+
+toast.error = (message: string, options?: Omit<ToastOptions, 'variant'>) =>
+  toast(message, { ...options, variant: 'error' });
+
+/**
+ * Removes one toast, or all of them without an id
+ */
+export function dismissToast(id?: string): void {
+  setToasts(id === undefined ? [] : toasts.filter((item) => item.id !== id));
+}
+
+export function getToasts(): readonly Toast[] {
+  return toasts;
+}
+
+export function subscribeToToasts(listener: () => void): () => void {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Reads a flash from its cookie value; anything malformed is ignored
+ */
+export function parseFlash(value: string | undefined): Flash | undefined {
+  if (!value) {
+    return undefined;
+  }
+  try {
+    const flash: unknown = JSON.parse(value);
+    if (
+      typeof flash === 'object' &&
+      flash !== null &&
+      'message' in flash &&
+      typeof flash.message === 'string'
+    ) {
+      const { message, description, variant } = flash as Record<string, unknown>;
+      return {
+        message: message as string,
+        description: typeof description === 'string' ? description : undefined,
+        variant: VARIANTS.includes(variant as ToastVariant) ? (variant as ToastVariant) : undefined,
+      };
+    }
+  } catch {
+    // Not JSON
+  }
+  return undefined;
+}
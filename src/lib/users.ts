@@ -0,0 +1,27 @@
+import { join } from 'node:path';
+import { env } from '@/lib/env';
+import { MemoryRepository, type Repository } from '@/lib/repository';
+import { userSchema, type User } from '@/lib/validation';
+
+/**
+ * User persistence
+ *
+ * Backed by `MemoryRepository`, saved to `$DATA_DIR/users.json` when
+ * `DATA_DIR` is set. Swap in a database-backed `Repository<User>` here
+ * without touching the routes.
+ */
+
+function createUserRepository(): Repository<User> {
+  return new MemoryRepository<User>({
+    name: 'User',
+    schema: userSchema,
+    unique: ['email'],
+    searchFields: ['name', 'email'],
+    filePath: env.DATA_DIR ? join(env.DATA_DIR, 'users.json') : undefined,
+  });
+}
+
+// Survive module reloads in `next dev`, which would otherwise drop every user
+const globalForUsers = globalThis as { userRepository?: Repository<User> };
+
+export const userRepository = (globalForUsers.userRepository ??= createUserRepository());
@@ -0,0 +1,58 @@
+import { describe, it, expect } from 'vitest';
+import { cn, fromBase64Url, getCookie, sleep, toBase64Url } from './utils';
+
+describe('utils', () => {
+  describe('cn', () => {
+    it('should join truthy classes, including nested arrays', () => {
+      expect(cn('a', false, null, undefined, ['b', ['c', 0]])).toBe('a b c');
+    });
+
+    it('should let later Tailwind classes win conflicts', () => {
+      expect(cn('rounded-lg bg-blue-600 px-4', 'bg-red-600')).toBe('rounded-lg px-4 bg-red-600');
+    });
+  });
+
+  describe('base64url', () => {
+    it('should round-trip bytes without padding or URL-unsafe characters', () => {
+      const bytes = new Uint8Array([251, 255, 191, 0, 1]);
+      const encoded = toBase64Url(bytes);
+
+      expect(encoded).toBe('-_-_AAE');
+      expect(Array.from(fromBase64Url(encoded))).toEqual(Array.from(bytes));
+    });
+  });
+
+  describe('getCookie', () => {
+    it('should read a single cookie', () => {
+      const headers = new Headers({ cookie: 'theme=dark; csrf-token=abc%3D; other=1' });
+      expect(getCookie(headers, 'csrf-token')).toBe('abc=');
+      expect(getCookie(headers, 'missing')).toBeUndefined();
+    });
+
+    it('should treat malformed percent-encoding as missing', () => {
+      const headers = new Headers({ cookie: 'session=%E0%A4%A; theme=dark' });
+      expect(getCookie(headers, 'session')).toBeUndefined();
+      expect(getCookie(headers, 'theme')).toBe('dark');
+    });
+  });
+
+  describe('sleep', () => {
+    it('should resolve after the delay', async () => {
+      const startedAt = Date.now();
+      await sleep(20);
+      expect(Date.now() - startedAt).toBeGreaterThanOrEqual(15);
+    });
+
+    it('should reject with the reason when aborted', async () => {
+      const controller = new AbortController();
+      const pending = sleep(10_000, controller.signal);
+      controller.abort(new Error('cancelled'));
+
+      await expect(pending).rejects.toThrow('cancelled');
+    });
+
+    it('should reject right away when already aborted', async () => {
+      await expect(sleep(10_000, AbortSignal.abort(new Error('gone')))).rejects.toThrow('gone');
+    });
+  });
+});
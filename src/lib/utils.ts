@@ -1,15 +1,40 @@
+import { twMerge } from '@/lib/tailwind-merge';
+
+export type ClassValue = string | undefined | null | false | 0 | readonly ClassValue[];
+
 /**
  * Utility function to construct class names conditionally
+ *
+ * Conflicting Tailwind classes are resolved in favour of the last one, so
+ * `cn('bg-blue-600', className)` lets `className` override the background.
  */
-export function cn(...classes: (string | undefined | null | false)[]): string {
-  return classes.filter(Boolean).join(' ');
+export function cn(...classes: ClassValue[]): string {
+  return twMerge((classes as unknown[]).flat(Infinity).filter(Boolean).join(' '));
 }
 
 /**
  * Sleep utility for async operations
+ *
+ * Rejects with the signal's reason as soon as `signal` aborts, so a pending
+ * retry can be cancelled.
  */
-export function sleep(ms: number): Promise<void> {
-  return new Promise((resolve) => setTimeout(resolve, ms));
+export function sleep(ms: number, signal?: AbortSignal): Promise<void> {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timeout);
+      reject(signal?.reason);
+    };
+    const timeout = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
 }
 
 /**
@@ -51,3 +76,58 @@ export function throttle<T extends (...args: unknown[]) => unknown>(
     }
   };
 }
+
+/**
+ * Encodes bytes as unpadded base64url
+ */
+export function toBase64Url(bytes: Uint8Array): string {
+  return btoa(String.fromCharCode(...bytes))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
+
+/**
+ * Decodes base64url (padded or not) into bytes
+ */
+export function fromBase64Url(value: string): Uint8Array<ArrayBuffer> {
+  const binary = atob(value.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+}
+
+/**
+ * Reads a single cookie from a request's `Cookie` header; a value that isn't
+ * valid percent-encoding is treated as missing
+ */
+export function getCookie(headers: Headers, name: string): string | undefined {
+  for (const pair of headers.get('cookie')?.split(';') ?? []) {
+    const separator = pair.indexOf('=');
+    if (separator !== -1 && pair.slice(0, separator).trim() === name) {
+      try {
+        return decodeURIComponent(pair.slice(separator + 1).trim());
+      } catch {
+        return undefined;
+      }
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Sets headers on a response, copying it first when its headers are immutable
+ * (`Response.redirect()`, a proxied `fetch()` response)
+ */
+export function withHeaders(response: Response, headers: Record<string, string>): Response {
+  try {
+    for (const [name, value] of Object.entries(headers)) {
+      response.headers.set(name, value);
+    }
+    return response;
+  } catch {
+    const copy = new Response(response.body, response);
+    for (const [name, value] of Object.entries(headers)) {
+      copy.headers.set(name, value);
+    }
+    return copy;
+  }
+}
@@ -15,6 +15,15 @@ export const userSchema = z.object({
 
 export type User = z.infer<typeof userSchema>;
 
+export const createUserSchema = userSchema.omit({ id: true });
+
+/**
+ * Partial update; `version` is the version the client last read
+ */
+export const updateUserSchema = createUserSchema.partial().extend({
+  version: z.number().int().positive(),
+});
+
 export const validateEmail = (email: string): boolean => {
   return emailSchema.safeParse(email).success;
 };
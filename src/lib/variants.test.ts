@@ -0,0 +1,44 @@
+import { describe, it, expect } from 'vitest';
+import { variants, type VariantProps } from './variants';
+
+describe('variants', () => {
+  const badge = variants({
+    base: 'rounded px-2 text-xs',
+    variants: {
+      tone: { neutral: 'bg-gray-100', danger: 'bg-red-100 text-red-800' },
+      size: { sm: 'py-0.5', lg: 'py-1 text-sm' },
+      pill: { true: 'rounded-full', false: '' },
+    },
+    defaultVariants: { tone: 'neutral', size: 'sm' },
+    compoundVariants: [{ tone: 'danger', size: ['lg'], className: 'font-bold' }],
+  });
+
+  it('should apply default variants', () => {
+    expect(badge()).toBe('rounded px-2 text-xs bg-gray-100 py-0.5');
+  });
+
+  it('should pick classes for the given props', () => {
+    expect(badge({ tone: 'danger', pill: true })).toBe(
+      'px-2 text-xs bg-red-100 text-red-800 py-0.5 rounded-full'
+    );
+  });
+
+  it('should apply matching compound variants', () => {
+    expect(badge({ tone: 'danger', size: 'lg' })).toContain('font-bold');
+    expect(badge({ size: 'lg' })).not.toContain('font-bold');
+  });
+
+  it('should let className override conflicting classes', () => {
+    expect(badge({ className: 'bg-blue-100 px-3' })).toBe(
+      'rounded text-xs py-0.5 bg-blue-100 px-3'
+    );
+  });
+
+  it('should type variant props', () => {
+    const props: VariantProps<typeof badge> = { tone: 'danger', pill: false };
+    // @ts-expect-error unknown tone
+    const invalid: VariantProps<typeof badge> = { tone: 'success' };
+    expect(badge(props)).toBeTypeOf('string');
+    expect(invalid).toBeDefined();
+  });
+});
@@ -0,0 +1,92 @@
+import { cn, type ClassValue } from '@/lib/utils';
+
+/**
+ * Typed component variants
+ *
+ * Declares a component's base classes and its variant classes in one place;
+ * the returned function picks the classes for a set of props and merges
+ * them with `cn`, so a `className` passed by the caller wins conflicts.
+ *
+ * Variants with `true`/`false` keys take boolean props.
+ *
+ * @example
+ * ```typescript
+ * const badge = variants({
+ *   base: 'rounded px-2 text-xs',
+ *   variants: {
+ *     tone: { neutral: 'bg-gray-100', danger: 'bg-red-100 text-red-800' },
+ *     pill: { true: 'rounded-full' },
+ *   },
+ *   defaultVariants: { tone: 'neutral' },
+ * });
+ *
+ * type BadgeProps = VariantProps<typeof badge>;
+ * badge({ tone: 'danger', pill: true, className: 'mt-1' });
+ * ```
+ */
+
+type VariantDefinitions = Record<string, Record<string, ClassValue>>;
+
+type VariantValue<Key> = Key extends 'true' | 'false' ? boolean : Key;
+
+export type VariantSelection<V extends VariantDefinitions> = {
+  [Name in keyof V]?: VariantValue<keyof V[Name] & string> | null;
+};
+
+type CompoundVariant<V extends VariantDefinitions> = {
+  [Name in keyof V]?:
+    | VariantValue<keyof V[Name] & string>
+    | readonly VariantValue<keyof V[Name] & string>[];
+} & { className: ClassValue };
+
+export interface VariantsConfig<V extends VariantDefinitions> {
+  base?: ClassValue;
+  variants: V;
+  defaultVariants?: VariantSelection<V>;
+  /** Extra classes applied when several variants match at once */
+  compoundVariants?: CompoundVariant<V>[];
+}
+
+export type VariantFunction<V extends VariantDefinitions> = (
+  props?: VariantSelection<V> & { className?: ClassValue }
+) => string;
+
+/**
+ * Variant props accepted by a `variants()` function, for component prop types
+ */
+export type VariantProps<F> =
+  F extends VariantFunction<infer V> ? { [Name in keyof V]?: VariantSelection<V>[Name] } : never;
+
+export function variants<V extends VariantDefinitions>({
+  base,
+  variants: definitions,
+  defaultVariants = {},
+  compoundVariants = [],
+}: VariantsConfig<V>): VariantFunction<V> {
+  return (props = {}) => {
+    const selected: Record<string, string> = {};
+    for (const name of Object.keys(definitions)) {
+      const value = props[name] ?? defaultVariants[name];
+      if (value !== undefined && value !== null) {
+        selected[name] = String(value);
+      }
+    }
+
+    const compound = compoundVariants
+      .filter(({ className: _className, ...conditions }) =>
+        Object.entries(conditions).every(([name, expected]) =>
+          (Array.isArray(expected) ? expected : [expected]).some(
+            (value) => String(value) === selected[name]
+          )
+        )
+      )
+      .map(({ className }) => className);
+
+    return cn(
+      base,
+      Object.entries(selected).map(([name, value]) => definitions[name][value]),
+      compound,
+      props.className
+    );
+  };
+}
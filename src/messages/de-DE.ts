@@ -0,0 +1,14 @@
+import type { Messages } from '.';
+
+const messages: Partial<Messages> = {
+  'home.title': 'Willkommen bei {name}',
+  'home.description': 'Ein modernes Next.js + TypeScript Template mit eingebauten Best Practices.',
+  'notFound.title': '404 - Seite nicht gefunden',
+  'notFound.description': 'Die gesuchte Seite existiert nicht.',
+  'error.title': 'Etwas ist schiefgelaufen!',
+  'error.retry': 'Erneut versuchen',
+  'common.loading': 'Wird geladen...',
+  'pagination.results': { one: '# Ergebnis', other: '# Ergebnisse' },
+};
+
+export default messages;
@@ -0,0 +1,15 @@
+/**
+ * Default catalog: defines every message key
+ */
+const messages = {
+  'home.title': 'Welcome to {name}',
+  'home.description': 'A modern Next.js + TypeScript template with best practices built-in.',
+  'notFound.title': '404 - Page Not Found',
+  'notFound.description': 'The page you are looking for does not exist.',
+  'error.title': 'Something went wrong!',
+  'error.retry': 'Try again',
+  'common.loading': 'Loading...',
+  'pagination.results': { one: '# result', other: '# results' },
+};
+
+export default messages;
@@ -0,0 +1,15 @@
+import type { Messages } from '.';
+
+const messages: Partial<Messages> = {
+  'home.title': 'Bienvenue sur {name}',
+  'home.description':
+    'Un template Next.js + TypeScript moderne avec les bonnes pratiques intégrées.',
+  'notFound.title': '404 - Page introuvable',
+  'notFound.description': "La page que vous recherchez n'existe pas.",
+  'error.title': 'Une erreur est survenue !',
+  'error.retry': 'Réessayer',
+  'common.loading': 'Chargement...',
+  'pagination.results': { one: '# résultat', other: '# résultats' },
+};
+
+export default messages;
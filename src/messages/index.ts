@@ -0,0 +1,28 @@
+import type { Locale, Message } from '@/lib/i18n';
+import { DEFAULT_LOCALE } from '@/lib/i18n';
+import defaultMessages from './en-US';
+
+/**
+ * Message catalogs, loaded on demand so each locale is its own chunk
+ */
+
+export type MessageKey = keyof typeof defaultMessages;
+
+export type Messages = Record<MessageKey, Message>;
+
+const loaders: Record<Locale, () => Promise<{ default: Partial<Messages> }>> = {
+  'en-US': () => import('./en-US'),
+  'de-DE': () => import('./de-DE'),
+  'fr-FR': () => import('./fr-FR'),
+};
+
+/**
+ * Loads a locale's catalog, filling untranslated keys from the default locale
+ */
+export async function loadMessages(locale: Locale): Promise<Messages> {
+  if (locale === DEFAULT_LOCALE) {
+    return defaultMessages;
+  }
+  const { default: messages } = await loaders[locale]();
+  return { ...defaultMessages, ...messages };
+}
@@ -0,0 +1,221 @@
+import { NextResponse, type NextRequest } from 'next/server';
+import { createCsrfToken, csrfCookieName, csrfCookieOptions, verifyCsrf } from '@/lib/csrf';
+import { ROUTES } from '@/lib/constants';
+import { env } from '@/lib/env';
+import { toProblemResponse } from '@/lib/errors';
+import {
+  FLAG_OVERRIDE_COOKIE,
+  FLAG_OVERRIDE_PARAM,
+  FLAG_VISITOR_COOKIE,
+  FLAG_VISITOR_MAX_AGE_S,
+  flagCookieOptions,
+  verifyFlagOverrides,
+} from '@/lib/flags';
+import {
+  getClientKey,
+  RateLimiter,
+  rateLimitHeaders,
+  slidingWindow,
+  toRateLimitError,
+} from '@/lib/rate-limit';
+import {
+  buildCspPolicy,
+  createNonce,
+  CSP_REPORT_GROUP,
+  CSP_REPORT_PATH,
+  cspHeaderName,
+  NONCE_HEADER,
+  serializeCsp,
+} from '@/lib/security-headers';
+import {
+  refreshSession,
+  sealSession,
+  sessionCookieName,
+  sessionCookieOptions,
+  unsealSession,
+} from '@/lib/session';
+
+// Probes come from load balancers and must never be throttled
+const RATE_LIMIT_EXEMPT_PATHS = ['/api/health'];
+// Browsers send violation reports without a usable Origin
+const CSRF_EXEMPT_PATHS = [CSP_REPORT_PATH];
+// Pages that send anonymous visitors to the login page; roles are still checked
+// in the pages themselves with `requireRole()`
+const PROTECTED_PATHS = [ROUTES.ADMIN];
+
+const apiRateLimiter = new RateLimiter({
+  prefix: 'api',
+  algorithm: slidingWindow({ limit: env.API_RATE_LIMIT, windowMs: env.API_RATE_LIMIT_WINDOW_MS }),
+});
+
+/**
+ * Throttles API routes per client and blocks cross-site mutations
+ */
+async function handleApiRequest(request: NextRequest): Promise<NextResponse | Response> {
+  const { pathname } = request.nextUrl;
+  if (RATE_LIMIT_EXEMPT_PATHS.some((path) => pathname.startsWith(path))) {
+    return NextResponse.next();
+  }
+
+  const result = await apiRateLimiter.limit(getClientKey(request));
+  if (!result.success) {
+    return toProblemResponse(toRateLimitError(result), pathname);
+  }
+
+  if (!CSRF_EXEMPT_PATHS.includes(pathname)) {
+    try {
+      await verifyCsrf(request);
+    } catch (error) {
+      return toProblemResponse(error, pathname);
+    }
+  }
+
+  const response = NextResponse.next();
+  for (const [name, value] of Object.entries(rateLimitHeaders(result))) {
+    response.headers.set(name, value);
+  }
+  return response;
+}
+
+/**
+ * Issues the visitor ID that percentage rollouts bucket anonymous visitors
+ * by, and turns a `?flags=<token>` QA link into the override cookie
+ * (`?flags=` with no token clears it)
+ *
+ * Like the CSRF token, the cookies are set on the request right away, so the
+ * first render already sees them.
+ *
+ * @returns Sets the same cookies on the response
+ */
+async function prepareFlagCookies(request: NextRequest): Promise<(response: NextResponse) => void> {
+  const updates: ((response: NextResponse) => void)[] = [];
+
+  if (!request.cookies.has(FLAG_VISITOR_COOKIE)) {
+    const visitorId = crypto.randomUUID();
+    request.cookies.set(FLAG_VISITOR_COOKIE, visitorId);
+    updates.push((response) =>
+      response.cookies.set(FLAG_VISITOR_COOKIE, visitorId, {
+        ...flagCookieOptions(),
+        maxAge: FLAG_VISITOR_MAX_AGE_S,
+      })
+    );
+  }
+
+  const token = request.nextUrl.searchParams.get(FLAG_OVERRIDE_PARAM);
+  if (token === '') {
+    request.cookies.delete(FLAG_OVERRIDE_COOKIE);
+    updates.push((response) => response.cookies.delete(FLAG_OVERRIDE_COOKIE));
+  } else if (token) {
+    const verified = await verifyFlagOverrides(token);
+    if (verified) {
+      request.cookies.set(FLAG_OVERRIDE_COOKIE, token);
+      updates.push((response) =>
+        response.cookies.set(FLAG_OVERRIDE_COOKIE, token, {
+          ...flagCookieOptions(),
+          expires: new Date(verified.expiresAt),
+        })
+      );
+    }
+  }
+
+  return (response) => updates.forEach((update) => update(response));
+}
+
+/**
+ * Applies a per-request, nonce-based Content-Security-Policy and issues the
+ * CSRF and feature flag cookies
+ *
+ * The nonce and policy are also set on the request headers: Next.js reads the
+ * policy to nonce its own scripts, and `getNonce()` reads the nonce in layouts.
+ * Mutating requests (server actions) are checked for cross-site origins first.
+ */
+async function handlePageRequest(request: NextRequest): Promise<NextResponse | Response> {
+  try {
+    await verifyCsrf(request);
+  } catch (error) {
+    return toProblemResponse(error, request.nextUrl.pathname);
+  }
+
+  const csrfCookie = csrfCookieName();
+  const existingCsrfToken = request.cookies.get(csrfCookie)?.value;
+  const csrfToken = existingCsrfToken ?? createCsrfToken();
+  // Set on the request too, so the first render can already read it
+  request.cookies.set(csrfCookie, csrfToken);
+  const setFlagCookies = await prepareFlagCookies(request);
+
+  const nonce = createNonce();
+  const csp = serializeCsp(buildCspPolicy({ nonce, isDev: env.NODE_ENV === 'development' }));
+
+  const requestHeaders = new Headers(request.headers);
+  requestHeaders.set(NONCE_HEADER, nonce);
+  requestHeaders.set('Content-Security-Policy', csp);
+
+  const response = NextResponse.next({ request: { headers: requestHeaders } });
+  response.headers.set(cspHeaderName(env.CSP_REPORT_ONLY), csp);
+  response.headers.set(
+    'Reporting-Endpoints',
+    `${CSP_REPORT_GROUP}="${new URL(CSP_REPORT_PATH, request.url)}"`
+  );
+  if (!existingCsrfToken) {
+    response.cookies.set(csrfCookie, csrfToken, csrfCookieOptions());
+  }
+  setFlagCookies(response);
+
+  return response;
+}
+
+function isProtectedPath(pathname: string): boolean {
+  return PROTECTED_PATHS.some((path) => pathname === path || pathname.startsWith(`${path}/`));
+}
+
+export async function middleware(request: NextRequest) {
+  const { pathname, search } = request.nextUrl;
+  const sessionCookie = sessionCookieName();
+  const unsealed = await unsealSession(request.cookies.get(sessionCookie)?.value);
+
+  if (!unsealed && isProtectedPath(pathname)) {
+    const loginUrl = new URL(env.LOGIN_URL, request.url);
+    loginUrl.searchParams.set('next', `${pathname}${search}`);
+    return NextResponse.redirect(loginUrl);
+  }
+
+  const response = pathname.startsWith('/api/')
+    ? await handleApiRequest(request)
+    : await handlePageRequest(request);
+
+  if (!(response instanceof NextResponse)) {
+    return response;
+  }
+
+  if (unsealed) {
+    // Sliding expiry, and re-signing sessions still on a rotated-out secret
+    const renewed =
+      refreshSession(unsealed.session) ?? (unsealed.secretIndex > 0 ? unsealed.session : null);
+    if (renewed) {
+      response.cookies.set(
+        sessionCookie,
+        await sealSession(renewed),
+        sessionCookieOptions(renewed)
+      );
+    }
+  } else if (request.cookies.has(sessionCookie)) {
+    // Tampered with, expired or signed with a retired secret
+    response.cookies.delete(sessionCookie);
+  }
+
+  return response;
+}
+
+export const config = {
+  matcher: [
+    '/api/:path*',
+    {
+      // Pages: static assets and prefetches don't need a fresh CSP nonce
+      source: '/((?!api|_next/static|_next/image|favicon.ico|robots.txt).*)',
+      missing: [
+        { type: 'header', key: 'next-router-prefetch' },
+        { type: 'header', key: 'purpose', value: 'prefetch' },
+      ],
+    },
+  ],
+};
@@ -1,5 +1,8 @@
 /**
  * Environment variable type definitions
+ *
+ * These describe the raw strings on `process.env`. Prefer the parsed and
+ * validated values exported from `@/lib/env`.
  */
 
 declare global {
@@ -8,9 +11,34 @@ declare global {
       NODE_ENV: 'development' | 'production' | 'test';
       NEXT_PUBLIC_APP_URL: string;
 
-      // Add your custom environment variables here
-      // DATABASE_URL?: string;
-      // API_SECRET_KEY?: string;
+      // Set by next.config.ts
+      APP_VERSION?: string;
+
+      // Optional, validated in src/lib/env.ts
+      PORT?: string;
+      LOG_LEVEL?: 'debug' | 'info' | 'warn' | 'error';
+      LOG_FORMAT?: 'json' | 'pretty';
+      CSP_REPORT_ONLY?: string;
+      API_RATE_LIMIT?: string;
+      API_RATE_LIMIT_WINDOW_MS?: string;
+      TRUSTED_IP_HEADER?: string;
+      TRUSTED_PROXY_HOPS?: string;
+      CSRF_TRUSTED_ORIGINS?: string;
+      SESSION_SECRET?: string;
+      SESSION_SECRET_PREVIOUS?: string;
+      CURSOR_SECRET?: string;
+      FLAG_OVERRIDE_SECRET?: string;
+      DATABASE_URL?: string;
+      DATA_DIR?: string;
+      API_SECRET_KEY?: string;
+      NEXTAUTH_URL?: string;
+      NEXTAUTH_SECRET?: string;
+      THIRD_PARTY_API_URL?: string;
+      THIRD_PARTY_API_KEY?: string;
+      SENTRY_DSN?: string;
+      NEXT_PUBLIC_API_KEY?: string;
+      NEXT_PUBLIC_FEATURE_XYZ_ENABLED?: string;
+      NEXT_PUBLIC_GA_ID?: string;
     }
   }
 }
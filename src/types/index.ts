@@ -2,12 +2,36 @@
  * Common type definitions
  */
 
+export interface FieldIssue {
+  path: string;
+  message: string;
+}
+
+/**
+ * Success envelope for API routes. Errors are sent as `ProblemDetails`.
+ */
 export interface ApiResponse<T = unknown> {
   data?: T;
   error?: string;
   message?: string;
 }
 
+/**
+ * RFC 9457 problem document (`application/problem+json`)
+ */
+export interface ProblemDetails {
+  type: string;
+  title: string;
+  status: number;
+  detail?: string;
+  instance?: string;
+  /** Stable, machine-readable error code */
+  code?: string;
+  /** Field-level validation issues */
+  errors?: FieldIssue[];
+  [extension: string]: unknown;
+}
+
 export interface PaginatedResponse<T> {
   data: T[];
   pagination: {
@@ -18,6 +42,18 @@ export interface PaginatedResponse<T> {
   };
 }
 
+/**
+ * Cursor-paginated list; pass `nextCursor`/`prevCursor` back as `?cursor=`
+ */
+export interface CursorPaginatedResponse<T> {
+  data: T[];
+  pagination: {
+    limit: number;
+    nextCursor: string | null;
+    prevCursor: string | null;
+  };
+}
+
 export type Nullable<T> = T | null;
 
 export type Optional<T> = T | undefined;
@@ -1,6 +1,10 @@
 import type { Config } from 'tailwindcss';
 
+/** A color backed by a token from globals.css, with opacity support */
+const token = (name: string) => `rgb(var(--${name}) / <alpha-value>)`;
+
 const config: Config = {
+  darkMode: 'class',
   content: [
     './src/pages/**/*.{js,ts,jsx,tsx,mdx}',
     './src/components/**/*.{js,ts,jsx,tsx,mdx}',
@@ -9,8 +13,36 @@ const config: Config = {
   theme: {
     extend: {
       colors: {
-        background: 'var(--background)',
-        foreground: 'var(--foreground)',
+        background: token('background'),
+        foreground: token('foreground'),
+        surface: {
+          DEFAULT: token('surface'),
+          foreground: token('surface-foreground'),
+        },
+        muted: {
+          DEFAULT: token('muted'),
+          foreground: token('muted-foreground'),
+        },
+        accent: {
+          DEFAULT: token('accent'),
+          foreground: token('accent-foreground'),
+        },
+        border: token('border'),
+        input: token('input'),
+        ring: token('ring'),
+        primary: {
+          DEFAULT: token('primary'),
+          foreground: token('primary-foreground'),
+        },
+        secondary: {
+          DEFAULT: token('secondary'),
+          foreground: token('secondary-foreground'),
+        },
+        danger: {
+          DEFAULT: token('danger'),
+          foreground: token('danger-foreground'),
+        },
+        success: token('success'),
       },
     },
   },
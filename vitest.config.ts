@@ -6,12 +6,23 @@ export default defineConfig({
   plugins: [react()] as any,
   test: {
     environment: 'jsdom',
+    include: ['src/**/*.test.{ts,tsx}', 'scripts/**/*.test.mjs'],
     globals: true,
     setupFiles: ['./src/test/setup.ts'],
+    env: {
+      NEXT_PUBLIC_APP_URL: 'http://localhost:3000',
+    },
     coverage: {
       provider: 'v8',
       reporter: ['text', 'json', 'html', 'lcov'],
-      exclude: ['node_modules/', 'src/test/', '**/*.config.*', '**/*.d.ts', '**/types/**'],
+      exclude: [
+        'node_modules/',
+        'src/test/',
+        'scripts/test/',
+        '**/*.config.*',
+        '**/*.d.ts',
+        '**/types/**',
+      ],
     },
   },
   resolve: {